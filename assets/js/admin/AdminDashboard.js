@@ -0,0 +1,268 @@
+// ===== ADMIN DASHBOARD =====
+// Filterable list of submitted quotes; opens QuoteDetailModal for one quote
+
+import { BaseComponent } from '../components/BaseComponent.js';
+import { CardGrid } from '../components/CardGrid.js';
+import { ValidationUtils } from '../utils/Validation.js';
+import { QuoteDetailModal, formatDateTime, formatMoney } from './QuoteDetailModal.js';
+
+const STATUSES = ['draft', 'sent', 'viewed', 'accepted', 'paid', 'declined', 'invoiced'];
+
+const SERVICE_AREAS = [
+    { value: '15', label: '0-15 miles' },
+    { value: '30', label: '15-30 miles' },
+    { value: '50', label: '30+ miles' }
+];
+
+const FILTER_FIELDS = ['status', 'from', 'to', 'package', 'serviceArea', 'minTotal', 'maxTotal', 'q'];
+
+export class AdminDashboard extends BaseComponent {
+    getDefaultConfig() {
+        return {
+            ...super.getDefaultConfig(),
+            className: 'admin-dashboard',
+            api: null,
+            auth: null,
+            packages: [],
+            searchDelay: 300,
+            onUnauthorized: null
+        };
+    }
+
+    getInitialState() {
+        return {
+            quotes: [],
+            filters: {},
+            loading: false,
+            error: ''
+        };
+    }
+
+    afterInit() {
+        // The layout is rendered once; the grid and summary update in place so
+        // typing in the filters never loses focus
+        this.element.innerHTML = this.renderLayout();
+
+        this.grid = new CardGrid({
+            layout: 'grid',
+            columns: 3,
+            pagination: true,
+            itemsPerPage: 24,
+            emptyMessage: 'No quotes match these filters',
+            onItemClick: (quoteId) => this.openQuote(quoteId)
+        });
+        this.addChild('grid', this.grid);
+        this.grid.mount(this.element.querySelector('#adminQuoteGrid'));
+
+        this.bindFilters();
+        if (this.config.auth.hasRole('sales')) {
+            this.setupExport();
+        }
+    }
+
+    renderLayout() {
+        const option = (value, label) => `<option value="${ValidationUtils.sanitizeString(value)}">${ValidationUtils.sanitizeString(label)}</option>`;
+
+        return `
+            <form class="admin-filters" id="adminFilters" role="search">
+                <label class="admin-field admin-field-wide">
+                    <span>Search</span>
+                    <input type="search" name="q" class="form-input" placeholder="Name, email or company" maxlength="100">
+                </label>
+                <label class="admin-field">
+                    <span>Status</span>
+                    <select name="status" class="form-input">
+                        ${option('', 'Any status')}
+                        ${STATUSES.map(status => option(status, status.charAt(0).toUpperCase() + status.slice(1))).join('')}
+                    </select>
+                </label>
+                <label class="admin-field">
+                    <span>Package</span>
+                    <select name="package" class="form-input">
+                        ${option('', 'Any package')}
+                        ${this.config.packages.map(pkg => option(pkg.id, pkg.name)).join('')}
+                    </select>
+                </label>
+                <label class="admin-field">
+                    <span>Service area</span>
+                    <select name="serviceArea" class="form-input">
+                        ${option('', 'Any area')}
+                        ${SERVICE_AREAS.map(area => option(area.value, area.label)).join('')}
+                    </select>
+                </label>
+                <label class="admin-field">
+                    <span>From</span>
+                    <input type="date" name="from" class="form-input">
+                </label>
+                <label class="admin-field">
+                    <span>To</span>
+                    <input type="date" name="to" class="form-input">
+                </label>
+                <label class="admin-field">
+                    <span>Min total ($)</span>
+                    <input type="number" name="minTotal" class="form-input" min="0" step="1">
+                </label>
+                <label class="admin-field">
+                    <span>Max total ($)</span>
+                    <input type="number" name="maxTotal" class="form-input" min="0" step="1">
+                </label>
+                <div class="admin-filter-actions">
+                    <button type="reset" class="btn btn-outline">Clear filters</button>
+                </div>
+            </form>
+            <div class="admin-list-header">
+                <p class="admin-summary" id="adminSummary" aria-live="polite"></p>
+                <form class="admin-export" id="adminExport" hidden>
+                    <select name="mapping" class="form-input" aria-label="CRM layout"></select>
+                    <select name="format" class="form-input" aria-label="File format">
+                        ${option('csv', 'CSV')}
+                        ${option('xlsx', 'Excel (.xlsx)')}
+                        ${option('json', 'JSON')}
+                    </select>
+                    <button type="submit" class="btn btn-secondary">Export</button>
+                </form>
+            </div>
+            <p class="admin-detail-error" id="adminError" role="alert" hidden></p>
+            <div id="adminQuoteGrid"></div>
+        `;
+    }
+
+    bindFilters() {
+        const form = this.element.querySelector('#adminFilters');
+        let searchTimer = null;
+
+        form.addEventListener('input', (event) => {
+            clearTimeout(searchTimer);
+            // Debounce free-text fields, apply selects and dates straight away
+            const delay = event.target.name === 'q' || event.target.type === 'number' ? this.config.searchDelay : 0;
+            searchTimer = setTimeout(() => this.applyFilters(this.readFilters(form)), delay);
+        });
+        form.addEventListener('reset', () => {
+            clearTimeout(searchTimer);
+            setTimeout(() => this.applyFilters({}), 0);
+        });
+        form.addEventListener('submit', (event) => event.preventDefault());
+    }
+
+    readFilters(form) {
+        const data = new FormData(form);
+        return FILTER_FIELDS.reduce((filters, field) => {
+            const value = String(data.get(field) || '').trim();
+            if (value) {
+                filters[field] = value;
+            }
+            return filters;
+        }, {});
+    }
+
+    applyFilters(filters) {
+        this.update({ filters }, false);
+        return this.loadQuotes();
+    }
+
+    async loadQuotes() {
+        this.update({ loading: true }, false);
+        this.grid.setLoading(true);
+        try {
+            const quotes = await this.config.api.listQuotes(this.state.filters);
+            this.update({ quotes, loading: false, error: '' }, false);
+            this.grid.update({ loading: false, currentPage: 1 }, false);
+            this.grid.setItems(quotes.map(quote => this.toCardItem(quote)));
+        } catch (error) {
+            this.update({ loading: false, error: error.message }, false);
+            this.grid.setLoading(false);
+            if ((error.status === 401 || error.status === 503) && this.config.onUnauthorized) {
+                this.config.onUnauthorized(error);
+            }
+        }
+        this.renderSummary();
+    }
+
+    toCardItem(quote) {
+        const info = quote.customerInfo || {};
+        const pkg = this.config.packages.find(entry => entry.id === quote.selectedPackage);
+
+        return {
+            id: quote.id,
+            className: `admin-quote-card admin-quote-${quote.status}`,
+            title: info.name || info.email,
+            subtitle: `${quote.id} · ${formatDateTime(quote.createdAt)}`,
+            description: [info.company, info.email].filter(Boolean).join(' · '),
+            badge: { text: quote.status },
+            price: quote.totalPrice || 0,
+            currency: (quote.pricing && quote.pricing.currency) || 'USD',
+            features: [
+                pkg ? pkg.name : quote.selectedPackage,
+                info.serviceArea ? `${info.serviceArea} mile service area` : null,
+                (quote.notes || []).length > 0 ? `${quote.notes.length} note${quote.notes.length === 1 ? '' : 's'}` : null
+            ].filter(Boolean)
+        };
+    }
+
+    renderSummary() {
+        const summary = this.element.querySelector('#adminSummary');
+        const errorBox = this.element.querySelector('#adminError');
+        const { quotes, error } = this.state;
+        // Quotes in other currencies count at the rate they were quoted at
+        const total = quotes.reduce((sum, quote) => {
+            const rate = (quote.pricing && quote.pricing.exchangeRate) || 1;
+            return sum + (quote.totalPrice || 0) / rate;
+        }, 0);
+
+        summary.textContent = `${quotes.length} quote${quotes.length === 1 ? '' : 's'} · ${formatMoney(Math.round(total))} total`;
+        errorBox.textContent = error;
+        errorBox.hidden = !error;
+    }
+
+    /**
+     * Export controls - sales and admin only. The export uses the filters
+     * currently applied to the list.
+     */
+    async setupExport() {
+        const form = this.element.querySelector('#adminExport');
+        try {
+            const mappings = await this.config.api.listExportMappings();
+            form.elements.mapping.innerHTML = mappings.map(mapping => `
+                <option value="${ValidationUtils.sanitizeString(mapping.name)}">${ValidationUtils.sanitizeString(mapping.label)}</option>
+            `).join('');
+            form.hidden = false;
+        } catch (error) {
+            return;
+        }
+
+        form.addEventListener('submit', async (event) => {
+            event.preventDefault();
+            const button = form.querySelector('button');
+            button.disabled = true;
+            try {
+                await this.config.api.downloadExport(this.state.filters, {
+                    format: form.elements.format.value,
+                    mapping: form.elements.mapping.value
+                });
+            } catch (error) {
+                this.update({ error: error.message }, false);
+                this.renderSummary();
+            }
+            button.disabled = false;
+        });
+    }
+
+    async openQuote(quoteId) {
+        try {
+            const quote = await this.config.api.getQuote(quoteId);
+            const modal = new QuoteDetailModal({
+                quote,
+                api: this.config.api,
+                // Viewers get a read-only view; the server enforces this too
+                canEdit: this.config.auth.hasRole('sales'),
+                canRefund: this.config.auth.hasRole('admin'),
+                // Keep the list in step with status changes and notes
+                onChange: () => this.loadQuotes()
+            });
+            modal.open();
+        } catch (error) {
+            this.update({ error: error.message }, false);
+            this.renderSummary();
+        }
+    }
+}
@@ -0,0 +1,539 @@
+// ===== QUOTE DETAIL MODAL =====
+// Admin view of one quote: customer, pricing, status actions, versions, notes and history
+
+import { Modal } from '../components/Modal.js';
+import { ValidationUtils } from '../utils/Validation.js';
+
+const escape = (value) => ValidationUtils.sanitizeString(value === undefined || value === null ? '' : String(value));
+
+export const formatMoney = (amount, currency = 'USD') => {
+    const value = Number(amount || 0);
+    const options = { style: 'currency', currency };
+    // Whole amounts drop the decimals, as in shared/Money.js
+    if (Number.isInteger(value)) {
+        options.minimumFractionDigits = 0;
+        options.maximumFractionDigits = 0;
+    }
+    return new Intl.NumberFormat('en-US', options).format(value);
+};
+
+// shared/Tax.js, loaded as a classic script by admin.html
+const { Tax, Money } = window;
+
+export const formatDateTime = (iso) => new Date(iso).toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+});
+
+const ACTION_LABELS = {
+    send: 'Mark as sent',
+    view: 'Mark as viewed',
+    accept: 'Mark as accepted',
+    decline: 'Mark as declined',
+    invoice: 'Mark as invoiced'
+};
+
+export class QuoteDetailModal extends Modal {
+    constructor(config = {}) {
+        super({
+            size: 'large',
+            showFooter: false,
+            customClass: 'admin-detail-modal',
+            ...config,
+            title: `Quote ${config.quote.id}`
+        });
+    }
+
+    getDefaultConfig() {
+        return {
+            ...super.getDefaultConfig(),
+            quote: null,
+            api: null,
+            canEdit: true,
+            canRefund: false,
+            onChange: null
+        };
+    }
+
+    getInitialState() {
+        return {
+            ...super.getInitialState(),
+            busy: false,
+            error: '',
+            // Comparison of two versions, from the diff endpoint
+            diff: null,
+            // The revise form, and the catalog it picks items from
+            revising: false,
+            catalog: null
+        };
+    }
+
+    /**
+     * Built from the quote here rather than passed in as a string, so every
+     * value is escaped once and Modal's HTML sanitizing isn't needed
+     */
+    renderContent() {
+        const { quote } = this.config;
+        const { busy, error } = this.state;
+
+        return `
+            <div class="modal-content admin-detail">
+                ${error ? `<div class="admin-detail-error" role="alert">${escape(error)}</div>` : ''}
+                <div class="admin-detail-columns">
+                    ${this.renderCustomer(quote.customerInfo || {})}
+                    ${this.renderStatus(quote, busy, this.config.canEdit)}
+                </div>
+                ${this.renderPricing(quote)}
+                ${this.renderPayments(quote.payments || [], busy, this.config.canRefund)}
+                ${this.renderVersions(quote, busy, this.config.canEdit)}
+                ${this.renderNotes(quote.notes || [], busy, this.config.canEdit)}
+                ${this.renderHistory(quote.auditTrail || [])}
+            </div>
+        `;
+    }
+
+    renderCustomer(info) {
+        const rows = [
+            ['Name', info.name],
+            ['Email', info.email && `<a href="mailto:${escape(info.email)}">${escape(info.email)}</a>`, true],
+            ['Phone', info.phone],
+            ['Company', info.company],
+            ['Location', info.location],
+            ['Service area', info.serviceArea && `${info.serviceArea} miles`]
+        ].filter(([, value]) => value);
+
+        return `
+            <section class="admin-detail-section">
+                <h3>Customer</h3>
+                <dl class="admin-detail-list">
+                    ${rows.map(([label, value, isHtml]) => `
+                        <dt>${label}</dt>
+                        <dd>${isHtml ? value : escape(value)}</dd>
+                    `).join('')}
+                </dl>
+                ${info.message ? `<p class="admin-detail-message">${escape(info.message)}</p>` : ''}
+            </section>
+        `;
+    }
+
+    renderStatus(quote, busy, canEdit) {
+        const actions = canEdit ? quote.nextActions || [] : [];
+
+        return `
+            <section class="admin-detail-section">
+                <h3>Status</h3>
+                <p><span class="admin-status admin-status-${escape(quote.status)}">${escape(quote.status)}</span>
+                   since ${escape(formatDateTime((quote.statusChangedAt || {})[quote.status] || quote.createdAt))}</p>
+                ${actions.length > 0 ? `
+                    <label class="admin-field">
+                        <span>Note for the history (optional)</span>
+                        <input type="text" class="form-input" id="adminStatusNote" maxlength="500">
+                    </label>
+                    <div class="admin-detail-actions">
+                        ${actions.map(action => `
+                            <button type="button" class="btn ${action === 'decline' ? 'btn-outline' : 'btn-primary'}"
+                                    data-status-action="${escape(action)}" ${busy ? 'disabled' : ''}>
+                                ${escape(ACTION_LABELS[action] || action)}
+                            </button>
+                        `).join('')}
+                    </div>
+                ` : `<p class="admin-muted">${canEdit ? 'No further status changes.' : 'Status changes need the sales role.'}</p>`}
+                <p>
+                    <button type="button" class="admin-link" id="adminDownloadPdf" ${busy ? 'disabled' : ''}>
+                        <i data-lucide="download"></i> Download PDF
+                    </button>
+                </p>
+            </section>
+        `;
+    }
+
+    renderPricing(quote) {
+        const pricing = quote.pricing || { lineItems: [], discounts: [] };
+        const currency = pricing.currency || 'USD';
+        const discounts = pricing.discounts || [];
+        // Lines with tax in them when it's included in the total, as customers see them
+        const amounts = Tax.displayAmounts([
+            ...pricing.lineItems.map(line => line.amount),
+            ...discounts.map(discount => -discount.amount)
+        ], quote.totalPrice, pricing.taxDisplay, amount => Money.round(amount, currency));
+        const taxRows = Tax.totalRows(pricing.taxes, pricing.taxDisplay);
+        const renderTaxRows = (rows, sign) => rows.map(row => `
+            <tr class="admin-muted"><td>${escape(row.label)}</td><td class="amount">${sign}${formatMoney(row.amount, currency)}</td></tr>
+        `).join('');
+        const location = [quote.region, quote.country && quote.country.toUpperCase()].filter(Boolean).join(', ');
+
+        return `
+            <section class="admin-detail-section">
+                <h3>Pricing</h3>
+                <table class="admin-detail-table">
+                    <tbody>
+                        ${pricing.lineItems.map((line, index) => `
+                            <tr><td>${escape(line.name)}</td><td class="amount">${formatMoney(amounts[index], currency)}</td></tr>
+                        `).join('')}
+                        ${discounts.map((discount, index) => `
+                            <tr class="discount"><td>Discount (${escape(discount.code)})</td><td class="amount">${formatMoney(amounts[pricing.lineItems.length + index], currency)}</td></tr>
+                        `).join('')}
+                        ${renderTaxRows(taxRows.above, '+')}
+                    </tbody>
+                    <tfoot>
+                        <tr><td>Total</td><td class="amount">${formatMoney(quote.totalPrice, currency)}</td></tr>
+                        ${renderTaxRows(taxRows.below, '')}
+                        ${location ? `
+                            <tr class="admin-muted"><td>Tax location</td><td class="amount">${escape(location)}</td></tr>
+                        ` : ''}
+                        ${currency !== 'USD' && pricing.exchangeRate ? `
+                            <tr class="admin-muted"><td>Exchange rate</td><td class="amount">1 USD = ${escape(pricing.exchangeRate)} ${escape(currency)}</td></tr>
+                        ` : ''}
+                    </tfoot>
+                </table>
+            </section>
+        `;
+    }
+
+    renderPayments(payments, busy, canRefund) {
+        if (payments.length === 0) {
+            return '';
+        }
+
+        return `
+            <section class="admin-detail-section">
+                <h3>Payments</h3>
+                <table class="admin-detail-table">
+                    <tbody>
+                        ${payments.map(payment => `
+                            <tr>
+                                <td>
+                                    ${escape(payment.milestone)}
+                                    <span class="admin-status admin-payment-${escape(payment.status)}">${escape(payment.status)}</span>
+                                    <span class="admin-muted">${escape(payment.provider)} · ${escape(formatDateTime(payment.paidAt || payment.createdAt))}</span>
+                                </td>
+                                <td class="amount">
+                                    ${formatMoney(payment.amount, payment.currency)}
+                                    ${canRefund && payment.status === 'paid' ? `
+                                        <button type="button" class="btn btn-outline" data-refund-payment="${escape(payment.id)}" ${busy ? 'disabled' : ''}>Refund</button>
+                                    ` : ''}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </section>
+        `;
+    }
+
+    renderVersions(quote, busy, canEdit) {
+        const versions = quote.versions || [];
+        const { diff, revising, catalog } = this.state;
+        const canRevise = canEdit && quote.revisable;
+        if (versions.length < 2 && !canRevise) {
+            return '';
+        }
+        const options = selected => versions.map(version => `
+            <option value="${version.version}" ${version.version === selected ? 'selected' : ''}>Version ${version.version}</option>
+        `).join('');
+
+        return `
+            <section class="admin-detail-section">
+                <h3>Versions</h3>
+                <table class="admin-detail-table">
+                    <tbody>
+                        ${[...versions].reverse().map(version => `
+                            <tr>
+                                <td>
+                                    Version ${version.version}${version.version === quote.version ? ' (current)' : ''}
+                                    <span class="admin-muted">${escape(version.createdBy)} · ${escape(formatDateTime(version.createdAt))}</span>
+                                    ${version.note ? `<br><span class="admin-muted">${escape(version.note)}</span>` : ''}
+                                </td>
+                                <td class="amount">${formatMoney(version.totalPrice, version.pricing.currency)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ${versions.length > 1 ? `
+                    <form class="admin-version-compare" id="adminVersionCompare">
+                        <select class="form-input" name="from" aria-label="Compare from">${options(diff ? diff.from : quote.version - 1)}</select>
+                        <span>→</span>
+                        <select class="form-input" name="to" aria-label="Compare to">${options(diff ? diff.to : quote.version)}</select>
+                        <button type="submit" class="btn btn-secondary" ${busy ? 'disabled' : ''}>Compare</button>
+                    </form>
+                    ${diff ? this.renderDiff(diff) : ''}
+                ` : ''}
+                ${canRevise && revising && catalog ? this.renderReviseForm(quote, catalog, busy) : ''}
+                ${canRevise && !revising ? `
+                    <button type="button" class="btn btn-outline" id="adminReviseQuote" ${busy ? 'disabled' : ''}>Revise quote</button>
+                ` : ''}
+            </section>
+        `;
+    }
+
+    renderDiff(diff) {
+        const money = amount => formatMoney(amount, diff.currency);
+        const signedMoney = amount => `${amount < 0 ? '-' : '+'}${money(Math.abs(amount))}`;
+        const signedDays = days => `${days > 0 ? '+' : ''}${days}`;
+        const days = range => `${range.min}-${range.max} days`;
+        const rows = [
+            ...diff.added.map(line => ['Added', line.name, `+${money(line.amount)}`]),
+            ...diff.removed.map(line => ['Removed', line.name, `-${money(line.amount)}`]),
+            ...diff.changed.map(line => ['Repriced', `${line.name} (was ${money(line.previousAmount)})`, signedMoney(line.amount - line.previousAmount)]),
+            ...diff.discounts.added.map(code => ['Promo code added', code, '']),
+            ...diff.discounts.removed.map(code => ['Promo code removed', code, ''])
+        ];
+        const { price, timeline } = diff;
+
+        return `
+            <div class="admin-version-diff">
+                <h4>Version ${diff.from} → ${diff.to}</h4>
+                <table class="admin-detail-table">
+                    <tbody>
+                        ${rows.length > 0 ? rows.map(([label, name, amount]) => `
+                            <tr><td><span class="admin-muted">${label}</span> ${escape(name)}</td><td class="amount">${amount}</td></tr>
+                        `).join('') : '<tr><td class="admin-muted">No item changes</td><td></td></tr>'}
+                    </tbody>
+                    <tfoot>
+                        <tr><td>Total ${money(price.total.from)} → ${money(price.total.to)}</td><td class="amount">${signedMoney(price.total.delta)}</td></tr>
+                        <tr class="admin-muted">
+                            <td>Timeline ${days(timeline.from.days)} → ${days(timeline.to.days)}</td>
+                            <td class="amount">${signedDays(timeline.delta.min)} / ${signedDays(timeline.delta.max)} working days</td>
+                        </tr>
+                    </tfoot>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Package, feature and add-on picker for a new version; emergency service
+     * and service area stay as quoted
+     */
+    renderReviseForm(quote, catalog, busy) {
+        const checkboxes = (name, items, selected) => items.map(item => `
+            <label class="admin-revise-option">
+                <input type="checkbox" name="${name}" value="${escape(item.id)}" ${selected.includes(item.id) ? 'checked' : ''}>
+                ${escape(item.name)} <span class="admin-muted">${formatMoney(item.price)}</span>
+            </label>
+        `).join('');
+
+        return `
+            <form class="admin-revise-form" id="adminReviseForm">
+                <label class="admin-field">
+                    <span>Package</span>
+                    <select class="form-input" name="selectedPackage">
+                        ${(catalog.packages || []).map(item => `
+                            <option value="${escape(item.id)}" ${item.id === quote.selectedPackage ? 'selected' : ''}>${escape(item.name)}</option>
+                        `).join('')}
+                    </select>
+                </label>
+                <fieldset>
+                    <legend>Features</legend>
+                    ${checkboxes('feature', catalog.additionalFeatures || [], quote.selectedAdditionalFeatures || [])}
+                </fieldset>
+                <fieldset>
+                    <legend>Add-on services</legend>
+                    ${checkboxes('addon', catalog.addonServices || [], quote.selectedAddonServices || [])}
+                </fieldset>
+                <label class="admin-field">
+                    <span>What changed (optional)</span>
+                    <input type="text" class="form-input" name="note" maxlength="500">
+                </label>
+                <div class="admin-detail-actions">
+                    <button type="submit" class="btn btn-primary" ${busy ? 'disabled' : ''}>Save new version</button>
+                    <button type="button" class="btn btn-outline" id="adminReviseCancel">Cancel</button>
+                </div>
+            </form>
+        `;
+    }
+
+    renderNotes(notes, busy, canEdit) {
+        return `
+            <section class="admin-detail-section">
+                <h3>Notes</h3>
+                ${notes.length > 0 ? `
+                    <ul class="admin-notes">
+                        ${notes.map(note => `
+                            <li>
+                                <p>${escape(note.text)}</p>
+                                <span class="admin-muted">${escape(note.author)} · ${escape(formatDateTime(note.at))}</span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : '<p class="admin-muted">No notes yet.</p>'}
+                ${canEdit ? `
+                    <form class="admin-note-form" id="adminNoteForm">
+                        <textarea class="form-input" id="adminNoteText" rows="2" maxlength="500" placeholder="Add a note for the team" required></textarea>
+                        <button type="submit" class="btn btn-secondary" ${busy ? 'disabled' : ''}>Add note</button>
+                    </form>
+                ` : ''}
+            </section>
+        `;
+    }
+
+    renderHistory(auditTrail) {
+        const describe = (entry) => {
+            if (entry.action === 'created') return 'Quote submitted';
+            if (entry.action === 'note') return 'Note added';
+            if (entry.action === 'payment') return `Payment ${entry.status}`;
+            if (entry.action === 'revision') return `Revised to version ${entry.version}${entry.note ? `: ${entry.note}` : ''}`;
+            return `Status ${entry.from} → ${entry.to}${entry.note ? `: ${entry.note}` : ''}`;
+        };
+
+        return `
+            <section class="admin-detail-section">
+                <h3>History</h3>
+                <ol class="admin-history">
+                    ${[...auditTrail].reverse().map(entry => `
+                        <li>
+                            <span>${escape(describe(entry))}</span>
+                            <span class="admin-muted">${escape(entry.actor)} · ${escape(formatDateTime(entry.at))}</span>
+                        </li>
+                    `).join('')}
+                </ol>
+            </section>
+        `;
+    }
+
+    afterRender() {
+        super.afterRender();
+        if (!this.element) return;
+
+        this.element.querySelectorAll('[data-status-action]').forEach(button => {
+            button.addEventListener('click', () => {
+                const noteInput = this.element.querySelector('#adminStatusNote');
+                this.changeStatus(button.dataset.statusAction, noteInput ? noteInput.value.trim() : '');
+            });
+        });
+
+        this.element.querySelectorAll('[data-refund-payment]').forEach(button => {
+            button.addEventListener('click', () => {
+                Modal.confirm('Refund this payment in full?', 'Refund payment').then((confirmed) => {
+                    if (confirmed) {
+                        this.refundPayment(button.dataset.refundPayment);
+                    }
+                });
+            });
+        });
+
+        const compareForm = this.element.querySelector('#adminVersionCompare');
+        if (compareForm) {
+            compareForm.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.compareVersions(Number(compareForm.elements.from.value), Number(compareForm.elements.to.value));
+            });
+        }
+
+        const pdfButton = this.element.querySelector('#adminDownloadPdf');
+        if (pdfButton) {
+            pdfButton.addEventListener('click', () => this.downloadPdf());
+        }
+
+        const reviseButton = this.element.querySelector('#adminReviseQuote');
+        if (reviseButton) {
+            reviseButton.addEventListener('click', () => this.startRevision());
+        }
+
+        const reviseForm = this.element.querySelector('#adminReviseForm');
+        if (reviseForm) {
+            const checked = name => [...reviseForm.querySelectorAll(`input[name="${name}"]:checked`)].map(input => input.value);
+            reviseForm.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.revise({
+                    selectedPackage: reviseForm.elements.selectedPackage.value,
+                    selectedAdditionalFeatures: checked('feature'),
+                    selectedAddonServices: checked('addon'),
+                    note: reviseForm.elements.note.value.trim() || undefined
+                });
+            });
+            this.element.querySelector('#adminReviseCancel').addEventListener('click', () => this.update({ revising: false }));
+        }
+
+        const noteForm = this.element.querySelector('#adminNoteForm');
+        if (noteForm) {
+            noteForm.addEventListener('submit', (event) => {
+                event.preventDefault();
+                const text = this.element.querySelector('#adminNoteText').value.trim();
+                if (text) {
+                    this.addNote(text);
+                }
+            });
+        }
+    }
+
+    async changeStatus(action, note) {
+        await this.run(() => this.config.api.transitionQuote(this.config.quote.id, action, note));
+    }
+
+    async addNote(text) {
+        await this.run(() => this.config.api.addNote(this.config.quote.id, text));
+    }
+
+    async compareVersions(from, to) {
+        this.update({ busy: true, error: '' });
+        try {
+            this.update({ busy: false, diff: await this.config.api.diffVersions(this.config.quote.id, from, to) });
+        } catch (error) {
+            this.update({ busy: false, error: error.message });
+        }
+    }
+
+    async downloadPdf() {
+        this.update({ busy: true, error: '' });
+        try {
+            await this.config.api.downloadQuotePdf(this.config.quote.id);
+            this.update({ busy: false });
+        } catch (error) {
+            this.update({ busy: false, error: error.message });
+        }
+    }
+
+    async startRevision() {
+        if (this.state.catalog) {
+            this.update({ revising: true });
+            return;
+        }
+        this.update({ busy: true, error: '' });
+        try {
+            this.update({ busy: false, revising: true, catalog: await this.config.api.getCatalog() });
+        } catch (error) {
+            this.update({ busy: false, error: error.message });
+        }
+    }
+
+    /**
+     * Save a new version, then show what changed from the one before
+     */
+    async revise(revision) {
+        await this.run(() => this.config.api.reviseQuote(this.config.quote.id, revision));
+        if (!this.state.error) {
+            this.update({ revising: false });
+            await this.compareVersions();
+        }
+    }
+
+    async refundPayment(paymentId) {
+        await this.run(() => this.config.api.refundPayment(this.config.quote.id, paymentId));
+    }
+
+    /**
+     * Run a change, then reload the quote so status, notes and history stay in sync
+     */
+    async run(change) {
+        this.update({ busy: true, error: '' });
+        try {
+            await change();
+            this.config.quote = await this.config.api.getQuote(this.config.quote.id);
+            this.update({ busy: false });
+
+            if (this.config.onChange) {
+                this.config.onChange(this.config.quote);
+            }
+        } catch (error) {
+            this.update({ busy: false, error: error.message });
+        }
+    }
+
+    afterClose() {
+        this.destroy();
+    }
+}
@@ -0,0 +1,77 @@
+// ===== ADMIN ENTRY POINT =====
+// Signs staff in, then mounts the quote dashboard
+
+import { LoginModal } from '../components/LoginModal.js';
+import { authService } from '../services/AuthService.js';
+import { adminApi } from '../services/AdminApiService.js';
+import { AdminDashboard } from './AdminDashboard.js';
+
+/**
+ * Show the login modal until someone signs in. It can't be dismissed: the
+ * page has nothing to show without a session.
+ */
+function requireSignIn(message) {
+    return LoginModal.show({
+        message,
+        closable: false,
+        backdropClosable: false,
+        escapeClosable: false
+    });
+}
+
+async function loadPackages() {
+    try {
+        const response = await fetch('/api/quote/catalog');
+        const catalog = await response.json();
+        return catalog.packages || [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function renderCurrentUser() {
+    const user = authService.getUser();
+    document.getElementById('adminUser').textContent = user ? `${user.name} (${user.role})` : '';
+}
+
+async function init() {
+    let signingIn = null;
+
+    const signIn = (message) => {
+        if (!signingIn) {
+            signingIn = requireSignIn(message).then(() => {
+                signingIn = null;
+                renderCurrentUser();
+            });
+        }
+        return signingIn;
+    };
+
+    if (!authService.isSignedIn()) {
+        await signIn();
+    }
+    renderCurrentUser();
+
+    const dashboard = new AdminDashboard({
+        api: adminApi,
+        auth: authService,
+        packages: await loadPackages(),
+        onUnauthorized: async (error) => {
+            authService.clear();
+            await signIn(error.status === 503
+                ? 'The admin API is not set up on this server yet.'
+                : 'Your session has ended. Sign in again to continue.');
+            dashboard.loadQuotes();
+        }
+    });
+    dashboard.mount(document.getElementById('adminRoot'));
+    dashboard.loadQuotes();
+
+    document.getElementById('adminRefresh').addEventListener('click', () => dashboard.loadQuotes());
+    document.getElementById('adminSignOut').addEventListener('click', async () => {
+        await authService.logout();
+        window.location.reload();
+    });
+}
+
+document.addEventListener('DOMContentLoaded', init);
@@ -27,6 +27,7 @@ export class Card extends BaseComponent {
             description: '',
             price: null,
             originalPrice: null,
+            currency: 'USD',
             features: [],
             actions: [],
             image: null,
@@ -69,6 +70,9 @@ export class Card extends BaseComponent {
     afterInit() {
         this.updateCardClasses();
         this.setupAccessibility();
+        
+        // Render the initial content so cards aren't empty until their first update
+        this.update({}, true);
     }
     
     renderCard(state) {
@@ -197,15 +201,26 @@ export class Card extends BaseComponent {
         return `
             <div class="card-pricing">
                 ${originalPrice ? `
-                    <span class="original-price">$${originalPrice}</span>
+                    <span class="original-price">${this.formatPrice(originalPrice)}</span>
                 ` : ''}
                 ${price ? `
-                    <span class="price">$${price}</span>
+                    <span class="price">${this.formatPrice(price)}</span>
                 ` : ''}
             </div>
         `;
     }
     
+    // Same rules as Money.format in shared/Money.js: whole amounts drop the decimals
+    formatPrice(amount) {
+        const value = Number(amount);
+        const options = { style: 'currency', currency: this.config.currency || 'USD' };
+        if (Number.isInteger(value)) {
+            options.minimumFractionDigits = 0;
+            options.maximumFractionDigits = 0;
+        }
+        return new Intl.NumberFormat('en-US', options).format(value);
+    }
+    
     renderActions(actions) {
         if (!actions || actions.length === 0) return '';
         
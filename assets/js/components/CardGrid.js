@@ -75,7 +75,7 @@ export class CardGrid extends BaseComponent {
     }
     
     renderGrid(state) {
-        const { items, loading, currentPage, itemsPerPage } = state;
+        const { items, loading } = state;
         const { layout, emptyMessage, loadingMessage } = this.config;
         
         if (loading) {
@@ -98,18 +98,30 @@ export class CardGrid extends BaseComponent {
             `;
         }
         
-        const startIndex = (currentPage - 1) * itemsPerPage;
-        const endIndex = startIndex + itemsPerPage;
-        const pageItems = items.slice(startIndex, endIndex);
-        
         return `
             <div class="grid-container grid-layout-${layout}">
-                ${this.renderGridItems(pageItems)}
+                ${this.renderGridItems(this.getPageItems(state))}
             </div>
             ${this.renderPagination()}
         `;
     }
     
+    /**
+     * Items shown on the current page (all items when pagination is off)
+     * @param {Object} state - Grid state
+     * @returns {Array} Page items
+     */
+    getPageItems(state = this.state) {
+        const { items, currentPage } = state;
+        if (!this.config.pagination) {
+            return items;
+        }
+        
+        const { itemsPerPage } = this.config;
+        const startIndex = (currentPage - 1) * itemsPerPage;
+        return items.slice(startIndex, startIndex + itemsPerPage);
+    }
+    
     renderGridItems(items) {
         return items.map(item => `
             <div class="grid-item" data-item-id="${item.id}">
@@ -121,8 +133,8 @@ export class CardGrid extends BaseComponent {
     renderPagination() {
         if (!this.config.pagination) return '';
         
-        const { items } = this.state;
-        const { itemsPerPage, currentPage } = this.config;
+        const { items, currentPage } = this.state;
+        const { itemsPerPage } = this.config;
         const totalPages = Math.ceil(items.length / itemsPerPage);
         
         if (totalPages <= 1) return '';
@@ -210,11 +222,13 @@ export class CardGrid extends BaseComponent {
         const { cardConfig } = this.config;
         
         // Clear existing cards
+        this.children.forEach(child => child.destroy());
         this.children.clear();
         
         if (!items || items.length === 0) return;
         
-        items.forEach((item, index) => {
+        // Only the current page has grid slots to mount into
+        this.getPageItems().forEach((item) => {
             const card = this.createCard(item, cardConfig);
             this.addChild(`card_${item.id}`, card);
             
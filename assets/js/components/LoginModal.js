@@ -0,0 +1,139 @@
+// ===== LOGIN MODAL COMPONENT =====
+// Staff sign-in dialog built on Modal
+
+import { Modal } from './Modal.js';
+import { ValidationUtils } from '../utils/Validation.js';
+import { authService } from '../services/AuthService.js';
+
+export class LoginModal extends Modal {
+    constructor(config = {}) {
+        super({
+            title: 'Sign in',
+            size: 'small',
+            showFooter: false,
+            customClass: 'login-modal',
+            ...config
+        });
+    }
+
+    getDefaultConfig() {
+        return {
+            ...super.getDefaultConfig(),
+            message: 'Sign in with your staff account to continue.',
+            auth: authService,
+            onLogin: null
+        };
+    }
+
+    getInitialState() {
+        return {
+            ...super.getInitialState(),
+            busy: false,
+            error: ''
+        };
+    }
+
+    renderContent() {
+        const { message } = this.config;
+        const { busy, error } = this.state;
+
+        return `
+            <div class="modal-content">
+                <form class="login-form" novalidate>
+                    ${message ? `<p>${ValidationUtils.sanitizeString(message)}</p>` : ''}
+                    ${error ? `<p class="login-error" role="alert">${ValidationUtils.sanitizeString(error)}</p>` : ''}
+                    <label class="login-field">
+                        <span>Username</span>
+                        <input type="text" name="username" class="form-input" autocomplete="username" autocapitalize="none" required>
+                    </label>
+                    <label class="login-field">
+                        <span>Password</span>
+                        <input type="password" name="password" class="form-input" autocomplete="current-password" required>
+                    </label>
+                    <button type="submit" class="btn btn-primary" ${busy ? 'disabled' : ''}>
+                        ${busy ? 'Signing in…' : 'Sign in'}
+                    </button>
+                </form>
+            </div>
+        `;
+    }
+
+    afterOpen() {
+        setTimeout(() => this.focusField('username'), 100);
+    }
+
+    afterRender() {
+        super.afterRender();
+        if (!this.element) return;
+
+        const form = this.element.querySelector('.login-form');
+        if (form) {
+            form.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.submit(form.elements.username.value.trim(), form.elements.password.value);
+            });
+        }
+    }
+
+    focusField(name) {
+        const input = this.element?.querySelector(`.login-form [name="${name}"]`);
+        if (input) input.focus();
+    }
+
+    async submit(username, password) {
+        if (!username || !password) {
+            this.showError('Enter your username and password.', username);
+            return;
+        }
+
+        this.update({ busy: true, error: '' });
+        try {
+            const user = await this.config.auth.login(username, password);
+            this.update({ busy: false }, false);
+
+            if (this.config.onLogin) {
+                this.config.onLogin(user);
+            }
+            this.emit('login', { user });
+            this.close();
+        } catch (error) {
+            this.showError(error.message, username);
+        }
+    }
+
+    /**
+     * Re-render with an error, keeping the username and asking for the password again
+     */
+    showError(error, username) {
+        this.update({ busy: false, error });
+        if (!this.element) return;
+
+        this.element.querySelector('.login-form [name="username"]').value = username;
+        this.focusField(username ? 'password' : 'username');
+    }
+
+    afterClose() {
+        this.destroy();
+    }
+
+    /**
+     * Open a login modal
+     * @returns {Promise<Object|null>} the signed-in user, or null if dismissed
+     */
+    static show(options = {}) {
+        return new Promise((resolve) => {
+            let signedIn = false;
+            const modal = new LoginModal({
+                ...options,
+                onLogin: (user) => {
+                    signedIn = true;
+                    resolve(user);
+                },
+                onClose: () => {
+                    if (!signedIn) resolve(null);
+                }
+            });
+            modal.open();
+        });
+    }
+}
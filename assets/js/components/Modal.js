@@ -253,7 +253,8 @@ export class Modal extends BaseComponent {
             container.classList.add('modal-enter');
             setTimeout(() => {
                 container.classList.remove('modal-enter');
-                this.update({ isAnimating: false });
+                // No re-render: it would reset anything typed into the modal
+                this.update({ isAnimating: false }, false);
             }, 300);
         }
     }
@@ -6,6 +6,7 @@ export { BaseComponent } from './BaseComponent.js';
 export { Card } from './Card.js';
 export { CardGrid } from './CardGrid.js';
 export { Modal } from './Modal.js';
+export { LoginModal } from './LoginModal.js';
 export { ComponentManager, componentManager } from './ComponentManager.js';
 
 // Legacy CardRenderer (for backward compatibility)
@@ -4,7 +4,7 @@
 const SecurityUtils = {
     // Safely create text content
     createTextElement: (tagName, className, textContent) => {
-        const element = document.createElement(tagName
+        const element = document.createElement(tagName);
         if (className) element.className = className;
         if (textContent) element.textContent = textContent;
         return element;
@@ -12,26 +12,26 @@ const SecurityUtils = {
     
     // Safely create element with attributes
     createElement: (tagName, className, attributes = {}) => {
-        const element = document.createElement(tagName
+        const element = document.createElement(tagName);
         if (className) element.className = className;
         Object.entries(attributes).forEach(([key, value]) => {
-            element.setAttribute(key, value
-        }
+            element.setAttribute(key, value);
+        });
         return element;
     },
     
     // Safely append children
     appendChildren: (parent, ...children) => {
         children.forEach(child => {
-            if (child) parent.appendChild(child
-        }
+            if (child) parent.appendChild(child);
+        });
         return parent;
     },
     
     // Sanitize user input
     sanitizeInput: (input) => {
         if (typeof input !== 'string') return '';
-        return input.replace(/[<>\"'&]/g, ''
+        return input.replace(/[<>\"'&]/g, '');
     }
 };
 
@@ -44,60 +44,60 @@ class VirtualRenderer {
         this.totalRenders = 0;
         this.completedRenders = 0;
         this.progressElement = null;
-        this.setupProgressIndicator(
+        this.setupProgressIndicator();
     }
     
     setupProgressIndicator() {
         // Create progress indicator if it doesn't exist
         if (!document.querySelector('.virtual-render-progress')) {
-            this.progressElement = document.createElement('div'
+            this.progressElement = document.createElement('div');
             this.progressElement.className = 'virtual-render-progress';
             
             // Create elements safely without innerHTML
-            const progressText = document.createElement('div'
+            const progressText = document.createElement('div');
             progressText.className = 'progress-text';
             
-            const loaderIcon = document.createElement('i'
-            loaderIcon.setAttribute('data-lucide', 'loader-2'
+            const loaderIcon = document.createElement('i');
+            loaderIcon.setAttribute('data-lucide', 'loader-2');
             
-            const span = document.createElement('span'
-            span.textContent = 'Rendering...';
+            const span = document.createElement('span');
+            span.textContent = I18n.t('common.rendering');
             
-            const progressBar = document.createElement('div'
+            const progressBar = document.createElement('div');
             progressBar.className = 'progress-bar';
             
-            const progressFill = document.createElement('div'
+            const progressFill = document.createElement('div');
             progressFill.className = 'progress-fill';
             
             // Assemble DOM safely
-            progressText.appendChild(loaderIcon
-            progressText.appendChild(span
-            progressBar.appendChild(progressFill
-            this.progressElement.appendChild(progressText
-            this.progressElement.appendChild(progressBar
+            progressText.appendChild(loaderIcon);
+            progressText.appendChild(span);
+            progressBar.appendChild(progressFill);
+            this.progressElement.appendChild(progressText);
+            this.progressElement.appendChild(progressBar);
             
-            document.body.appendChild(this.progressElement
+            document.body.appendChild(this.progressElement);
         } else {
-            this.progressElement = document.querySelector('.virtual-render-progress'
+            this.progressElement = document.querySelector('.virtual-render-progress');
         }
     }
     
     showProgress() {
         if (this.progressElement) {
-            this.progressElement.classList.add('show'
+            this.progressElement.classList.add('show');
         }
     }
     
     hideProgress() {
         if (this.progressElement) {
-            this.progressElement.classList.remove('show'
+            this.progressElement.classList.remove('show');
         }
     }
     
     updateProgress() {
         if (this.progressElement && this.totalRenders > 0) {
             const percentage = (this.completedRenders / this.totalRenders) * 100;
-            const progressFill = this.progressElement.querySelector('.progress-fill'
+            const progressFill = this.progressElement.querySelector('.progress-fill');
             if (progressFill) {
                 progressFill.style.width = `${percentage}%`;
             }
@@ -105,58 +105,58 @@ class VirtualRenderer {
     }
     
     queueRender(renderFunction, priority = 'normal') {
-        this.renderQueue.push({ fn: renderFunction, priority }
+        this.renderQueue.push({ fn: renderFunction, priority });
         this.totalRenders++;
-        this.processQueue(
+        this.processQueue();
     }
     
     async processQueue() {
         if (this.isRendering) return;
         this.isRendering = true;
-        this.showProgress(
+        this.showProgress();
         
         // Sort by priority
         this.renderQueue.sort((a, b) => {
             const priorities = { high: 3, normal: 2, low: 1 };
             return priorities[b.priority] - priorities[a.priority];
-        }
+        });
         
         while (this.renderQueue.length > 0) {
-            const { fn } = this.renderQueue.shift(
+            const { fn } = this.renderQueue.shift();
             
             try {
                 await new Promise(resolve => {
                     requestAnimationFrame(() => {
-                        fn(
+                        fn();
                         this.completedRenders++;
-                        this.updateProgress(
-                        resolve(
-                    }
-                }
+                        this.updateProgress();
+                        resolve();
+                    });
+                });
                 
                 // Small delay to prevent UI blocking
-                await new Promise(resolve => setTimeout(resolve, this.processingDelay)
+                await new Promise(resolve => setTimeout(resolve, this.processingDelay));
             } catch (error) {
                 this.completedRenders++;
-                this.updateProgress(
+                this.updateProgress();
             }
         }
         
         this.isRendering = false;
-        this.hideProgress(
+        this.hideProgress();
         
         // Reset counters after a short delay
         setTimeout(() => {
             this.totalRenders = 0;
             this.completedRenders = 0;
-        }, 1000
+        }, 1000);
     }
     
     clearQueue() {
         this.renderQueue = [];
         this.totalRenders = 0;
         this.completedRenders = 0;
-        this.hideProgress(
+        this.hideProgress();
     }
     
     getQueueLength() {
@@ -173,13 +173,25 @@ class QuoteSystem {
         
         
         // Initialize Virtual Renderer
-        this.virtualRenderer = new VirtualRenderer(
+        this.virtualRenderer = new VirtualRenderer();
         
-        this.selectedPackage = null;
-        this.selectedAdditionalFeatures = new Set(
-        this.selectedAddonServices = new Set(
+        // The selection lives in the shared store (see state/main.js) and
+        // changes only through its actions; see the getters below
+        this.store = QuoteState.store;
+        this.actions = QuoteState.ActionCreators;
         this.totalPrice = 0;
         
+        // Prices are shown in this currency; see setCurrency()
+        this.currencies = [];
+        this.currency = Money.BASE_CURRENCY;
+        this.currencyPinned = false;
+        
+        // Where the customer is, for tax; see setTaxLocation()
+        this.taxLocation = { country: null, region: null };
+        
+        // Language of the page and the quote; see setLanguage()
+        this.locale = I18n.setLocale(this.detectLanguage());
+        
         // Country data - Complete list of all countries in the world
         this.countries = [
             { code: '+93', flag: 'af', name: 'Afghanistan' },
@@ -375,52 +387,201 @@ class QuoteSystem {
 
         
         
-        this.init(
+        this.init();
+    }
+    
+    get selectedPackage() {
+        return this.store.getState().selectedPackage;
+    }
+    
+    get selectedAdditionalFeatures() {
+        return this.store.getState().selectedFeatures;
+    }
+    
+    get selectedAddonServices() {
+        return this.store.getState().selectedAddons;
+    }
+    
+    get selectedEmergency() {
+        return this.store.getState().selectedEmergency;
+    }
+    
+    get selectedServiceArea() {
+        return this.store.getState().selectedServiceArea;
+    }
+    
+    get discount() {
+        return this.store.getState().discount;
+    }
+    
+    /**
+     * Bring the page in line with the store after a change, whether it came
+     * from a click here, an undo or the quote builder in another tab
+     */
+    handleStoreChange(state) {
+        this.updateHistoryButtons(state);
+        
+        const previous = this.renderedState;
+        this.renderedState = state;
+        const changed = key => state[key] !== previous[key];
+        if (!QuoteState.SELECTION_KEYS.some(changed)) {
+            return;
+        }
+        
+        // Which features the package includes decides how they're shown
+        if (changed('selectedFeatures') || changed('selectedPackage')) {
+            this.virtualRenderer.queueRender(() => this.renderAdditionalFeatures(), 'normal');
+        }
+        if (changed('selectedAddons')) {
+            this.virtualRenderer.queueRender(() => this.renderAddonServices(), 'normal');
+        }
+        if (changed('selectedEmergency')) {
+            this.virtualRenderer.queueRender(() => this.renderEmergencyServices(), 'normal');
+        }
+        if (changed('selectedServiceArea')) {
+            this.virtualRenderer.queueRender(() => this.renderServiceAreas(), 'normal');
+        }
+        this.updateSummary();
+        this.updateGenerateButton();
+    }
+    
+    // ===== UNDO / REDO =====
+    
+    setupHistoryControls() {
+        document.querySelectorAll('[data-history-action]').forEach(button => {
+            button.addEventListener('click', () => this.stepHistory(button.dataset.historyAction));
+        });
+        
+        // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS), leaving text fields their own undo
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+            if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable]')) return;
+            
+            const key = e.key.toLowerCase();
+            const direction = key === 'z' ? (e.shiftKey ? 'redo' : 'undo') : key === 'y' ? 'redo' : null;
+            if (direction) {
+                e.preventDefault();
+                this.stepHistory(direction);
+            }
+        });
+        
+        this.updateHistoryButtons(this.store.getState());
+    }
+    
+    /**
+     * Undo or redo the last selection change; the cards and the summary follow
+     * the store (see handleStoreChange())
+     * @param {'undo'|'redo'} direction
+     */
+    stepHistory(direction) {
+        return direction === 'redo' ? this.store.redo() : this.store.undo();
+    }
+    
+    updateHistoryButtons(state) {
+        const canUndo = QuoteState.Selectors.canUndo(state);
+        const canRedo = QuoteState.Selectors.canRedo(state);
+        document.querySelectorAll('[data-history-action]').forEach(button => {
+            button.disabled = button.dataset.historyAction === 'redo' ? !canRedo : !canUndo;
+        });
     }
     
-    // Data persistence methods
+    // Data persistence methods. The store saves the selection itself; this
+    // keeps the currency and tax location that go with it.
     saveToLocalStorage() {
         const data = {
-            selectedPackage: this.selectedPackage,
-            selectedAdditionalFeatures: Array.from(this.selectedAdditionalFeatures),
-            selectedAddonServices: Array.from(this.selectedAddonServices),
-            totalPrice: this.totalPrice,
+            currency: this.currency,
+            currencyPinned: this.currencyPinned,
+            taxLocation: this.taxLocation,
             timestamp: Date.now()
         };
         
-        localStorage.setItem('hvacQuoteData', JSON.stringify(data)
+        localStorage.setItem('hvacQuoteData', JSON.stringify(data));
     }
     
     loadFromLocalStorage() {
         try {
-            const savedData = localStorage.getItem('hvacQuoteData'
+            const savedData = localStorage.getItem('hvacQuoteData');
             if (savedData) {
-                const data = JSON.parse(savedData
+                const data = JSON.parse(savedData);
                 
                 // Check if data is not too old (24 hours)
-                const isDataFresh = (Date.now() - data.timestamp) < (24 * 60 * 60 * 1000
+                const isDataFresh = (Date.now() - data.timestamp) < (24 * 60 * 60 * 1000);
                 
                 if (isDataFresh) {
-                    this.selectedPackage = data.selectedPackage;
-                    this.selectedAdditionalFeatures = new Set(data.selectedAdditionalFeatures || []
-                    this.selectedAddonServices = new Set(data.selectedAddonServices || []
-                    this.totalPrice = data.totalPrice || 0;
+                    this.currency = data.currency || Money.BASE_CURRENCY;
+                    this.currencyPinned = Boolean(data.currencyPinned);
+                    this.taxLocation = { country: null, region: null, ...data.taxLocation };
                     
                     
                     return true;
                 } else {
                     // Clear old data
-                    localStorage.removeItem('hvacQuoteData'
+                    localStorage.removeItem('hvacQuoteData');
                 }
             }
         } catch (error) {
-            localStorage.removeItem('hvacQuoteData'
+            localStorage.removeItem('hvacQuoteData');
         }
         return false;
     }
     
     clearLocalStorage() {
-        localStorage.removeItem('hvacQuoteData'
+        localStorage.removeItem('hvacQuoteData');
+    }
+    
+    /**
+     * Save the selection on the server for "Save and continue later".
+     * Unlike localStorage the draft can be resumed in any browser, through
+     * the returned resumeUrl (see resumeDraft()).
+     * @param {string} [email] - also send the link to this address
+     * @returns {Promise<{id, resumeUrl, expiresAt, emailed}>}
+     */
+    async saveDraft(email = '') {
+        const response = await fetch('/api/quote/drafts', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                ...this.getSelectionPayload(),
+                selectedEmergency: this.selectedEmergency || null,
+                selectedServiceArea: this.selectedServiceArea || null,
+                ...(email ? { email } : {})
+            })
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.error || `status ${response.status}`);
+        }
+        return result;
+    }
+    
+    /**
+     * Replace the current selection with a draft saved by saveDraft(), and
+     * keep it in localStorage from then on. Rejects when the link is unknown
+     * or has expired.
+     * @param {string} token - from the ?resume= link
+     */
+    async resumeDraft(token) {
+        const response = await fetch(`/api/quote/drafts/${encodeURIComponent(token)}`);
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.error || `status ${response.status}`);
+        }
+        
+        const { selection } = result;
+        this.store.dispatch(this.actions.restoreState({
+            selectedPackage: selection.selectedPackage,
+            selectedFeatures: selection.selectedAdditionalFeatures,
+            selectedAddons: selection.selectedAddonServices,
+            selectedEmergency: selection.selectedEmergency,
+            selectedServiceArea: selection.selectedServiceArea,
+            // The amount comes back when the server prices the restored
+            // selection, which also drops the code if it no longer applies
+            discount: selection.discountCode ? { code: selection.discountCode, amount: 0 } : null
+        }));
+        this.currency = selection.currency;
+        this.currencyPinned = true;
+        this.taxLocation = { country: selection.country, region: selection.region };
+        this.saveToLocalStorage();
     }
     
 
@@ -429,80 +590,101 @@ class QuoteSystem {
     
 
     
-    showNotification(message, type = 'info') {
+    /**
+     * Show a toast message
+     * @param {string} message
+     * @param {'info'|'success'|'error'} [type='info']
+     * @param {{label: string, onClick: Function}} [action] - button shown next to the message, e.g. Undo
+     */
+    showNotification(message, type = 'info', action = null) {
         // Create notification element safely without innerHTML
-        const notification = document.createElement('div'
+        const notification = document.createElement('div');
         notification.className = `notification notification-${type}`;
         
-        const notificationContent = document.createElement('div'
+        const notificationContent = document.createElement('div');
         notificationContent.className = 'notification-content';
         
-        const icon = document.createElement('i'
+        const icon = document.createElement('i');
         const iconType = type === 'success' ? 'check-circle' : type === 'error' ? 'alert-circle' : 'info';
-        icon.setAttribute('data-lucide', iconType
+        icon.setAttribute('data-lucide', iconType);
         
-        const notificationText = document.createElement('div'
+        const notificationText = document.createElement('div');
         notificationText.className = 'notification-text';
         // Handle multi-line messages safely
-        const formattedMessage = message.replace(/\n/g, ' '
+        const formattedMessage = message.replace(/\n/g, ' ');
         notificationText.textContent = formattedMessage;
         
         // Assemble DOM safely
-        notificationContent.appendChild(icon
-        notificationContent.appendChild(notificationText
-        notification.appendChild(notificationContent
+        notificationContent.appendChild(icon);
+        notificationContent.appendChild(notificationText);
+        notification.appendChild(notificationContent);
+        
+        const dismiss = () => {
+            notification.classList.remove('show');
+            setTimeout(() => notification.remove(), 300);
+        };
+        
+        if (action) {
+            const actionButton = document.createElement('button');
+            actionButton.type = 'button';
+            actionButton.className = 'notification-action';
+            actionButton.textContent = action.label;
+            actionButton.addEventListener('click', () => {
+                action.onClick();
+                dismiss();
+            }, { once: true });
+            notificationContent.appendChild(actionButton);
+        }
         
         // Add to page
-        document.body.appendChild(notification
+        document.body.appendChild(notification);
         
         // Animate in
-        setTimeout(() => notification.classList.add('show'), 100
+        setTimeout(() => notification.classList.add('show'), 100);
         
-        // Remove after 5 seconds for error messages (longer for detailed errors)
-        const duration = type === 'error' ? 5000 : 3000;
-        setTimeout(() => {
-            notification.classList.remove('show'
-            setTimeout(() => notification.remove(), 300
-        }, duration
+        // Remove after 5 seconds for error messages (longer for detailed errors),
+        // leaving time to reach the action button
+        const duration = action ? 6000 : type === 'error' ? 5000 : 3000;
+        setTimeout(dismiss, duration);
         
         // Initialize icons
-        lucide.createIcons(
+        lucide.createIcons();
     }
     
     showLoadingState() {
         // Create loading overlay safely without innerHTML
-        const loadingOverlay = document.createElement('div'
+        const loadingOverlay = document.createElement('div');
         loadingOverlay.className = 'loading-overlay';
         
-        const loadingSpinner = document.createElement('div'
+        const loadingSpinner = document.createElement('div');
         loadingSpinner.className = 'loading-spinner';
         
-        const icon = document.createElement('i'
-        icon.setAttribute('data-lucide', 'loader-2'
+        const icon = document.createElement('i');
+        icon.setAttribute('data-lucide', 'loader-2');
         
-        const paragraph = document.createElement('p'
-        paragraph.textContent = 'Loading quote system...';
+        const paragraph = document.createElement('p');
+        paragraph.textContent = I18n.t('page.loading');
         
         // Assemble DOM safely
-        loadingSpinner.appendChild(icon
-        loadingSpinner.appendChild(paragraph
-        loadingOverlay.appendChild(loadingSpinner
+        loadingSpinner.appendChild(icon);
+        loadingSpinner.appendChild(paragraph);
+        loadingOverlay.appendChild(loadingSpinner);
         
-        document.body.appendChild(loadingOverlay
+        document.body.appendChild(loadingOverlay);
         
         // Initialize icons
-        lucide.createIcons(
+        lucide.createIcons();
     }
     
     hideLoadingState() {
-        const loadingOverlay = document.querySelector('.loading-overlay'
+        const loadingOverlay = document.querySelector('.loading-overlay');
         if (loadingOverlay) {
-            loadingOverlay.remove(
+            loadingOverlay.remove();
         }
     }
     
     showSkeletonLoading(containerId, type = 'card') {
-        const container = document.getElementById(containerId
+        const container = document.getElementById(containerId);
         if (!container) return;
         
         const skeletonTemplates = {
@@ -538,10 +720,10 @@ class QuoteSystem {
     }
     
     clearSkeletonLoading(containerId) {
-        const container = document.getElementById(containerId
+        const container = document.getElementById(containerId);
         if (container) {
-            const skeletonElements = container.querySelectorAll('.skeleton-card, .skeleton-grid'
-            skeletonElements.forEach(element => element.remove()
+            const skeletonElements = container.querySelectorAll('.skeleton-card, .skeleton-grid');
+            skeletonElements.forEach(element => element.remove());
         }
     }
     
@@ -591,144 +773,181 @@ class QuoteSystem {
         this.contactFeatures = [];
         
         // Use Virtual Renderer for progressive rendering
-        this.virtualRenderer.queueRender(() => this.renderPackages(), 'high'
-        this.virtualRenderer.queueRender(() => this.renderAdditionalFeatures(), 'normal'
-        this.virtualRenderer.queueRender(() => this.renderAddonServices(), 'normal'
+        this.virtualRenderer.queueRender(() => this.renderPackages(), 'high');
+        this.virtualRenderer.queueRender(() => this.renderAdditionalFeatures(), 'normal');
+        this.virtualRenderer.queueRender(() => this.renderAddonServices(), 'normal');
     }
     
     async init() {
-        // Try to load saved data first
-        const hasSavedData = this.loadFromLocalStorage(
+        // A resume link restores a draft saved on any device; otherwise try
+        // the data saved in this browser
+        const resumeToken = new URLSearchParams(window.location.search).get('resume');
+        let resumeError = null;
+        if (resumeToken) {
+            try {
+                await this.resumeDraft(resumeToken);
+            } catch (error) {
+                resumeError = error;
+            }
+            // Keep the token out of the address bar, bookmarks and reloads
+            const url = new URL(window.location.href);
+            url.searchParams.delete('resume');
+            window.history.replaceState(null, '', url);
+        }
+        const resumed = Boolean(resumeToken) && !resumeError;
+        const hasSavedData = resumed || this.loadFromLocalStorage() || QuoteState.restored;
+        
+        await this.loadMessages();
+        await this.loadData();
+        this.setupEventListeners();
+        this.setupHistoryControls();
         
-        await this.loadData(
-        this.setupEventListeners(
+        // From here on the page follows every change to the store
+        this.renderedState = this.store.getState();
+        this.store.subscribe(state => this.handleStoreChange(state));
         
         // Auto-select the package if not already selected
         if (!this.selectedPackage && this.packages && this.packages.length > 0) {
-            this.selectedPackage = this.packages[0].id;
-            this.saveToLocalStorage(
+            this.store.dispatch(this.actions.selectPackage(this.packages[0].id));
+            this.saveToLocalStorage();
         }
         
         // Set default selections if no saved data
         if (!hasSavedData) {
-            this.saveToLocalStorage(
+            this.saveToLocalStorage();
         }
         
         // If we had saved data, restore the UI state
         if (hasSavedData) {
-            this.restoreUIState(
-            this.showNotification('Your previous selections have been restored', 'info'
+            this.restoreUIState();
+            this.showNotification(I18n.t(resumed ? 'notifications.draftResumed' : 'notifications.restored'), 'info');
+        }
+        if (resumeError) {
+            this.showNotification(I18n.t('notifications.draftUnavailable', { error: resumeError.message }), 'warning');
         }
         
         // Ensure all features are rendered with current selections
-        this.virtualRenderer.queueRender(() => this.renderAdditionalFeatures(), 'normal'
-        this.virtualRenderer.queueRender(() => this.renderAddonServices(), 'normal'
+        this.virtualRenderer.queueRender(() => this.renderAdditionalFeatures(), 'normal');
+        this.virtualRenderer.queueRender(() => this.renderAddonServices(), 'normal');
         
         // Multiple updates to ensure correct display
-        this.updateSummary(
+        this.updateSummary();
         
         // Force update after rendering
         setTimeout(() => {
-            this.updateSummary(
+            this.updateSummary();
             // Ensure base price is always shown
-            const summaryTotalElement = document.getElementById('summaryTotal'
+            const summaryTotalElement = document.getElementById('summaryTotal');
             if (summaryTotalElement) {
-                const currentPrice = this.calculateTotalPrice(
-                summaryTotalElement.textContent = `$${currentPrice.toLocaleString()}`;
+                const currentPrice = this.calculateTotalPrice();
+                summaryTotalElement.textContent = this.formatMoney(currentPrice);
             }
-        }, 200
+        }, 200);
         
         // Additional safety check
         setTimeout(() => {
-            this.updateSummary(
-            const summaryTotalElement = document.getElementById('summaryTotal'
+            this.updateSummary();
+            const summaryTotalElement = document.getElementById('summaryTotal');
             if (summaryTotalElement) {
-                const currentPrice = this.calculateTotalPrice(
-                summaryTotalElement.textContent = `$${currentPrice.toLocaleString()}`;
+                const currentPrice = this.calculateTotalPrice();
+                summaryTotalElement.textContent = this.formatMoney(currentPrice);
             }
-        }, 500
+        }, 500);
         
         // Final check after everything is loaded
         setTimeout(() => {
-            this.updateSummary(
-            this.updateGenerateButton(
-        }, 1000
+            this.updateSummary();
+            this.updateGenerateButton();
+        }, 1000);
         
         // Continuous monitoring to ensure price persistence
         setInterval(() => {
-            const summaryTotalElement = document.getElementById('summaryTotal'
+            const summaryTotalElement = document.getElementById('summaryTotal');
             if (summaryTotalElement) {
-                const currentPrice = this.calculateTotalPrice(
-                const displayedPrice = summaryTotalElement.textContent.replace(/[$,]/g, ''
-                const expectedPrice = currentPrice.toString(
+                const currentPrice = this.calculateTotalPrice();
+                const displayedPrice = summaryTotalElement.textContent;
+                const expectedPrice = this.formatMoney(currentPrice);
                 
                 if (displayedPrice !== expectedPrice) {
                     
-                    summaryTotalElement.textContent = `$${currentPrice.toLocaleString()}`;
-                    this.saveToLocalStorage(
+                    summaryTotalElement.textContent = this.formatMoney(currentPrice);
+                    this.saveToLocalStorage();
                 }
             }
-        }, 2000 // Check every 2 seconds
+        }, 2000); // Check every 2 seconds
         
         // Set up mutation observer to watch for changes to the summary element
-        const summaryTotalElement = document.getElementById('summaryTotal'
+        const summaryTotalElement = document.getElementById('summaryTotal');
         if (summaryTotalElement && window.MutationObserver) {
             const observer = new MutationObserver((mutations) => {
                 mutations.forEach((mutation) => {
                     if (mutation.type === 'childList' || mutation.type === 'characterData') {
-                        const currentPrice = this.calculateTotalPrice(
-                        const displayedPrice = summaryTotalElement.textContent.replace(/[$,]/g, ''
-                        const expectedPrice = currentPrice.toString(
+                        const currentPrice = this.calculateTotalPrice();
+                        const displayedPrice = summaryTotalElement.textContent;
+                        const expectedPrice = this.formatMoney(currentPrice);
                         
                         if (displayedPrice !== expectedPrice) {
                             
-                            summaryTotalElement.textContent = `$${currentPrice.toLocaleString()}`;
-                            this.saveToLocalStorage(
+                            summaryTotalElement.textContent = this.formatMoney(currentPrice);
+                            this.saveToLocalStorage();
                         }
                     }
-                }
-            }
+                });
+            });
             
             observer.observe(summaryTotalElement, {
                 childList: true,
                 characterData: true,
                 subtree: true
-            }
+            });
         }
+        
+        // Undo goes back as far as the selection the page opened with
+        this.store.resetHistory();
+        
+        // Let modules that build on the quote system (see wizard/main.js) start
+        this.isReady = true;
+        document.dispatchEvent(new CustomEvent('quote:ready', { detail: this }));
     }
     
     restoreUIState() {
         // Restore package selection
         if (this.selectedPackage) {
-            const packageCard = document.querySelector(`[data-package-id="${this.selectedPackage}"]`
+            const packageCard = document.querySelector(`[data-package-id="${this.selectedPackage}"]`);
             if (packageCard) {
-                packageCard.classList.add('selected'
+                packageCard.classList.add('selected');
             }
         }
         
         // Restore additional feature selections
         if (this.selectedAdditionalFeatures && this.selectedAdditionalFeatures.size > 0) {
             this.selectedAdditionalFeatures.forEach(featureId => {
-            const featureCard = document.querySelector(`[data-feature-id="${featureId}"]`
+            const featureCard = document.querySelector(`[data-feature-id="${featureId}"]`);
             if (featureCard) {
-                featureCard.classList.add('selected'
+                featureCard.classList.add('selected');
             }
-        }
+        });
         }
         
         // Restore addon service selections
         if (this.selectedAddonServices && this.selectedAddonServices.size > 0) {
             this.selectedAddonServices.forEach(serviceId => {
-                const serviceCard = document.querySelector(`[data-service-id="${serviceId}"]`
+                const serviceCard = document.querySelector(`[data-service-id="${serviceId}"]`);
                 if (serviceCard) {
-                    serviceCard.classList.add('selected'
+                    serviceCard.classList.add('selected');
                 }
-            }
+            });
+        }
+        
+        // Emergency and service area cards render from the selection
+        if (this.selectedEmergency || this.selectedServiceArea) {
+            this.virtualRenderer.queueRender(() => this.renderEmergencyServices(), 'normal');
+            this.virtualRenderer.queueRender(() => this.renderServiceAreas(), 'normal');
         }
         
         // Update summary after restoring UI state
-        this.updateSummary(
-        this.updateGenerateButton(
+        this.updateSummary();
+        this.updateGenerateButton();
     }
     
     async loadData() {
@@ -736,53 +955,52 @@ class QuoteSystem {
             
             
             // Show loading state
-            this.showLoadingState(
+            this.showLoadingState();
             
-            // Load all data in parallel
-            const [packages, additionalFeatures, addonServices] = await Promise.all([
-                fetch('/api/quote/packages').then(res => {
-                    if (!res.ok) throw new Error(`Failed to load packages: ${res.status}`
-                    return res.json(
-                }),
-                fetch('/api/quote/additional-features').then(res => {
-                    if (!res.ok) throw new Error(`Failed to load additional features: ${res.status}`
-                    return res.json(
-                }),
-                fetch('/api/quote/addon-services').then(res => {
-                    if (!res.ok) throw new Error(`Failed to load addon services: ${res.status}`
-                    return res.json(
-                })
-            ]
+            // Load the whole catalog in one request; the browser revalidates
+            // it with the ETag the server sends
+            const response = await fetch(`/api/quote/catalog?locale=${encodeURIComponent(this.locale)}`);
+            if (!response.ok) {
+                throw new Error(`Failed to load catalog: ${response.status}`);
+            }
+            const catalog = await response.json();
             
-                    
+            this.packages = catalog.packages;
+            this.additionalFeatures = catalog.features;
+            this.addonServices = catalog.addons;
+            this.emergencyServices = catalog.emergencyServices || [];
+            this.serviceAreas = catalog.serviceAreas || [];
+            this.currencies = catalog.currencies || [];
             
-            this.packages = packages;
-            this.additionalFeatures = additionalFeatures;
-            this.addonServices = addonServices;
+            // A saved currency the catalog no longer offers falls back to the base currency
+            if (!Money.findCurrency(this.currencies, this.currency)) {
+                this.currency = Money.BASE_CURRENCY;
+                this.currencyPinned = false;
+            }
+            this.renderCurrencyPicker();
             
             
             
             // Use Virtual Renderer for progressive rendering
-            this.virtualRenderer.queueRender(() => this.renderPackages(), 'high'
-            this.virtualRenderer.queueRender(() => this.renderAdditionalFeatures(), 'normal'
-            this.virtualRenderer.queueRender(() => this.renderAddonServices(), 'normal'
+            this.virtualRenderer.queueRender(() => this.renderPackages(), 'high');
+            this.refreshPrices();
             
             // Hide loading state
-            this.hideLoadingState(
+            this.hideLoadingState();
             
             // Show success notification
-            this.showNotification('Quote system loaded successfully!', 'success'
+            this.showNotification(I18n.t('notifications.loaded'), 'success');
             
         } catch (error) {
             // Hide loading state
-            this.hideLoadingState(
+            this.hideLoadingState();
             
             // Show error notification
-            this.showNotification(`Failed to load data: ${error.message}`, 'error'
+            this.showNotification(I18n.t('notifications.loadFailed', { error: error.message }), 'error');
             
             // Fallback: Create some basic packages if API fails
             
-            this.createFallbackData(
+            this.createFallbackData();
         }
     }
     
@@ -790,95 +1008,121 @@ class QuoteSystem {
         // Emergency service selection
         document.addEventListener('click', (e) => {
             if (e.target.closest('.emergency-card')) {
-                const card = e.target.closest('.emergency-card'
-                this.selectEmergencyService(card
+                const card = e.target.closest('.emergency-card');
+                this.selectEmergencyService(card);
             }
-        }
+        });
         
         // Service area selection
         document.addEventListener('click', (e) => {
             if (e.target.closest('.area-card')) {
-                const card = e.target.closest('.area-card'
-                this.selectServiceArea(card
+                const card = e.target.closest('.area-card');
+                this.selectServiceArea(card);
             }
-        }
+        });
         
         // HVAC features selection
         document.addEventListener('click', (e) => {
             if (e.target.closest('#hvacFeaturesGrid .feature-card')) {
-                const card = e.target.closest('.feature-card'
-                this.toggleHvacFeature(card
+                const card = e.target.closest('.feature-card');
+                this.toggleHvacFeature(card);
             }
-        }
+        });
         
         // Appliance features selection
         document.addEventListener('click', (e) => {
             if (e.target.closest('#applianceFeaturesGrid .feature-card')) {
-                const card = e.target.closest('.feature-card'
-                this.toggleApplianceFeature(card
+                const card = e.target.closest('.feature-card');
+                this.toggleApplianceFeature(card);
             }
-        }
+        });
         
         // Contact features selection - handled by individual click listeners in renderContactFeatures()
         
         // Main features selection (for features outside of HVAC/Appliance grids)
         document.addEventListener('click', (e) => {
             if (e.target.closest('#featureGrid .feature-card')) {
-                const card = e.target.closest('.feature-card'
-                const isIncluded = card.classList.contains('included-in-package'
+                const card = e.target.closest('.feature-card');
+                const isIncluded = card.classList.contains('included-in-package');
                 if (!isIncluded) {
-                    this.toggleFeature(card.dataset.featureId, card
+                    this.toggleFeature(card.dataset.featureId, card);
                 }
             }
-        }
+        });
         
-        // Addons selection
-        document.addEventListener('click', (e) => {
-            if (e.target.closest('.addon-card')) {
-                const card = e.target.closest('.addon-card'
-                this.toggleAddon(card.dataset.addonId, card
-            }
-        }
+        // Addons selection - handled by individual click listeners in renderAddonServices()
         
         // Components selection - handled by individual click listeners in renderComponents()
         
-        // Service area dropdown change
-        const serviceAreaSelect = document.getElementById('customerServiceArea'
-        if (serviceAreaSelect) {
-            serviceAreaSelect.addEventListener('change', (e) => {
-                this.selectedServiceArea = e.target.value;
-                this.updateSummary(
-            }
-        }
-        
         // Form field validation listeners
         const formFields = ['customerName', 'customerEmail', 'customerPhone', 'customerCompany', 'customerLocation', 'customerMessage'];
         formFields.forEach(fieldId => {
-            const field = document.getElementById(fieldId
+            const field = document.getElementById(fieldId);
             if (field) {
                 field.addEventListener('input', () => {
-                    this.updateGenerateButton(
-                }
+                    this.updateGenerateButton();
+                });
                 
                 field.addEventListener('blur', () => {
-                    this.updateGenerateButton(
-                }
+                    this.updateGenerateButton();
+                });
+            }
+        });
+        
+        // Promo code
+        const promoForm = document.getElementById('promoForm');
+        if (promoForm) {
+            promoForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const input = document.getElementById('promoCodeInput');
+                this.applyPromoCode(input ? input.value : '');
+            });
+        }
+        
+        const removePromoBtn = document.getElementById('removePromoBtn');
+        if (removePromoBtn) {
+            removePromoBtn.addEventListener('click', () => this.removePromoCode());
+        }
+        
+        // The state or province in "City, State" decides regional taxes
+        ['customerLocation', 'modalCustomerLocation'].forEach(fieldId => {
+            const field = document.getElementById(fieldId);
+            if (field) {
+                field.addEventListener('change', () => {
+                    this.setTaxLocation({ region: Tax.regionFromLocation(field.value, this.taxLocation.country) });
+                });
             }
+        });
+        
+        // Currency picker
+        const currencySelect = document.getElementById('currencySelect');
+        if (currencySelect) {
+            currencySelect.addEventListener('change', () => {
+                this.setCurrency(currencySelect.value, { pinned: true });
+            });
+        }
+        
+        // Language switcher
+        const languageSelect = document.getElementById('languageSelect');
+        if (languageSelect) {
+            languageSelect.addEventListener('change', () => {
+                this.setLanguage(languageSelect.value);
+            });
         }
         
         // Initialize searchable country selector
-        this.initializeCountrySelector(
+        this.initializeCountrySelector();
     }
     
     initializeCountrySelector() {
-        const trigger = document.getElementById('countrySelectTrigger'
-        const dropdown = document.getElementById('countrySelectDropdown'
-        const searchInput = document.getElementById('countrySearch'
-        const countryList = document.getElementById('countryList'
-        const selectedFlag = document.getElementById('selectedFlag'
-        const selectedCountryCode = document.getElementById('selectedCountryCode'
-        const chevronIcon = document.getElementById('chevronIcon'
-        const hiddenSelect = document.getElementById('countryCode'
+        const trigger = document.getElementById('countrySelectTrigger');
+        const dropdown = document.getElementById('countrySelectDropdown');
+        const searchInput = document.getElementById('countrySearch');
+        const countryList = document.getElementById('countryList');
+        const selectedFlag = document.getElementById('selectedFlag');
+        const selectedCountryCode = document.getElementById('selectedCountryCode');
+        const chevronIcon = document.getElementById('chevronIcon');
+        const hiddenSelect = document.getElementById('countryCode');
         
         // Country data - Complete list of all countries in the world
         const countries = [
@@ -1077,37 +1321,37 @@ class QuoteSystem {
                     <img src="https://flagcdn.com/w20/${country.flag}.png" alt="${country.name}" loading="lazy">
                     <span class="country-code">${country.code}</span>
                 </div>
-            `).join(''
+            `).join('');
         }
         
         // Initialize with all countries
-        renderCountries(
+        renderCountries();
         
         // Toggle dropdown
         trigger.addEventListener('click', () => {
             const isOpen = !dropdown.hidden;
             dropdown.hidden = isOpen;
-            trigger.classList.toggle('active', !isOpen
+            trigger.classList.toggle('active', !isOpen);
             
             if (!isOpen) {
-                searchInput.focus(
+                searchInput.focus();
             }
-        }
+        });
         
         // Search functionality
         searchInput.addEventListener('input', (e) => {
-            const searchTerm = e.target.value.toLowerCase(
+            const searchTerm = e.target.value.toLowerCase();
             const filteredCountries = window.quoteSystem.countries.filter(country => 
                 country.name.toLowerCase().includes(searchTerm) ||
                 country.code.includes(searchTerm) ||
-                country.flag.toLowerCase().includes(searchTerm)
+                country.flag.toLowerCase().includes(searchTerm));
 
-            renderCountries(filteredCountries
-        }
+            renderCountries(filteredCountries);
+        });
         
         // Select country
         countryList.addEventListener('click', (e) => {
-            const countryItem = e.target.closest('.country-item'
+            const countryItem = e.target.closest('.country-item');
             if (!countryItem) return;
             
             const code = countryItem.dataset.code;
@@ -1121,35 +1365,39 @@ class QuoteSystem {
             
             // Update hidden select
             hiddenSelect.value = code;
-            hiddenSelect.dispatchEvent(new Event('change')
+            hiddenSelect.dispatchEvent(new Event('change'));
+            
+            // Suggest the country's currency unless the customer picked one
+            window.quoteSystem.setCurrencyForCountry(flag);
+            window.quoteSystem.setTaxLocation({ country: flag });
             
             // Close dropdown
             dropdown.hidden = true;
-            trigger.classList.remove('active'
+            trigger.classList.remove('active');
             searchInput.value = '';
-            renderCountries(
-        }
+            renderCountries();
+        });
         
         // Close dropdown when clicking outside
         document.addEventListener('click', (e) => {
             if (!trigger.contains(e.target) && !dropdown.contains(e.target)) {
                 dropdown.hidden = true;
-                trigger.classList.remove('active'
+                trigger.classList.remove('active');
             }
-        }
+        });
         
         // Keyboard navigation
         searchInput.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
                 dropdown.hidden = true;
-                trigger.classList.remove('active'
+                trigger.classList.remove('active');
             }
-        }
+        });
     }
     
     renderPackages() {
         
-        const packageFeaturesGrid = document.getElementById('packageFeaturesGrid'
+        const packageFeaturesGrid = document.getElementById('packageFeaturesGrid');
         
         if (!packageFeaturesGrid) {
             return;
@@ -1169,30 +1417,32 @@ class QuoteSystem {
                 <i data-lucide="check"></i>
                 <span>${component}</span>
                     </div>
-        `).join(''
+        `).join('');
         
         
         packageFeaturesGrid.innerHTML = featuresHTML;
         
         // Auto-select the package
-        this.selectedPackage = pkg.id;
-        this.saveToLocalStorage(
+        if (this.selectedPackage !== pkg.id) {
+            this.store.dispatch(this.actions.selectPackage(pkg.id));
+        }
+        this.saveToLocalStorage();
         
         // Initialize Lucide icons
-        lucide.createIcons(
+        lucide.createIcons();
         
         
     }
     
     renderEmergencyServices() {
-        const emergencyGrid = document.getElementById('emergencyGrid'
+        const emergencyGrid = document.getElementById('emergencyGrid');
         if (!emergencyGrid) {
             return;
         }
         
         emergencyGrid.innerHTML = this.emergencyServices.map(service => {
             // Check if this emergency service is included in the package
-            const isIncluded = this.isComponentIncluded(service.name
+            const isIncluded = this.isComponentIncluded(service.name);
             const isSelected = this.selectedEmergency === service.id;
             
             return `
@@ -1200,33 +1450,33 @@ class QuoteSystem {
                     <div class="emergency-header">
                         <i data-lucide="clock"></i>
                         <h3>${service.name}</h3>
-                        ${service.popular ? '<span class="badge">Most Popular</span>' : ''}
+                        ${service.popular ? `<span class="badge">${I18n.t('badges.mostPopular')}</span>` : ''}
                     </div>
                     <div class="emergency-details">
                         <p>${service.responseTime} response time</p>
                         ${service.features.map(feature => `<p>${feature}</p>`).join('')}
                     </div>
-                    <div class="emergency-price">${isIncluded ? 'Included' : `$${service.price}`}</div>
-                    ${isIncluded ? '<div class="included-badge">Included</div>' : 
-                      isSelected ? '<div class="selected-badge">Selected</div>' : ''}
+                    <div class="emergency-price">${isIncluded ? I18n.t('badges.included') : this.formatPrice(service.price)}</div>
+                    ${isIncluded ? `<div class="included-badge">${I18n.t('badges.included')}</div>` : 
+                      isSelected ? `<div class="selected-badge">${I18n.t('badges.selected')}</div>` : ''}
                 </div>
             `;
-        }).join(''
+        }).join('');
         
         // Add click listeners for emergency services
-        const emergencyCards = emergencyGrid.querySelectorAll('.emergency-card'
+        const emergencyCards = emergencyGrid.querySelectorAll('.emergency-card');
         emergencyCards.forEach(card => {
             const emergencyId = card.dataset.emergencyId;
             
             // Add click listener to the card itself
             card.addEventListener('click', (e) => {
-                e.preventDefault(
-                e.stopPropagation(
+                e.preventDefault();
+                e.stopPropagation();
                 
                 // Don't allow toggling if emergency service is included in package
-                const service = this.emergencyServices.find(s => s.id === emergencyId
+                const service = this.emergencyServices.find(s => s.id === emergencyId);
                 if (service && this.isComponentIncluded(service.name)) {
-                    this.showNotification('This emergency service is already included in your package!', 'info'
+                    this.showNotification(I18n.t('notifications.emergencyIncluded'), 'info');
                     return;
                 }
                 
@@ -1234,35 +1484,35 @@ class QuoteSystem {
                 card.style.transform = 'scale(0.98)';
                 setTimeout(() => {
                     card.style.transform = '';
-                }, 150
+                }, 150);
                 
-                this.selectEmergencyService(card
-            }
+                this.selectEmergencyService(card);
+            });
             
             // Also add click listeners to all child elements to ensure the entire card is clickable
             card.querySelectorAll('*').forEach(child => {
                 child.addEventListener('click', (e) => {
-                    e.preventDefault(
-                    e.stopPropagation(
+                    e.preventDefault();
+                    e.stopPropagation();
                     
                     // Don't allow toggling if emergency service is included in package
-                    const service = this.emergencyServices.find(s => s.id === emergencyId
+                    const service = this.emergencyServices.find(s => s.id === emergencyId);
                     if (service && this.isComponentIncluded(service.name)) {
-                        this.showNotification('This emergency service is already included in your package!', 'info'
+                        this.showNotification(I18n.t('notifications.emergencyIncluded'), 'info');
                         return;
                     }
                     
-                    this.selectEmergencyService(card
-                }
-            }
-        }
+                    this.selectEmergencyService(card);
+                });
+            });
+        });
         
         // Initialize Lucide icons
-        lucide.createIcons(
+        lucide.createIcons();
     }
     
     renderServiceAreas() {
-        const serviceAreaGrid = document.getElementById('serviceAreaGrid'
+        const serviceAreaGrid = document.getElementById('serviceAreaGrid');
         if (!serviceAreaGrid) return;
         
         // Get selected package components to check if service areas are included
@@ -1272,12 +1522,12 @@ class QuoteSystem {
         // Check if service area management is included in the package
         const hasServiceAreaManagement = selectedPackageComponents.some(pkgComponent => 
             pkgComponent.toLowerCase().includes('service area') ||
-            pkgComponent.toLowerCase().includes('coverage map')
+            pkgComponent.toLowerCase().includes('coverage map'));
 
         
         serviceAreaGrid.innerHTML = this.serviceAreas.map(area => {
             // Check if this service area is included in the package
-            const isIncluded = this.isComponentIncluded(area.name
+            const isIncluded = this.isComponentIncluded(area.name);
             const isSelected = this.selectedServiceArea === area.id;
             
             return `
@@ -1290,12 +1540,12 @@ class QuoteSystem {
                         <p>${area.responseTime} emergency response</p>
                         ${area.features.map(feature => `<p>${feature}</p>`).join('')}
                     </div>
-                    <div class="area-price">${isIncluded ? 'Included' : `+$${area.price}`}</div>
-                    ${isIncluded ? '<div class="included-badge">Included</div>' : 
-                      isSelected ? '<div class="selected-badge">Selected</div>' : ''}
+                    <div class="area-price">${isIncluded ? I18n.t('badges.included') : `+${this.formatPrice(area.price)}`}</div>
+                    ${isIncluded ? `<div class="included-badge">${I18n.t('badges.included')}</div>` : 
+                      isSelected ? `<div class="selected-badge">${I18n.t('badges.selected')}</div>` : ''}
                 </div>
             `;
-        }).join(''
+        }).join('');
         
         // Add click listeners for service areas
         serviceAreaGrid.querySelectorAll('.area-card').forEach(card => {
@@ -1304,45 +1554,45 @@ class QuoteSystem {
             // Ensure all service areas are selectable for upgrading
             if (areaId === 'extended-zone' || areaId === 'premium-zone') {
                 card.style.cursor = 'pointer';
-                card.classList.remove('included-in-package'
+                card.classList.remove('included-in-package');
             }
             
             // Add click listener to the card itself
             card.addEventListener('click', (e) => {
-                e.preventDefault(
-                e.stopPropagation(
+                e.preventDefault();
+                e.stopPropagation();
                 
                 // Don't allow toggling if service area is included in package
-                const area = this.serviceAreas.find(a => a.id === areaId
+                const area = this.serviceAreas.find(a => a.id === areaId);
                 if (area && this.isComponentIncluded(area.name)) {
-                    this.showNotification('This service area is already included in your package!', 'info'
+                    this.showNotification(I18n.t('notifications.serviceAreaIncluded'), 'info');
                     return;
                 }
                 
-                this.selectServiceArea(card
-            }
+                this.selectServiceArea(card);
+            });
             
             // Also add click listeners to all child elements to ensure the entire card is clickable
             card.querySelectorAll('*').forEach(child => {
                 child.addEventListener('click', (e) => {
-                    e.preventDefault(
-                    e.stopPropagation(
+                    e.preventDefault();
+                    e.stopPropagation();
                     
                     // Don't allow toggling if service area is included in package
-                    const area = this.serviceAreas.find(a => a.id === areaId
+                    const area = this.serviceAreas.find(a => a.id === areaId);
                     if (area && this.isComponentIncluded(area.name)) {
-                        this.showNotification('This service area is already included in your package!', 'info'
+                        this.showNotification(I18n.t('notifications.serviceAreaIncluded'), 'info');
                         return;
                     }
                     
-                    this.selectServiceArea(card
-                }
-            }
-        }
+                    this.selectServiceArea(card);
+                });
+            });
+        });
     }
     
     renderHvacFeatures() {
-        const hvacGrid = document.getElementById('hvacFeaturesGrid'
+        const hvacGrid = document.getElementById('hvacFeaturesGrid');
         if (!hvacGrid) {
             return;
         }
@@ -1351,15 +1601,15 @@ class QuoteSystem {
         const hvacFeatures = this.hvacFeatures || [];
         
         hvacGrid.innerHTML = hvacFeatures.map(feature => {
-            const isSelected = this.selectedHvacFeatures.has(feature.id
-            const isIncluded = this.isComponentIncluded(feature.name
+            const isSelected = this.selectedHvacFeatures.has(feature.id);
+            const isIncluded = this.isComponentIncluded(feature.name);
             const displayPrice = isIncluded ? 0 : feature.price;
             
             return `
                 <div class="feature-card hvac-feature-card ${isSelected ? 'selected' : ''} ${isIncluded ? 'included-in-package' : ''}" data-feature-id="${feature.id}">
                     <div class="feature-header">
                         <h4>${feature.name}</h4>
-                        <span class="feature-price">$${displayPrice}</span>
+                        <span class="feature-price">${this.formatPrice(displayPrice)}</span>
                     </div>
                     <p>${feature.description}</p>
                     ${feature.brands ? `
@@ -1367,11 +1617,11 @@ class QuoteSystem {
                             ${feature.brands.map(brand => `<span class="brand-tag">${brand}</span>`).join('')}
                         </div>
                     ` : ''}
-                    ${isIncluded ? '<div class="included-badge">Included</div>' : 
-                      isSelected ? '<div class="selected-badge">Selected</div>' : ''}
+                    ${isIncluded ? `<div class="included-badge">${I18n.t('badges.included')}</div>` : 
+                      isSelected ? `<div class="selected-badge">${I18n.t('badges.selected')}</div>` : ''}
                 </div>
             `;
-        }).join(''
+        }).join('');
         
         // Add click listeners for HVAC features
         hvacGrid.querySelectorAll('.hvac-feature-card').forEach(card => {
@@ -1379,43 +1629,43 @@ class QuoteSystem {
             
             // Add click listener to the card itself
             card.addEventListener('click', (e) => {
-                e.preventDefault(
-                e.stopPropagation(
+                e.preventDefault();
+                e.stopPropagation();
                 
                 // Don't allow toggling if feature is included in package
-                const feature = this.hvacFeatures?.find(f => f.id === featureId
+                const feature = this.hvacFeatures?.find(f => f.id === featureId);
                 if (feature && this.isComponentIncluded(feature.name)) {
-                    this.showNotification('This feature is already included in your package!', 'info'
+                    this.showNotification(I18n.t('notifications.featureIncluded'), 'info');
                     return;
                 }
                 
-                this.toggleHvacFeature(card
-            }
+                this.toggleHvacFeature(card);
+            });
             
             // Also add click listeners to all child elements to ensure the entire card is clickable
             card.querySelectorAll('*').forEach(child => {
                 child.addEventListener('click', (e) => {
-                    e.preventDefault(
-                    e.stopPropagation(
+                    e.preventDefault();
+                    e.stopPropagation();
                     
                     // Don't allow toggling if feature is included in package
-                    const feature = this.hvacFeatures?.find(f => f.id === featureId
+                    const feature = this.hvacFeatures?.find(f => f.id === featureId);
                     if (feature && this.isComponentIncluded(feature.name)) {
-                        this.showNotification('This feature is already included in your package!', 'info'
+                        this.showNotification(I18n.t('notifications.featureIncluded'), 'info');
                         return;
                     }
                     
-                    this.toggleHvacFeature(card
-                }
-            }
-        }
+                    this.toggleHvacFeature(card);
+                });
+            });
+        });
         
         // Initialize Lucide icons
-        lucide.createIcons(
+        lucide.createIcons();
     }
     
     renderApplianceFeatures() {
-        const applianceGrid = document.getElementById('applianceFeaturesGrid'
+        const applianceGrid = document.getElementById('applianceFeaturesGrid');
         if (!applianceGrid) {
             return;
         }
@@ -1424,15 +1674,15 @@ class QuoteSystem {
         const applianceFeatures = this.applianceFeatures || [];
         
         applianceGrid.innerHTML = applianceFeatures.map(feature => {
-            const isSelected = this.selectedApplianceFeatures.has(feature.id
-            const isIncluded = this.isComponentIncluded(feature.name
+            const isSelected = this.selectedApplianceFeatures.has(feature.id);
+            const isIncluded = this.isComponentIncluded(feature.name);
             const displayPrice = isIncluded ? 0 : feature.price;
             
             return `
                 <div class="feature-card appliance-feature-card ${isSelected ? 'selected' : ''} ${isIncluded ? 'included-in-package' : ''}" data-feature-id="${feature.id}">
                     <div class="feature-header">
                         <h4>${feature.name}</h4>
-                        <span class="feature-price">$${displayPrice}</span>
+                        <span class="feature-price">${this.formatPrice(displayPrice)}</span>
                     </div>
                     <p>${feature.description}</p>
                     ${feature.brands ? `
@@ -1440,11 +1690,11 @@ class QuoteSystem {
                             ${feature.brands.map(brand => `<span class="brand-tag">${brand}</span>`).join('')}
                         </div>
                     ` : ''}
-                    ${isIncluded ? '<div class="included-badge">Included</div>' : 
-                      isSelected ? '<div class="selected-badge">Selected</div>' : ''}
+                    ${isIncluded ? `<div class="included-badge">${I18n.t('badges.included')}</div>` : 
+                      isSelected ? `<div class="selected-badge">${I18n.t('badges.selected')}</div>` : ''}
                 </div>
             `;
-        }).join(''
+        }).join('');
         
         // Add click listeners for appliance features
         applianceGrid.querySelectorAll('.appliance-feature-card').forEach(card => {
@@ -1452,56 +1702,56 @@ class QuoteSystem {
             
             // Add click listener to the card itself
             card.addEventListener('click', (e) => {
-                e.preventDefault(
-                e.stopPropagation(
+                e.preventDefault();
+                e.stopPropagation();
                 
                 // Don't allow toggling if feature is included in package
-                const feature = this.applianceFeatures?.find(f => f.id === featureId
+                const feature = this.applianceFeatures?.find(f => f.id === featureId);
                 if (feature && this.isComponentIncluded(feature.name)) {
-                    this.showNotification('This feature is already included in your package!', 'info'
+                    this.showNotification(I18n.t('notifications.featureIncluded'), 'info');
                     return;
                 }
                 
-                this.toggleApplianceFeature(card
-            }
+                this.toggleApplianceFeature(card);
+            });
             
             // Also add click listeners to all child elements to ensure the entire card is clickable
             card.querySelectorAll('*').forEach(child => {
                 child.addEventListener('click', (e) => {
-                    e.preventDefault(
-                    e.stopPropagation(
+                    e.preventDefault();
+                    e.stopPropagation();
                     
                     // Don't allow toggling if feature is included in package
-                    const feature = this.applianceFeatures?.find(f => f.id === featureId
+                    const feature = this.applianceFeatures?.find(f => f.id === featureId);
                     if (feature && this.isComponentIncluded(feature.name)) {
-                        this.showNotification('This feature is already included in your package!', 'info'
+                        this.showNotification(I18n.t('notifications.featureIncluded'), 'info');
                         return;
                     }
                     
-                    this.toggleApplianceFeature(card
-                }
-            }
-        }
+                    this.toggleApplianceFeature(card);
+                });
+            });
+        });
         
         // Initialize Lucide icons
-        lucide.createIcons(
+        lucide.createIcons();
     }
     
     renderContactFeatures() {
-        const contactGrid = document.querySelector('.contact-features-grid'
+        const contactGrid = document.querySelector('.contact-features-grid');
         if (!contactGrid) {
             return;
         }
 
         
         if (!this.contactFeatures || this.contactFeatures.length === 0) {
-            contactGrid.innerHTML = '<p>No contact features available</p>';
+            contactGrid.innerHTML = `<p>${I18n.t('empty.contactFeatures')}</p>`;
             return;
         }
         
         contactGrid.innerHTML = this.contactFeatures.map(feature => {
-            const isSelected = this.selectedContactFeatures.has(feature.id
-            const isIncluded = this.isComponentIncluded(feature.name
+            const isSelected = this.selectedContactFeatures.has(feature.id);
+            const isIncluded = this.isComponentIncluded(feature.name);
             const displayPrice = isIncluded ? 0 : feature.price;
             return `
                 <div class="contact-feature-card ${isSelected ? 'selected' : ''} ${isIncluded ? 'included-in-package' : ''}" data-feature-id="${feature.id}">
@@ -1510,65 +1760,65 @@ class QuoteSystem {
                     <h4>${feature.name}</h4>
                 </div>
                 <p>${feature.description}</p>
-                <div class="contact-feature-price">$${displayPrice}</div>
-                    ${isIncluded ? '<div class="included-badge">Included</div>' : 
-                      isSelected ? '<div class="selected-badge">Selected</div>' : ''}
+                <div class="contact-feature-price">${this.formatPrice(displayPrice)}</div>
+                    ${isIncluded ? `<div class="included-badge">${I18n.t('badges.included')}</div>` : 
+                      isSelected ? `<div class="selected-badge">${I18n.t('badges.selected')}</div>` : ''}
             </div>
             `;
-        }).join(''
+        }).join('');
         
         // Add click listeners
-        const contactCards = contactGrid.querySelectorAll('.contact-feature-card'
+        const contactCards = contactGrid.querySelectorAll('.contact-feature-card');
         contactCards.forEach(card => {
             const featureId = card.dataset.featureId;
-            const isIncluded = card.classList.contains('included-in-package'
+            const isIncluded = card.classList.contains('included-in-package');
             // Add click listener to the entire card
             card.addEventListener('click', (e) => {
-                e.preventDefault(
-                e.stopPropagation(
+                e.preventDefault();
+                e.stopPropagation();
                 
                 // Don't allow toggling if feature is included in package
                 if (isIncluded) {
-                    this.showNotification('This feature is already included in your package!', 'info'
+                    this.showNotification(I18n.t('notifications.featureIncluded'), 'info');
                     return;
                 }
                 
-                this.toggleContactFeature(card
-            }
+                this.toggleContactFeature(card);
+            });
             
             // Also add click listeners to child elements to ensure clicks work
             card.querySelectorAll('*').forEach(child => {
                 child.addEventListener('click', (e) => {
-                    e.stopPropagation( // Prevent bubbling
+                    e.stopPropagation(); // Prevent bubbling
                     // Don't allow toggling if feature is included in package
                     if (isIncluded) {
-                        this.showNotification('This feature is already included in your package!', 'info'
+                        this.showNotification(I18n.t('notifications.featureIncluded'), 'info');
                         return;
                     }
                     
-                    this.toggleContactFeature(card
-                }
-            }
-        }
+                    this.toggleContactFeature(card);
+                });
+            });
+        });
         
         // Initialize Lucide icons
-        lucide.createIcons(
+        lucide.createIcons();
     }
     
     renderAdditionalFeatures() {
-        const additionalFeaturesGrid = document.getElementById('additionalFeaturesGrid'
+        const additionalFeaturesGrid = document.getElementById('additionalFeaturesGrid');
         if (!additionalFeaturesGrid) {
             return;
         }
         
         if (!this.additionalFeatures || this.additionalFeatures.length === 0) {
-            additionalFeaturesGrid.innerHTML = '<p class="no-features">No additional features available</p>';
+            additionalFeaturesGrid.innerHTML = `<p class="no-features">${I18n.t('empty.additionalFeatures')}</p>`;
             return;
         }
         
         const featuresHTML = this.additionalFeatures.map(feature => {
-            const isSelected = this.selectedAdditionalFeatures.has(feature.id
-            const isIncluded = this.isComponentIncluded(feature.name
+            const isSelected = this.selectedAdditionalFeatures.has(feature.id);
+            const isIncluded = this.isComponentIncluded(feature.name);
             const displayPrice = isIncluded ? 0 : feature.price;
             
             return `
@@ -1580,43 +1830,42 @@ class QuoteSystem {
                                     <p>${feature.description}</p>
                                     <div class="feature-timeline">
                                         <i data-lucide="clock" aria-hidden="true"></i>
-                                        <span>${feature.timeline || '5-7 days'}</span>
+                                        <span>${I18n.formatTimeline(feature.timeline || '5-7 days')}</span>
                                 </div>
                                     <div class="feature-footer">
-                        <span class="feature-price">$${displayPrice}</span>
-                    ${isIncluded ? '<div class="included-badge">Included</div>' : 
-                      isSelected ? '<div class="selected-badge">Selected</div>' : ''}
+                        <span class="feature-price">${this.formatPrice(displayPrice)}</span>
+                    ${isIncluded ? `<div class="included-badge">${I18n.t('badges.included')}</div>` : 
+                      isSelected ? `<div class="selected-badge">${I18n.t('badges.selected')}</div>` : ''}
                     </div>
                 </div>
             `;
-        }).join(''
+        }).join('');
         
         additionalFeaturesGrid.innerHTML = featuresHTML;
         
         // Add click listeners
         additionalFeaturesGrid.querySelectorAll('.feature-card').forEach(card => {
-            card.addEventListener('click', () => this.toggleAdditionalFeature(card)
-        }
+            card.addEventListener('click', () => this.toggleAdditionalFeature(card));
+        });
         
         // Update Lucide icons
-        lucide.createIcons(
+        lucide.createIcons();
     }
     
     renderFeatureCategory(gridId, features, categoryName) {
-        const featureGrid = document.getElementById(gridId
+        const featureGrid = document.getElementById(gridId);
         if (!featureGrid) {
             return;
         }
         
         if (!features || features.length === 0) {
-            } available`
             featureGrid.innerHTML = `<div class="no-features"><i data-lucide="info"></i><p>No ${categoryName.toLowerCase()} available</p></div>`;
             return;
         }
         
         featureGrid.innerHTML = features.map(feature => {
-            const isSelected = this.selectedAdditionalFeatures.has(feature.id
-            const isIncluded = this.isComponentIncluded(feature.name
+            const isSelected = this.selectedAdditionalFeatures.has(feature.id);
+            const isIncluded = this.isComponentIncluded(feature.name);
             const displayPrice = isIncluded ? 0 : feature.price;
             return `
                 <div class="feature-card ${isSelected ? 'selected' : ''} ${isIncluded ? 'included-in-package' : ''}" data-feature-id="${feature.id}">
@@ -1625,13 +1874,13 @@ class QuoteSystem {
                     </div>
                                     <p>${feature.description}</p>
                                     <div class="feature-footer">
-                        <span class="feature-price">$${displayPrice}</span>
-                    ${isIncluded ? '<div class="included-badge">Included</div>' : 
-                      isSelected ? '<div class="selected-badge">Selected</div>' : ''}
+                        <span class="feature-price">${this.formatPrice(displayPrice)}</span>
+                    ${isIncluded ? `<div class="included-badge">${I18n.t('badges.included')}</div>` : 
+                      isSelected ? `<div class="selected-badge">${I18n.t('badges.selected')}</div>` : ''}
                                     </div>
                 </div>
             `;
-        }).join(''
+        }).join('');
         
         // Add click listeners for features
         featureGrid.querySelectorAll('.feature-card').forEach(card => {
@@ -1639,35 +1888,35 @@ class QuoteSystem {
             
             // Add click listener to the card itself
             card.addEventListener('click', (e) => {
-                e.preventDefault(
-                e.stopPropagation(
+                e.preventDefault();
+                e.stopPropagation();
                 
                 // Don't allow toggling if feature is included in package
-                const feature = features.find(f => f.id === featureId
+                const feature = features.find(f => f.id === featureId);
                 if (feature && this.isComponentIncluded(feature.name)) {
-                    this.showNotification('This feature is already included in your package!', 'info'
+                    this.showNotification(I18n.t('notifications.featureIncluded'), 'info');
                     return;
                 }
                 
-                this.toggleFeature(card
-            }
+                this.toggleFeature(card);
+            });
             
             // Also add click listeners to all child elements to ensure the entire card is clickable
             card.querySelectorAll('*').forEach(child => {
                 child.addEventListener('click', (e) => {
-                    e.preventDefault(
-                    e.stopPropagation(
+                    e.preventDefault();
+                    e.stopPropagation();
                     // Don't allow toggling if feature is included in package
-                    const feature = features.find(f => f.id === featureId
+                    const feature = features.find(f => f.id === featureId);
                     if (feature && this.isComponentIncluded(feature.name)) {
-                        this.showNotification('This feature is already included in your package!', 'info'
+                        this.showNotification(I18n.t('notifications.featureIncluded'), 'info');
                         return;
                     }
                     
-                    this.toggleFeature(card
-                }
-            }
-        }
+                    this.toggleFeature(card);
+                });
+            });
+        });
     }
     
     getCategoryDisplayName(category) {
@@ -1697,29 +1946,29 @@ class QuoteSystem {
     isFeatureIncluded(feature, selectedPackageFeatures) {
         // Check if feature has includedIn property (new format)
         if (feature.includedIn && this.selectedPackage) {
-            return feature.includedIn.includes(this.selectedPackage
+            return feature.includedIn.includes(this.selectedPackage);
         }
         
         // Fallback to old format
         return selectedPackageFeatures.some(pkgFeature => 
             pkgFeature.toLowerCase().includes(feature.name.toLowerCase()) ||
-            feature.name.toLowerCase().includes(pkgFeature.toLowerCase())
+            feature.name.toLowerCase().includes(pkgFeature.toLowerCase()));
 
     }
     
     renderAddonServices() {
-        const addonServicesGrid = document.getElementById('addonServicesGrid'
+        const addonServicesGrid = document.getElementById('addonServicesGrid');
         if (!addonServicesGrid) {
             return;
         }
         
         if (!this.addonServices || this.addonServices.length === 0) {
-            addonServicesGrid.innerHTML = '<p class="no-services">No addon services available</p>';
+            addonServicesGrid.innerHTML = `<p class="no-services">${I18n.t('empty.addonServices')}</p>`;
             return;
         }
         
         addonServicesGrid.innerHTML = this.addonServices.map(service => {
-            const isSelected = this.selectedAddonServices.has(service.id
+            const isSelected = this.selectedAddonServices.has(service.id);
             return `
                 <div class="addon-card ${isSelected ? 'selected' : ''}" data-service-id="${service.id}">
                 <div class="addon-header">
@@ -1729,52 +1978,52 @@ class QuoteSystem {
                     <p>${service.description}</p>
                     <div class="addon-timeline">
                         <i data-lucide="clock" aria-hidden="true"></i>
-                        <span>${service.timeline || '5-7 days'}</span>
+                        <span>${I18n.formatTimeline(service.timeline || '5-7 days')}</span>
             </div>
                     <div class="addon-footer">
-                        <span class="addon-price">$${service.price}</span>
-                        ${isSelected ? '<div class="selected-badge">Selected</div>' : ''}
+                        <span class="addon-price">${this.formatPrice(service.price)}</span>
+                        ${isSelected ? `<div class="selected-badge">${I18n.t('badges.selected')}</div>` : ''}
             </div>
             </div>
             `;
-        }).join(''
+        }).join('');
         
         // Add click listeners
-        const addonCards = addonServicesGrid.querySelectorAll('.addon-card'
+        const addonCards = addonServicesGrid.querySelectorAll('.addon-card');
         addonCards.forEach(card => {
             const serviceId = card.dataset.serviceId;
             // Add click listener to the entire card
             card.addEventListener('click', (e) => {
-                this.toggleAddonService(serviceId, card
-            }
+                this.toggleAddonService(serviceId, card);
+            });
             
             // Also add click listeners to child elements to ensure clicks work
             card.querySelectorAll('*').forEach(child => {
                 child.addEventListener('click', (e) => {
-                    e.stopPropagation( // Prevent bubbling
-                    this.toggleAddonService(serviceId, card
-                }
-            }
-        }
+                    e.stopPropagation(); // Prevent bubbling
+                    this.toggleAddonService(serviceId, card);
+                });
+            });
+        });
         
         // Update Lucide icons
-        lucide.createIcons(
+        lucide.createIcons();
     }
     
     renderComponents() {
 
         // Update tab counts
-        this.updateComponentTabCounts(
+        this.updateComponentTabCounts();
         
         // Render pages
-        const pagesGrid = document.getElementById('pagesGrid'
+        const pagesGrid = document.getElementById('pagesGrid');
         if (pagesGrid) {
             if (!this.components.pages || this.components.pages.length === 0) {
-                pagesGrid.innerHTML = '<div class="no-components"><i data-lucide="file-text"></i><p>No pages components available</p></div>';
+                pagesGrid.innerHTML = `<div class="no-components"><i data-lucide="file-text"></i><p>${I18n.t('empty.components', { group: 'pages' })}</p></div>`;
             } else {
                 pagesGrid.innerHTML = this.components.pages.map(component => {
-                    const isSelected = this.selectedComponents.has(component.id
-                    const isIncluded = this.isComponentIncluded(component.name
+                    const isSelected = this.selectedComponents.has(component.id);
+                    const isIncluded = this.isComponentIncluded(component.name);
                     const displayPrice = isIncluded ? 0 : component.price;
                     return `
                         <div class="component-card ${isSelected ? 'selected' : ''} ${isIncluded ? 'included-in-package' : ''}" data-component-id="${component.id}">
@@ -1788,62 +2037,62 @@ class QuoteSystem {
                 </div>
                             </div>
                             <div class="component-footer">
-                                <span class="component-price">$${displayPrice}</span>
-                                ${isIncluded ? '<div class="included-badge"><i data-lucide="check"></i>Included</div>' : 
-                                  isSelected ? '<div class="selected-badge"><i data-lucide="check"></i>Selected</div>' : 
-                                  '<div class="not-selected-badge"><i data-lucide="plus"></i>Add Component</div>'}
+                                <span class="component-price">${this.formatPrice(displayPrice)}</span>
+                                ${isIncluded ? `<div class="included-badge"><i data-lucide="check"></i>${I18n.t('badges.included')}</div>` : 
+                                  isSelected ? `<div class="selected-badge"><i data-lucide="check"></i>${I18n.t('badges.selected')}</div>` : 
+                                  `<div class="not-selected-badge"><i data-lucide="plus"></i>${I18n.t('badges.addComponent')}</div>`}
                             </div>
                         </div>
                     `;
-                }).join(''
+                }).join('');
             
             // Add click listeners for pages
-                const pageCards = pagesGrid.querySelectorAll('.component-card'
+                const pageCards = pagesGrid.querySelectorAll('.component-card');
                 pageCards.forEach(card => {
                     const componentId = card.dataset.componentId;
                     // Add click listener to the card itself
                     card.addEventListener('click', (e) => {
-                        e.preventDefault(
-                        e.stopPropagation(
+                        e.preventDefault();
+                        e.stopPropagation();
                         
                         // Don't allow toggling if component is included in package
-                        const component = this.findComponentById(componentId
+                        const component = this.findComponentById(componentId);
                         if (component && this.isComponentIncluded(component.name)) {
-                            this.showNotification('This component is already included in your package!', 'info'
+                            this.showNotification(I18n.t('notifications.componentIncluded'), 'info');
                             return;
                         }
                         
-                        this.toggleComponent(componentId, card
-                    }
+                        this.toggleComponent(componentId, card);
+                    });
                     
                     // Also add click listeners to all child elements to ensure the entire card is clickable
                     card.querySelectorAll('*').forEach(child => {
                         child.addEventListener('click', (e) => {
-                            e.preventDefault(
-                            e.stopPropagation(
+                            e.preventDefault();
+                            e.stopPropagation();
                             // Don't allow toggling if component is included in package
-                            const component = this.findComponentById(componentId
+                            const component = this.findComponentById(componentId);
                             if (component && this.isComponentIncluded(component.name)) {
-                                this.showNotification('This component is already included in your package!', 'info'
+                                this.showNotification(I18n.t('notifications.componentIncluded'), 'info');
                                 return;
                             }
                             
-                            this.toggleComponent(componentId, card
-                        }
-                    }
-                }
+                            this.toggleComponent(componentId, card);
+                        });
+                    });
+                });
             }
         }
         
         // Render features
-        const featuresGrid = document.getElementById('featuresGrid'
+        const featuresGrid = document.getElementById('featuresGrid');
         if (featuresGrid) {
             if (!this.components.features || this.components.features.length === 0) {
-                featuresGrid.innerHTML = '<div class="no-components"><i data-lucide="settings"></i><p>No features components available</p></div>';
+                featuresGrid.innerHTML = `<div class="no-components"><i data-lucide="settings"></i><p>${I18n.t('empty.components', { group: 'features' })}</p></div>`;
             } else {
                 featuresGrid.innerHTML = this.components.features.map(component => {
-                    const isSelected = this.selectedComponents.has(component.id
-                    const isIncluded = this.isComponentIncluded(component.name
+                    const isSelected = this.selectedComponents.has(component.id);
+                    const isIncluded = this.isComponentIncluded(component.name);
                     const displayPrice = isIncluded ? 0 : component.price;
                     return `
                         <div class="component-card ${isSelected ? 'selected' : ''} ${isIncluded ? 'included-in-package' : ''}" data-component-id="${component.id}">
@@ -1855,64 +2104,64 @@ class QuoteSystem {
                     <h4>${component.name}</h4>
                     <p>${component.description}</p>
                 </div>
-                                <div class="component-price">$${displayPrice}</div>
+                                <div class="component-price">${this.formatPrice(displayPrice)}</div>
                             </div>
                             <div class="component-footer">
-                                ${isIncluded ? '<div class="included-badge"><i data-lucide="check"></i>Included</div>' : 
-                                  isSelected ? '<div class="selected-badge"><i data-lucide="check"></i>Selected</div>' : 
-                                  '<div class="not-selected-badge"><i data-lucide="plus"></i>Add Component</div>'}
+                                ${isIncluded ? `<div class="included-badge"><i data-lucide="check"></i>${I18n.t('badges.included')}</div>` : 
+                                  isSelected ? `<div class="selected-badge"><i data-lucide="check"></i>${I18n.t('badges.selected')}</div>` : 
+                                  `<div class="not-selected-badge"><i data-lucide="plus"></i>${I18n.t('badges.addComponent')}</div>`}
                             </div>
                         </div>
                     `;
-                }).join(''
+                }).join('');
             
             // Add click listeners for features
-                const featureCards = featuresGrid.querySelectorAll('.component-card'
+                const featureCards = featuresGrid.querySelectorAll('.component-card');
                 featureCards.forEach(card => {
                     const componentId = card.dataset.componentId;
                     // Add click listener to the card itself
                     card.addEventListener('click', (e) => {
-                        e.preventDefault(
-                        e.stopPropagation(
+                        e.preventDefault();
+                        e.stopPropagation();
                         
                         // Don't allow toggling if component is included in package
-                        const component = this.findComponentById(componentId
+                        const component = this.findComponentById(componentId);
                         if (component && this.isComponentIncluded(component.name)) {
-                            this.showNotification('This component is already included in your package!', 'info'
+                            this.showNotification(I18n.t('notifications.componentIncluded'), 'info');
                             return;
                         }
                         
-                        this.toggleComponent(componentId, card
-                    }
+                        this.toggleComponent(componentId, card);
+                    });
                     
                     // Also add click listeners to all child elements to ensure the entire card is clickable
                     card.querySelectorAll('*').forEach(child => {
                         child.addEventListener('click', (e) => {
-                            e.preventDefault(
-                            e.stopPropagation(
+                            e.preventDefault();
+                            e.stopPropagation();
                             // Don't allow toggling if component is included in package
-                            const component = this.findComponentById(componentId
+                            const component = this.findComponentById(componentId);
                             if (component && this.isComponentIncluded(component.name)) {
-                                this.showNotification('This component is already included in your package!', 'info'
+                                this.showNotification(I18n.t('notifications.componentIncluded'), 'info');
                                 return;
                             }
                             
-                            this.toggleComponent(componentId, card
-                        }
-                    }
-                }
+                            this.toggleComponent(componentId, card);
+                        });
+                    });
+                });
             }
         }
         
         // Render technical
-        const technicalGrid = document.getElementById('technicalGrid'
+        const technicalGrid = document.getElementById('technicalGrid');
         if (technicalGrid) {
             if (!this.components.technical || this.components.technical.length === 0) {
-                technicalGrid.innerHTML = '<div class="no-components"><i data-lucide="server"></i><p>No technical components available</p></div>';
+                technicalGrid.innerHTML = `<div class="no-components"><i data-lucide="server"></i><p>${I18n.t('empty.components', { group: 'technical' })}</p></div>`;
             } else {
                 technicalGrid.innerHTML = this.components.technical.map(component => {
-                    const isSelected = this.selectedComponents.has(component.id
-                    const isIncluded = this.isComponentIncluded(component.name
+                    const isSelected = this.selectedComponents.has(component.id);
+                    const isIncluded = this.isComponentIncluded(component.name);
                     const displayPrice = isIncluded ? 0 : component.price;
                     return `
                         <div class="component-card ${isSelected ? 'selected' : ''} ${isIncluded ? 'included-in-package' : ''}" data-component-id="${component.id}">
@@ -1924,57 +2173,57 @@ class QuoteSystem {
                     <h4>${component.name}</h4>
                     <p>${component.description}</p>
                 </div>
-                                <div class="component-price">$${displayPrice}</div>
+                                <div class="component-price">${this.formatPrice(displayPrice)}</div>
                             </div>
                             <div class="component-footer">
-                                ${isIncluded ? '<div class="included-badge"><i data-lucide="check"></i>Included</div>' : 
-                                  isSelected ? '<div class="selected-badge"><i data-lucide="check"></i>Selected</div>' : 
-                                  '<div class="not-selected-badge"><i data-lucide="plus"></i>Add Component</div>'}
+                                ${isIncluded ? `<div class="included-badge"><i data-lucide="check"></i>${I18n.t('badges.included')}</div>` : 
+                                  isSelected ? `<div class="selected-badge"><i data-lucide="check"></i>${I18n.t('badges.selected')}</div>` : 
+                                  `<div class="not-selected-badge"><i data-lucide="plus"></i>${I18n.t('badges.addComponent')}</div>`}
                             </div>
                         </div>
                     `;
-                }).join(''
+                }).join('');
             
             // Add click listeners for technical
-                const technicalCards = technicalGrid.querySelectorAll('.component-card'
+                const technicalCards = technicalGrid.querySelectorAll('.component-card');
                 technicalCards.forEach(card => {
                     const componentId = card.dataset.componentId;
                     // Add click listener to the card itself
                     card.addEventListener('click', (e) => {
-                        e.preventDefault(
-                        e.stopPropagation(
+                        e.preventDefault();
+                        e.stopPropagation();
                         
                         // Don't allow toggling if component is included in package
-                        const component = this.findComponentById(componentId
+                        const component = this.findComponentById(componentId);
                         if (component && this.isComponentIncluded(component.name)) {
-                            this.showNotification('This component is already included in your package!', 'info'
+                            this.showNotification(I18n.t('notifications.componentIncluded'), 'info');
                             return;
                         }
                         
-                        this.toggleComponent(componentId, card
-                    }
+                        this.toggleComponent(componentId, card);
+                    });
                     
                     // Also add click listeners to all child elements to ensure the entire card is clickable
                     card.querySelectorAll('*').forEach(child => {
                         child.addEventListener('click', (e) => {
-                            e.preventDefault(
-                            e.stopPropagation(
+                            e.preventDefault();
+                            e.stopPropagation();
                             // Don't allow toggling if component is included in package
-                            const component = this.findComponentById(componentId
+                            const component = this.findComponentById(componentId);
                             if (component && this.isComponentIncluded(component.name)) {
-                                this.showNotification('This component is already included in your package!', 'info'
+                                this.showNotification(I18n.t('notifications.componentIncluded'), 'info');
                                 return;
                             }
                             
-                            this.toggleComponent(componentId, card
-                        }
-                    }
-                }
+                            this.toggleComponent(componentId, card);
+                        });
+                    });
+                });
             }
         }
         
         // Initialize Lucide icons
-        lucide.createIcons(
+        lucide.createIcons();
     }
     
     updateComponentTabCounts() {
@@ -1982,9 +2231,9 @@ class QuoteSystem {
         const featuresCount = this.components?.features?.length || 0;
         const technicalCount = this.components?.technical?.length || 0;
         
-        const pagesCountEl = document.getElementById('pages-count'
-        const featuresCountEl = document.getElementById('features-count'
-        const technicalCountEl = document.getElementById('technical-count'
+        const pagesCountEl = document.getElementById('pages-count');
+        const featuresCountEl = document.getElementById('features-count');
+        const technicalCountEl = document.getElementById('technical-count');
         
         if (pagesCountEl) pagesCountEl.textContent = pagesCount;
         if (featuresCountEl) featuresCountEl.textContent = featuresCount;
@@ -1993,58 +2242,49 @@ class QuoteSystem {
     
     selectPackage(packageId) {
         // For single package system, package is already selected
-        this.selectedPackage = packageId;
+        const actions = [this.actions.selectPackage(packageId)];
         
         // Auto-select Standard Emergency Service when package is selected
-        const standardEmergency = this.emergencyServices.find(s => s.id === 'standard-emergency'
+        const standardEmergency = this.emergencyServices.find(s => s.id === 'standard-emergency');
         if (standardEmergency && this.isComponentIncluded(standardEmergency.name)) {
-            this.selectedEmergency = 'standard-emergency';
-            }
+            actions.push(this.actions.selectEmergencyService('standard-emergency'));
+        }
         
         // Auto-select Primary Service Zone when package is selected
-        const primaryZone = this.serviceAreas.find(s => s.id === 'primary-zone'
+        const primaryZone = this.serviceAreas.find(s => s.id === 'primary-zone');
         if (primaryZone && this.isComponentIncluded(primaryZone.name)) {
-            this.selectedServiceArea = 'primary-zone';
-            }
+            actions.push(this.actions.selectServiceArea('primary-zone'));
+        }
         
-        this.saveToLocalStorage( // Save to localStorage
+        // One undo step for the package and what comes with it
+        this.store.batchDispatch(actions);
         
-        // Update all sections based on package selection
-        this.virtualRenderer.queueRender(() => this.renderEmergencyServices(), 'normal'
-        this.virtualRenderer.queueRender(() => this.renderServiceAreas(), 'normal'
-        this.virtualRenderer.queueRender(() => this.renderFeatures(), 'normal'
-        this.virtualRenderer.queueRender(() => this.renderHvacFeatures(), 'normal'
-        this.virtualRenderer.queueRender(() => this.renderApplianceFeatures(), 'normal'
-        this.updateSummary(
-        this.updateGenerateButton(
+        // Update the sections the store change doesn't cover
+        this.virtualRenderer.queueRender(() => this.renderFeatures(), 'normal');
+        this.virtualRenderer.queueRender(() => this.renderHvacFeatures(), 'normal');
+        this.virtualRenderer.queueRender(() => this.renderApplianceFeatures(), 'normal');
         
 
         
         // Show success notification
         const packageName = this.packages.find(p => p.id === packageId)?.name || 'Package';
-        this.showNotification(`${packageName} is ready! Add extra features to customize your website.`, 'success'
+        this.showNotification(I18n.t('notifications.packageReady', { name: packageName }), 'success');
     }
     
     selectEmergencyService(card) {
         const emergencyId = card.dataset.emergencyId;
         // Toggle selection - if already selected, deselect it
         if (this.selectedEmergency === emergencyId) {
-            this.selectedEmergency = null;
-            } else {
-        this.selectedEmergency = emergencyId;
-            }
-        
-        // Re-render to update the UI
-        this.virtualRenderer.queueRender(() => this.renderEmergencyServices(), 'normal'
-        this.saveToLocalStorage( // Save to localStorage
-        this.updateSummary(
-        this.updateGenerateButton(
+            this.store.dispatch(this.actions.deselectEmergencyService());
+        } else {
+            this.store.dispatch(this.actions.selectEmergencyService(emergencyId));
+        }
         
         // Show user feedback
-        const service = this.emergencyServices.find(s => s.id === emergencyId
+        const service = this.emergencyServices.find(s => s.id === emergencyId);
         if (service) {
-            const action = this.selectedEmergency === emergencyId ? 'added' : 'removed';
-            this.showNotification(`${service.name} ${action} to your quote`, 'success'
+            const message = this.selectedEmergency === emergencyId ? 'notifications.itemAdded' : 'notifications.itemRemoved';
+            this.showNotification(I18n.t(message, { name: service.name }), 'success');
         }
     }
     
@@ -2053,29 +2293,23 @@ class QuoteSystem {
         
         // Toggle selection - if already selected, deselect it
         if (this.selectedServiceArea === areaId) {
-            this.selectedServiceArea = null;
-            } else {
-        this.selectedServiceArea = areaId;
-            }
-        
-        // Re-render to update the UI
-        this.virtualRenderer.queueRender(() => this.renderServiceAreas(), 'normal'
-        this.saveToLocalStorage( // Save to localStorage
-        this.updateSummary(
-        this.updateGenerateButton(
+            this.store.dispatch(this.actions.deselectServiceArea());
+        } else {
+            this.store.dispatch(this.actions.selectServiceArea(areaId));
+        }
         
         // Show user feedback
-        const area = this.serviceAreas.find(a => a.id === areaId
+        const area = this.serviceAreas.find(a => a.id === areaId);
         if (area) {
-            const action = this.selectedServiceArea === areaId ? 'added' : 'removed';
-            this.showNotification(`${area.name} ${action} to your quote`, 'success'
+            const message = this.selectedServiceArea === areaId ? 'notifications.itemAdded' : 'notifications.itemRemoved';
+            this.showNotification(I18n.t(message, { name: area.name }), 'success');
         }
     }
     
     toggleFeature(featureId, card = null) {
         // If no card provided, try to find it
         if (!card) {
-            card = document.querySelector(`[data-feature-id="${featureId}"]`
+            card = document.querySelector(`[data-feature-id="${featureId}"]`);
         }
         if (!card) return;
         
@@ -2085,26 +2319,19 @@ class QuoteSystem {
         }
 
         
-        if (this.selectedAdditionalFeatures.has(featureId)) {
-            this.selectedAdditionalFeatures.delete(featureId
-            } else {
-            this.selectedAdditionalFeatures.add(featureId
-            }
+        this.store.dispatch(this.actions.toggleFeature(featureId));
         
         // Update visual state immediately
-        this.updateFeatureVisualState(card, featureId
+        this.updateFeatureVisualState(card, featureId);
         
         // Re-render to update the UI
-        this.virtualRenderer.queueRender(() => this.renderFeatures(), 'normal'
-        this.saveToLocalStorage( // Save to localStorage
-        this.updateSummary(
-        this.updateGenerateButton(
+        this.virtualRenderer.queueRender(() => this.renderFeatures(), 'normal');
         
         // Show user feedback
-        const feature = this.findFeatureById(featureId
+        const feature = this.findFeatureById(featureId);
         if (feature) {
-            const action = this.selectedAdditionalFeatures.has(featureId) ? 'added' : 'removed';
-            this.showNotification(`${feature.name} ${action} to your quote`, 'success'
+            const message = this.selectedAdditionalFeatures.has(featureId) ? 'notifications.itemAdded' : 'notifications.itemRemoved';
+            this.showNotification(I18n.t(message, { name: feature.name }), 'success');
         }
     }
     
@@ -2113,7 +2340,7 @@ class QuoteSystem {
         if (!featureId) return;
         
         // Get the current feature
-        const feature = this.hvacFeatures?.find(f => f.id === featureId
+        const feature = this.hvacFeatures?.find(f => f.id === featureId);
         if (!feature) return;
 
         
@@ -2121,69 +2348,69 @@ class QuoteSystem {
         if (featureId === 'hvac-brand-support' || featureId === 'commercial-hvac-support') {
             if (this.selectedHvacFeatures.has(featureId)) {
                 // If already selected, deselect it
-                this.selectedHvacFeatures.delete(featureId
+                this.selectedHvacFeatures.delete(featureId);
                 } else {
                 // If selecting one, deselect the other
                 if (featureId === 'hvac-brand-support') {
-                    this.selectedHvacFeatures.delete('commercial-hvac-support'
+                    this.selectedHvacFeatures.delete('commercial-hvac-support');
                 } else {
-                    this.selectedHvacFeatures.delete('hvac-brand-support'
+                    this.selectedHvacFeatures.delete('hvac-brand-support');
                 }
                 
                 // Add selection to clicked card
-                this.selectedHvacFeatures.add(featureId
+                this.selectedHvacFeatures.add(featureId);
                 }
         } else {
             // Regular multi-selection behavior for other features
         if (this.selectedHvacFeatures.has(featureId)) {
             // If already selected, deselect it
-            this.selectedHvacFeatures.delete(featureId
+            this.selectedHvacFeatures.delete(featureId);
                 } else {
             // Add selection to clicked card
-            this.selectedHvacFeatures.add(featureId
+            this.selectedHvacFeatures.add(featureId);
                 }
         }
         
         // Update visual state immediately
-        this.updateHvacFeatureVisualState(card, featureId, feature
+        this.updateHvacFeatureVisualState(card, featureId, feature);
         
         // Re-render to update the UI
-        this.virtualRenderer.queueRender(() => this.renderHvacFeatures(), 'normal'
-        this.saveToLocalStorage( // Save to localStorage
-        this.updateSummary(
-        this.updateGenerateButton(
+        this.virtualRenderer.queueRender(() => this.renderHvacFeatures(), 'normal');
+        this.saveToLocalStorage(); // Save to localStorage
+        this.updateSummary();
+        this.updateGenerateButton();
         
         // Show user feedback
-        const action = this.selectedHvacFeatures.has(featureId) ? 'added' : 'removed';
-        this.showNotification(`${feature.name} ${action} to your quote`, 'success'
+        const message = this.selectedHvacFeatures.has(featureId) ? 'notifications.itemAdded' : 'notifications.itemRemoved';
+        this.showNotification(I18n.t(message, { name: feature.name }), 'success');
     }
     
     updateHvacFeatureVisualState(card, featureId, feature) {
-        const isSelected = this.selectedHvacFeatures.has(featureId
+        const isSelected = this.selectedHvacFeatures.has(featureId);
         const isDefault = featureId === 'hvac-brand-support';
         const isDefaultSelected = isDefault && isSelected;
         
         // Update card classes
         if (isSelected) {
-            card.classList.add('selected'
-            card.classList.remove('not-selected'
+            card.classList.add('selected');
+            card.classList.remove('not-selected');
         } else {
-            card.classList.remove('selected'
-            card.classList.add('not-selected'
+            card.classList.remove('selected');
+            card.classList.add('not-selected');
         }
         
         // Update badges
-        const existingBadges = card.querySelectorAll('.included-badge, .selected-badge, .default-badge, .not-selected-badge'
-        existingBadges.forEach(badge => badge.remove()
+        const existingBadges = card.querySelectorAll('.included-badge, .selected-badge, .default-badge, .not-selected-badge');
+        existingBadges.forEach(badge => badge.remove());
         
         if (isDefaultSelected) {
-            card.insertAdjacentHTML('beforeend', '<div class="included-badge">Included</div>'
+            card.insertAdjacentHTML('beforeend', `<div class="included-badge">${I18n.t('badges.included')}</div>`);
         } else if (isSelected && !isDefault) {
-            card.insertAdjacentHTML('beforeend', '<div class="selected-badge">Selected</div>'
+            card.insertAdjacentHTML('beforeend', `<div class="selected-badge">${I18n.t('badges.selected')}</div>`);
         } else if (isDefault && !isSelected) {
-            card.insertAdjacentHTML('beforeend', '<div class="default-badge">Default</div>'
+            card.insertAdjacentHTML('beforeend', `<div class="default-badge">${I18n.t('badges.default')}</div>`);
         } else if (!isDefault && !isSelected) {
-            card.insertAdjacentHTML('beforeend', '<div class="not-selected-badge">Not Selected</div>'
+            card.insertAdjacentHTML('beforeend', `<div class="not-selected-badge">${I18n.t('badges.notSelected')}</div>`);
         }
     }
     
@@ -2192,7 +2419,7 @@ class QuoteSystem {
         if (!featureId) return;
         
         // Get the current feature
-        const feature = this.applianceFeatures?.find(f => f.id === featureId
+        const feature = this.applianceFeatures?.find(f => f.id === featureId);
         if (!feature) return;
 
         
@@ -2200,69 +2427,69 @@ class QuoteSystem {
         if (featureId === 'appliance-brand-support' || featureId === 'commercial-appliance-support') {
             if (this.selectedApplianceFeatures.has(featureId)) {
                 // If already selected, deselect it
-                this.selectedApplianceFeatures.delete(featureId
+                this.selectedApplianceFeatures.delete(featureId);
                 } else {
                 // If selecting one, deselect the other
                 if (featureId === 'appliance-brand-support') {
-                    this.selectedApplianceFeatures.delete('commercial-appliance-support'
+                    this.selectedApplianceFeatures.delete('commercial-appliance-support');
                 } else {
-                    this.selectedApplianceFeatures.delete('appliance-brand-support'
+                    this.selectedApplianceFeatures.delete('appliance-brand-support');
                 }
                 
                 // Add selection to clicked card
-                this.selectedApplianceFeatures.add(featureId
+                this.selectedApplianceFeatures.add(featureId);
                 }
         } else {
             // Regular multi-selection behavior for other features
         if (this.selectedApplianceFeatures.has(featureId)) {
             // If already selected, deselect it
-            this.selectedApplianceFeatures.delete(featureId
+            this.selectedApplianceFeatures.delete(featureId);
                 } else {
             // Add selection to clicked card
-            this.selectedApplianceFeatures.add(featureId
+            this.selectedApplianceFeatures.add(featureId);
                 }
         }
         
         // Update visual state immediately
-        this.updateApplianceFeatureVisualState(card, featureId, feature
+        this.updateApplianceFeatureVisualState(card, featureId, feature);
         
         // Re-render to update the UI
-        this.virtualRenderer.queueRender(() => this.renderApplianceFeatures(), 'normal'
-        this.saveToLocalStorage( // Save to localStorage
-        this.updateSummary(
-        this.updateGenerateButton(
+        this.virtualRenderer.queueRender(() => this.renderApplianceFeatures(), 'normal');
+        this.saveToLocalStorage(); // Save to localStorage
+        this.updateSummary();
+        this.updateGenerateButton();
         
         // Show user feedback
-        const action = this.selectedApplianceFeatures.has(featureId) ? 'added' : 'removed';
-        this.showNotification(`${feature.name} ${action} to your quote`, 'success'
+        const message = this.selectedApplianceFeatures.has(featureId) ? 'notifications.itemAdded' : 'notifications.itemRemoved';
+        this.showNotification(I18n.t(message, { name: feature.name }), 'success');
     }
     
     updateApplianceFeatureVisualState(card, featureId, feature) {
-        const isSelected = this.selectedApplianceFeatures.has(featureId
+        const isSelected = this.selectedApplianceFeatures.has(featureId);
         const isDefault = featureId === 'appliance-brand-support';
         const isDefaultSelected = isDefault && isSelected;
         
         // Update card classes
         if (isSelected) {
-            card.classList.add('selected'
-            card.classList.remove('not-selected'
+            card.classList.add('selected');
+            card.classList.remove('not-selected');
         } else {
-            card.classList.remove('selected'
-            card.classList.add('not-selected'
+            card.classList.remove('selected');
+            card.classList.add('not-selected');
         }
         
         // Update badges
-        const existingBadges = card.querySelectorAll('.included-badge, .selected-badge, .default-badge, .not-selected-badge'
-        existingBadges.forEach(badge => badge.remove()
+        const existingBadges = card.querySelectorAll('.included-badge, .selected-badge, .default-badge, .not-selected-badge');
+        existingBadges.forEach(badge => badge.remove());
         
         if (isDefaultSelected) {
-            card.insertAdjacentHTML('beforeend', '<div class="included-badge">Included</div>'
+            card.insertAdjacentHTML('beforeend', `<div class="included-badge">${I18n.t('badges.included')}</div>`);
         } else if (isSelected && !isDefault) {
-            card.insertAdjacentHTML('beforeend', '<div class="selected-badge">Selected</div>'
+            card.insertAdjacentHTML('beforeend', `<div class="selected-badge">${I18n.t('badges.selected')}</div>`);
         } else if (isDefault && !isSelected) {
-            card.insertAdjacentHTML('beforeend', '<div class="default-badge">Default</div>'
+            card.insertAdjacentHTML('beforeend', `<div class="default-badge">${I18n.t('badges.default')}</div>`);
         } else if (!isDefault && !isSelected) {
-            card.insertAdjacentHTML('beforeend', '<div class="not-selected-badge">Not Selected</div>'
+            card.insertAdjacentHTML('beforeend', `<div class="not-selected-badge">${I18n.t('badges.notSelected')}</div>`);
         }
     }
     
@@ -2274,25 +2501,25 @@ class QuoteSystem {
 
         
         if (this.selectedContactFeatures.has(featureId)) {
-            this.selectedContactFeatures.delete(featureId
-            card.classList.remove('selected'
+            this.selectedContactFeatures.delete(featureId);
+            card.classList.remove('selected');
             } else {
-            this.selectedContactFeatures.add(featureId
-            card.classList.add('selected'
+            this.selectedContactFeatures.add(featureId);
+            card.classList.add('selected');
             }
 
         
         // Re-render to update the UI
-        this.virtualRenderer.queueRender(() => this.renderContactFeatures(), 'normal'
-        this.saveToLocalStorage( // Save to localStorage
-        this.updateSummary(
-        this.updateGenerateButton(
+        this.virtualRenderer.queueRender(() => this.renderContactFeatures(), 'normal');
+        this.saveToLocalStorage(); // Save to localStorage
+        this.updateSummary();
+        this.updateGenerateButton();
     }
     
     toggleAddon(addonId, card = null) {
         // If no card provided, try to find it
         if (!card) {
-            card = document.querySelector(`[data-addon-id="${addonId}"]`
+            card = document.querySelector(`[data-addon-id="${addonId}"]`);
         }
         if (!card) {
             return;
@@ -2300,76 +2527,76 @@ class QuoteSystem {
 
         
         if (this.selectedAddons.has(addonId)) {
-            this.selectedAddons.delete(addonId
-            card.classList.remove('selected'
+            this.selectedAddons.delete(addonId);
+            card.classList.remove('selected');
             } else {
-            this.selectedAddons.add(addonId
-            card.classList.add('selected'
+            this.selectedAddons.add(addonId);
+            card.classList.add('selected');
             }
 
         
         // Re-render to update the UI
-        this.virtualRenderer.queueRender(() => this.renderAddons(), 'normal'
-        this.saveToLocalStorage( // Save to localStorage
-        this.updateSummary(
-        this.updateGenerateButton(
+        this.virtualRenderer.queueRender(() => this.renderAddons(), 'normal');
+        this.saveToLocalStorage(); // Save to localStorage
+        this.updateSummary();
+        this.updateGenerateButton();
     }
     
     toggleComponent(componentId, card = null) {
         // If no card provided, try to find it
         if (!card) {
-            card = document.querySelector(`[data-component-id="${componentId}"]`
+            card = document.querySelector(`[data-component-id="${componentId}"]`);
         }
         if (!card) {
             return;
         }
         
         // Check if component is included in package
-        const component = this.findComponentById(componentId
+        const component = this.findComponentById(componentId);
         if (component && this.isComponentIncluded(component.name)) {
-            this.showNotification('This component is already included in your package!', 'info'
+            this.showNotification(I18n.t('notifications.componentIncluded'), 'info');
             return;
         }
 
         
         if (this.selectedComponents.has(componentId)) {
-            this.selectedComponents.delete(componentId
+            this.selectedComponents.delete(componentId);
             } else {
-            this.selectedComponents.add(componentId
+            this.selectedComponents.add(componentId);
             }
 
         
         // Update the card's visual state immediately
         if (this.selectedComponents.has(componentId)) {
-            card.classList.add('selected'
-            card.classList.remove('not-selected'
+            card.classList.add('selected');
+            card.classList.remove('not-selected');
         } else {
-            card.classList.remove('selected'
-            card.classList.add('not-selected'
+            card.classList.remove('selected');
+            card.classList.add('not-selected');
         }
         
         // Update the badge text
-        const badge = card.querySelector('.selected-badge, .not-selected-badge'
+        const badge = card.querySelector('.selected-badge, .not-selected-badge');
         if (badge) {
             if (this.selectedComponents.has(componentId)) {
-                badge.textContent = 'Selected';
+                badge.textContent = I18n.t('badges.selected');
                 badge.className = 'selected-badge';
             } else {
-                badge.textContent = 'Not Selected';
+                badge.textContent = I18n.t('badges.notSelected');
                 badge.className = 'not-selected-badge';
             }
         }
         
         // Re-render to update the UI
-        this.virtualRenderer.queueRender(() => this.renderComponents(), 'normal'
-        this.saveToLocalStorage( // Save to localStorage
-        this.updateSummary(
-        this.updateGenerateButton(
+        this.virtualRenderer.queueRender(() => this.renderComponents(), 'normal');
+        this.saveToLocalStorage(); // Save to localStorage
+        this.updateSummary();
+        this.updateGenerateButton();
         
         // Show feedback to user
         if (component) {
-            const action = this.selectedComponents.has(componentId) ? 'added' : 'removed';
-            this.showNotification(`${component.name} ${action} to your quote`, 'success'
+            const message = this.selectedComponents.has(componentId) ? 'notifications.itemAdded' : 'notifications.itemRemoved';
+            this.showNotification(I18n.t(message, { name: component.name }), 'success');
         }
     }
     
@@ -2377,7 +2604,7 @@ class QuoteSystem {
         // Search through all feature categories
         if (this.features && typeof this.features === 'object') {
             for (const categoryFeatures of Object.values(this.features)) {
-                const feature = categoryFeatures.find(f => f.id === featureId
+                const feature = categoryFeatures.find(f => f.id === featureId);
                 if (feature) {
                     return feature;
                 }
@@ -2387,35 +2614,35 @@ class QuoteSystem {
     }
     
     updateFeatureVisualState(card, featureId) {
-        const isSelected = this.selectedAdditionalFeatures.has(featureId
-        const isIncluded = card.classList.contains('included-in-package'
+        const isSelected = this.selectedAdditionalFeatures.has(featureId);
+        const isIncluded = card.classList.contains('included-in-package');
         
         // Update card classes
         if (isSelected) {
-            card.classList.add('selected'
-            card.classList.remove('not-selected'
+            card.classList.add('selected');
+            card.classList.remove('not-selected');
         } else {
-            card.classList.remove('selected'
-            card.classList.add('not-selected'
+            card.classList.remove('selected');
+            card.classList.add('not-selected');
         }
         
         // Update badges
-        const existingBadges = card.querySelectorAll('.included-badge, .selected-badge, .not-selected-badge'
-        existingBadges.forEach(badge => badge.remove()
+        const existingBadges = card.querySelectorAll('.included-badge, .selected-badge, .not-selected-badge');
+        existingBadges.forEach(badge => badge.remove());
         
         if (isIncluded) {
-            card.insertAdjacentHTML('beforeend', '<div class="included-badge">Included</div>'
+            card.insertAdjacentHTML('beforeend', `<div class="included-badge">${I18n.t('badges.included')}</div>`);
         } else if (isSelected) {
-            card.insertAdjacentHTML('beforeend', '<div class="selected-badge">Selected</div>'
+            card.insertAdjacentHTML('beforeend', `<div class="selected-badge">${I18n.t('badges.selected')}</div>`);
         } else {
-            card.insertAdjacentHTML('beforeend', '<div class="not-selected-badge">Not Selected</div>'
+            card.insertAdjacentHTML('beforeend', `<div class="not-selected-badge">${I18n.t('badges.notSelected')}</div>`);
         }
     }
     
     findComponentById(componentId) {
         // Search through all component categories
         for (const category of Object.values(this.components)) {
-            const component = category.find(c => c.id === componentId
+            const component = category.find(c => c.id === componentId);
             if (component) {
                 return component;
             }
@@ -2426,21 +2653,21 @@ class QuoteSystem {
     isComponentIncluded(componentName) {
         if (!this.selectedPackage) return false;
         
-        const selectedPackage = this.packages.find(p => p.id === this.selectedPackage
+        const selectedPackage = this.packages.find(p => p.id === this.selectedPackage);
         if (!selectedPackage) return false;
         
         // Check for includedFeatures first (new structure), then fallback to includedComponents
         const includedFeatures = selectedPackage.includedFeatures || selectedPackage.includedComponents || [];
         
         // Check if the component name exactly matches any included feature
-        const isIncluded = includedFeatures.includes(componentName
+        const isIncluded = includedFeatures.includes(componentName);
         return isIncluded;
     }
     
     getPackageIncludedFeatures() {
         if (!this.selectedPackage) return [];
         
-        const selectedPackage = this.packages.find(p => p.id === this.selectedPackage
+        const selectedPackage = this.packages.find(p => p.id === this.selectedPackage);
         if (!selectedPackage) return [];
         
         // Map package feature names to feature IDs
@@ -2465,111 +2692,488 @@ class QuoteSystem {
             'Backup System': 'backup-system'
         };
         
-        return selectedPackage.features.map(featureName => featureMap[featureName]).filter(Boolean
+        return selectedPackage.features.map(featureName => featureMap[featureName]).filter(Boolean);
     }
     
-    calculateTotalPrice() {
-        let totalPrice = 0;
+    // Selection sent to the server pricing engine
+    getCurrency() {
+        return Money.findCurrency(this.currencies, this.currency) || Money.findCurrency([], Money.BASE_CURRENCY);
+    }
+    
+    // Catalog prices are in the base currency
+    convertPrice(price) {
+        return Money.convert(price, this.getCurrency());
+    }
+    
+    // Format an amount already in the selected currency (totals, discounts)
+    formatMoney(amount) {
+        return Money.format(amount, this.currency, I18n.intlLocale(this.locale));
+    }
+    
+    // Convert and format a catalog price
+    formatPrice(price) {
+        return this.formatMoney(this.convertPrice(price));
+    }
+    
+    /**
+     * Switch the display currency. Prices are re-rendered right away and
+     * the server is asked for the quote in the new currency.
+     * @param {string} code - currency id from the catalog, e.g. "EUR"
+     * @param {Object} [options]
+     * @param {boolean} [options.pinned=false] - chosen by the customer, so the country selector won't change it
+     */
+    setCurrency(code, { pinned = false } = {}) {
+        if (!Money.findCurrency(this.currencies, code)) return;
         
-        // Base package price (always $1200)
-        if (this.selectedPackage) {
-            totalPrice = 1200; // Base price for all packages
-        } else if (this.packages && this.packages.length > 0) {
-            // If no package is selected but packages are available, set default price
-            totalPrice = 1200;
+        if (pinned) {
+            this.currencyPinned = true;
         }
-        
-        // Additional features price
-        this.selectedAdditionalFeatures.forEach(featureId => {
-            const feature = this.additionalFeatures.find(f => f.id === featureId
-            if (feature) {
-                totalPrice += feature.price;
-            }
+        if (code === this.currency) {
+            this.saveToLocalStorage();
+            return;
         }
         
-        // Addon services price
-        this.selectedAddonServices.forEach(serviceId => {
-            const service = this.addonServices.find(s => s.id === serviceId
-            if (service) {
-                totalPrice += service.price;
-            }
-        }
+        this.currency = code;
+        // Fixed-amount discounts were worked out in the old currency
+        this.serverPricing = null;
+        this.pendingPricingKey = null;
+        this.saveToLocalStorage();
         
-        return totalPrice;
+        this.renderCurrencyPicker();
+        this.refreshPrices();
+        this.updateSummary();
     }
     
-    updateSummary() {
-        let totalPrice = 0;
-        let totalFeatures = 0;
+    // Country codes are ISO 3166 alpha-2, as used for the flags
+    setCurrencyForCountry(country) {
+        if (this.currencyPinned) return;
+        this.setCurrency(Money.currencyForCountry(this.currencies, country).id);
+    }
+    
+    renderCurrencyPicker() {
+        const container = document.getElementById('summaryCurrency');
+        const select = document.getElementById('currencySelect');
+        if (!container || !select) return;
         
-        // Base package price (always $1200)
-        if (this.selectedPackage && this.packages && Array.isArray(this.packages)) {
-            totalPrice = 1200; // Base price for all packages
-            const selectedPackage = this.packages.find(p => p.id === this.selectedPackage
-            if (selectedPackage) {
-                const includedFeatures = selectedPackage.includedFeatures || [];
-                totalFeatures += includedFeatures.length;
-            }
-        } else if (this.packages && Array.isArray(this.packages) && this.packages.length > 0) {
-            // If no package is selected but packages are available, set default price
-            totalPrice = 1200;
-            const defaultPackage = this.packages[0];
-            if (defaultPackage && defaultPackage.includedFeatures) {
-                totalFeatures += defaultPackage.includedFeatures.length;
-            }
-            } else {
-            // Fallback: set default values
-            totalPrice = 1200;
-            totalFeatures = 12; // Default included features count
-            }
-            
-        // Additional features price
-        if (this.selectedAdditionalFeatures && this.additionalFeatures && Array.isArray(this.additionalFeatures)) {
-            this.selectedAdditionalFeatures.forEach(featureId => {
-                const feature = this.additionalFeatures.find(f => f.id === featureId
-            if (feature) {
-                totalPrice += feature.price;
-                totalFeatures++;
-            }
+        const currencies = this.currencies.length > 0 ? this.currencies : [this.getCurrency()];
+        select.innerHTML = '';
+        currencies.forEach(currency => {
+            const option = document.createElement('option');
+            option.value = currency.id;
+            option.textContent = `${currency.id} - ${currency.name}`;
+            select.appendChild(option);
+        });
+        select.value = this.currency;
+        
+        // Nothing to choose from with a single currency
+        container.hidden = currencies.length < 2;
+    }
+    
+    // ?lang=es in the address, then the customer's earlier choice, then the browser languages
+    detectLanguage() {
+        const requested = new URLSearchParams(window.location.search).get('lang');
+        if (I18n.isSupported(requested)) {
+            return requested;
         }
+        const saved = localStorage.getItem('hvacQuoteLocale');
+        if (I18n.isSupported(saved)) {
+            return saved;
         }
-        
-        // Addon services price
-        if (this.selectedAddonServices && this.addonServices && Array.isArray(this.addonServices)) {
-            this.selectedAddonServices.forEach(serviceId => {
-                const service = this.addonServices.find(s => s.id === serviceId
-                if (service) {
-                    totalPrice += service.price;
-                }
-            }
+        return I18n.detectLocale(navigator.languages || [navigator.language]);
+    }
+    
+    // Messages for the page language; the English markup stays if they can't be fetched
+    async loadMessages() {
+        try {
+            await I18n.load(this.locale);
+            I18n.translatePage(document);
+        } catch (error) {
+            this.locale = I18n.setLocale(I18n.DEFAULT_LOCALE);
         }
+        this.renderLanguagePicker();
+    }
+    
+    /**
+     * Switch the page language. Static text is translated in place and the
+     * catalog is fetched again so item names and descriptions follow; the
+     * server prices the quote in the new language too.
+     * @param {string} locale - "en", "es" or "fr"
+     */
+    async setLanguage(locale) {
+        if (!I18n.isSupported(locale) || locale === this.locale) return;
         
-        this.totalPrice = totalPrice;
-        
-        // Save the current state immediately after calculating
-        this.saveToLocalStorage(
-        
-        // Update UI - only update elements that exist
-        const summaryTotalElement = document.getElementById('summaryTotal'
-        if (summaryTotalElement) {
-            summaryTotalElement.textContent = `$${totalPrice.toLocaleString()}`;
+        try {
+            await I18n.load(locale);
+        } catch (error) {
+            this.renderLanguagePicker();
+            this.showNotification(I18n.t('notifications.loadFailed', { error: error.message }), 'error');
+            return;
+        }
+        
+        this.locale = I18n.setLocale(locale);
+        localStorage.setItem('hvacQuoteLocale', locale);
+        I18n.translatePage(document);
+        this.renderLanguagePicker();
+        
+        await this.loadData();
+        this.restoreUIState();
+        document.dispatchEvent(new CustomEvent('quote:languagechange', { detail: { locale } }));
+    }
+    
+    renderLanguagePicker() {
+        const select = document.getElementById('languageSelect');
+        if (select) {
+            select.value = this.locale;
+        }
+    }
+    
+    // Re-render everything that shows a catalog price
+    refreshPrices() {
+        const pkg = this.packages && this.packages[0];
+        if (pkg) {
+            const originalPrice = document.querySelector('.package-original-price');
+            const currentPrice = document.querySelector('.package-current-price');
+            const savingsBadge = document.querySelector('.package-savings-badge');
+            if (currentPrice) {
+                currentPrice.textContent = this.formatPrice(pkg.price);
+            }
+            if (originalPrice && pkg.originalPrice) {
+                originalPrice.textContent = this.formatPrice(pkg.originalPrice);
+            }
+            if (savingsBadge && pkg.originalPrice) {
+                savingsBadge.textContent = I18n.t('page.package.save', { amount: this.formatPrice(pkg.originalPrice - pkg.price) });
+            }
+        }
+        
+        this.virtualRenderer.queueRender(() => this.renderAdditionalFeatures(), 'normal');
+        this.virtualRenderer.queueRender(() => this.renderAddonServices(), 'normal');
+        this.virtualRenderer.queueRender(() => this.renderEmergencyServices(), 'normal');
+        this.virtualRenderer.queueRender(() => this.renderServiceAreas(), 'normal');
+    }
+    
+    /**
+     * Update where the customer is. The server prices the quote with the
+     * taxes for that country and region.
+     * @param {Object} changes - { country: "us", region: "TX" }, either may be left out
+     */
+    setTaxLocation(changes) {
+        const taxLocation = { ...this.taxLocation, ...changes };
+        if (taxLocation.country !== this.taxLocation.country || taxLocation.region !== this.taxLocation.region) {
+            this.taxLocation = taxLocation;
+            this.updateSummary();
+        }
+    }
+    
+    getSelectionPayload() {
+        const payload = {
+            selectedPackage: this.selectedPackage,
+            selectedAdditionalFeatures: Array.from(this.selectedAdditionalFeatures),
+            selectedAddonServices: Array.from(this.selectedAddonServices),
+            currency: this.currency,
+            locale: this.locale
+        };
+        if (this.selectedEmergency) {
+            payload.selectedEmergency = this.selectedEmergency;
+        }
+        if (this.selectedServiceArea) {
+            payload.selectedServiceArea = this.selectedServiceArea;
+        }
+        if (this.discount) {
+            payload.discountCode = this.discount.code;
+        }
+        if (this.taxLocation.country) {
+            payload.country = this.taxLocation.country;
+            if (this.taxLocation.region) {
+                payload.region = this.taxLocation.region;
+            }
+        }
+        return payload;
+    }
+    
+    // Server pricing is only valid for the selection it was computed for
+    hasCurrentServerPricing() {
+        return Boolean(this.serverPricing) &&
+            this.serverPricing.selectionKey === JSON.stringify(this.getSelectionPayload());
+    }
+    
+    // Fetch the authoritative price from POST /api/quote/price (debounced)
+    requestServerPricing() {
+        if (!this.selectedPackage) return;
+        
+        const selectionKey = JSON.stringify(this.getSelectionPayload());
+        if (this.pendingPricingKey === selectionKey) return;
+        this.pendingPricingKey = selectionKey;
+        
+        clearTimeout(this.pricingTimer);
+        this.pricingTimer = setTimeout(() => this.fetchServerPricing(selectionKey), 250);
+    }
+    
+    /**
+     * Price the current selection now, e.g. right before submitting.
+     * Resolves once the summary shows the server's total, or the request failed.
+     */
+    async fetchServerPricing(selectionKey = JSON.stringify(this.getSelectionPayload())) {
+        clearTimeout(this.pricingTimer);
+        this.pendingPricingKey = selectionKey;
+        try {
+            const response = await fetch('/api/quote/price', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: selectionKey
+            });
+            if (response.status === 422 && this.discount) {
+                // The promo code no longer applies to this selection
+                const result = await response.json().catch(() => ({}));
+                this.pendingPricingKey = null;
+                this.store.dispatch(this.actions.removeDiscount());
+                this.showNotification(I18n.t('notifications.promoRemoved', { reason: result.error || I18n.t('notifications.promoNoLongerApplies') }), 'warning');
+                return;
+            }
+            if (!response.ok) {
+                throw new Error(`Failed to price quote: ${response.status}`);
+            }
+            const pricing = await response.json();
+            
+            // Ignore responses for a selection that has since changed
+            if (selectionKey === JSON.stringify(this.getSelectionPayload())) {
+                this.serverPricing = { ...pricing, selectionKey };
+                this.updateSummary();
+            }
+        } catch (error) {
+            // Keep showing the local estimate; a later change will retry
+            this.pendingPricingKey = null;
+        }
+    }
+    
+    // Validate a promo code against the current selection and apply it
+    async applyPromoCode(code) {
+        const trimmedCode = code.trim().toUpperCase();
+        this.clearFieldError('promoCodeInput');
+        if (!/^[A-Z0-9\-_]{3,30}$/.test(trimmedCode)) {
+            this.showFieldError('promoCodeInput', I18n.t('validation.promoInvalid'));
+            return;
+        }
+        
+        const applyButton = document.getElementById('applyPromoBtn');
+        if (applyButton) applyButton.disabled = true;
+        
+        try {
+            const { discountCode, ...selection } = this.getSelectionPayload();
+            const response = await fetch('/api/quote/discounts/validate', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ...selection, code: trimmedCode })
+            });
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                this.showFieldError('promoCodeInput', result.error || I18n.t('validation.promoNotApplied'));
+                return;
+            }
+            
+            // The validation response already carries the discounted pricing
+            const { selection: pricedSelection, ...pricing } = result.pricing;
+            this.serverPricing = {
+                ...pricing,
+                selectionKey: JSON.stringify({ ...selection, discountCode: result.discount.code })
+            };
+            this.store.dispatch(this.actions.applyDiscount(result.discount.code, result.discount.amount, result.discount.label));
+            this.showNotification(I18n.t('notifications.promoApplied', { code: result.discount.code }), 'success');
+        } catch (error) {
+            this.showFieldError('promoCodeInput', I18n.t('validation.promoCheckFailed'));
+        } finally {
+            if (applyButton) applyButton.disabled = false;
+        }
+    }
+    
+    removePromoCode() {
+        this.store.dispatch(this.actions.removeDiscount());
+    }
+    
+    // Discount to show for the current selection: the server's figure when known
+    getAppliedDiscount() {
+        if (!this.discount) return null;
+        if (this.hasCurrentServerPricing() && this.serverPricing.discounts && this.serverPricing.discounts.length > 0) {
+            const { code, label, amount } = this.serverPricing.discounts[0];
+            return { code, label, amount };
+        }
+        return { ...this.discount };
+    }
+    
+    updatePromoUI(discount) {
+        const promoForm = document.getElementById('promoForm');
+        const promoApplied = document.getElementById('promoApplied');
+        const promoAppliedCode = document.getElementById('promoAppliedCode');
+        if (promoForm) promoForm.hidden = Boolean(discount);
+        if (promoApplied) promoApplied.hidden = !discount;
+        if (promoAppliedCode && discount) {
+            promoAppliedCode.textContent = discount.label ? `${discount.code} - ${discount.label}` : discount.code;
+        }
+        
+        const discountRow = document.getElementById('summaryDiscount');
+        if (discountRow) {
+            discountRow.hidden = !discount;
+        }
+        if (discount) {
+            const discountLabel = document.getElementById('summaryDiscountLabel');
+            const discountAmount = document.getElementById('summaryDiscountAmount');
+            if (discountLabel) discountLabel.textContent = I18n.t('summary.discountCode', { code: discount.code });
+            if (discountAmount) discountAmount.textContent = `-${this.formatMoney(discount.amount)}`;
+        }
+    }
+    
+    // Tax lines come from the server; the local estimate leaves them out
+    updateTaxUI() {
+        const taxRows = document.getElementById('summaryTaxes');
+        if (!taxRows) return;
+        
+        const pricing = this.hasCurrentServerPricing() ? this.serverPricing : null;
+        const taxes = pricing ? pricing.taxes || [] : [];
+        taxRows.hidden = taxes.length === 0;
+        taxRows.innerHTML = '';
+        taxes.forEach(tax => {
+            const row = SecurityUtils.createElement('div', 'summary-tax');
+            const inclusive = pricing.taxDisplay === 'inclusive';
+            SecurityUtils.appendChildren(row,
+                SecurityUtils.createTextElement('div', 'tax-label', Tax.taxLabel(tax, pricing.taxDisplay)),
+                SecurityUtils.createTextElement('div', 'tax-amount', `${inclusive ? '' : '+'}${this.formatMoney(tax.amount)}`)
+            );
+            taxRows.appendChild(row);
+        });
+    }
+    
+    calculateTotalPrice() {
+        // Prefer the server-computed total once it's known for this selection
+        if (this.hasCurrentServerPricing()) {
+            return this.serverPricing.total;
+        }
+        
+        let totalPrice = 0;
+        
+        // Base package price
+        const selectedPackage = this.packages && this.packages.length > 0
+            ? (this.packages.find(p => p.id === this.selectedPackage) || this.packages[0])
+            : null;
+        if (selectedPackage) {
+            totalPrice = selectedPackage.price;
+        }
+        
+        // Additional features price
+        this.selectedAdditionalFeatures.forEach(featureId => {
+            const feature = this.additionalFeatures.find(f => f.id === featureId);
+            if (feature) {
+                totalPrice += feature.price;
+            }
+        });
+        
+        // Addon services price
+        this.selectedAddonServices.forEach(serviceId => {
+            const service = this.addonServices.find(s => s.id === serviceId);
+            if (service) {
+                totalPrice += service.price;
+            }
+        });
+        
+        // Emergency service and service area price
+        totalPrice += this.getCoverageItems().reduce((sum, item) => sum + item.price, 0);
+        
+        // Estimate with the last known discount until the server answers
+        totalPrice = this.convertPrice(totalPrice);
+        if (this.discount) {
+            totalPrice = Math.max(0, totalPrice - this.discount.amount);
+        }
+        
+        return totalPrice;
+    }
+    
+    updateSummary() {
+        let totalPrice = 0;
+        let totalFeatures = 0;
+        
+        // Base package price
+        if (this.selectedPackage && this.packages && Array.isArray(this.packages)) {
+            const selectedPackage = this.packages.find(p => p.id === this.selectedPackage);
+            if (selectedPackage) {
+                totalPrice = selectedPackage.price;
+                const includedFeatures = selectedPackage.includedFeatures || [];
+                totalFeatures += includedFeatures.length;
+            }
+        } else if (this.packages && Array.isArray(this.packages) && this.packages.length > 0) {
+            // If no package is selected but packages are available, use the first package price
+            const defaultPackage = this.packages[0];
+            totalPrice = defaultPackage.price;
+            if (defaultPackage && defaultPackage.includedFeatures) {
+                totalFeatures += defaultPackage.includedFeatures.length;
+            }
+            } else {
+            // Fallback: set default values
+            totalPrice = 1200;
+            totalFeatures = 12; // Default included features count
+            }
+            
+        // Additional features price
+        if (this.selectedAdditionalFeatures && this.additionalFeatures && Array.isArray(this.additionalFeatures)) {
+            this.selectedAdditionalFeatures.forEach(featureId => {
+                const feature = this.additionalFeatures.find(f => f.id === featureId);
+            if (feature) {
+                totalPrice += feature.price;
+                totalFeatures++;
+            }
+        });
+        }
+        
+        // Addon services price
+        if (this.selectedAddonServices && this.addonServices && Array.isArray(this.addonServices)) {
+            this.selectedAddonServices.forEach(serviceId => {
+                const service = this.addonServices.find(s => s.id === serviceId);
+                if (service) {
+                    totalPrice += service.price;
+                }
+            });
+        }
+        
+        // Emergency service and service area price
+        totalPrice += this.getCoverageItems().reduce((sum, item) => sum + item.price, 0);
+        
+        // Show the server-computed total; the local sum is only an estimate
+        // until POST /api/quote/price answers for this selection
+        if (this.hasCurrentServerPricing()) {
+            totalPrice = this.serverPricing.total;
+        } else {
+            totalPrice = this.convertPrice(totalPrice);
+            if (this.discount) {
+                totalPrice = Math.max(0, totalPrice - this.discount.amount);
+            }
+            this.requestServerPricing();
+        }
+        
+        this.totalPrice = totalPrice;
+        this.updatePromoUI(this.getAppliedDiscount());
+        this.updateTaxUI();
+        
+        // Save the current state immediately after calculating
+        this.saveToLocalStorage();
+        
+        // Update UI - only update elements that exist
+        const summaryTotalElement = document.getElementById('summaryTotal');
+        if (summaryTotalElement) {
+            summaryTotalElement.textContent = this.formatMoney(totalPrice);
         }
         
         // Update fixed quote summary (mobile)
-        const fixedSummaryTotalElement = document.getElementById('fixedSummaryTotal'
+        const fixedSummaryTotalElement = document.getElementById('fixedSummaryTotal');
         if (fixedSummaryTotalElement) {
-            fixedSummaryTotalElement.textContent = `$${totalPrice.toLocaleString()}`;
+            fixedSummaryTotalElement.textContent = this.formatMoney(totalPrice);
         }
         
-        const totalFeaturesElement = document.getElementById('totalFeatures'
+        const totalFeaturesElement = document.getElementById('totalFeatures');
         if (totalFeaturesElement) {
             totalFeaturesElement.textContent = totalFeatures;
         }
         
-        const includedFeaturesElement = document.getElementById('includedFeatures'
+        const includedFeaturesElement = document.getElementById('includedFeatures');
         if (includedFeaturesElement) {
             if (this.packages && Array.isArray(this.packages) && this.selectedPackage) {
-                const selectedPackage = this.packages.find(p => p.id === this.selectedPackage
+                const selectedPackage = this.packages.find(p => p.id === this.selectedPackage);
                 if (selectedPackage && selectedPackage.includedFeatures) {
                     includedFeaturesElement.textContent = selectedPackage.includedFeatures.length;
                 } else {
@@ -2580,118 +3184,96 @@ class QuoteSystem {
             }
         }
         
-        const selectedFeaturesElement = document.getElementById('selectedFeatures'
+        const selectedFeaturesElement = document.getElementById('selectedFeatures');
         if (selectedFeaturesElement) {
             selectedFeaturesElement.textContent = this.selectedAdditionalFeatures.size;
         }
         
-        const selectedAddonsElement = document.getElementById('selectedAddons'
+        const selectedAddonsElement = document.getElementById('selectedAddons');
         if (selectedAddonsElement) {
             selectedAddonsElement.textContent = this.selectedAddonServices.size;
         }
         
         // Update timeline estimate
-        this.updateTimelineEstimate(
+        this.updateTimelineEstimate();
         
         // Update selected items list
-        this.updateSelectedItems(
+        this.updateSelectedItems();
         
         // Force save after UI update
-        setTimeout(() => this.saveToLocalStorage(), 50
+        setTimeout(() => this.saveToLocalStorage(), 50);
+    }
+    
+    /**
+     * Projected start and delivery for the current selection (see Timeline.schedule)
+     */
+    getSchedule() {
+        const pick = (collection, ids) => [...(ids || [])]
+            .map(id => (collection || []).find(item => item.id === id))
+            .filter(Boolean);
+        return Timeline.schedule({
+            package: (this.packages || []).find(p => p.id === this.selectedPackage),
+            features: pick(this.additionalFeatures, this.selectedAdditionalFeatures),
+            addons: pick(this.addonServices, this.selectedAddonServices)
+        });
     }
     
     updateTimelineEstimate() {
-        const timelineElement = document.getElementById('timelineEstimate'
+        const timelineElement = document.getElementById('timelineEstimate');
         if (!timelineElement) return;
         
-        let baseMinDays = 15;
-        let baseMaxDays = 20;
-        
-        // Get base package timeline
-        if (this.selectedPackage && this.packages && Array.isArray(this.packages)) {
-            const selectedPackage = this.packages.find(p => p.id === this.selectedPackage
-            if (selectedPackage) {
-                // Base package is 15-20 days
-                baseMinDays = 15;
-                baseMaxDays = 20;
-            }
+        const schedule = this.getSchedule();
+        const timeline = schedule.days.max > 0
+            ? I18n.formatTimeline(Timeline.formatRange(schedule.days))
+            : I18n.t('summary.timelineEmpty');
+        timelineElement.textContent = timeline;
+        
+        // Projected start and delivery dates under the estimate
+        const datesElement = document.getElementById('timelineDates');
+        if (datesElement) {
+            const intlLocale = I18n.intlLocale();
+            const lines = schedule.days.max > 0 ? [
+                I18n.t('timeline.start', { date: Timeline.formatDate(schedule.startDate, intlLocale) }),
+                I18n.t('timeline.delivery', { range: Timeline.formatDateRange(schedule.delivery.earliest, schedule.delivery.latest, intlLocale) })
+            ] : [];
+            datesElement.replaceChildren(...lines.map((line) => {
+                const lineElement = document.createElement('div');
+                lineElement.textContent = line;
+                return lineElement;
+            }));
         }
         
-        let totalMinDays = baseMinDays;
-        let totalMaxDays = baseMaxDays;
-        
-        // Calculate additional days for features
-        if (this.selectedAdditionalFeatures && this.additionalFeatures && Array.isArray(this.additionalFeatures)) {
-            this.selectedAdditionalFeatures.forEach(featureId => {
-                const feature = this.additionalFeatures.find(f => f.id === featureId
-                if (feature && feature.timeline) {
-                    const timelineMatch = feature.timeline.match(/(\d+)-(\d+)/
-                if (timelineMatch) {
-                        const minDays = parseInt(timelineMatch[1]
-                        const maxDays = parseInt(timelineMatch[2]
-                        totalMinDays += minDays;
-                        totalMaxDays += maxDays;
-                    }
-                }
-            }
-        }
-        
-        // Calculate additional days for addon services
-        if (this.selectedAddonServices && this.addonServices && Array.isArray(this.addonServices)) {
-            this.selectedAddonServices.forEach(serviceId => {
-                const service = this.addonServices.find(s => s.id === serviceId
-                if (service && service.timeline) {
-                    const timelineMatch = service.timeline.match(/(\d+)-(\d+)/
-                    if (timelineMatch) {
-                        const minDays = parseInt(timelineMatch[1]
-                        const maxDays = parseInt(timelineMatch[2]
-                        totalMinDays += minDays;
-                        totalMaxDays += maxDays;
-                    }
-                }
-            }
-        }
-        
-        // Add 20% buffer for project management and coordination
-        const bufferMin = Math.ceil(totalMinDays * 0.2
-        const bufferMax = Math.ceil(totalMaxDays * 0.2
-        
-        const finalMinDays = totalMinDays + bufferMin;
-        const finalMaxDays = totalMaxDays + bufferMax;
-        
-        timelineElement.textContent = `${finalMinDays}-${finalMaxDays} days`;
-        
         // Update fixed timeline (mobile)
-        const fixedTimelineElement = document.getElementById('fixedTimelineEstimate'
+        const fixedTimelineElement = document.getElementById('fixedTimelineEstimate');
         if (fixedTimelineElement) {
-            fixedTimelineElement.textContent = `${finalMinDays}-${finalMaxDays} days`;
+            fixedTimelineElement.textContent = timeline;
         }
     }
     
     updateSelectedItems() {
-        const selectedItemsContainer = document.getElementById('selectedItems'
+        const selectedItemsContainer = document.getElementById('selectedItems');
         if (!selectedItemsContainer) return;
         
         const items = [];
         
         // Package
         if (this.selectedPackage && this.packages && Array.isArray(this.packages)) {
-            const selectedPackage = this.packages.find(p => p.id === this.selectedPackage
+            const selectedPackage = this.packages.find(p => p.id === this.selectedPackage);
             if (selectedPackage) {
                 items.push({ 
                     name: selectedPackage.name, 
                     price: selectedPackage.price, 
-                    timeline: '18-24 days',
+                    timeline: selectedPackage.timeline,
                     type: 'package', 
                     id: selectedPackage.id 
-                }
+                });
             }
         }
         
         // Additional features
         if (this.selectedAdditionalFeatures && this.additionalFeatures && Array.isArray(this.additionalFeatures)) {
             this.selectedAdditionalFeatures.forEach(featureId => {
-                const feature = this.additionalFeatures.find(f => f.id === featureId
+                const feature = this.additionalFeatures.find(f => f.id === featureId);
                 if (feature) {
                     items.push({ 
                         name: feature.name, 
@@ -2699,15 +3281,15 @@ class QuoteSystem {
                         timeline: feature.timeline || '5-7 days',
                         type: 'feature', 
                         id: feature.id 
-                    }
+                    });
                 }
-            }
+            });
         }
         
         // Addon services
         if (this.selectedAddonServices && this.addonServices && Array.isArray(this.addonServices)) {
             this.selectedAddonServices.forEach(serviceId => {
-                const service = this.addonServices.find(s => s.id === serviceId
+                const service = this.addonServices.find(s => s.id === serviceId);
                 if (service) {
                     items.push({ 
                         name: service.name, 
@@ -2715,11 +3297,16 @@ class QuoteSystem {
                         timeline: service.timeline || '5-7 days',
                         type: 'addon', 
                         id: service.id 
-                    }
+                    });
                 }
-            }
+            });
         }
         
+        // Emergency service and service area
+        this.getCoverageItems().forEach(item => {
+            items.push({ name: item.name, price: item.price, timeline: '', type: item.type, id: item.id });
+        });
+        
         // Store items for removal functionality
         this.currentSelectedItems = items;
         
@@ -2727,10 +3314,10 @@ class QuoteSystem {
             <div class="selected-item" data-item-index="${index}">
                 <div class="selected-item-info">
                     <span class="item-name">${item.name}</span>
-                    <span class="item-timeline">${item.timeline}</span>
+                    <span class="item-timeline">${I18n.formatTimeline(item.timeline)}</span>
                 </div>
                 <div class="selected-item-actions">
-                    <span class="item-price">$${item.price}</span>
+                    <span class="item-price">${this.formatPrice(item.price)}</span>
                     ${item.type !== 'package' ? `
                         <button class="delete-item-btn" onclick="quoteSystem.removeSelectedItem(${index})" aria-label="Remove ${item.name}">
                             <i data-lucide="x" aria-hidden="true"></i>
@@ -2738,33 +3325,49 @@ class QuoteSystem {
                     ` : ''}
                 </div>
             </div>
-        `).join(''
+        `).join('');
         
         // Initialize Lucide icons for delete buttons
-        lucide.createIcons(
+        lucide.createIcons();
         
         // Update fixed selected items (mobile)
-        this.updateFixedSelectedItems(items
+        this.updateFixedSelectedItems(items);
+    }
+    
+    /**
+     * The selected emergency service and service area, as { type, id, name, price }
+     */
+    getCoverageItems() {
+        const items = [];
+        const emergency = (this.emergencyServices || []).find(s => s.id === this.selectedEmergency);
+        if (emergency) {
+            items.push({ type: 'emergency', id: emergency.id, name: emergency.name, price: emergency.price });
+        }
+        const area = (this.serviceAreas || []).find(a => a.id === this.selectedServiceArea);
+        if (area) {
+            items.push({ type: 'serviceArea', id: area.id, name: area.name, price: area.price });
+        }
+        return items;
     }
     
     updateFixedSelectedItems(items) {
-        const fixedSelectedItemsContainer = document.getElementById('fixedSelectedItems'
+        const fixedSelectedItemsContainer = document.getElementById('fixedSelectedItems');
         if (!fixedSelectedItemsContainer) return;
         
         fixedSelectedItemsContainer.innerHTML = items.map((item, index) => `
             <div class="selected-item" data-item-index="${index}">
                 <div class="item-name">${item.name}</div>
-                <div class="item-price">$${item.price}</div>
+                <div class="item-price">${this.formatPrice(item.price)}</div>
                 ${item.type !== 'package' ? `
                     <button class="remove-item" onclick="quoteSystem.removeSelectedItem(${index})" aria-label="Remove ${item.name}">
                         <i data-lucide="x" aria-hidden="true"></i>
                     </button>
                 ` : ''}
             </div>
-        `).join(''
+        `).join('');
         
         // Initialize Lucide icons for delete buttons
-        lucide.createIcons(
+        lucide.createIcons();
     }
     
     removeSelectedItem(index) {
@@ -2777,61 +3380,64 @@ class QuoteSystem {
             return;
         }
         
-        switch (item.type) {
-            case 'feature':
-                this.selectedAdditionalFeatures.delete(item.id
-                // Deselect the feature card
-                this.deselectFeature(item.id
-                break;
-            case 'addon':
-                this.selectedAddonServices.delete(item.id
-                // Deselect the addon card
-                this.deselectAddon(item.id
-                break;
-        }
-        
-        // Update UI
-        this.updateSummary(
-        this.updateSelectedItems(
-        this.updateGenerateButton(
-        this.saveToLocalStorage(
-        
-        }
+        // The cards and the summary follow the store (see handleStoreChange())
+        const [remove, restore] = {
+            feature: () => [this.actions.deselectFeature(item.id), this.actions.selectFeature(item.id)],
+            addon: () => [this.actions.deselectAddon(item.id), this.actions.selectAddon(item.id)],
+            emergency: () => [this.actions.deselectEmergencyService(), this.actions.selectEmergencyService(item.id)],
+            serviceArea: () => [this.actions.deselectServiceArea(), this.actions.selectServiceArea(item.id)]
+        }[item.type]();
+        this.store.dispatch(remove);
+        
+        this.showNotification(I18n.t('notifications.itemRemoved', { name: item.name }), 'info', {
+            label: I18n.t('summary.undo'),
+            onClick: () => {
+                // Step back through the history while the removal is still the
+                // latest change, otherwise just put the item back
+                const state = this.store.getState();
+                if (state.history[state.historyIndex]?.action === remove) {
+                    this.store.undo();
+                } else {
+                    this.store.dispatch(restore);
+                }
+            }
+        });
+    }
     
     deselectFeature(featureId) {
         // Remove selected class from feature card
-        const featureCard = document.querySelector(`[data-feature-id="${featureId}"]`
+        const featureCard = document.querySelector(`[data-feature-id="${featureId}"]`);
         if (featureCard) {
-            featureCard.classList.remove('selected'
+            featureCard.classList.remove('selected');
             
             // Update the select button if it exists
-            const selectBtn = featureCard.querySelector('.select-feature-btn'
+            const selectBtn = featureCard.querySelector('.select-feature-btn');
             if (selectBtn) {
-                selectBtn.classList.remove('selected'
-                selectBtn.textContent = 'Select';
+                selectBtn.classList.remove('selected');
+                selectBtn.textContent = I18n.t('badges.select');
             }
             
             // Remove selected badge if it exists
-            const selectedBadge = featureCard.querySelector('.selected-badge'
+            const selectedBadge = featureCard.querySelector('.selected-badge');
             if (selectedBadge) {
-                selectedBadge.remove(
+                selectedBadge.remove();
             }
             
             // Remove any other selection indicators
-            const notSelectedBadge = featureCard.querySelector('.not-selected-badge'
+            const notSelectedBadge = featureCard.querySelector('.not-selected-badge');
             if (notSelectedBadge) {
-                notSelectedBadge.remove(
+                notSelectedBadge.remove();
             }
             
             // Add default badge if it doesn't exist
-            const defaultBadge = featureCard.querySelector('.default-badge'
+            const defaultBadge = featureCard.querySelector('.default-badge');
             if (!defaultBadge) {
-                const badgeContainer = featureCard.querySelector('.badge-container'
+                const badgeContainer = featureCard.querySelector('.badge-container');
                 if (badgeContainer) {
-                    const newDefaultBadge = document.createElement('div'
+                    const newDefaultBadge = document.createElement('div');
                     newDefaultBadge.className = 'default-badge';
-                    newDefaultBadge.textContent = 'Not Selected';
-                    badgeContainer.appendChild(newDefaultBadge
+                    newDefaultBadge.textContent = I18n.t('badges.notSelected');
+                    badgeContainer.appendChild(newDefaultBadge);
                 }
             }
         }
@@ -2839,14 +3445,14 @@ class QuoteSystem {
     
     deselectAddon(addonId) {
         // Remove selected class from addon card
-        const addonCard = document.querySelector(`[data-service-id="${addonId}"]`
+        const addonCard = document.querySelector(`[data-service-id="${addonId}"]`);
         if (addonCard) {
-            addonCard.classList.remove('selected'
+            addonCard.classList.remove('selected');
             
             // Remove selected badge if it exists
-            const selectedBadge = addonCard.querySelector('.selected-badge'
+            const selectedBadge = addonCard.querySelector('.selected-badge');
             if (selectedBadge) {
-                selectedBadge.remove(
+                selectedBadge.remove();
             }
             
             } else {
@@ -2854,7 +3460,7 @@ class QuoteSystem {
     }
     
     updateGenerateButton() {
-        const generateBtn = document.getElementById('generateQuoteBtn'
+        const generateBtn = document.getElementById('generateQuoteBtn');
         if (generateBtn) {
             const hasSelection = this.selectedPackage || this.selectedAdditionalFeatures.size > 0 || 
                                this.selectedAddonServices.size > 0;
@@ -2864,13 +3470,13 @@ class QuoteSystem {
             
             if (shouldEnable) {
                 generateBtn.disabled = false;
-                generateBtn.classList.remove('disabled'
-                generateBtn.classList.add('enabled'
+                generateBtn.classList.remove('disabled');
+                generateBtn.classList.add('enabled');
                 generateBtn.title = 'Generate your quote';
             } else {
                 generateBtn.disabled = true;
-                generateBtn.classList.add('disabled'
-                generateBtn.classList.remove('enabled'
+                generateBtn.classList.add('disabled');
+                generateBtn.classList.remove('enabled');
                 generateBtn.title = 'Please select at least one package or additional feature to continue';
             }
             
@@ -2882,7 +3488,7 @@ class QuoteSystem {
         let isValid = true;
         
         // Validate email (required)
-        const emailField = document.getElementById('customerEmail'
+        const emailField = document.getElementById('customerEmail');
         if (!emailField || !emailField.value.trim()) {
             isValid = false;
             } else {
@@ -2893,7 +3499,7 @@ class QuoteSystem {
         }
         
         // Validate name (required)
-        const nameField = document.getElementById('customerName'
+        const nameField = document.getElementById('customerName');
         if (!nameField || !nameField.value.trim()) {
             isValid = false;
         } else if (nameField.value.trim().length < 2) {
@@ -2901,7 +3507,7 @@ class QuoteSystem {
         }
         
         // Validate phone (required)
-        const phoneField = document.getElementById('customerPhone'
+        const phoneField = document.getElementById('customerPhone');
         if (!phoneField || !phoneField.value.trim()) {
             isValid = false;
         } else if (!isValidPhone(phoneField.value.trim())) {
@@ -2909,7 +3515,7 @@ class QuoteSystem {
         }
         
         // Validate location (required)
-        const locationField = document.getElementById('customerLocation'
+        const locationField = document.getElementById('customerLocation');
         if (!locationField || !locationField.value.trim()) {
             isValid = false;
         } else if (locationField.value.trim().length < 2) {
@@ -2925,101 +3531,105 @@ class QuoteSystem {
         const errors = [];
         
         // Check if we're in modal mode
-        const modal = document.getElementById('customerInfoModal'
-        const isModalMode = modal && !modal.hasAttribute('hidden') && modal.classList.contains('show'
+        const modal = document.getElementById('customerInfoModal');
+        const isModalMode = modal && !modal.hasAttribute('hidden') && modal.classList.contains('show');
         
-        : 'no modal'
-        : 'no modal'
         // Use modal fields if modal is open, otherwise use main form fields
         const fieldPrefix = isModalMode ? 'modal' : '';
         // Clear all previous errors first
-        this.clearAllFieldErrors(fieldPrefix
+        this.clearAllFieldErrors(fieldPrefix);
         
         // Validate in order: Name -> Email -> Phone -> Location
         // Stop at first error found
         
         // 1. Validate name (required) - FIRST PRIORITY
-        const nameField = document.getElementById(fieldPrefix + 'CustomerName'
-        : 'no field'
+        const nameField = document.getElementById(fieldPrefix + 'CustomerName');
         if (!nameField || !nameField.value.trim()) {
             isValid = false;
-            const errorMsg = 'Full name is required';
-            this.showFieldError(fieldPrefix + 'customerName', errorMsg
-            errors.push('Full name is required'
+            const errorMsg = I18n.t('validation.nameRequired');
+            this.showFieldError(fieldPrefix + 'customerName', errorMsg);
+            errors.push(errorMsg);
             this.validationErrors = errors;
             return isValid;
         } else if (nameField.value.trim().length < 2) {
             isValid = false;
-            const errorMsg = 'Please enter your full name (at least 2 characters)';
-            this.showFieldError(fieldPrefix + 'customerName', errorMsg
-            errors.push('Please enter your full name (at least 2 characters)'
+            const errorMsg = I18n.t('validation.nameTooShort');
+            this.showFieldError(fieldPrefix + 'customerName', errorMsg);
+            errors.push(errorMsg);
+            this.validationErrors = errors;
+            return isValid;
+        } else if (!Validation.validateName(nameField.value).isValid) {
+            isValid = false;
+            const errorMsg = I18n.t('validation.nameInvalid');
+            this.showFieldError(fieldPrefix + 'customerName', errorMsg);
+            errors.push(errorMsg);
             this.validationErrors = errors;
             return isValid;
         } else {
-            this.showFieldValid(fieldPrefix + 'customerName'
+            this.showFieldValid(fieldPrefix + 'customerName');
         }
         
         // 2. Validate email (required) - SECOND PRIORITY
-        const emailField = document.getElementById(fieldPrefix + 'CustomerEmail'
+        const emailField = document.getElementById(fieldPrefix + 'CustomerEmail');
         if (!emailField || !emailField.value.trim()) {
             isValid = false;
-            const errorMsg = 'Email address is required';
-            this.showFieldError(fieldPrefix + 'customerEmail', errorMsg
-            errors.push('Email address is required'
+            const errorMsg = I18n.t('validation.emailRequired');
+            this.showFieldError(fieldPrefix + 'customerEmail', errorMsg);
+            errors.push(errorMsg);
             this.validationErrors = errors;
             return isValid;
         } else {
             const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
             if (!emailRegex.test(emailField.value.trim())) {
                 isValid = false;
-                const errorMsg = 'Please enter a valid email address (e.g., john@example.com)';
-                this.showFieldError(fieldPrefix + 'customerEmail', errorMsg
-                errors.push('Please enter a valid email address'
+                const errorMsg = I18n.t('validation.emailInvalid');
+                this.showFieldError(fieldPrefix + 'customerEmail', errorMsg);
+                errors.push(errorMsg);
                 this.validationErrors = errors;
                 return isValid;
             } else {
-                this.showFieldValid(fieldPrefix + 'customerEmail'
+                this.showFieldValid(fieldPrefix + 'customerEmail');
             }
         }
         
         // 3. Validate phone (required) - THIRD PRIORITY
-        const phoneField = document.getElementById(fieldPrefix + 'CustomerPhone'
+        const phoneField = document.getElementById(fieldPrefix + 'CustomerPhone');
         if (!phoneField || !phoneField.value.trim()) {
             isValid = false;
-            const errorMsg = 'Phone number is required';
-            this.showFieldError(fieldPrefix + 'customerPhone', errorMsg
-            errors.push('Phone number is required'
+            const errorMsg = I18n.t('validation.phoneRequired');
+            this.showFieldError(fieldPrefix + 'customerPhone', errorMsg);
+            errors.push(errorMsg);
             this.validationErrors = errors;
             return isValid;
         } else if (!isValidPhone(phoneField.value.trim())) {
             isValid = false;
-            const errorMsg = 'Please enter a valid phone number (e.g., 5551234567)';
-            this.showFieldError(fieldPrefix + 'customerPhone', errorMsg
-            errors.push('Please enter a valid phone number'
+            const errorMsg = I18n.t('validation.phoneInvalid');
+            this.showFieldError(fieldPrefix + 'customerPhone', errorMsg);
+            errors.push(errorMsg);
             this.validationErrors = errors;
             return isValid;
         } else {
-            this.showFieldValid(fieldPrefix + 'customerPhone'
+            this.showFieldValid(fieldPrefix + 'customerPhone');
         }
         
         // 4. Validate location (required) - FOURTH PRIORITY
-        const locationField = document.getElementById(fieldPrefix + 'CustomerLocation'
+        const locationField = document.getElementById(fieldPrefix + 'CustomerLocation');
         if (!locationField || !locationField.value.trim()) {
             isValid = false;
-            const errorMsg = 'Service location is required';
-            this.showFieldError(fieldPrefix + 'customerLocation', errorMsg
-            errors.push('Service location is required'
+            const errorMsg = I18n.t('validation.locationRequired');
+            this.showFieldError(fieldPrefix + 'customerLocation', errorMsg);
+            errors.push(errorMsg);
             this.validationErrors = errors;
             return isValid;
-        } else if (locationField.value.trim().length < 2) {
+        } else if (!Validation.validateLocation(locationField.value).isValid) {
             isValid = false;
-            const errorMsg = 'Please enter your service location (e.g., New York, NY)';
-            this.showFieldError(fieldPrefix + 'customerLocation', errorMsg
-            errors.push('Please enter your service location'
+            const errorMsg = I18n.t(locationField.value.trim().length < Validation.rules.location.minLength ? 'validation.locationTooShort' : 'validation.locationInvalid');
+            this.showFieldError(fieldPrefix + 'customerLocation', errorMsg);
+            errors.push(errorMsg);
             this.validationErrors = errors;
             return isValid;
         } else {
-            this.showFieldValid(fieldPrefix + 'customerLocation'
+            this.showFieldValid(fieldPrefix + 'customerLocation');
         }
         
         // All validations passed
@@ -3028,23 +3638,23 @@ class QuoteSystem {
     }
     
     showFieldError(fieldId, message) {
-        const field = document.getElementById(fieldId
-        const errorElement = document.getElementById(`${fieldId}-error`
+        const field = document.getElementById(fieldId);
+        const errorElement = document.getElementById(`${fieldId}-error`);
         
         if (field && errorElement) {
-            field.classList.add('error'
-            field.classList.remove('valid'
+            field.classList.add('error');
+            field.classList.remove('valid');
             errorElement.textContent = message;
             errorElement.hidden = false;
         }
     }
     
     clearFieldError(fieldId) {
-        const field = document.getElementById(fieldId
-        const errorElement = document.getElementById(`${fieldId}-error`
+        const field = document.getElementById(fieldId);
+        const errorElement = document.getElementById(`${fieldId}-error`);
         
         if (field && errorElement) {
-            field.classList.remove('error'
+            field.classList.remove('error');
             errorElement.hidden = true;
         }
     }
@@ -3052,17 +3662,17 @@ class QuoteSystem {
     clearAllFieldErrors(fieldPrefix) {
         const fields = ['CustomerName', 'CustomerEmail', 'CustomerPhone', 'CustomerLocation'];
         fields.forEach(fieldName => {
-            this.clearFieldError(fieldPrefix + fieldName
-        }
+            this.clearFieldError(fieldPrefix + fieldName);
+        });
     }
     
     showFieldValid(fieldId) {
-        const field = document.getElementById(fieldId
-        const errorElement = document.getElementById(`${fieldId}-error`
+        const field = document.getElementById(fieldId);
+        const errorElement = document.getElementById(`${fieldId}-error`);
         
         if (field && errorElement) {
-            field.classList.remove('error'
-            field.classList.add('valid'
+            field.classList.remove('error');
+            field.classList.add('valid');
             errorElement.hidden = true;
         }
     }
@@ -3071,7 +3681,7 @@ class QuoteSystem {
         // Only scroll if user hasn't started scrolling yet
         if (window.scrollY === 0 || !window.userHasScrolled) {
             // Force scroll to top immediately
-            window.scrollTo(0, 0
+            window.scrollTo(0, 0);
             
             // Then smooth scroll to ensure it's at the top
             setTimeout(() => {
@@ -3080,16 +3690,16 @@ class QuoteSystem {
                         top: 0,
                         left: 0,
                         behavior: 'smooth'
-                    }
+                    });
                 }
-            }, 100
+            }, 100);
             
             // Additional force scroll after a delay
             setTimeout(() => {
                 if (!window.userHasScrolled) {
-                    window.scrollTo(0, 0
+                    window.scrollTo(0, 0);
                 }
-            }, 500
+            }, 500);
         }
     }
 }
@@ -3099,18 +3709,18 @@ class QuoteSystem {
 function clearAllSelections() {
     // Clear package selection
     document.querySelectorAll('.package-card').forEach(card => {
-        card.classList.remove('selected'
-    }
+        card.classList.remove('selected');
+    });
     
     // Clear additional feature selections
     document.querySelectorAll('.feature-card').forEach(card => {
-        card.classList.remove('selected'
-    }
+        card.classList.remove('selected');
+    });
     
     // Clear addon service selections
     document.querySelectorAll('.addon-card').forEach(card => {
-        card.classList.remove('selected'
-    }
+        card.classList.remove('selected');
+    });
     
     // Clear all customer information form fields
     const formFields = [
@@ -3123,14 +3733,14 @@ function clearAllSelections() {
     ];
     
     formFields.forEach(fieldId => {
-        const field = document.getElementById(fieldId
+        const field = document.getElementById(fieldId);
         if (field) {
             field.value = '';
         }
-    }
+    });
     
     // Reset service area dropdown to default
-    const serviceAreaSelect = document.getElementById('customerServiceArea'
+    const serviceAreaSelect = document.getElementById('customerServiceArea');
     if (serviceAreaSelect) {
         serviceAreaSelect.value = '15';
     }
@@ -3140,89 +3750,155 @@ function clearAllSelections() {
         // Keep the package selected (it's auto-selected)
         // window.quoteSystem.selectedPackage = null;
         
-        // Clear all feature selections
-        window.quoteSystem.selectedAdditionalFeatures.clear(
-        window.quoteSystem.selectedAddonServices.clear(
+        // Clear all feature selections in one undoable step; the sections
+        // re-render from the store
+        const { store, actions } = window.quoteSystem;
+        store.batchDispatch([actions.clearFeatures(), actions.clearAddons(), actions.removeDiscount()]);
         window.quoteSystem.currentStep = 1;
         
         // Clear localStorage
-        window.quoteSystem.clearLocalStorage(
-        
-
-        
-        // Re-render the sections
-        window.quoteSystem.virtualRenderer.queueRender(() => window.quoteSystem.renderAdditionalFeatures(), 'normal'
-        window.quoteSystem.virtualRenderer.queueRender(() => window.quoteSystem.renderAddonServices(), 'normal'
-        window.quoteSystem.updateSummary(
-        window.quoteSystem.updateGenerateButton(
+        window.quoteSystem.clearLocalStorage();
         
         // Show notification
-        window.quoteSystem.showNotification('All selections have been cleared', 'info'
+        window.quoteSystem.showNotification(I18n.t('notifications.cleared'), 'info');
     }
 }
 
 function generateQuote() {
     if (!window.quoteSystem) {
-        alert('Quote system not available'
+        alert(I18n.t('notifications.systemUnavailable'));
+        return;
+    }
+    
+    // The step-by-step layout asks for details on its own step
+    if (window.quoteWizard && window.quoteWizard.isEnabled) {
+        window.quoteWizard.goTo('contact');
         return;
     }
     
     // Show customer info modal instead of direct validation
-    showCustomerInfoModal(
+    showCustomerInfoModal();
 }
 
 function showCustomerInfoModal() {
-    const modal = document.getElementById('customerInfoModal'
+    const modal = document.getElementById('customerInfoModal');
     if (modal) {
-        modal.removeAttribute('hidden'
-        modal.classList.add('show'
+        modal.removeAttribute('hidden');
+        modal.classList.add('show');
         document.body.style.overflow = 'hidden';
         
         // Focus on first input for accessibility
-        const firstInput = modal.querySelector('input'
+        const firstInput = modal.querySelector('input');
         if (firstInput) {
-            firstInput.focus(
+            firstInput.focus();
         }
         
         // Initialize country selector for modal
-        initializeModalCountrySelector(
+        initializeModalCountrySelector();
         } else {
         }
 }
 
 function closeCustomerInfoModal() {
-    const modal = document.getElementById('customerInfoModal'
+    const modal = document.getElementById('customerInfoModal');
+    
+    // On the wizard's contact step the form is part of the page
+    if (modal && modal.classList.contains('modal-inline')) {
+        return;
+    }
     
     if (modal) {
-        modal.classList.remove('show'
+        modal.classList.remove('show');
         document.body.style.overflow = 'auto';
     }
 }
 
-function submitCustomerInfo() {
+function showSaveDraftModal() {
+    const modal = document.getElementById('saveDraftModal');
+    if (modal) {
+        modal.removeAttribute('hidden');
+        modal.classList.add('show');
+        document.body.style.overflow = 'hidden';
+        
+        // A link from an earlier save would restore the selection as it was then
+        const link = document.getElementById('draftLink');
+        if (link) link.hidden = true;
+        
+        const emailInput = document.getElementById('draftEmail');
+        if (emailInput) {
+            emailInput.focus();
+        }
+    }
+}
+
+function closeSaveDraftModal() {
+    const modal = document.getElementById('saveDraftModal');
+    if (modal) {
+        modal.classList.remove('show');
+        document.body.style.overflow = 'auto';
+    }
+}
+
+/**
+ * Save the selection as a draft and show its resume link, emailing it too
+ * when the customer gave an address
+ */
+async function saveDraft() {
     if (!window.quoteSystem) {
-        alert('Quote system not available'
+        alert(I18n.t('notifications.systemUnavailable'));
         return;
     }
     
-    // Get the submit button and form loader
-    const submitBtn = document.getElementById('submitCustomerInfoBtn'
-    const formLoader = document.getElementById('formLoader'
-    const originalText = submitBtn ? submitBtn.innerHTML : '';
+    const email = (document.getElementById('draftEmail')?.value || '').trim();
+    window.quoteSystem.clearFieldError('draftEmail');
+    if (email && !isValidEmail(email)) {
+        window.quoteSystem.showFieldError('draftEmail', I18n.t('validation.emailInvalid'));
+        return;
+    }
     
-    // Set loading state for submit button
-    if (submitBtn) {
-        submitBtn.disabled = true;
-        submitBtn.classList.add('loading'
-        submitBtn.innerHTML = '<i data-lucide="loader-2" class="animate-spin"></i> Validating...';
-        
-        // Reinitialize icons
-        if (window.lucide) {
-            lucide.createIcons(
+    const createButton = document.getElementById('createDraftBtn');
+    if (createButton) createButton.disabled = true;
+    
+    try {
+        const draft = await window.quoteSystem.saveDraft(email);
+        const linkInput = document.getElementById('draftLinkInput');
+        const expiry = document.getElementById('draftLinkExpiry');
+        // Relative when the server has no DRAFT_PUBLIC_URL
+        if (linkInput) linkInput.value = new URL(draft.resumeUrl, window.location.href).href;
+        if (expiry) {
+            expiry.textContent = draft.expiresAt
+                ? I18n.t('draft.expires', { date: Timeline.formatDate(draft.expiresAt, I18n.intlLocale(window.quoteSystem.locale)) })
+                : '';
         }
+        const link = document.getElementById('draftLink');
+        if (link) link.hidden = false;
+        
+        const message = draft.emailed ? I18n.t('notifications.draftEmailed', { email }) : I18n.t('notifications.draftSaved');
+        window.quoteSystem.showNotification(message, 'success');
+    } catch (error) {
+        window.quoteSystem.showNotification(I18n.t('notifications.draftFailed', { error: error.message }), 'error');
+    } finally {
+        if (createButton) createButton.disabled = false;
     }
+}
+
+async function copyDraftLink() {
+    const linkInput = document.getElementById('draftLinkInput');
+    if (!linkInput || !linkInput.value) return;
     
-    // Collect customer information from modal
+    try {
+        await navigator.clipboard.writeText(linkInput.value);
+        window.quoteSystem.showNotification(I18n.t('notifications.linkCopied'), 'success');
+    } catch (error) {
+        // No clipboard access (e.g. plain http) - leave the link selected to copy by hand
+        linkInput.select();
+    }
+}
+
+/**
+ * Customer details as entered in the customer info form
+ */
+function readCustomerInfo() {
     const customerInfo = {
         name: document.getElementById('modalCustomerName')?.value?.trim() || '',
         email: document.getElementById('modalCustomerEmail')?.value?.trim() || '',
@@ -3235,10 +3911,42 @@ function submitCustomerInfo() {
     // Get phone number with country code
     const countryCode = document.getElementById('modalCountryCode')?.value || '+1';
     const phoneNumber = document.getElementById('modalCustomerPhone')?.value?.trim() || '';
-    const fullPhoneNumber = phoneNumber ? `${countryCode}${phoneNumber}` : '';
+    customerInfo.phone = phoneNumber ? `${countryCode}${phoneNumber}` : '';
+    
+    // Country for tax, as picked in the phone country selector
+    const modalCountrySelect = document.getElementById('modalCountryCode');
+    const country = (modalCountrySelect && modalCountrySelect.dataset.country) || window.quoteSystem.taxLocation.country;
+    if (country) {
+        customerInfo.country = country;
+    }
+    return customerInfo;
+}
+
+async function submitCustomerInfo() {
+    if (!window.quoteSystem) {
+        alert(I18n.t('notifications.systemUnavailable'));
+        return;
+    }
     
-    // Add phone number to customer info
-    customerInfo.phone = fullPhoneNumber;
+    // Get the submit button and form loader
+    const submitBtn = document.getElementById('submitCustomerInfoBtn');
+    const formLoader = document.getElementById('formLoader');
+    const originalText = submitBtn ? submitBtn.innerHTML : '';
+    
+    // Set loading state for submit button
+    if (submitBtn) {
+        submitBtn.disabled = true;
+        submitBtn.classList.add('loading');
+        submitBtn.innerHTML = '<i data-lucide="loader-2" class="animate-spin"></i> Validating...';
+        
+        // Reinitialize icons
+        if (window.lucide) {
+            lucide.createIcons();
+        }
+    }
+    
+    // Collect customer information from modal
+    const customerInfo = readCustomerInfo();
     
     // Comprehensive form validation with error display
     const validationErrors = [];
@@ -3247,94 +3955,159 @@ function submitCustomerInfo() {
     if (!window.quoteSystem.validateAndShowErrors()) {
         // Hide form loader overlay
         if (formLoader) {
-            formLoader.classList.remove('show'
+            formLoader.classList.remove('show');
             setTimeout(() => {
-                formLoader.setAttribute('hidden', ''
-            }, 300
+                formLoader.setAttribute('hidden', '');
+            }, 300);
         }
         
         // Reset button state
         if (submitBtn) {
             submitBtn.disabled = false;
-            submitBtn.classList.remove('loading'
+            submitBtn.classList.remove('loading');
             submitBtn.innerHTML = originalText;
             
             // Reinitialize icons
             if (window.lucide) {
-                lucide.createIcons(
+                lucide.createIcons();
             }
         }
         
         // Show single validation error (first error found)
         const errorMessage = window.quoteSystem.validationErrors && window.quoteSystem.validationErrors.length > 0 
             ? window.quoteSystem.validationErrors[0]
-            : 'Please fix the validation errors in the form';
-        window.quoteSystem.showNotification(errorMessage, 'error'
+            : I18n.t('validation.fixErrors');
+        window.quoteSystem.showNotification(errorMessage, 'error');
         return;
     }
     
     // Close the modal first
-    closeCustomerInfoModal(
+    closeCustomerInfoModal();
     
     // Show form loader overlay after validation passes
     if (formLoader) {
-        formLoader.removeAttribute('hidden'
+        formLoader.removeAttribute('hidden');
         // Small delay to ensure modal is closed before showing loader
         setTimeout(() => {
-            formLoader.classList.add('show'
-        }, 100
+            formLoader.classList.add('show');
+        }, 100);
     }
     
     // Update button text to show processing
     if (submitBtn) {
-        submitBtn.innerHTML = '<i data-lucide="loader-2" class="animate-spin"></i> Processing...';
+        submitBtn.innerHTML = `<i data-lucide="loader-2" class="animate-spin"></i> ${I18n.t('common.processing')}`;
         
         // Reinitialize icons
         if (window.lucide) {
-            lucide.createIcons(
+            lucide.createIcons();
         }
     }
     
+    // Taxes follow the submitted location; price it before sending the total
+    window.quoteSystem.setTaxLocation({
+        country: customerInfo.country || null,
+        region: Tax.regionFromLocation(customerInfo.location, customerInfo.country)
+    });
+    if (!window.quoteSystem.hasCurrentServerPricing()) {
+        await window.quoteSystem.fetchServerPricing();
+    }
+    
     // Generate quote data
     const quoteData = {
         selectedPackage: window.quoteSystem.selectedPackage,
         selectedAdditionalFeatures: Array.from(window.quoteSystem.selectedAdditionalFeatures),
         selectedAddonServices: Array.from(window.quoteSystem.selectedAddonServices),
+        selectedEmergency: window.quoteSystem.selectedEmergency || undefined,
+        selectedServiceArea: window.quoteSystem.selectedServiceArea || undefined,
         totalPrice: window.quoteSystem.totalPrice,
+        currency: window.quoteSystem.currency,
+        locale: window.quoteSystem.locale,
+        discountCode: window.quoteSystem.discount ? window.quoteSystem.discount.code : undefined,
         customerInfo: customerInfo,
         generatedAt: new Date().toLocaleString()
     };
     
-    // Store quote data in localStorage for the success page
-    localStorage.setItem('quoteData', JSON.stringify(quoteData)
-    
-    // Simulate processing time for better UX
-    setTimeout(() => {
+    // Submit the quote so it reaches us, then keep a copy for the success page
+    try {
+        const response = await fetch('/api/quote/submissions', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(quoteData)
+        });
+        const result = await response.json().catch(() => ({}));
+        
+        if (response.status === 409 && result.details && result.details.pricing) {
+            // Prices changed since the summary was rendered - show the current total
+            const { selection, ...pricing } = result.details.pricing;
+            window.quoteSystem.serverPricing = { ...pricing, selectionKey: JSON.stringify(window.quoteSystem.getSelectionPayload()) };
+            window.quoteSystem.updateSummary();
+            throw new Error(I18n.t('notifications.pricesChanged', { total: Money.format(pricing.total, pricing.currency, I18n.intlLocale()) }));
+        }
+        
+        if (!response.ok) {
+            throw new Error(result.error || `Failed to submit quote: ${response.status}`);
+        }
+        
+        quoteData.id = result.id;
+        quoteData.totalPrice = result.quote.totalPrice;
+        quoteData.currency = result.quote.pricing.currency;
+        quoteData.discount = result.quote.pricing.discounts[0] || null;
+        quoteData.taxes = result.quote.pricing.taxes;
+        quoteData.taxDisplay = result.quote.pricing.taxDisplay;
+        quoteData.shareUrl = result.shareUrl;
+        quoteData.schedule = result.schedule;
+        quoteData.paymentSchedule = result.quote.pricing.paymentSchedule;
+        localStorage.setItem('quoteData', JSON.stringify(quoteData));
+        
         // Hide loader before redirect
         if (formLoader) {
-            formLoader.classList.remove('show'
+            formLoader.classList.remove('show');
         }
         
         // Redirect to success page
-        window.location.href = '/success.html';
+        window.location.href = `/success.html?quote=${encodeURIComponent(result.id)}`;
+    } catch (error) {
+        // Hide form loader overlay
+        if (formLoader) {
+            formLoader.classList.remove('show');
+            setTimeout(() => {
+                formLoader.setAttribute('hidden', '');
+            }, 300);
+        }
         
-        // Note: Button state will be reset when page redirects
-        // No need to reset here as we're leaving the page
-    }, 1500 // 1.5 second delay for better UX
+        // Reset button state so the customer can try again
+        if (submitBtn) {
+            submitBtn.disabled = false;
+            submitBtn.classList.remove('loading');
+            submitBtn.innerHTML = originalText;
+            
+            if (window.lucide) {
+                lucide.createIcons();
+            }
+        }
+        
+        window.quoteSystem.showNotification(I18n.t('notifications.submitFailed', { error: error.message }), 'error');
+    }
 }
 
 function initializeModalCountrySelector() {
     // Initialize country selector for the modal
-    const trigger = document.getElementById('modalCountrySelectTrigger'
-    const dropdown = document.getElementById('modalCountrySelectDropdown'
-    const searchInput = document.getElementById('modalCountrySearch'
-    const countryList = document.getElementById('modalCountryList'
-    const hiddenSelect = document.getElementById('modalCountryCode'
+    const trigger = document.getElementById('modalCountrySelectTrigger');
+    const dropdown = document.getElementById('modalCountrySelectDropdown');
+    const searchInput = document.getElementById('modalCountrySearch');
+    const countryList = document.getElementById('modalCountryList');
+    const hiddenSelect = document.getElementById('modalCountryCode');
     
     if (!trigger || !dropdown || !searchInput || !countryList || !hiddenSelect) {
         return;
     }
     
+    // The form opens again and again (modal or wizard step); wire it up once
+    if (trigger.dataset.initialized) {
+        return;
+    }
+    trigger.dataset.initialized = 'true';
+    
     // Use the same countries array as the main selector
     const countries = window.quoteSystem ? window.quoteSystem.countries || [] : [];
     
@@ -3345,66 +4118,70 @@ function initializeModalCountrySelector() {
                 <img src="https://flagcdn.com/w20/${country.flag}.png" alt="${country.name}" class="country-flag">
                 <span class="country-code">${country.code}</span>
             </div>
-        `).join(''
+        `).join('');
     }
     
     // Initial render
-    renderCountries(
+    renderCountries();
     
     // Event listeners
     trigger.addEventListener('click', () => {
         const isHidden = dropdown.hidden;
         dropdown.hidden = !isHidden;
         if (!isHidden) {
-            searchInput.focus(
+            searchInput.focus();
         }
-    }
+    });
     
     searchInput.addEventListener('input', (e) => {
-        const searchTerm = e.target.value.toLowerCase(
+        const searchTerm = e.target.value.toLowerCase();
         const filteredCountries = countries.filter(country => 
             country.name.toLowerCase().includes(searchTerm) ||
             country.code.toLowerCase().includes(searchTerm) ||
-            country.flag.toLowerCase().includes(searchTerm)
+            country.flag.toLowerCase().includes(searchTerm));
 
-        renderCountries(filteredCountries
-    }
+        renderCountries(filteredCountries);
+    });
     
     countryList.addEventListener('click', (e) => {
-        const countryItem = e.target.closest('.country-item'
+        const countryItem = e.target.closest('.country-item');
         if (countryItem) {
             const code = countryItem.dataset.code;
-            const country = countries.find(c => c.code === code
+            const country = countries.find(c => c.code === code);
             
             if (country) {
                 document.getElementById('modalSelectedFlag').src = `https://flagcdn.com/w20/${country.flag}.png`;
                 document.getElementById('modalSelectedCountryCode').textContent = country.code;
                 hiddenSelect.value = country.code;
+                hiddenSelect.dataset.country = country.flag;
                 dropdown.hidden = true;
+                
+                // The submitted country decides which taxes apply
+                window.quoteSystem.setTaxLocation({ country: country.flag });
             }
         }
-    }
+    });
     
     // Close dropdown when clicking outside
     document.addEventListener('click', (e) => {
         if (!trigger.contains(e.target) && !dropdown.contains(e.target)) {
             dropdown.hidden = true;
         }
-    }
+    });
 }
 
 
 
 function displayThankYouPopup(quoteData) {
     // Get selected package and features
-    const selectedPackage = window.quoteSystem.packages.find(p => p.id === quoteData.selectedPackage
+    const selectedPackage = window.quoteSystem.packages.find(p => p.id === quoteData.selectedPackage);
     const selectedFeatures = quoteData.selectedAdditionalFeatures.map(featureId => {
-        return window.quoteSystem.additionalFeatures.find(f => f.id === featureId
-    }).filter(Boolean
+        return window.quoteSystem.additionalFeatures.find(f => f.id === featureId);
+    }).filter(Boolean);
     
     const selectedAddons = quoteData.selectedAddonServices.map(addonId => {
-        return window.quoteSystem.addonServices.find(a => a.id === addonId
-    }).filter(Boolean
+        return window.quoteSystem.addonServices.find(a => a.id === addonId);
+    }).filter(Boolean);
     
     // Generate thank you popup content
     const popupContent = `
@@ -3413,46 +4190,52 @@ function displayThankYouPopup(quoteData) {
                 <div class="thank-you-icon">
                     <i data-lucide="check-circle"></i>
                 </div>
-                <h2>Thank You!</h2>
-                <p>Your quote has been generated successfully</p>
+                <h2>${I18n.t('thankYou.title')}</h2>
+                <p>${I18n.t('thankYou.description')}</p>
             </div>
             
             <div class="quote-details">
                 <div class="quote-summary">
-                    <h3>Quote Summary</h3>
+                    <h3>${I18n.t('thankYou.summary')}</h3>
                     <div class="summary-item">
-                        <span>Package:</span>
-                        <span>${selectedPackage ? selectedPackage.name : 'Basic Package'}</span>
+                        <span>${I18n.t('thankYou.package')}</span>
+                        <span>${selectedPackage ? selectedPackage.name : I18n.t('pdf.basicPackage')}</span>
                     </div>
                     <div class="summary-item">
-                        <span>Base Price:</span>
-                        <span>$${1200}</span>
+                        <span>${I18n.t('thankYou.basePrice')}</span>
+                        <span>${window.quoteSystem.formatPrice(selectedPackage ? selectedPackage.price : 0)}</span>
                     </div>
                     ${selectedFeatures.length > 0 ? `
                         <div class="summary-item">
-                            <span>Additional Features:</span>
-                            <span>${selectedFeatures.length} selected</span>
+                            <span>${I18n.t('thankYou.additionalFeatures')}</span>
+                            <span>${I18n.t('common.selectedCount', { count: selectedFeatures.length })}</span>
                         </div>
                     ` : ''}
                     ${selectedAddons.length > 0 ? `
                         <div class="summary-item">
-                            <span>Add-on Services:</span>
-                            <span>${selectedAddons.length} selected</span>
+                            <span>${I18n.t('thankYou.addonServices')}</span>
+                            <span>${I18n.t('common.selectedCount', { count: selectedAddons.length })}</span>
                         </div>
                     ` : ''}
+                    ${(quoteData.taxes || []).map(tax => `
+                        <div class="summary-item">
+                            <span>${Tax.taxLabel(tax, quoteData.taxDisplay, I18n.t('tax.included'))}:</span>
+                            <span>${Money.format(tax.amount, quoteData.currency, I18n.intlLocale())}</span>
+                        </div>
+                    `).join('')}
                     <div class="summary-item total">
-                        <span>Total Price:</span>
-                        <span>$${quoteData.totalPrice.toLocaleString()}</span>
+                        <span>${I18n.t('thankYou.total')}</span>
+                        <span>${Money.format(quoteData.totalPrice, quoteData.currency, I18n.intlLocale())}</span>
                     </div>
                 </div>
                 
                 <div class="selected-items">
                     ${selectedFeatures.length > 0 ? `
                         <div class="items-section">
-                            <h4>Selected Features:</h4>
+                            <h4>${I18n.t('thankYou.selectedFeatures')}</h4>
                             <ul>
                                 ${selectedFeatures.map(feature => `
-                                    <li>${feature.name} - $${feature.price}</li>
+                                    <li>${feature.name} - ${window.quoteSystem.formatPrice(feature.price)}</li>
                                 `).join('')}
                             </ul>
                         </div>
@@ -3460,10 +4243,10 @@ function displayThankYouPopup(quoteData) {
                     
                     ${selectedAddons.length > 0 ? `
                         <div class="items-section">
-                            <h4>Selected Add-ons:</h4>
+                            <h4>${I18n.t('thankYou.selectedAddons')}</h4>
                             <ul>
                                 ${selectedAddons.map(addon => `
-                                    <li>${addon.name} - $${addon.price}</li>
+                                    <li>${addon.name} - ${window.quoteSystem.formatPrice(addon.price)}</li>
                                 `).join('')}
                             </ul>
                         </div>
@@ -3474,33 +4257,33 @@ function displayThankYouPopup(quoteData) {
             <div class="action-buttons">
                 <button class="btn btn-secondary" onclick="downloadQuote()">
                     <i data-lucide="download"></i>
-                    Download Quote
+                    ${I18n.t('thankYou.download')}
                 </button>
                 <button class="btn btn-primary" onclick="proceedToPayment()">
                     <i data-lucide="credit-card"></i>
-                    Proceed to Payment
+                    ${I18n.t('thankYou.pay')}
                 </button>
                 <button class="btn btn-outline" onclick="closeThankYouPopup()">
                     <i data-lucide="x"></i>
-                    Close
+                    ${I18n.t('common.close')}
                 </button>
             </div>
         </div>
     `;
     
     // Create and show popup
-    showThankYouPopup(popupContent
+    showThankYouPopup(popupContent);
 }
 
 function showThankYouPopup(content) {
     // Remove existing popup if any
-    const existingPopup = document.querySelector('.thank-you-overlay'
+    const existingPopup = document.querySelector('.thank-you-overlay');
     if (existingPopup) {
-        existingPopup.remove(
+        existingPopup.remove();
     }
     
     // Create overlay
-    const overlay = document.createElement('div'
+    const overlay = document.createElement('div');
     overlay.className = 'thank-you-overlay';
     overlay.innerHTML = `
         <div class="thank-you-modal">
@@ -3509,34 +4292,58 @@ function showThankYouPopup(content) {
     `;
     
     // Add to page
-    document.body.appendChild(overlay
+    document.body.appendChild(overlay);
     
     // Show with animation
     setTimeout(() => {
-        overlay.classList.add('show'
-    }, 10
+        overlay.classList.add('show');
+    }, 10);
     
     // Initialize icons
-    lucide.createIcons(
+    lucide.createIcons();
     
     // Prevent body scroll
     document.body.style.overflow = 'hidden';
 }
 
 function closeThankYouPopup() {
-    const overlay = document.querySelector('.thank-you-overlay'
+    const overlay = document.querySelector('.thank-you-overlay');
     if (overlay) {
-        overlay.classList.remove('show'
+        overlay.classList.remove('show');
         setTimeout(() => {
-            overlay.remove(
+            overlay.remove();
             document.body.style.overflow = 'auto';
-        }, 300
+        }, 300);
     }
 }
 
-function proceedToPayment() {
-    alert('Payment processing would be implemented here. Redirecting to payment gateway...'
-    // Here you would integrate with a payment processor like Stripe, PayPal, etc.
+/**
+ * Start a checkout for the submitted quote's deposit (the first payment
+ * milestone still due) and hand the customer over to the payment page.
+ * The share link token shows the server the quote is this customer's.
+ */
+async function proceedToPayment() {
+    const quoteData = JSON.parse(localStorage.getItem('quoteData') || '{}');
+    const token = quoteData.shareUrl && quoteData.shareUrl.startsWith('/q/') ? quoteData.shareUrl.slice(3) : null;
+    if (!quoteData.id || !token) {
+        window.quoteSystem.showNotification(I18n.t('payments.notSubmitted'), 'error');
+        return;
+    }
+    
+    try {
+        const response = await fetch('/api/payments/checkout', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ quoteId: quoteData.id, token })
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(result.error || `status ${response.status}`);
+        }
+        window.location.href = result.url;
+    } catch (error) {
+        window.quoteSystem.showNotification(I18n.t('payments.failed', { error: error.message }), 'error');
+    }
 }
 
 // Scroll to top function
@@ -3544,7 +4351,7 @@ function scrollToTop() {
     // Only scroll if user hasn't started scrolling yet
     if (window.scrollY === 0 || !window.userHasScrolled) {
         // Force scroll to top immediately
-        window.scrollTo(0, 0
+        window.scrollTo(0, 0);
         
         // Then smooth scroll to ensure it's at the top
         setTimeout(() => {
@@ -3553,26 +4360,35 @@ function scrollToTop() {
                     top: 0,
                     left: 0,
                     behavior: 'smooth'
-                }
+                });
             }
-        }, 100
+        }, 100);
         
         // Additional force scroll after a delay
         setTimeout(() => {
             if (!window.userHasScrolled) {
-                window.scrollTo(0, 0
+                window.scrollTo(0, 0);
             }
-        }, 500
+        }, 500);
     }
 }
 
 function downloadQuote() {
+    // Taxes are only known once the server has priced the selection
+    const serverPricing = window.quoteSystem.hasCurrentServerPricing() ? window.quoteSystem.serverPricing : {};
+    
     // Get current quote data
     const quoteData = {
         selectedPackage: window.quoteSystem.selectedPackage,
         selectedAdditionalFeatures: Array.from(window.quoteSystem.selectedAdditionalFeatures),
         selectedAddonServices: Array.from(window.quoteSystem.selectedAddonServices),
         totalPrice: window.quoteSystem.totalPrice,
+        currency: window.quoteSystem.currency,
+        discount: window.quoteSystem.getAppliedDiscount(),
+        taxes: serverPricing.taxes || [],
+        taxDisplay: serverPricing.taxDisplay,
+        schedule: window.quoteSystem.getSchedule(),
+        paymentSchedule: serverPricing.paymentSchedule,
         customerInfo: {
             name: document.getElementById('customerName').value.trim(),
             email: document.getElementById('customerEmail').value.trim(),
@@ -3586,336 +4402,403 @@ function downloadQuote() {
     };
     
     // Generate PDF
-    generatePDF(quoteData
+    generatePDF(quoteData);
 }
 
 function generatePDF(quoteData) {
     // Check if jsPDF is available
     if (typeof window.jsPDF === 'undefined') {
-        alert('PDF generation library not loaded. Please refresh the page and try again.'
+        alert(I18n.t('notifications.pdfUnavailable'));
         return;
     }
     
     const { jsPDF } = window.jsPDF;
-    const doc = new jsPDF(
+    const doc = new jsPDF();
     
     // Set document properties
     doc.setProperties({
-        title: 'HVAC Website Development Quote',
-        subject: 'Professional Quote for Website Development',
+        title: I18n.t('pdf.title'),
+        subject: I18n.t('pdf.draftSubject'),
         author: 'Anass El - Full-Stack Web Developer',
         creator: 'HVAC Quote System'
-    }
+    });
     
     // Add header
-    addHeader(doc
+    addHeader(doc);
     
     // Add customer information
-    addCustomerInfo(doc, quoteData.customerInfo
+    addCustomerInfo(doc, quoteData.customerInfo);
     
     // Add quote summary
-    addQuoteSummary(doc, quoteData
+    addQuoteSummary(doc, quoteData);
     
     // Add selected items details
-    addSelectedItems(doc, quoteData
+    addSelectedItems(doc, quoteData);
     
     // Add terms and conditions
-    addTermsAndConditions(doc
+    addTermsAndConditions(doc);
     
     // Add footer
-    addFooter(doc
+    addFooter(doc);
     
     // Generate filename
     const customerName = quoteData.customerInfo.name || 'Customer';
     const date = new Date().toISOString().split('T')[0];
-    const filename = `HVAC_Website_Quote_${customerName.replace(/\s+/g, '_')}_${date}.pdf`;
+    const filename = `${I18n.t('pdf.filename')}_${customerName.replace(/\s+/g, '_')}_${date}.pdf`;
     
     // Save the PDF
-    doc.save(filename
+    doc.save(filename);
     
     // Show success message
-    window.quoteSystem.showNotification('Quote downloaded successfully!', 'success'
+    window.quoteSystem.showNotification(I18n.t('notifications.downloaded'), 'success');
 }
 
 function addHeader(doc) {
     // Title
-    doc.setFontSize(24
-    doc.setFont('helvetica', 'bold'
-    doc.setTextColor(59, 130, 246 // Blue color
-    doc.text('Professional HVAC & Appliance Repair', 20, 30
-    doc.text('Website Development Quote', 20, 40
+    doc.setFontSize(24);
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(59, 130, 246); // Blue color
+    doc.text(I18n.t('pdf.heading'), 20, 30);
+    doc.text(I18n.t('pdf.headingLine2'), 20, 40);
     
     // Subtitle
-    doc.setFontSize(12
-    doc.setFont('helvetica', 'normal'
-    doc.setTextColor(107, 114, 128 // Gray color
-    doc.text('Custom website development for your service business', 20, 50
+    doc.setFontSize(12);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(107, 114, 128); // Gray color
+    doc.text(I18n.t('pdf.subtitle'), 20, 50);
     
     // Developer info
-    doc.setFontSize(14
-    doc.setFont('helvetica', 'bold'
-    doc.setTextColor(34, 197, 94 // Green color
-    doc.text('Anass El - Full-Stack Web Developer', 20, 70
+    doc.setFontSize(14);
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(34, 197, 94); // Green color
+    doc.text('Anass El - Full-Stack Web Developer', 20, 70);
     
     // Date
-    doc.setFontSize(10
-    doc.setFont('helvetica', 'normal'
-    doc.setTextColor(107, 114, 128
-    doc.text(`Generated: ${new Date().toLocaleDateString('en-US', { 
+    doc.setFontSize(10);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(107, 114, 128);
+    doc.text(I18n.t('pdf.generated', { date: new Date().toLocaleDateString(I18n.intlLocale(), { 
         year: 'numeric', 
         month: 'long', 
         day: 'numeric',
         hour: '2-digit',
         minute: '2-digit'
-    })}`, 20, 80
+    }) }), 20, 80);
     
     // Add decorative line
-    doc.setDrawColor(59, 130, 246
-    doc.setLineWidth(0.5
-    doc.line(20, 85, 190, 85
+    doc.setDrawColor(59, 130, 246);
+    doc.setLineWidth(0.5);
+    doc.line(20, 85, 190, 85);
 }
 
 function addCustomerInfo(doc, customerInfo) {
-    doc.addPage(
+    doc.addPage();
     
     // Section title
-    doc.setFontSize(16
-    doc.setFont('helvetica', 'bold'
-    doc.setTextColor(17, 24, 39 // Dark gray
-    doc.text('Customer Information', 20, 30
+    doc.setFontSize(16);
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(17, 24, 39); // Dark gray
+    doc.text(I18n.t('pdf.customerInformation'), 20, 30);
     
     // Customer details
-    doc.setFontSize(11
-    doc.setFont('helvetica', 'normal'
-    doc.setTextColor(55, 65, 81
+    doc.setFontSize(11);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(55, 65, 81);
     
     let yPosition = 50;
     const lineHeight = 8;
     
     if (customerInfo.name) {
-        doc.text(`Name: ${customerInfo.name}`, 20, yPosition
+        doc.text(`${I18n.t('pdf.name')}: ${customerInfo.name}`, 20, yPosition);
         yPosition += lineHeight;
     }
     
     if (customerInfo.email) {
-        doc.text(`Email: ${customerInfo.email}`, 20, yPosition
+        doc.text(`${I18n.t('pdf.email')}: ${customerInfo.email}`, 20, yPosition);
         yPosition += lineHeight;
     }
     
     if (customerInfo.phone) {
-        doc.text(`Phone: ${customerInfo.phone}`, 20, yPosition
+        doc.text(`${I18n.t('pdf.phone')}: ${customerInfo.phone}`, 20, yPosition);
         yPosition += lineHeight;
     }
     
     if (customerInfo.company) {
-        doc.text(`Company: ${customerInfo.company}`, 20, yPosition
+        doc.text(`${I18n.t('pdf.company')}: ${customerInfo.company}`, 20, yPosition);
         yPosition += lineHeight;
     }
     
     if (customerInfo.location) {
-        doc.text(`Location: ${customerInfo.location}`, 20, yPosition
+        doc.text(`${I18n.t('pdf.location')}: ${customerInfo.location}`, 20, yPosition);
         yPosition += lineHeight;
     }
     
     if (customerInfo.serviceArea) {
-        doc.text(`Service Area: ${customerInfo.serviceArea} miles`, 20, yPosition
+        doc.text(`${I18n.t('pdf.serviceArea')}: ${I18n.t('pdf.miles', { miles: customerInfo.serviceArea })}`, 20, yPosition);
         yPosition += lineHeight;
     }
     
     if (customerInfo.message) {
         yPosition += lineHeight;
-        doc.text('Additional Requirements:', 20, yPosition
+        doc.text(I18n.t('pdf.additionalRequirements'), 20, yPosition);
         yPosition += lineHeight;
         
         // Handle long messages
-        const words = customerInfo.message.split(' '
+        const words = customerInfo.message.split(' ');
         let line = '';
         for (let word of words) {
             const testLine = line + word + ' ';
             if (doc.getTextWidth(testLine) < 170) {
                 line = testLine;
             } else {
-                doc.text(line, 20, yPosition
+                doc.text(line, 20, yPosition);
                 yPosition += lineHeight;
                 line = word + ' ';
             }
         }
         if (line) {
-            doc.text(line, 20, yPosition
+            doc.text(line, 20, yPosition);
         }
     }
 }
 
 function addQuoteSummary(doc, quoteData) {
+    // Own page - drawing from y 30 would overlap the customer information
+    doc.addPage();
+    
     // Section title
-    doc.setFontSize(16
-    doc.setFont('helvetica', 'bold'
-    doc.setTextColor(17, 24, 39
-    doc.text('Quote Summary', 20, 30
+    doc.setFontSize(16);
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(17, 24, 39);
+    doc.text(I18n.t('pdf.quoteSummary'), 20, 30);
     
     // Get selected items
-    const selectedPackage = window.quoteSystem.packages.find(p => p.id === quoteData.selectedPackage
+    const selectedPackage = window.quoteSystem.packages.find(p => p.id === quoteData.selectedPackage);
     const selectedFeatures = quoteData.selectedAdditionalFeatures.map(featureId => {
-        return window.quoteSystem.additionalFeatures.find(f => f.id === featureId
-    }).filter(Boolean
+        return window.quoteSystem.additionalFeatures.find(f => f.id === featureId);
+    }).filter(Boolean);
     
     const selectedAddons = quoteData.selectedAddonServices.map(addonId => {
-        return window.quoteSystem.addonServices.find(a => a.id === addonId
-    }).filter(Boolean
+        return window.quoteSystem.addonServices.find(a => a.id === addonId);
+    }).filter(Boolean);
     
     // Summary table
-    doc.setFontSize(11
-    doc.setFont('helvetica', 'normal'
-    doc.setTextColor(55, 65, 81
+    doc.setFontSize(11);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(55, 65, 81);
     
     let yPosition = 50;
     const lineHeight = 8;
     
     // Base package
-    doc.text('Base Package:', 20, yPosition
-    doc.text(selectedPackage ? selectedPackage.name : 'Basic Package', 80, yPosition
-    doc.text('$1,200', 160, yPosition
+    doc.text(I18n.t('pdf.basePackage'), 20, yPosition);
+    doc.text(selectedPackage ? selectedPackage.name : I18n.t('pdf.basicPackage'), 80, yPosition);
+    doc.text(window.quoteSystem.formatPrice(selectedPackage ? selectedPackage.price : 0), 160, yPosition);
     yPosition += lineHeight;
     
     // Additional features
     if (selectedFeatures.length > 0) {
         yPosition += lineHeight;
-        doc.setFont('helvetica', 'bold'
-        doc.text('Additional Features:', 20, yPosition
+        doc.setFont('helvetica', 'bold');
+        doc.text(I18n.t('pdf.additionalFeatures'), 20, yPosition);
         yPosition += lineHeight;
-        doc.setFont('helvetica', 'normal'
+        doc.setFont('helvetica', 'normal');
         
         let featuresTotal = 0;
         for (let feature of selectedFeatures) {
-            doc.text(`• ${feature.name}`, 30, yPosition
-            doc.text(`$${feature.price}`, 160, yPosition
+            doc.text(`• ${feature.name}`, 30, yPosition);
+            doc.text(window.quoteSystem.formatPrice(feature.price), 160, yPosition);
             yPosition += lineHeight;
-            featuresTotal += feature.price;
+            featuresTotal += window.quoteSystem.convertPrice(feature.price);
         }
         
-        doc.setFont('helvetica', 'bold'
-        doc.text('Features Subtotal:', 20, yPosition
-        doc.text(`$${featuresTotal}`, 160, yPosition
+        doc.setFont('helvetica', 'bold');
+        doc.text(I18n.t('pdf.featuresSubtotal'), 20, yPosition);
+        doc.text(window.quoteSystem.formatMoney(Money.round(featuresTotal, quoteData.currency)), 160, yPosition);
         yPosition += lineHeight;
     }
     
     // Add-on services
     if (selectedAddons.length > 0) {
         yPosition += lineHeight;
-        doc.setFont('helvetica', 'bold'
-        doc.text('Add-on Services:', 20, yPosition
+        doc.setFont('helvetica', 'bold');
+        doc.text(I18n.t('pdf.addonServices'), 20, yPosition);
         yPosition += lineHeight;
-        doc.setFont('helvetica', 'normal'
+        doc.setFont('helvetica', 'normal');
         
         let addonsTotal = 0;
         for (let addon of selectedAddons) {
-            doc.text(`• ${addon.name}`, 30, yPosition
-            doc.text(`$${addon.price}`, 160, yPosition
+            doc.text(`• ${addon.name}`, 30, yPosition);
+            doc.text(window.quoteSystem.formatPrice(addon.price), 160, yPosition);
             yPosition += lineHeight;
-            addonsTotal += addon.price;
+            addonsTotal += window.quoteSystem.convertPrice(addon.price);
         }
         
-        doc.setFont('helvetica', 'bold'
-        doc.text('Add-ons Subtotal:', 20, yPosition
-        doc.text(`$${addonsTotal}`, 160, yPosition
+        doc.setFont('helvetica', 'bold');
+        doc.text(I18n.t('pdf.addonsSubtotal'), 20, yPosition);
+        doc.text(window.quoteSystem.formatMoney(Money.round(addonsTotal, quoteData.currency)), 160, yPosition);
+        yPosition += lineHeight;
+    }
+    
+    // Promo code discount
+    if (quoteData.discount) {
+        yPosition += lineHeight;
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(5, 150, 105);
+        doc.text(I18n.t('pdf.discount', { code: quoteData.discount.code }), 20, yPosition);
+        doc.text(`-${window.quoteSystem.formatMoney(quoteData.discount.amount)}`, 160, yPosition);
         yPosition += lineHeight;
     }
     
+    const taxes = quoteData.taxes || [];
+    const inclusive = quoteData.taxDisplay === 'inclusive';
+    const addTaxes = () => {
+        doc.setFontSize(11);
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(55, 65, 81);
+        taxes.forEach(tax => {
+            doc.text(`${Tax.taxLabel(tax, quoteData.taxDisplay, I18n.t('tax.included'))}:`, 20, yPosition);
+            doc.text(`${inclusive ? '' : '+'}${window.quoteSystem.formatMoney(tax.amount)}`, 160, yPosition);
+            yPosition += lineHeight;
+        });
+    };
+    
+    // Taxes added on top are listed before the total
+    if (taxes.length > 0 && !inclusive) {
+        yPosition += lineHeight;
+        addTaxes();
+    }
+    
     // Total
     yPosition += lineHeight;
-    doc.setFontSize(14
-    doc.setFont('helvetica', 'bold'
-    doc.setTextColor(59, 130, 246
-    doc.text('TOTAL:', 20, yPosition
-    doc.text(`$${quoteData.totalPrice.toLocaleString()}`, 160, yPosition
+    doc.setFontSize(14);
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(59, 130, 246);
+    doc.text(I18n.t('pdf.total'), 20, yPosition);
+    doc.text(window.quoteSystem.formatMoney(quoteData.totalPrice), 160, yPosition);
     
     // Add decorative line
-    doc.setDrawColor(59, 130, 246
-    doc.setLineWidth(0.5
-    doc.line(20, yPosition + 5, 190, yPosition + 5
+    doc.setDrawColor(59, 130, 246);
+    doc.setLineWidth(0.5);
+    doc.line(20, yPosition + 5, 190, yPosition + 5);
+    
+    // Taxes included in the total are listed under it
+    if (taxes.length > 0 && inclusive) {
+        yPosition += lineHeight * 2;
+        addTaxes();
+    }
+    
+    // Schedule
+    const schedule = quoteData.schedule;
+    const intlLocale = I18n.intlLocale();
+    yPosition += lineHeight * 2;
+    doc.setFontSize(11);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(55, 65, 81);
+    doc.text(I18n.t('timeline.duration', { range: I18n.formatTimeline(Timeline.formatRange(schedule.days)) }), 20, yPosition);
+    yPosition += lineHeight;
+    doc.text(I18n.t('timeline.start', { date: Timeline.formatDate(schedule.startDate, intlLocale) }), 20, yPosition);
+    yPosition += lineHeight;
+    doc.text(I18n.t('timeline.delivery', {
+        range: Timeline.formatDateRange(schedule.delivery.earliest, schedule.delivery.latest, intlLocale)
+    }), 20, yPosition);
+    
+    // Payment milestones come with the server pricing
+    if (quoteData.paymentSchedule) {
+        yPosition += lineHeight * 2;
+        doc.setFont('helvetica', 'bold');
+        doc.text(I18n.t('payments.title'), 20, yPosition);
+        yPosition += lineHeight;
+        doc.setFont('helvetica', 'normal');
+        quoteData.paymentSchedule.forEach(milestone => {
+            doc.text(`• ${I18n.t('payments.milestone', milestone)}`, 30, yPosition);
+            doc.text(window.quoteSystem.formatMoney(milestone.amount), 160, yPosition);
+            yPosition += lineHeight;
+        });
+    }
 }
 
 function addSelectedItems(doc, quoteData) {
-    doc.addPage(
+    doc.addPage();
     
     // Section title
-    doc.setFontSize(16
-    doc.setFont('helvetica', 'bold'
-    doc.setTextColor(17, 24, 39
-    doc.text('Selected Services & Features', 20, 30
+    doc.setFontSize(16);
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(17, 24, 39);
+    doc.text(I18n.t('pdf.selectedItems'), 20, 30);
     
     let yPosition = 50;
     const lineHeight = 8;
     
     // Base package details
-    const selectedPackage = window.quoteSystem.packages.find(p => p.id === quoteData.selectedPackage
+    const selectedPackage = window.quoteSystem.packages.find(p => p.id === quoteData.selectedPackage);
     if (selectedPackage) {
-        doc.setFontSize(12
-        doc.setFont('helvetica', 'bold'
-        doc.setTextColor(34, 197, 94
-        doc.text('Base Package:', 20, yPosition
+        doc.setFontSize(12);
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(34, 197, 94);
+        doc.text(I18n.t('pdf.basePackage'), 20, yPosition);
         yPosition += lineHeight;
         
-        doc.setFontSize(10
-        doc.setFont('helvetica', 'normal'
-        doc.setTextColor(55, 65, 81
-        doc.text(selectedPackage.name, 30, yPosition
+        doc.setFontSize(10);
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(55, 65, 81);
+        doc.text(selectedPackage.name, 30, yPosition);
         yPosition += lineHeight;
         
         // Package description
-        const words = selectedPackage.description.split(' '
+        const words = selectedPackage.description.split(' ');
         let line = '';
         for (let word of words) {
             const testLine = line + word + ' ';
             if (doc.getTextWidth(testLine) < 150) {
                 line = testLine;
             } else {
-                doc.text(line, 30, yPosition
+                doc.text(line, 30, yPosition);
                 yPosition += lineHeight;
                 line = word + ' ';
             }
         }
         if (line) {
-            doc.text(line, 30, yPosition
+            doc.text(line, 30, yPosition);
             yPosition += lineHeight;
         }
     }
     
     // Additional features
     const selectedFeatures = quoteData.selectedAdditionalFeatures.map(featureId => {
-        return window.quoteSystem.additionalFeatures.find(f => f.id === featureId
-    }).filter(Boolean
+        return window.quoteSystem.additionalFeatures.find(f => f.id === featureId);
+    }).filter(Boolean);
     
     if (selectedFeatures.length > 0) {
         yPosition += lineHeight;
-        doc.setFontSize(12
-        doc.setFont('helvetica', 'bold'
-        doc.setTextColor(59, 130, 246
-        doc.text('Additional Features:', 20, yPosition
+        doc.setFontSize(12);
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(59, 130, 246);
+        doc.text(I18n.t('pdf.additionalFeatures'), 20, yPosition);
         yPosition += lineHeight;
         
         for (let feature of selectedFeatures) {
-            doc.setFontSize(10
-            doc.setFont('helvetica', 'bold'
-            doc.setTextColor(55, 65, 81
-            doc.text(`• ${feature.name} - $${feature.price}`, 30, yPosition
+            doc.setFontSize(10);
+            doc.setFont('helvetica', 'bold');
+            doc.setTextColor(55, 65, 81);
+            doc.text(`• ${feature.name} - ${window.quoteSystem.formatPrice(feature.price)}`, 30, yPosition);
             yPosition += lineHeight;
             
-            doc.setFont('helvetica', 'normal'
-            const words = feature.description.split(' '
+            doc.setFont('helvetica', 'normal');
+            const words = feature.description.split(' ');
             let line = '';
             for (let word of words) {
                 const testLine = line + word + ' ';
                 if (doc.getTextWidth(testLine) < 150) {
                     line = testLine;
                 } else {
-                    doc.text(line, 40, yPosition
+                    doc.text(line, 40, yPosition);
                     yPosition += lineHeight;
                     line = word + ' ';
                 }
             }
             if (line) {
-                doc.text(line, 40, yPosition
+                doc.text(line, 40, yPosition);
                 yPosition += lineHeight;
             }
             yPosition += lineHeight;
@@ -3924,39 +4807,39 @@ function addSelectedItems(doc, quoteData) {
     
     // Add-on services
     const selectedAddons = quoteData.selectedAddonServices.map(addonId => {
-        return window.quoteSystem.addonServices.find(a => a.id === addonId
-    }).filter(Boolean
+        return window.quoteSystem.addonServices.find(a => a.id === addonId);
+    }).filter(Boolean);
     
     if (selectedAddons.length > 0) {
         yPosition += lineHeight;
-        doc.setFontSize(12
-        doc.setFont('helvetica', 'bold'
-        doc.setTextColor(245, 158, 11 // Orange color
-        doc.text('Add-on Services:', 20, yPosition
+        doc.setFontSize(12);
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(245, 158, 11); // Orange color
+        doc.text(I18n.t('pdf.addonServices'), 20, yPosition);
         yPosition += lineHeight;
         
         for (let addon of selectedAddons) {
-            doc.setFontSize(10
-            doc.setFont('helvetica', 'bold'
-            doc.setTextColor(55, 65, 81
-            doc.text(`• ${addon.name} - $${addon.price}`, 30, yPosition
+            doc.setFontSize(10);
+            doc.setFont('helvetica', 'bold');
+            doc.setTextColor(55, 65, 81);
+            doc.text(`• ${addon.name} - ${window.quoteSystem.formatPrice(addon.price)}`, 30, yPosition);
             yPosition += lineHeight;
             
-            doc.setFont('helvetica', 'normal'
-            const words = addon.description.split(' '
+            doc.setFont('helvetica', 'normal');
+            const words = addon.description.split(' ');
             let line = '';
             for (let word of words) {
                 const testLine = line + word + ' ';
                 if (doc.getTextWidth(testLine) < 150) {
                     line = testLine;
                 } else {
-                    doc.text(line, 40, yPosition
+                    doc.text(line, 40, yPosition);
                     yPosition += lineHeight;
                     line = word + ' ';
                 }
             }
             if (line) {
-                doc.text(line, 40, yPosition
+                doc.text(line, 40, yPosition);
                 yPosition += lineHeight;
             }
             yPosition += lineHeight;
@@ -3965,524 +4848,74 @@ function addSelectedItems(doc, quoteData) {
 }
 
 function addTermsAndConditions(doc) {
-    doc.addPage(
+    doc.addPage();
     
     // Section title
-    doc.setFontSize(16
-    doc.setFont('helvetica', 'bold'
-    doc.setTextColor(17, 24, 39
-    doc.text('Terms & Conditions', 20, 30
+    doc.setFontSize(16);
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(17, 24, 39);
+    doc.text(I18n.t('pdf.termsTitle'), 20, 30);
     
     // Terms content
-    doc.setFontSize(10
-    doc.setFont('helvetica', 'normal'
-    doc.setTextColor(55, 65, 81
-    
-    const terms = [
-        '1. This quote is valid for 30 days from the date of generation.',
-        '2. Payment terms: 50% upfront, 50% upon project completion.',
-                    '3. Project timeline: 15-20 business days for basic package.',
-        '4. Additional features may extend the timeline.',
-        '5. Revisions: 2 rounds of revisions included.',
-        '6. Hosting and domain costs are not included unless specified.',
-        '7. SEO optimization includes basic on-page optimization.',
-        '8. Mobile responsiveness covers all modern devices.',
-        '9. Content creation is not included unless specified.',
-        '10. Maintenance and updates are not included in this quote.'
-    ];
+    doc.setFontSize(10);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(55, 65, 81);
+    
+    // Same terms as the server-rendered PDF (pdf.terms in assets/locales)
+    const terms = I18n.list(I18n.getLocale(), 'pdf.terms');
     
     let yPosition = 50;
     const lineHeight = 6;
     
     for (let term of terms) {
-        doc.text(term, 20, yPosition
+        doc.text(term, 20, yPosition);
         yPosition += lineHeight;
     }
 }
 
 function addFooter(doc) {
-    const pageCount = doc.internal.getNumberOfPages(
+    const pageCount = doc.internal.getNumberOfPages();
     
     for (let i = 1; i <= pageCount; i++) {
-        doc.setPage(i
+        doc.setPage(i);
         
         // Footer line
-        doc.setDrawColor(200, 200, 200
-        doc.setLineWidth(0.1
-        doc.line(20, 280, 190, 280
+        doc.setDrawColor(200, 200, 200);
+        doc.setLineWidth(0.1);
+        doc.line(20, 280, 190, 280);
         
         // Footer text
-        doc.setFontSize(8
-        doc.setFont('helvetica', 'normal'
-        doc.setTextColor(107, 114, 128
-        doc.text('Anass El - Full-Stack Web Developer | Professional HVAC Website Development', 20, 285
-        doc.text(`Page ${i} of ${pageCount}`, 170, 285
+        doc.setFontSize(8);
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(107, 114, 128);
+        doc.text(`Anass El - Full-Stack Web Developer | ${I18n.t('pdf.footer')}`, 20, 285);
+        doc.text(I18n.t('pdf.page', { page: i, count: pageCount }), 170, 285);
     }
 }
 
 function generateQuoteContent(quoteData) {
-    const selectedPackage = window.quoteSystem.packages.find(p => p.id === quoteData.selectedPackage
-    
-    // Calculate timeline based on selections
-            let timeline = '18-24 days';
-    if (selectedPackage) {
-        timeline = selectedPackage.timeline;
-    }
-    
-    // Add days for additional features
-    const additionalFeatures = quoteData.selectedAdditionalFeatures.length;
-    if (additionalFeatures > 0) {
-        const additionalDays = Math.ceil(additionalFeatures / 2
-        const baseDays = parseInt(timeline.match(/(\d+)/)[1]
-        const totalDays = baseDays + additionalDays;
-        timeline = `${totalDays}-${totalDays + 2} days`;
-    }
-    
-    // Get selected features and addon services
-    const selectedFeatures = quoteData.selectedAdditionalFeatures.map(featureId => {
-        return window.quoteSystem.additionalFeatures.find(f => f.id === featureId
-    }).filter(Boolean
-    
-    const selectedAddons = quoteData.selectedAddonServices.map(addonId => {
-        return window.quoteSystem.addonServices.find(a => a.id === addonId
-    }).filter(Boolean
-    
-    return `
-        <div class="quote-content">
-            <!-- Quote Header -->
-            <div class="quote-header">
-                <div class="quote-header-main">
-                    <div class="quote-logo">
-                        <i data-lucide="building-2"></i>
-                    </div>
-                    <div class="quote-title-section">
-                        <h2>Professional HVAC & Appliance Repair Website</h2>
-                    <p class="quote-subtitle">Custom website development for your service business</p>
-                        <div class="quote-badges">
-                            <span class="badge badge-primary">Professional Design</span>
-                            <span class="badge badge-success">Mobile Responsive</span>
-                            <span class="badge badge-info">SEO Optimized</span>
-                        </div>
-                    </div>
-                </div>
-                <div class="quote-header-meta">
-                    <div class="quote-meta-grid">
-                        <div class="meta-item">
-                            <i data-lucide="calendar"></i>
-                            <div>
-                                <strong>Generated:</strong><br>
-                                ${new Date().toLocaleDateString('en-US', { 
-                            year: 'numeric', 
-                            month: 'long', 
-                            day: 'numeric',
-                            hour: '2-digit',
-                            minute: '2-digit'
-                        })}
-                    </div>
-                        </div>
-                        <div class="meta-item">
-                            <i data-lucide="clock"></i>
-                            <div>
-                                <strong>Valid Until:</strong><br>
-                                ${new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toLocaleDateString('en-US', { 
-                            year: 'numeric', 
-                            month: 'long', 
-                            day: 'numeric'
-                        })}
-                            </div>
-                        </div>
-                        <div class="meta-item">
-                            <i data-lucide="hash"></i>
-                            <div>
-                                <strong>Quote #:</strong><br>
-                                Q-${Date.now().toString().slice(-6)}
-                            </div>
-                        </div>
-                    </div>
-                </div>
-            </div>
-            
-            <!-- Quote Summary Cards -->
-            <div class="quote-summary-section">
-                <div class="quote-summary-grid">
-                    <div class="summary-card primary">
-                        <div class="summary-icon">
-                            <i data-lucide="dollar-sign"></i>
-                        </div>
-                        <div class="summary-content">
-                            <h3>Total Investment</h3>
-                            <p class="summary-value">$${quoteData.totalPrice.toLocaleString()}</p>
-                            <p class="summary-note">Flexible payment options available</p>
-                        </div>
-                    </div>
-                    <div class="summary-card">
-                        <div class="summary-icon">
-                            <i data-lucide="clock"></i>
-                        </div>
-                        <div class="summary-content">
-                            <h3>Development Timeline</h3>
-                            <p class="summary-value">${timeline}</p>
-                            <p class="summary-note">From project start</p>
-                        </div>
-                    </div>
-                    <div class="summary-card">
-                        <div class="summary-icon">
-                            <i data-lucide="package"></i>
-                        </div>
-                        <div class="summary-content">
-                            <h3>Package</h3>
-                            <p class="summary-value">${selectedPackage ? selectedPackage.name : 'Custom Solution'}</p>
-                            <p class="summary-note">Base package included</p>
-                        </div>
-                    </div>
-                    <div class="summary-card">
-                        <div class="summary-icon">
-                            <i data-lucide="plus-circle"></i>
-                        </div>
-                        <div class="summary-content">
-                            <h3>Additional Features</h3>
-                            <p class="summary-value">${selectedFeatures.length}</p>
-                            <p class="summary-note">Enhancements selected</p>
-                        </div>
-                    </div>
-                </div>
-            </div>
-            
-            <!-- Package Details -->
-            <div class="quote-details-section">
-                <h3><i data-lucide="list"></i> Package Details</h3>
-                <div class="package-details">
-                    <div class="package-info">
-                        <h4>${selectedPackage ? selectedPackage.name : 'Professional Website Package'}</h4>
-                        <p class="package-description">${selectedPackage ? selectedPackage.description : 'Complete professional website solution for HVAC and appliance repair businesses.'}</p>
-                        <div class="package-features">
-                            <h5>Included Features:</h5>
-                            <ul class="feature-list">
-                                ${selectedPackage && selectedPackage.includedFeatures ? selectedPackage.includedFeatures.map(feature => 
-                                    `<li><i data-lucide="check"></i> ${feature}</li>`
-                                ).join('') : `
-                                <li><i data-lucide="check"></i> Professional Homepage Design</li>
-                                <li><i data-lucide="check"></i> Mobile-Responsive Layout</li>
-                                <li><i data-lucide="check"></i> Contact Forms & Phone Integration</li>
-                                <li><i data-lucide="check"></i> Service Pages (HVAC & Appliance)</li>
-                                <li><i data-lucide="check"></i> About Us Page</li>
-                                <li><i data-lucide="check"></i> Emergency Service Call Buttons</li>
-                                <li><i data-lucide="check"></i> Service Area Coverage</li>
-                                <li><i data-lucide="check"></i> Basic SEO Optimization</li>
-                                <li><i data-lucide="check"></i> Google Analytics Integration</li>
-                                <li><i data-lucide="check"></i> Customer Testimonials Section</li>
-                                <li><i data-lucide="check"></i> Business Hours & Location</li>
-                                <li><i data-lucide="check"></i> Brand Support Information</li>
-                                `}
-                        </ul>
-                    </div>
-                    </div>
-                    </div>
-            </div>
-            
-            <!-- Additional Features -->
-            ${selectedFeatures.length > 0 ? `
-            <div class="quote-details-section">
-                <h3><i data-lucide="plus-circle"></i> Additional Features</h3>
-                <div class="features-grid">
-                    ${selectedFeatures.map(feature => `
-                    <div class="feature-item">
-                        <div class="feature-icon">
-                            <i data-lucide="${feature.icon || 'star'}"></i>
-                        </div>
-                        <div class="feature-content">
-                            <h4>${feature.name}</h4>
-                            <p>${feature.description}</p>
-                            <span class="feature-price">$${feature.price.toLocaleString()}</span>
-                        </div>
-                    </div>
-                    `).join('')}
-                </div>
-                    </div>
-                    ` : ''}
-                    
-            <!-- Add-On Services -->
-            ${selectedAddons.length > 0 ? `
-            <div class="quote-details-section">
-                <h3><i data-lucide="settings"></i> Add-On Services</h3>
-                <div class="addons-grid">
-                    ${selectedAddons.map(addon => `
-                    <div class="addon-item">
-                        <div class="addon-icon">
-                            <i data-lucide="${addon.icon || 'tool'}"></i>
-                        </div>
-                        <div class="addon-content">
-                            <h4>${addon.name}</h4>
-                            <p>${addon.description}</p>
-                            <span class="addon-price">$${addon.price.toLocaleString()}</span>
-                        </div>
-                    </div>
-                    `).join('')}
-                </div>
-                    </div>
-                    ` : ''}
-                    
-            <!-- Pricing Breakdown -->
-            <div class="quote-details-section">
-                <h3><i data-lucide="calculator"></i> Pricing Breakdown</h3>
-                <div class="pricing-breakdown">
-                    <div class="breakdown-item">
-                        <span class="item-label">Base Package</span>
-                        <span class="item-price">$${selectedPackage ? selectedPackage.price.toLocaleString() : '1,200'}</span>
-                    </div>
-                    ${selectedFeatures.map(feature => `
-                    <div class="breakdown-item">
-                        <span class="item-label">${feature.name}</span>
-                        <span class="item-price">$${feature.price.toLocaleString()}</span>
-                </div>
-                    `).join('')}
-                    ${selectedAddons.map(addon => `
-                    <div class="breakdown-item">
-                        <span class="item-label">${addon.name}</span>
-                        <span class="item-price">$${addon.price.toLocaleString()}</span>
-                    </div>
-                    `).join('')}
-                    <div class="breakdown-total">
-                        <span class="total-label">Total Investment</span>
-                        <span class="total-value">$${quoteData.totalPrice.toLocaleString()}</span>
-                    </div>
-                </div>
-            </div>
-            
-            <!-- Customer Information -->
-            <div class="customer-info-section">
-                <h3><i data-lucide="user"></i> Customer Information</h3>
-                <div class="customer-info-grid">
-                    <div class="info-item">
-                        <i data-lucide="user"></i>
-                        <div>
-                            <strong>Name:</strong><br>
-                            ${quoteData.customerInfo.name}
-                        </div>
-                    </div>
-                    <div class="info-item">
-                        <i data-lucide="mail"></i>
-                        <div>
-                            <strong>Email:</strong><br>
-                            ${quoteData.customerInfo.email}
-                    </div>
-                    </div>
-                    ${quoteData.customerInfo.phone ? `
-                    <div class="info-item">
-                        <i data-lucide="phone"></i>
-                        <div>
-                            <strong>Phone:</strong><br>
-                            ${quoteData.customerInfo.phone}
-                    </div>
-                    </div>
-                    ` : ''}
-                    ${quoteData.customerInfo.company ? `
-                    <div class="info-item">
-                        <i data-lucide="building"></i>
-                        <div>
-                            <strong>Company:</strong><br>
-                            ${quoteData.customerInfo.company}
-                        </div>
-                    </div>
-                    ` : ''}
-                    <div class="info-item">
-                        <i data-lucide="map-pin"></i>
-                        <div>
-                            <strong>Service Location:</strong><br>
-                            ${quoteData.customerInfo.location}
-                        </div>
-                    </div>
-                    <div class="info-item">
-                        <i data-lucide="navigation"></i>
-                        <div>
-                            <strong>Service Area:</strong><br>
-                            ${quoteData.customerInfo.serviceArea} miles radius
-                        </div>
-                    </div>
-                </div>
-                ${quoteData.customerInfo.message ? `
-                <div class="additional-requirements">
-                    <h4><i data-lucide="message-square"></i> Additional Requirements</h4>
-                    <p>${quoteData.customerInfo.message}</p>
-                </div>
-                ` : ''}
-            </div>
-            
-            <!-- Payment Options -->
-            <div class="payment-options-section">
-                <h3><i data-lucide="credit-card"></i> Payment Options</h3>
-                <div class="payment-options-grid">
-                    <div class="payment-option recommended">
-                        <div class="payment-header">
-                            <div class="payment-icon">
-                                <i data-lucide="shield-check"></i>
-                            </div>
-                            <div class="payment-badge">Recommended</div>
-                        </div>
-                        <div class="payment-content">
-                            <h4>50% Upfront Payment</h4>
-                            <div class="payment-breakdown">
-                                <div class="payment-item">
-                                    <span>Upfront Payment:</span>
-                                    <span class="payment-amount">$${Math.round(quoteData.totalPrice * 0.5).toLocaleString()}</span>
-                                </div>
-                                <div class="payment-item">
-                                    <span>Upon Completion:</span>
-                                    <span class="payment-amount">$${Math.round(quoteData.totalPrice * 0.5).toLocaleString()}</span>
-                                </div>
-                            </div>
-                            <ul class="payment-benefits">
-                                <li><i data-lucide="check"></i> Secure project start</li>
-                                <li><i data-lucide="check"></i> Flexible payment terms</li>
-                                <li><i data-lucide="check"></i> No hidden fees</li>
-                            </ul>
-                        </div>
-                    </div>
-                    
-                    <div class="payment-option">
-                        <div class="payment-header">
-                            <div class="payment-icon">
-                                <i data-lucide="dollar-sign"></i>
-                            </div>
-                        </div>
-                        <div class="payment-content">
-                            <h4>Full Payment</h4>
-                            <div class="payment-breakdown">
-                                <div class="payment-item">
-                                    <span>Total Amount:</span>
-                                    <span class="payment-amount">$${quoteData.totalPrice.toLocaleString()}</span>
-                                </div>
-                            </div>
-                            <ul class="payment-benefits">
-                                <li><i data-lucide="check"></i> One-time payment</li>
-                                <li><i data-lucide="check"></i> 5% discount applied</li>
-                                <li><i data-lucide="check"></i> Priority support</li>
-                            </ul>
-                        </div>
-                    </div>
-                </div>
-            </div>
-            
-            <!-- Project Timeline -->
-            <div class="timeline-section">
-                <h3><i data-lucide="calendar"></i> Project Timeline</h3>
-                <div class="timeline-steps">
-                    <div class="timeline-step">
-                        <div class="step-icon">
-                            <i data-lucide="play"></i>
-                        </div>
-                        <div class="step-content">
-                            <h4>Project Start</h4>
-                            <p>Immediate start upon payment confirmation</p>
-                        </div>
-                    </div>
-                    <div class="timeline-step">
-                        <div class="step-icon">
-                            <i data-lucide="layout"></i>
-                        </div>
-                        <div class="step-content">
-                            <h4>Design Phase</h4>
-                            <p>Custom design and layout creation</p>
-                        </div>
-                    </div>
-                    <div class="timeline-step">
-                        <div class="step-icon">
-                            <i data-lucide="code"></i>
-                        </div>
-                        <div class="step-content">
-                            <h4>Development</h4>
-                            <p>Website development and feature implementation</p>
-                        </div>
-                    </div>
-                    <div class="timeline-step">
-                        <div class="step-icon">
-                            <i data-lucide="check-circle"></i>
-                        </div>
-                        <div class="step-content">
-                            <h4>Launch & Support</h4>
-                            <p>Website launch and ongoing support</p>
-                        </div>
-                    </div>
-                </div>
-            </div>
-            
-            <!-- What's Included -->
-            <div class="included-section">
-                <h3><i data-lucide="gift"></i> What's Included</h3>
-                <div class="included-grid">
-                    <div class="included-item">
-                        <i data-lucide="wifi"></i>
-                        <h4>Hosting Setup</h4>
-                        <p>Professional hosting configuration</p>
-                    </div>
-                    <div class="included-item">
-                        <i data-lucide="shield"></i>
-                        <h4>SSL Certificate</h4>
-                        <p>Secure HTTPS connection</p>
-                    </div>
-                    <div class="included-item">
-                        <i data-lucide="smartphone"></i>
-                        <h4>Mobile Optimization</h4>
-                        <p>Perfect on all devices</p>
-                    </div>
-                    <div class="included-item">
-                        <i data-lucide="search"></i>
-                        <h4>SEO Setup</h4>
-                        <p>Search engine optimization</p>
-                    </div>
-                    <div class="included-item">
-                        <i data-lucide="headphones"></i>
-                        <h4>30 Days Support</h4>
-                        <p>Post-launch assistance</p>
-                    </div>
-                    <div class="included-item">
-                        <i data-lucide="download"></i>
-                        <h4>Training</h4>
-                        <p>Website management training</p>
-                    </div>
-                </div>
-            </div>
-            
-            <!-- What's Included & Next Steps -->
-            <div class="quote-footer">
-                <div class="footer-content">
-                    <div class="footer-section">
-                        <h4><i data-lucide="check-circle"></i> What's Included</h4>
-                        <ul>
-                            <li>Professional website design and development</li>
-                            <li>Mobile-responsive design for all devices</li>
-                            <li>SEO optimization for local search visibility</li>
-                            <li>Content management system (CMS)</li>
-                            <li>30 days of support and maintenance</li>
-                            <li>Training and documentation</li>
-                            <li>Google Analytics integration</li>
-                            <li>Social media integration</li>
-                        </ul>
-                    </div>
-                    <div class="footer-section">
-                        <h4><i data-lucide="arrow-right"></i> Next Steps</h4>
-                        <ol>
-                            <li>Review and approve this quote</li>
-                            <li>Sign the service agreement</li>
-                            <li>Provide content and branding materials</li>
-                            <li>Development begins within 24 hours</li>
-                            <li>Regular progress updates throughout</li>
-                            <li>Final review and launch</li>
-                        </ol>
-                    </div>
-                </div>
-                <div class="footer-note">
-                    <div class="note-content">
-                        <i data-lucide="info"></i>
-                        <div>
-                            <strong>Important:</strong> This quote is valid for 30 days from the date of generation. 
-                            For questions, modifications, or to proceed with this quote, please contact us.
-                        </div>
-                    </div>
-                </div>
-            </div>
-        </div>
-    `;
+    const system = window.quoteSystem;
+    // Catalog prices are in the base currency; the quote shows them in its own
+    const inCurrency = item => item && { ...item, price: system.convertPrice(item.price) };
+    const findAll = (ids, items) => ids.map(id => inCurrency(items.find(item => item.id === id))).filter(Boolean);
+    
+    // Markup lives in assets/js/shared/QuoteContent.js so the share page renders the same quote
+    return QuoteContent.render({
+        id: quoteData.id,
+        createdAt: quoteData.createdAt,
+        totalPrice: quoteData.totalPrice,
+        currency: quoteData.currency,
+        package: inCurrency(system.packages.find(p => p.id === quoteData.selectedPackage)),
+        features: findAll(quoteData.selectedAdditionalFeatures, system.additionalFeatures),
+        addons: findAll(quoteData.selectedAddonServices, system.addonServices),
+        discounts: quoteData.discount ? [quoteData.discount] : [],
+        taxes: quoteData.taxes || [],
+        taxDisplay: quoteData.taxDisplay,
+        schedule: quoteData.schedule,
+        paymentSchedule: quoteData.paymentSchedule,
+        locale: I18n.getLocale(),
+        customerInfo: quoteData.customerInfo
+    });
 }
 
 
@@ -4505,211 +4938,211 @@ window.addEventListener('scroll', function() {
     window.userHasScrolled = true;
     
     // Clear existing timeout
-    clearTimeout(scrollTimeout
+    clearTimeout(scrollTimeout);
     
     // Reset the flag after 2 seconds of no scrolling
     scrollTimeout = setTimeout(() => {
         window.userHasScrolled = false;
-    }, 2000
-}
+    }, 2000);
+});
 
 document.addEventListener('DOMContentLoaded', function() {
     // Initialize quote system
-    window.quoteSystem = new QuoteSystem(
+    window.quoteSystem = new QuoteSystem();
     
     // Ensure summary is updated after everything is loaded
     setTimeout(() => {
         if (window.quoteSystem) {
-            window.quoteSystem.updateSummary(
-            window.quoteSystem.updateGenerateButton(
+            window.quoteSystem.updateSummary();
+            window.quoteSystem.updateGenerateButton();
             
             // Force price display
-            const summaryTotalElement = document.getElementById('summaryTotal'
+            const summaryTotalElement = document.getElementById('summaryTotal');
             if (summaryTotalElement) {
-                const currentPrice = window.quoteSystem.calculateTotalPrice(
-                summaryTotalElement.textContent = `$${currentPrice.toLocaleString()}`;
+                const currentPrice = window.quoteSystem.calculateTotalPrice();
+                summaryTotalElement.textContent = window.quoteSystem.formatMoney(currentPrice);
             }
             
             }
-    }, 100
+    }, 100);
     
     // Also update summary when window is fully loaded
     window.addEventListener('load', function() {
         setTimeout(() => {
             if (window.quoteSystem) {
-                window.quoteSystem.updateSummary(
-                window.quoteSystem.updateGenerateButton(
+                window.quoteSystem.updateSummary();
+                window.quoteSystem.updateGenerateButton();
                 
                 // Force price display
-                const summaryTotalElement = document.getElementById('summaryTotal'
+                const summaryTotalElement = document.getElementById('summaryTotal');
                 if (summaryTotalElement) {
-                    const currentPrice = window.quoteSystem.calculateTotalPrice(
-                    summaryTotalElement.textContent = `$${currentPrice.toLocaleString()}`;
+                    const currentPrice = window.quoteSystem.calculateTotalPrice();
+                    summaryTotalElement.textContent = window.quoteSystem.formatMoney(currentPrice);
                 }
                 
                 }
-        }, 200
-    }
+        }, 200);
+    });
     
     // Update summary when page becomes visible (returning from About Us page)
     document.addEventListener('visibilitychange', function() {
         if (!document.hidden && window.quoteSystem) {
             setTimeout(() => {
                 // Force reload from localStorage and restore UI state
-                window.quoteSystem.loadFromLocalStorage(
-                window.quoteSystem.restoreUIState(
-                window.quoteSystem.updateSummary(
-                window.quoteSystem.updateGenerateButton(
+                window.quoteSystem.loadFromLocalStorage();
+                window.quoteSystem.restoreUIState();
+                window.quoteSystem.updateSummary();
+                window.quoteSystem.updateGenerateButton();
                 
                 // Force price display
-                const summaryTotalElement = document.getElementById('summaryTotal'
+                const summaryTotalElement = document.getElementById('summaryTotal');
                 if (summaryTotalElement) {
-                    const currentPrice = window.quoteSystem.calculateTotalPrice(
-                    summaryTotalElement.textContent = `$${currentPrice.toLocaleString()}`;
+                    const currentPrice = window.quoteSystem.calculateTotalPrice();
+                    summaryTotalElement.textContent = window.quoteSystem.formatMoney(currentPrice);
                 }
                 
-                }, 100
+                }, 100);
         }
-    }
+    });
     
     // Update summary when page gains focus (alternative method)
     window.addEventListener('focus', function() {
         if (window.quoteSystem) {
             setTimeout(() => {
                 // Force reload from localStorage and restore UI state
-                window.quoteSystem.loadFromLocalStorage(
-                window.quoteSystem.restoreUIState(
-                window.quoteSystem.updateSummary(
-                window.quoteSystem.updateGenerateButton(
+                window.quoteSystem.loadFromLocalStorage();
+                window.quoteSystem.restoreUIState();
+                window.quoteSystem.updateSummary();
+                window.quoteSystem.updateGenerateButton();
                 
                 // Force price display
-                const summaryTotalElement = document.getElementById('summaryTotal'
+                const summaryTotalElement = document.getElementById('summaryTotal');
                 if (summaryTotalElement) {
-                    const currentPrice = window.quoteSystem.calculateTotalPrice(
-                    summaryTotalElement.textContent = `$${currentPrice.toLocaleString()}`;
+                    const currentPrice = window.quoteSystem.calculateTotalPrice();
+                    summaryTotalElement.textContent = window.quoteSystem.formatMoney(currentPrice);
                 }
                 
-                }, 100
+                }, 100);
         }
-    }
+    });
     
     // Update summary when page is shown (including back navigation)
     window.addEventListener('pageshow', function(event) {
         if (window.quoteSystem) {
             setTimeout(() => {
                 // Force reload from localStorage and restore UI state
-                window.quoteSystem.loadFromLocalStorage(
-                window.quoteSystem.restoreUIState(
-                window.quoteSystem.updateSummary(
-                window.quoteSystem.updateGenerateButton(
+                window.quoteSystem.loadFromLocalStorage();
+                window.quoteSystem.restoreUIState();
+                window.quoteSystem.updateSummary();
+                window.quoteSystem.updateGenerateButton();
                 
                 // Force price display
-                const summaryTotalElement = document.getElementById('summaryTotal'
+                const summaryTotalElement = document.getElementById('summaryTotal');
                 if (summaryTotalElement) {
-                    const currentPrice = window.quoteSystem.calculateTotalPrice(
-                    summaryTotalElement.textContent = `$${currentPrice.toLocaleString()}`;
+                    const currentPrice = window.quoteSystem.calculateTotalPrice();
+                    summaryTotalElement.textContent = window.quoteSystem.formatMoney(currentPrice);
                 }
                 
-                }, 100
+                }, 100);
         }
-    }
+    });
     
     // Only scroll to top on page refresh/reload
     if (performance.navigation.type === 1) {
         // Page was refreshed/reloaded
-        scrollToTop(
+        scrollToTop();
         
         // Also scroll to top when window loads completely
         window.addEventListener('load', function() {
-            scrollToTop(
-        }
+            scrollToTop();
+        });
         
         // Single additional scroll to top after a delay
-        setTimeout(() => scrollToTop(), 1000
+        setTimeout(() => scrollToTop(), 1000);
     }
     
     // Initialize modal functionality
 
     
     // Component tab functionality
-    const tabBtns = document.querySelectorAll('.tab-btn'
+    const tabBtns = document.querySelectorAll('.tab-btn');
     tabBtns.forEach(btn => {
         btn.addEventListener('click', function() {
             const tabName = this.dataset.tab;
             
             // Remove active class from all buttons
-            tabBtns.forEach(b => b.classList.remove('active')
+            tabBtns.forEach(b => b.classList.remove('active'));
             
             // Add active class to clicked button
-            this.classList.add('active'
+            this.classList.add('active');
             
             // Hide all tab contents
             document.querySelectorAll('.tab-content').forEach(content => {
-                content.classList.remove('active'
-            }
+                content.classList.remove('active');
+            });
             
             // Show selected tab content
-            const selectedContent = document.getElementById(`${tabName}-tab`
+            const selectedContent = document.getElementById(`${tabName}-tab`);
             if (selectedContent) {
-                selectedContent.classList.add('active'
+                selectedContent.classList.add('active');
             }
-        }
-    }
+        });
+    });
     
     // Mobile menu toggle
-    const mobileMenuToggle = document.getElementById('mobileMenuToggle'
-    const navList = document.querySelector('.nav-list'
+    const mobileMenuToggle = document.getElementById('mobileMenuToggle');
+    const navList = document.querySelector('.nav-list');
     
     if (mobileMenuToggle && navList) {
         mobileMenuToggle.addEventListener('click', function() {
-            navList.classList.toggle('active'
-            this.classList.toggle('active'
-        }
+            navList.classList.toggle('active');
+            this.classList.toggle('active');
+        });
     }
     
     // Get Started button scroll functionality
-    const getStartedBtn = document.querySelector('.hero-btn-primary'
+    const getStartedBtn = document.querySelector('.hero-btn-primary');
     if (getStartedBtn) {
         getStartedBtn.addEventListener('click', function() {
-            const heroSection = document.querySelector('.hero-section'
+            const heroSection = document.querySelector('.hero-section');
             if (heroSection) {
                 const heroBottom = heroSection.offsetTop + heroSection.offsetHeight;
                 window.scrollTo({
                     top: heroBottom,
                     behavior: 'smooth'
-                }
+                });
                 
                 // Update quote summary after scrolling
                 setTimeout(() => {
                     if (window.quoteSystem) {
-                        window.quoteSystem.updateSummary(
+                        window.quoteSystem.updateSummary();
                         }
-                }, 500
+                }, 500);
             }
-        }
+        });
     }
     
     // Learn More button functionality
-    const learnMoreBtn = document.querySelector('.hero-btn-secondary'
+    const learnMoreBtn = document.querySelector('.hero-btn-secondary');
     if (learnMoreBtn) {
         learnMoreBtn.addEventListener('click', function() {
             window.location.href = 'about-us.html';
-        }
+        });
     }
-}
+});
 
 // Helper functions for validation
 function isValidEmail(email) {
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email
+    return emailRegex.test(email);
 }
 
 function isValidPhone(phone) {
     // Remove all non-digit characters except + at the beginning
-    const cleaned = phone.replace(/[^\d+]/g, ''
+    const cleaned = phone.replace(/[^\d+]/g, '');
     // Must start with + or digit, have 7-15 digits total
     const phoneRegex = /^[\+]?[1-9][\d]{6,14}$/;
-    return phoneRegex.test(cleaned
+    return phoneRegex.test(cleaned);
 }
 
 // Add missing toggle methods for simplified system
@@ -4718,87 +5151,63 @@ QuoteSystem.prototype.toggleAdditionalFeature = function(card) {
     if (!featureId) return;
 
     
-    if (this.selectedAdditionalFeatures.has(featureId)) {
-        this.selectedAdditionalFeatures.delete(featureId
-        card.classList.remove('selected'
-        } else {
-        this.selectedAdditionalFeatures.add(featureId
-        card.classList.add('selected'
-        }
-    
-    // Update visual state
-    this.updateAdditionalFeatureVisualState(card, featureId
+    this.store.dispatch(this.actions.toggleFeature(featureId));
     
-    // Re-render and update
-    this.virtualRenderer.queueRender(() => this.renderAdditionalFeatures(), 'normal'
-    this.saveToLocalStorage(
-    this.updateSummary(
-    this.updateGenerateButton(
+    // Update visual state now; the grid re-renders from the store
+    this.updateAdditionalFeatureVisualState(card, featureId);
     
     // Show user feedback
-    const feature = this.additionalFeatures.find(f => f.id === featureId
+    const feature = this.additionalFeatures.find(f => f.id === featureId);
     if (feature) {
-        const action = this.selectedAdditionalFeatures.has(featureId) ? 'added' : 'removed';
-        this.showNotification(`${feature.name} ${action} to your quote`, 'success'
+        const message = this.selectedAdditionalFeatures.has(featureId) ? 'notifications.itemAdded' : 'notifications.itemRemoved';
+        this.showNotification(I18n.t(message, { name: feature.name }), 'success');
     }
 };
 
 QuoteSystem.prototype.updateAdditionalFeatureVisualState = function(card, featureId) {
-    const isSelected = this.selectedAdditionalFeatures.has(featureId
-    const isIncluded = card.classList.contains('included-in-package'
+    const isSelected = this.selectedAdditionalFeatures.has(featureId);
+    const isIncluded = card.classList.contains('included-in-package');
     
     // Update card classes
     if (isSelected) {
-        card.classList.add('selected'
-        card.classList.remove('not-selected'
+        card.classList.add('selected');
+        card.classList.remove('not-selected');
     } else {
-        card.classList.remove('selected'
-        card.classList.add('not-selected'
+        card.classList.remove('selected');
+        card.classList.add('not-selected');
     }
     
     // Update badges
-    const existingBadges = card.querySelectorAll('.included-badge, .selected-badge, .not-selected-badge'
-    existingBadges.forEach(badge => badge.remove()
+    const existingBadges = card.querySelectorAll('.included-badge, .selected-badge, .not-selected-badge');
+    existingBadges.forEach(badge => badge.remove());
     
     if (isIncluded) {
-        card.insertAdjacentHTML('beforeend', '<div class="included-badge">Included</div>'
+        card.insertAdjacentHTML('beforeend', `<div class="included-badge">${I18n.t('badges.included')}</div>`);
     } else if (isSelected) {
-        card.insertAdjacentHTML('beforeend', '<div class="selected-badge">Selected</div>'
+        card.insertAdjacentHTML('beforeend', `<div class="selected-badge">${I18n.t('badges.selected')}</div>`);
     } else {
-        card.insertAdjacentHTML('beforeend', '<div class="not-selected-badge">Not Selected</div>'
+        card.insertAdjacentHTML('beforeend', `<div class="not-selected-badge">${I18n.t('badges.notSelected')}</div>`);
     }
 };
 
 QuoteSystem.prototype.toggleAddonService = function(serviceId, card = null) {
     // If no card provided, try to find it
     if (!card) {
-        card = document.querySelector(`[data-service-id="${serviceId}"]`
+        card = document.querySelector(`[data-service-id="${serviceId}"]`);
     }
     if (!card) {
         return;
     }
 
     
-    if (this.selectedAddonServices.has(serviceId)) {
-        this.selectedAddonServices.delete(serviceId
-        card.classList.remove('selected'
-        } else {
-        this.selectedAddonServices.add(serviceId
-        card.classList.add('selected'
-        }
-
-    
-    // Re-render to update the UI
-    this.virtualRenderer.queueRender(() => this.renderAddonServices(), 'normal'
-    this.saveToLocalStorage(
-    this.updateSummary(
-    this.updateGenerateButton(
+    // The grid and the summary re-render from the store
+    this.store.dispatch(this.actions.toggleAddon(serviceId));
     
     // Show user feedback
-    const service = this.addonServices.find(s => s.id === serviceId
+    const service = this.addonServices.find(s => s.id === serviceId);
     if (service) {
-        const action = this.selectedAddonServices.has(serviceId) ? 'added' : 'removed';
-        this.showNotification(`${service.name} ${action} to your quote`, 'success'
+        const message = this.selectedAddonServices.has(serviceId) ? 'notifications.itemAdded' : 'notifications.itemRemoved';
+        this.showNotification(I18n.t(message, { name: service.name }), 'success');
     }
 };
 
@@ -4806,8 +5215,8 @@ QuoteSystem.prototype.toggleAddonService = function(serviceId, card = null) {
 
 // Initialize scroll to quote summary button
 document.addEventListener('DOMContentLoaded', function() {
-    const scrollBtn = document.getElementById('scrollToQuoteSummary'
-    const quoteSidebar = document.querySelector('.quote-sidebar'
+    const scrollBtn = document.getElementById('scrollToQuoteSummary');
+    const quoteSidebar = document.querySelector('.quote-sidebar');
     
     if (!scrollBtn || !quoteSidebar) return;
     
@@ -4819,25 +5228,25 @@ document.addEventListener('DOMContentLoaded', function() {
         
         // Show button when user scrolls past the quote sidebar
         if (scrollPosition > quoteSidebarTop - windowHeight + 100) {
-            scrollBtn.classList.add('show'
+            scrollBtn.classList.add('show');
         } else {
-            scrollBtn.classList.remove('show'
+            scrollBtn.classList.remove('show');
         }
     }
     
     // Smooth scroll to quote summary
     function scrollToQuoteSummary() {
-        const quoteSidebar = document.querySelector('.quote-sidebar'
-        const fixedQuoteSummary = document.getElementById('fixedQuoteSummary'
+        const quoteSidebar = document.querySelector('.quote-sidebar');
+        const fixedQuoteSummary = document.getElementById('fixedQuoteSummary');
         
         // Check if device is mobile
         const isMobile = window.innerWidth <= 768;
         
         if (isMobile && fixedQuoteSummary) {
             // On mobile, show the fixed quote summary
-            fixedQuoteSummary.classList.add('show'
-            const fixedSummaryContent = document.getElementById('fixedSummaryContent'
-            const fixedSummaryToggle = document.getElementById('fixedSummaryToggle'
+            fixedQuoteSummary.classList.add('show');
+            const fixedSummaryContent = document.getElementById('fixedSummaryContent');
+            const fixedSummaryToggle = document.getElementById('fixedSummaryToggle');
             if (fixedSummaryContent && fixedSummaryToggle) {
                 // Dynamic height based on screen height for better mobile experience
                 const screenHeight = window.innerHeight;
@@ -4868,7 +5277,7 @@ document.addEventListener('DOMContentLoaded', function() {
             fixedQuoteSummary.style.boxShadow = '0 0 30px rgba(59, 130, 246, 0.3)';
             setTimeout(() => {
                 fixedQuoteSummary.style.boxShadow = '';
-            }, 2000
+            }, 2000);
             
             return;
         }
@@ -4878,12 +5287,12 @@ document.addEventListener('DOMContentLoaded', function() {
         // Desktop behavior
         const targetPosition = quoteSidebar.offsetTop - 20;
         // Ensure we don't scroll beyond the document bounds
-        const finalTargetPosition = Math.max(0, Math.min(targetPosition, document.body.scrollHeight - window.innerHeight)
+        const finalTargetPosition = Math.max(0, Math.min(targetPosition, document.body.scrollHeight - window.innerHeight));
         // Smooth scroll to the target position
         window.scrollTo({
             top: finalTargetPosition,
             behavior: 'smooth'
-        }
+        });
         
         // Add a subtle highlight effect to the quote sidebar
         quoteSidebar.style.transition = 'box-shadow 0.3s ease';
@@ -4892,24 +5301,24 @@ document.addEventListener('DOMContentLoaded', function() {
         // Remove the highlight after animation
         setTimeout(() => {
             quoteSidebar.style.boxShadow = '';
-        }, 2000
+        }, 2000);
     }
     
     // Event listeners
-    window.addEventListener('scroll', toggleScrollButton
-    scrollBtn.addEventListener('click', scrollToQuoteSummary
+    window.addEventListener('scroll', toggleScrollButton);
+    scrollBtn.addEventListener('click', scrollToQuoteSummary);
     
     // Initialize button state
-    toggleScrollButton(
+    toggleScrollButton();
     
     // Add keyboard support
     document.addEventListener('keydown', function(e) {
         // Ctrl/Cmd + Up arrow to scroll to quote summary
         if ((e.ctrlKey || e.metaKey) && e.key === 'ArrowUp') {
-            e.preventDefault(
-            scrollToQuoteSummary(
+            e.preventDefault();
+            scrollToQuoteSummary();
         }
-    }
+    });
     
     // Add touch support for mobile
     let touchStartY = 0;
@@ -4917,7 +5326,7 @@ document.addEventListener('DOMContentLoaded', function() {
     
     document.addEventListener('touchstart', function(e) {
         touchStartY = e.touches[0].clientY;
-    }
+    });
     
     document.addEventListener('touchend', function(e) {
         touchEndY = e.changedTouches[0].clientY;
@@ -4925,17 +5334,17 @@ document.addEventListener('DOMContentLoaded', function() {
         
         // Swipe up gesture to scroll to quote summary (if button is visible)
         if (touchDiff > 50 && scrollBtn.classList.contains('show')) {
-            scrollToQuoteSummary(
+            scrollToQuoteSummary();
         }
-    }
-}
+    });
+});
 
 // ===== FIXED BOTTOM QUOTE SUMMARY FUNCTIONALITY =====
 
 document.addEventListener('DOMContentLoaded', function() {
-    const fixedQuoteSummary = document.getElementById('fixedQuoteSummary'
-    const fixedSummaryToggle = document.getElementById('fixedSummaryToggle'
-    const fixedSummaryContent = document.getElementById('fixedSummaryContent'
+    const fixedQuoteSummary = document.getElementById('fixedQuoteSummary');
+    const fixedSummaryToggle = document.getElementById('fixedSummaryToggle');
+    const fixedSummaryContent = document.getElementById('fixedSummaryContent');
     
     if (!fixedQuoteSummary || !fixedSummaryToggle || !fixedSummaryContent) return;
     
@@ -4968,7 +5377,7 @@ document.addEventListener('DOMContentLoaded', function() {
     }
     
     // Event listener for toggle button
-    fixedSummaryToggle.addEventListener('click', toggleFixedSummary
+    fixedSummaryToggle.addEventListener('click', toggleFixedSummary);
     
     // Show fixed summary when items are selected (mobile only)
     function showFixedSummaryIfMobile() {
@@ -4982,9 +5391,9 @@ document.addEventListener('DOMContentLoaded', function() {
     // Hide fixed summary when no items are selected (mobile only)
     function hideFixedSummaryIfMobile() {
         if (window.innerWidth <= 768) {
-            fixedQuoteSummary.classList.remove('show'
+            fixedQuoteSummary.classList.remove('show');
             fixedSummaryContent.style.maxHeight = '0';
-            fixedSummaryToggle.setAttribute('aria-expanded', 'false'
+            fixedSummaryToggle.setAttribute('aria-expanded', 'false');
         }
     }
     
@@ -4994,9 +5403,9 @@ document.addEventListener('DOMContentLoaded', function() {
     
     // Auto-show on mobile when page loads if there are selected items
     setTimeout(() => {
-        const selectedItems = document.querySelectorAll('.selected-item'
+        const selectedItems = document.querySelectorAll('.selected-item');
         if (selectedItems.length > 0 && window.innerWidth <= 768) {
-            showFixedSummaryIfMobile(
+            showFixedSummaryIfMobile();
         }
-    }, 1000
-}
+    }, 1000);
+});
@@ -0,0 +1,147 @@
+// Admin API client - authenticated calls to /api/admin
+
+import { authService } from './AuthService.js';
+
+export class AdminApiService {
+    constructor(baseURL = '/api/admin', auth = authService) {
+        this.baseURL = baseURL;
+        this.auth = auth;
+    }
+
+    /**
+     * Send a request; non-2xx responses throw an Error carrying `status`
+     * and the server's `details`
+     */
+    async request(path, { method = 'GET', body } = {}) {
+        const response = await fetch(`${this.baseURL}${path}`, {
+            method,
+            headers: {
+                ...this.auth.getAuthHeaders(),
+                ...(body !== undefined ? { 'Content-Type': 'application/json' } : {})
+            },
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            const error = new Error(data.error || `Request failed: ${response.status}`);
+            error.status = response.status;
+            error.details = data.details;
+            throw error;
+        }
+        return data;
+    }
+
+    /**
+     * @param {Object} filters - status, from, to, package, serviceArea, minTotal, maxTotal, q
+     */
+    listQuotes(filters = {}) {
+        return this.request(`/quotes${this.toQuery(filters)}`);
+    }
+
+    toQuery(params) {
+        const search = new URLSearchParams();
+        Object.entries(params).forEach(([name, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                search.set(name, value);
+            }
+        });
+        const query = search.toString();
+        return query ? `?${query}` : '';
+    }
+
+    listExportMappings() {
+        return this.request('/quotes/export/mappings');
+    }
+
+    /**
+     * Download the filtered quotes as a file. Downloads need the
+     * Authorization header, so they're fetched and saved from a blob URL.
+     * @param {Object} filters - as for listQuotes()
+     * @param {Object} options - { format: 'csv' | 'json' | 'xlsx', mapping }
+     */
+    downloadExport(filters, { format = 'csv', mapping = 'default' } = {}) {
+        return this.download(`/quotes/export${this.toQuery({ ...filters, format, mapping })}`, `quotes.${format}`);
+    }
+
+    downloadQuotePdf(id) {
+        return this.download(`/quotes/${encodeURIComponent(id)}/pdf`, `${id}.pdf`);
+    }
+
+    async download(path, fallbackFilename) {
+        const response = await fetch(`${this.baseURL}${path}`, {
+            headers: this.auth.getAuthHeaders()
+        });
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            const error = new Error(data.error || `Download failed: ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="([^"]+)"/);
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = match ? match[1] : fallbackFilename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    getQuote(id) {
+        return this.request(`/quotes/${encodeURIComponent(id)}`);
+    }
+
+    /**
+     * Run a lifecycle action (send, view, accept, decline, invoice)
+     */
+    transitionQuote(id, action, note) {
+        return this.request(`/quotes/${encodeURIComponent(id)}/${action}`, {
+            method: 'POST',
+            body: note ? { note } : {}
+        });
+    }
+
+    addNote(id, text) {
+        return this.request(`/quotes/${encodeURIComponent(id)}/notes`, {
+            method: 'POST',
+            body: { text }
+        });
+    }
+
+    /**
+     * What changed between two versions of a quote; by default the latest
+     * revision against the one before
+     */
+    diffVersions(id, from, to) {
+        return this.request(`/quotes/${encodeURIComponent(id)}/diff${this.toQuery({ from, to })}`);
+    }
+
+    /**
+     * @param {Object} revision - changed selection fields plus an optional note
+     */
+    reviseQuote(id, revision) {
+        return this.request(`/quotes/${encodeURIComponent(id)}/revisions`, {
+            method: 'POST',
+            body: revision
+        });
+    }
+
+    getCatalog() {
+        return this.request('/catalog');
+    }
+
+    refundPayment(id, paymentId) {
+        return this.request(`/quotes/${encodeURIComponent(id)}/payments/${encodeURIComponent(paymentId)}/refund`, {
+            method: 'POST',
+            body: {}
+        });
+    }
+}
+
+export const adminApi = new AdminApiService();
+
+export default adminApi;
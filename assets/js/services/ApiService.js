@@ -1,5 +1,7 @@
 // API Service for data fetching and caching
 import { errorHandler } from '../utils/ErrorHandler.js';
+import { authService } from './AuthService.js';
+import { LoginModal } from '../components/LoginModal.js';
 
 export class ApiService {
     constructor(baseURL = '/api/quote') {
@@ -10,6 +12,7 @@ export class ApiService {
         this.retryDelay = 1000; // 1 second
         this.timeout = 10000; // 10 seconds
         this.requestQueue = new Map();
+        this.loginPrompt = null;
         this.setupErrorRecovery();
     }
 
@@ -74,12 +77,13 @@ export class ApiService {
                 const timeoutId = setTimeout(() => controller.abort(), this.timeout);
                 
                 const response = await fetch(url, {
+                    ...options,
                     headers: {
                         'Content-Type': 'application/json',
+                        ...authService.getAuthHeaders(),
                         ...options.headers
                     },
-                    signal: controller.signal,
-                    ...options
+                    signal: controller.signal
                 });
                 
                 clearTimeout(timeoutId);
@@ -190,59 +194,36 @@ export class ApiService {
             case '/addons':
                 return Array.isArray(data);
             case '/components':
-                return Array.isArray(data);
+                return Array.isArray(data.pages);
+            case '/catalog':
+                return Array.isArray(data.packages) && data.packages.length > 0;
             default:
                 return true;
         }
     }
     
-    async fetchAll() {
-        const endpoints = [
-            '/packages',
-            '/features',
-            '/addons',
-            '/components',
-            '/emergency-services',
-            '/service-areas',
-            '/hvac-features',
-            '/appliance-features',
-            '/contact-features'
-        ];
+    /**
+     * Load the whole catalog from GET /api/quote/catalog in one request.
+     * The server sends ETag/Last-Modified, so repeat loads revalidate with a 304.
+     */
+    async fetchAll(options = {}) {
+        const catalog = await this.fetch('/catalog', options);
         
         const results = {};
-        const errors = [];
-        
-        // Fetch endpoints with individual error handling
-        const promises = endpoints.map(async (endpoint) => {
-            try {
-                const data = await this.fetch(endpoint);
-                return { endpoint, data, success: true };
-            } catch (error) {
-                errors.push({ endpoint, error: error.message });
-                return { endpoint, data: null, success: false, error };
-            }
-        });
-        
-        const responses = await Promise.allSettled(promises);
-        
-        // Process successful responses
-        responses.forEach((response, index) => {
-            if (response.status === 'fulfilled' && response.value.success) {
-                const { endpoint, data } = response.value;
-                const key = this.getDataKey(endpoint);
-                results[key] = data;
+        this.catalogKeys.forEach(key => {
+            if (catalog[key] !== undefined) {
+                results[key] = catalog[key];
             }
         });
         
-        // Handle partial failures
-        if (errors.length > 0) {
-            const failedEndpoints = errors.map(e => e.endpoint).join(', ');
-            errorHandler.handleError(new Error(`Failed to fetch: ${failedEndpoints}`), {
+        // Report optional collections the server didn't send
+        const missing = this.catalogKeys.filter(key => results[key] === undefined);
+        if (missing.length > 0) {
+            errorHandler.handleError(new Error(`Catalog is missing: ${missing.join(', ')}`), {
                 context: 'API',
                 severity: 'warning',
-                userActionable: true,
-                recoverable: true,
-                failedEndpoints: errors
+                userActionable: false,
+                recoverable: true
             });
         }
         
@@ -254,26 +235,26 @@ export class ApiService {
             throw new Error(`Critical data missing: ${missingKeys.join(', ')}`);
         }
         
+        results.catalogVersion = catalog.version;
         return results;
     }
-
+    
     /**
-     * Get data key from endpoint
+     * Keys of the collections in the GET /catalog response
      */
-    getDataKey(endpoint) {
-        const keyMap = {
-            '/packages': 'packages',
-            '/features': 'features',
-            '/addons': 'addons',
-            '/components': 'components',
-            '/emergency-services': 'emergencyServices',
-            '/service-areas': 'serviceAreas',
-            '/hvac-features': 'hvacFeatures',
-            '/appliance-features': 'applianceFeatures',
-            '/contact-features': 'contactFeatures'
-        };
-        
-        return keyMap[endpoint] || endpoint.replace('/', '');
+    get catalogKeys() {
+        return [
+            'packages',
+            'features',
+            'addons',
+            'components',
+            'emergencyServices',
+            'serviceAreas',
+            'hvacFeatures',
+            'applianceFeatures',
+            'contactFeatures',
+            'currencies'
+        ];
     }
     
     clearCache() {
@@ -314,10 +295,30 @@ export class ApiService {
             recoverable: false
         });
         
-        // Redirect to login or show login modal
-        if (window.quoteSystem && window.quoteSystem.showLoginModal) {
-            window.quoteSystem.showLoginModal();
+        // The stored session, if any, is no longer valid
+        authService.clear();
+        this.showLoginModal();
+    }
+
+    /**
+     * Ask the user to sign in; only one login modal is shown at a time.
+     * Cached responses are dropped after signing in so they are fetched again
+     * with the new session.
+     * @returns {Promise<Object|null>} the signed-in user, or null if dismissed
+     */
+    showLoginModal() {
+        if (!this.loginPrompt) {
+            this.loginPrompt = LoginModal.show({
+                message: 'Your session has ended. Sign in again to continue.'
+            }).then((user) => {
+                this.loginPrompt = null;
+                if (user) {
+                    this.clearCache();
+                }
+                return user;
+            });
         }
+        return this.loginPrompt;
     }
 
     /**
@@ -343,7 +344,14 @@ export class ApiService {
             });
             
             if (response.ok) {
-                return { status: 'healthy', timestamp: new Date().toISOString() };
+                const report = await response.json();
+                return {
+                    status: report.status === 'ok' ? 'healthy' : 'degraded',
+                    version: report.version,
+                    uptime: report.uptime,
+                    dependencies: report.dependencies,
+                    timestamp: report.timestamp
+                };
             } else {
                 return { status: 'unhealthy', statusCode: response.status };
             }
@@ -0,0 +1,89 @@
+// Auth Service - staff sign-in against /api/auth
+
+const TOKEN_STORAGE = 'authToken';
+const USER_STORAGE = 'authUser';
+
+// Lowest to highest, as in server/users.js
+const ROLES = ['viewer', 'sales', 'admin'];
+
+export class AuthService {
+    constructor(baseURL = '/api/auth') {
+        this.baseURL = baseURL;
+    }
+
+    /**
+     * The session token, kept for the browser session only
+     */
+    getToken() {
+        return sessionStorage.getItem(TOKEN_STORAGE) || '';
+    }
+
+    getUser() {
+        try {
+            return JSON.parse(sessionStorage.getItem(USER_STORAGE)) || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    isSignedIn() {
+        return Boolean(this.getToken());
+    }
+
+    /**
+     * Whether the signed-in user has at least `minimumRole`
+     */
+    hasRole(minimumRole) {
+        const user = this.getUser();
+        const rank = user ? ROLES.indexOf(user.role) : -1;
+        return rank !== -1 && rank >= ROLES.indexOf(minimumRole);
+    }
+
+    getAuthHeaders() {
+        const token = this.getToken();
+        return token ? { 'Authorization': `Bearer ${token}` } : {};
+    }
+
+    /**
+     * Sign in. Rejects with an Error carrying `status` when the server refuses.
+     * @returns {Promise<Object>} the signed-in user
+     */
+    async login(username, password) {
+        const response = await fetch(`${this.baseURL}/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password })
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            const error = new Error(data.error || `Sign-in failed: ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        sessionStorage.setItem(TOKEN_STORAGE, data.token);
+        sessionStorage.setItem(USER_STORAGE, JSON.stringify(data.user));
+        return data.user;
+    }
+
+    /**
+     * End the session on the server (best effort) and forget it locally
+     */
+    async logout() {
+        const headers = this.getAuthHeaders();
+        this.clear();
+        if (headers.Authorization) {
+            await fetch(`${this.baseURL}/logout`, { method: 'POST', headers }).catch(() => {});
+        }
+    }
+
+    clear() {
+        sessionStorage.removeItem(TOKEN_STORAGE);
+        sessionStorage.removeItem(USER_STORAGE);
+    }
+}
+
+export const authService = new AuthService();
+
+export default authService;
@@ -0,0 +1,162 @@
+// ===== I18N =====
+// Message catalogs and locale helpers. Shared by the quote builder (window.I18n)
+// and the server (require), so the sidebar, the PDF and the emails use the
+// same translations. Catalogs live in assets/locales/<locale>.json; the
+// server loads them all up front, the browser fetches the ones it needs.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        const I18n = factory();
+        I18n.LOCALES.forEach(locale => I18n.register(locale, require(`../../locales/${locale}.json`)));
+        module.exports = I18n;
+    } else {
+        root.I18n = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DEFAULT_LOCALE = 'en';
+    const LOCALES = ['en', 'es', 'fr'];
+
+    // Locale used for Intl number and date formatting
+    const INTL_LOCALES = { en: 'en-US', es: 'es-ES', fr: 'fr-FR' };
+
+    const catalogs = {};
+    let currentLocale = DEFAULT_LOCALE;
+
+    const isSupported = (locale) => LOCALES.includes(locale);
+
+    function register(locale, messages) {
+        catalogs[locale] = messages;
+    }
+
+    function lookup(locale, key) {
+        return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalogs[locale]);
+    }
+
+    /**
+     * Translation function for one locale. Missing keys fall back to English,
+     * then to the key itself. `{name}` placeholders are filled from `params`.
+     * @returns {function(string, Object=): string}
+     */
+    function translator(locale) {
+        const resolved = isSupported(locale) ? locale : DEFAULT_LOCALE;
+        return (key, params = {}) => {
+            let message = lookup(resolved, key);
+            if (typeof message !== 'string') {
+                message = lookup(DEFAULT_LOCALE, key);
+            }
+            if (typeof message !== 'string') {
+                return key;
+            }
+            return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+        };
+    }
+
+    /**
+     * List messages such as the PDF terms, in the locale or English
+     */
+    function list(locale, key) {
+        const messages = lookup(isSupported(locale) ? locale : DEFAULT_LOCALE, key);
+        return Array.isArray(messages) ? messages : lookup(DEFAULT_LOCALE, key) || [];
+    }
+
+    /**
+     * First supported locale in a list of language tags such as
+     * navigator.languages (["es-MX", "en"] -> "es")
+     */
+    function detectLocale(candidates) {
+        for (const candidate of candidates || []) {
+            const language = String(candidate || '').toLowerCase().split(/[-_]/)[0];
+            if (isSupported(language)) {
+                return language;
+            }
+        }
+        return DEFAULT_LOCALE;
+    }
+
+    const intlLocale = (locale = currentLocale) => INTL_LOCALES[locale] || INTL_LOCALES[DEFAULT_LOCALE];
+
+    /**
+     * Catalog timelines are stored as "8-12 days"; this shows them in the locale
+     */
+    function formatTimeline(timeline, locale = currentLocale) {
+        const match = /^(\d+-\d+) days$/.exec(timeline || '');
+        return match ? translator(locale)('common.days', { range: match[1] }) : timeline;
+    }
+
+    /**
+     * A catalog item with its `translations[locale]` fields applied and the
+     * translations themselves left out
+     */
+    function localizeItem(item, locale) {
+        if (!item || typeof item !== 'object') {
+            return item;
+        }
+        const { translations, ...localized } = item;
+        return translations && translations[locale] ? { ...localized, ...translations[locale] } : localized;
+    }
+
+    // ----- Browser state: the page's current locale -----
+
+    function setLocale(locale) {
+        currentLocale = isSupported(locale) ? locale : DEFAULT_LOCALE;
+        return currentLocale;
+    }
+
+    const getLocale = () => currentLocale;
+
+    function t(key, params) {
+        return translator(currentLocale)(key, params);
+    }
+
+    /**
+     * Fetch the catalogs for `locale` (and English, the fallback) that aren't loaded yet
+     */
+    async function load(locale, baseUrl = '/assets/locales') {
+        const needed = [DEFAULT_LOCALE, locale].filter((entry, index, all) => isSupported(entry) && !catalogs[entry] && all.indexOf(entry) === index);
+        await Promise.all(needed.map(async (entry) => {
+            const response = await fetch(`${baseUrl}/${entry}.json`);
+            if (!response.ok) {
+                throw new Error(`Failed to load ${entry} messages: ${response.status}`);
+            }
+            register(entry, await response.json());
+        }));
+    }
+
+    /**
+     * Translate static markup: data-i18n sets the text, data-i18n-placeholder,
+     * data-i18n-title and data-i18n-aria-label set those attributes
+     */
+    function translatePage(root) {
+        root.querySelectorAll('[data-i18n]').forEach((element) => {
+            element.textContent = t(element.dataset.i18n);
+        });
+        [['i18nPlaceholder', 'placeholder'], ['i18nTitle', 'title'], ['i18nAriaLabel', 'aria-label']].forEach(([data, attribute]) => {
+            root.querySelectorAll(`[data-${data.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}]`).forEach((element) => {
+                element.setAttribute(attribute, t(element.dataset[data]));
+            });
+        });
+        if (root.documentElement) {
+            root.documentElement.lang = currentLocale;
+        }
+    }
+
+    return {
+        DEFAULT_LOCALE,
+        LOCALES,
+        isSupported,
+        register,
+        translator,
+        list,
+        detectLocale,
+        intlLocale,
+        formatTimeline,
+        localizeItem,
+        setLocale,
+        getLocale,
+        t,
+        load,
+        translatePage
+    };
+}));
@@ -0,0 +1,98 @@
+// ===== MONEY =====
+// Currency conversion and formatting. Shared by the quote builder and success
+// page (window.Money) and the server (require), so prices are rounded and
+// shown the same way in the sidebar, on the success page and in the PDF.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Money = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Catalog prices are in the base currency; exchange rates convert from it
+    const BASE_CURRENCY = 'USD';
+    const DEFAULT_LOCALE = 'en-US';
+
+    const formatters = new Map();
+
+    function getFormatter(currency, locale, wholeAmount) {
+        const key = `${locale}|${currency}|${wholeAmount}`;
+        if (!formatters.has(key)) {
+            const options = { style: 'currency', currency };
+            if (wholeAmount) {
+                options.minimumFractionDigits = 0;
+                options.maximumFractionDigits = 0;
+            }
+            formatters.set(key, new Intl.NumberFormat(locale, options));
+        }
+        return formatters.get(key);
+    }
+
+    /**
+     * Digits after the decimal point: 2 for USD, 0 for JPY
+     */
+    function fractionDigits(currency) {
+        return getFormatter(currency, DEFAULT_LOCALE, false).resolvedOptions().maximumFractionDigits;
+    }
+
+    function round(amount, currency = BASE_CURRENCY) {
+        const factor = 10 ** fractionDigits(currency);
+        return Math.round(Number(amount || 0) * factor) / factor;
+    }
+
+    /**
+     * Convert a base currency amount into a catalog currency ({ id, rate }).
+     * Without a currency the amount stays in the base currency.
+     */
+    function convert(amount, currency) {
+        if (!currency || currency.id === BASE_CURRENCY) {
+            return round(amount);
+        }
+        return round(Number(amount || 0) * currency.rate, currency.id);
+    }
+
+    /**
+     * Format an amount that is already in `currency`. Whole amounts leave out
+     * the decimals ("$1,200"), others show the currency's minor units ("€1,104.50").
+     */
+    function format(amount, currency = BASE_CURRENCY, locale = DEFAULT_LOCALE) {
+        const value = Number(amount || 0);
+        return getFormatter(currency || BASE_CURRENCY, locale, Number.isInteger(value)).format(value);
+    }
+
+    const baseCurrency = () => ({ id: BASE_CURRENCY, name: 'US Dollar', rate: 1, countries: [] });
+
+    /**
+     * Find a catalog currency by code. The base currency is always available,
+     * even when the catalog doesn't list it.
+     */
+    function findCurrency(currencies, code) {
+        const currency = (currencies || []).find(entry => entry.id === code);
+        if (currency) {
+            return currency;
+        }
+        return code === BASE_CURRENCY ? baseCurrency() : null;
+    }
+
+    /**
+     * Currency used in a country (ISO 3166 alpha-2, e.g. "fr"), falling back to the base currency
+     */
+    function currencyForCountry(currencies, country) {
+        const code = String(country || '').toLowerCase();
+        return (currencies || []).find(entry => (entry.countries || []).includes(code))
+            || findCurrency(currencies, BASE_CURRENCY);
+    }
+
+    return {
+        BASE_CURRENCY,
+        fractionDigits,
+        round,
+        convert,
+        format,
+        findCurrency,
+        currencyForCountry
+    };
+}));
@@ -0,0 +1,455 @@
+// ===== QUOTE CONTENT RENDERER =====
+// Builds the full quote markup. Shared by the quote builder (window.QuoteContent)
+// and the server-rendered share page (require), so it must not touch the DOM.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./Money'), require('./Tax'), require('./I18n'), require('./Timeline'));
+    } else {
+        root.QuoteContent = factory(root.Money, root.Tax, root.I18n, root.Timeline);
+    }
+}(typeof self !== 'undefined' ? self : this, function (Money, Tax, I18n, Timeline) {
+    'use strict';
+
+    // Icons for the steps and items listed in the message catalogs, in order
+    const TIMELINE_ICONS = ['play', 'layout', 'code', 'check-circle'];
+    const INCLUDED_ICONS = ['wifi', 'shield', 'smartphone', 'search', 'headphones', 'download'];
+
+    const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+    function escapeHtml(value) {
+        return String(value === undefined || value === null ? '' : value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+    }
+
+    // Icon names end up in an attribute, so only allow lucide-style names
+    function iconName(value, fallback) {
+        return /^[a-z0-9-]+$/.test(value || '') ? value : fallback;
+    }
+
+    function formatMoney(amount, currency, locale) {
+        return Money.format(amount, currency, I18n.intlLocale(locale));
+    }
+
+    function formatDate(date, withTime, locale) {
+        const options = { year: 'numeric', month: 'long', day: 'numeric' };
+        if (withTime) {
+            options.hour = '2-digit';
+            options.minute = '2-digit';
+        }
+        return new Date(date).toLocaleDateString(I18n.intlLocale(locale), options);
+    }
+
+    function renderItemCards(items, kind, fallbackIcon, currency, locale) {
+        return items.map(item => `
+                    <div class="${kind}-item">
+                        <div class="${kind}-icon">
+                            <i data-lucide="${iconName(item.icon, fallbackIcon)}"></i>
+                        </div>
+                        <div class="${kind}-content">
+                            <h4>${escapeHtml(item.name)}</h4>
+                            <p>${escapeHtml(item.description)}</p>
+                            <span class="${kind}-price">${formatMoney(item.price, currency, locale)}</span>
+                        </div>
+                    </div>
+                    `).join('');
+    }
+
+    function renderInfoItem(icon, label, value) {
+        return `
+                    <div class="info-item">
+                        <i data-lucide="${icon}"></i>
+                        <div>
+                            <strong>${escapeHtml(label)}</strong><br>
+                            ${escapeHtml(value)}
+                        </div>
+                    </div>`;
+    }
+
+    function renderCustomerInfo(customerInfo, showContactDetails, t) {
+        return `
+            <div class="customer-info-section">
+                <h3><i data-lucide="user"></i> ${escapeHtml(t('quote.customer.title'))}</h3>
+                <div class="customer-info-grid">
+                    ${renderInfoItem('user', t('quote.customer.name'), customerInfo.name)}
+                    ${showContactDetails ? renderInfoItem('mail', t('quote.customer.email'), customerInfo.email) : ''}
+                    ${showContactDetails && customerInfo.phone ? renderInfoItem('phone', t('quote.customer.phone'), customerInfo.phone) : ''}
+                    ${customerInfo.company ? renderInfoItem('building', t('quote.customer.company'), customerInfo.company) : ''}
+                    ${renderInfoItem('map-pin', t('quote.customer.location'), customerInfo.location)}
+                    ${renderInfoItem('navigation', t('quote.customer.serviceArea'), t('quote.customer.serviceAreaRadius', { miles: customerInfo.serviceArea }))}
+                </div>
+                ${customerInfo.message ? `
+                <div class="additional-requirements">
+                    <h4><i data-lucide="message-square"></i> ${escapeHtml(t('quote.customer.requirements'))}</h4>
+                    <p>${escapeHtml(customerInfo.message)}</p>
+                </div>
+                ` : ''}
+            </div>`;
+    }
+
+    /**
+     * Prices of a quote's lines as documents show them (see Tax.displayAmounts()):
+     * with the tax in them when it's included in the total, as they are otherwise.
+     * @param {Object} quote - as for render()
+     * @returns {{packagePrice: number, features: Array, addons: Array, discounts: Array}}
+     */
+    function displayPricing(quote) {
+        const features = quote.features || [];
+        const addons = quote.addons || [];
+        const discounts = quote.discounts || [];
+        const amounts = Tax.displayAmounts([
+            quote.package ? quote.package.price : 0,
+            ...features.map(item => item.price),
+            ...addons.map(item => item.price),
+            ...discounts.map(discount => -discount.amount)
+        ], quote.totalPrice, quote.taxDisplay, amount => Money.round(amount, quote.currency));
+
+        let index = 1;
+        const withPrice = item => ({ ...item, price: amounts[index++] });
+        return {
+            packagePrice: amounts[0],
+            features: features.map(withPrice),
+            addons: addons.map(withPrice),
+            discounts: discounts.map(discount => ({ ...discount, amount: -amounts[index++] }))
+        };
+    }
+
+    /**
+     * Render the quote markup.
+     *
+     * @param {Object} quote
+     * @param {string} [quote.id] - quote reference, e.g. Q-20250903-4F1A9C2E7B0D5A13
+     * @param {string|Date} [quote.createdAt]
+     * @param {number} quote.totalPrice
+     * @param {string} [quote.currency=USD] - currency every amount is in
+     * @param {Object} [quote.package] - { name, description, price, timeline, includedFeatures }
+     * @param {Array} quote.features - [{ name, description, price, icon, timeline }]
+     * @param {Array} quote.addons - [{ name, description, price, icon, timeline }]
+     * @param {Array} [quote.discounts] - [{ code, label, amount }]
+     * @param {Array} [quote.taxes] - [{ code, label, rate, amount }]
+     * @param {string} [quote.taxDisplay=exclusive] - "inclusive" shows prices with tax and lists taxes as notes under the total
+     * @param {string} [quote.locale=en] - language of the labels, dates and amounts
+     * @param {Object} [quote.schedule] - from Timeline.schedule(); worked out from the items when left out
+     * @param {Array} [quote.paymentSchedule] - [{ name, percent, amount }] from the quote's pricing; half up front and half on completion when left out
+     * @param {Object} quote.customerInfo
+     * @param {Object} [options]
+     * @param {boolean} [options.showContactDetails=true] - include email and phone
+     * @returns {string} HTML
+     */
+    function render(quote, options = {}) {
+        const { showContactDetails = true } = options;
+        const createdAt = quote.createdAt ? new Date(quote.createdAt) : new Date();
+        const validUntil = new Date(createdAt.getTime() + 30 * 24 * 60 * 60 * 1000);
+        const selectedPackage = quote.package;
+        const features = quote.features || [];
+        const addons = quote.addons || [];
+        const taxes = quote.taxes || [];
+        const taxDisplay = quote.taxDisplay || 'exclusive';
+        const currency = quote.currency;
+        const locale = quote.locale;
+        const t = I18n.translator(locale);
+        // Translated text for markup
+        const text = (key, params) => escapeHtml(t(key, params));
+        const list = key => I18n.list(locale, key);
+        const money = amount => formatMoney(amount, currency, locale);
+        const shown = displayPricing(quote);
+        const taxRows = Tax.totalRows(taxes, taxDisplay, t('tax.included'));
+        const schedule = quote.schedule || Timeline.schedule({ package: selectedPackage, features, addons }, { from: createdAt });
+        const timeline = I18n.formatTimeline(Timeline.formatRange(schedule.days), locale);
+        const delivery = Timeline.formatDateRange(schedule.delivery.earliest, schedule.delivery.latest, I18n.intlLocale(locale));
+        // Quotes priced before payment schedules were split half and half
+        const paymentRows = quote.paymentSchedule
+            ? quote.paymentSchedule.map(milestone => [t('payments.milestone', milestone), milestone.amount])
+            : [
+                [t('quote.payment.upfront'), Money.round(quote.totalPrice * 0.5, currency)],
+                [t('quote.payment.completion'), Money.round(quote.totalPrice * 0.5, currency)]
+            ];
+        const includedFeatures = selectedPackage && selectedPackage.includedFeatures
+            ? selectedPackage.includedFeatures
+            : list('quote.defaultIncludedFeatures');
+
+        return `
+        <div class="quote-content">
+            <!-- Quote Header -->
+            <div class="quote-header">
+                <div class="quote-header-main">
+                    <div class="quote-logo">
+                        <i data-lucide="building-2"></i>
+                    </div>
+                    <div class="quote-title-section">
+                        <h2>${text('quote.title')}</h2>
+                        <p class="quote-subtitle">${text('quote.subtitle')}</p>
+                        <div class="quote-badges">
+                            <span class="badge badge-primary">${text('quote.badges.design')}</span>
+                            <span class="badge badge-success">${text('quote.badges.mobile')}</span>
+                            <span class="badge badge-info">${text('quote.badges.seo')}</span>
+                        </div>
+                    </div>
+                </div>
+                <div class="quote-header-meta">
+                    <div class="quote-meta-grid">
+                        <div class="meta-item">
+                            <i data-lucide="calendar"></i>
+                            <div>
+                                <strong>${text('quote.generated')}</strong><br>
+                                ${formatDate(createdAt, true, locale)}
+                            </div>
+                        </div>
+                        <div class="meta-item">
+                            <i data-lucide="clock"></i>
+                            <div>
+                                <strong>${text('quote.validUntil')}</strong><br>
+                                ${formatDate(validUntil, false, locale)}
+                            </div>
+                        </div>
+                        <div class="meta-item">
+                            <i data-lucide="hash"></i>
+                            <div>
+                                <strong>${text('quote.number')}</strong><br>
+                                ${escapeHtml(quote.id || `Q-${Date.now().toString().slice(-6)}`)}
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+
+            <!-- Quote Summary Cards -->
+            <div class="quote-summary-section">
+                <div class="quote-summary-grid">
+                    <div class="summary-card primary">
+                        <div class="summary-icon">
+                            <i data-lucide="dollar-sign"></i>
+                        </div>
+                        <div class="summary-content">
+                            <h3>${text('quote.totalInvestment')}</h3>
+                            <p class="summary-value">${money(quote.totalPrice)}</p>
+                            <p class="summary-note">${text('quote.paymentOptionsNote')}</p>
+                        </div>
+                    </div>
+                    <div class="summary-card">
+                        <div class="summary-icon">
+                            <i data-lucide="clock"></i>
+                        </div>
+                        <div class="summary-content">
+                            <h3>${text('quote.developmentTimeline')}</h3>
+                            <p class="summary-value">${escapeHtml(timeline)}</p>
+                            <p class="summary-note">${text('timeline.delivery', { range: delivery })}</p>
+                        </div>
+                    </div>
+                    <div class="summary-card">
+                        <div class="summary-icon">
+                            <i data-lucide="package"></i>
+                        </div>
+                        <div class="summary-content">
+                            <h3>${text('quote.package')}</h3>
+                            <p class="summary-value">${escapeHtml(selectedPackage ? selectedPackage.name : t('quote.customSolution'))}</p>
+                            <p class="summary-note">${text('quote.basePackageIncluded')}</p>
+                        </div>
+                    </div>
+                    <div class="summary-card">
+                        <div class="summary-icon">
+                            <i data-lucide="plus-circle"></i>
+                        </div>
+                        <div class="summary-content">
+                            <h3>${text('quote.additionalFeatures')}</h3>
+                            <p class="summary-value">${features.length}</p>
+                            <p class="summary-note">${text('quote.enhancementsSelected')}</p>
+                        </div>
+                    </div>
+                </div>
+            </div>
+
+            <!-- Package Details -->
+            <div class="quote-details-section">
+                <h3><i data-lucide="list"></i> ${text('quote.packageDetails')}</h3>
+                <div class="package-details">
+                    <div class="package-info">
+                        <h4>${escapeHtml(selectedPackage ? selectedPackage.name : t('quote.defaultPackageName'))}</h4>
+                        <p class="package-description">${escapeHtml(selectedPackage ? selectedPackage.description : t('quote.defaultPackageDescription'))}</p>
+                        <div class="package-features">
+                            <h5>${text('quote.includedFeatures')}</h5>
+                            <ul class="feature-list">
+                                ${includedFeatures.map(feature => `<li><i data-lucide="check"></i> ${escapeHtml(feature)}</li>`).join('')}
+                            </ul>
+                        </div>
+                    </div>
+                </div>
+            </div>
+
+            <!-- Additional Features -->
+            ${features.length > 0 ? `
+            <div class="quote-details-section">
+                <h3><i data-lucide="plus-circle"></i> ${text('quote.additionalFeatures')}</h3>
+                <div class="features-grid">
+                    ${renderItemCards(shown.features, 'feature', 'star', currency, locale)}
+                </div>
+            </div>
+            ` : ''}
+
+            <!-- Add-On Services -->
+            ${addons.length > 0 ? `
+            <div class="quote-details-section">
+                <h3><i data-lucide="settings"></i> ${text('quote.addonServices')}</h3>
+                <div class="addons-grid">
+                    ${renderItemCards(shown.addons, 'addon', 'tool', currency, locale)}
+                </div>
+            </div>
+            ` : ''}
+
+            <!-- Pricing Breakdown -->
+            <div class="quote-details-section">
+                <h3><i data-lucide="calculator"></i> ${text('quote.pricingBreakdown')}</h3>
+                <div class="pricing-breakdown">
+                    <div class="breakdown-item">
+                        <span class="item-label">${text('quote.basePackage')}</span>
+                        <span class="item-price">${money(shown.packagePrice)}</span>
+                    </div>
+                    ${[...shown.features, ...shown.addons].map(item => `
+                    <div class="breakdown-item">
+                        <span class="item-label">${escapeHtml(item.name)}</span>
+                        <span class="item-price">${money(item.price)}</span>
+                    </div>
+                    `).join('')}
+                    ${shown.discounts.map(discount => `
+                    <div class="breakdown-item breakdown-discount">
+                        <span class="item-label">${text('quote.discount', { code: discount.code })}</span>
+                        <span class="item-price">-${money(discount.amount)}</span>
+                    </div>
+                    `).join('')}
+                    ${taxRows.above.map(row => `
+                    <div class="breakdown-item breakdown-tax">
+                        <span class="item-label">${escapeHtml(row.label)}</span>
+                        <span class="item-price">+${money(row.amount)}</span>
+                    </div>
+                    `).join('')}
+                    <div class="breakdown-total">
+                        <span class="total-label">${text('quote.totalInvestment')}</span>
+                        <span class="total-value">${money(quote.totalPrice)}</span>
+                    </div>
+                    ${taxRows.below.map(row => `
+                    <div class="breakdown-note">
+                        <span>${escapeHtml(row.label)}</span>
+                        <span>${money(row.amount)}</span>
+                    </div>
+                    `).join('')}
+                </div>
+            </div>
+
+            <!-- Customer Information -->
+            ${renderCustomerInfo(quote.customerInfo || {}, showContactDetails, t)}
+
+            <!-- Payment Options -->
+            <div class="payment-options-section">
+                <h3><i data-lucide="credit-card"></i> ${text('quote.payment.title')}</h3>
+                <div class="payment-options-grid">
+                    <div class="payment-option recommended">
+                        <div class="payment-header">
+                            <div class="payment-icon">
+                                <i data-lucide="shield-check"></i>
+                            </div>
+                            <div class="payment-badge">${text('quote.payment.recommended')}</div>
+                        </div>
+                        <div class="payment-content">
+                            <h4>${text(quote.paymentSchedule ? 'payments.title' : 'quote.payment.split')}</h4>
+                            <div class="payment-breakdown">
+                                ${paymentRows.map(([label, amount]) => `
+                                <div class="payment-item">
+                                    <span>${escapeHtml(label)}</span>
+                                    <span class="payment-amount">${money(amount)}</span>
+                                </div>
+                                `).join('')}
+                            </div>
+                            <ul class="payment-benefits">
+                                ${list('quote.payment.splitBenefits').map(benefit => `<li><i data-lucide="check"></i> ${escapeHtml(benefit)}</li>`).join('')}
+                            </ul>
+                        </div>
+                    </div>
+
+                    <div class="payment-option">
+                        <div class="payment-header">
+                            <div class="payment-icon">
+                                <i data-lucide="dollar-sign"></i>
+                            </div>
+                        </div>
+                        <div class="payment-content">
+                            <h4>${text('quote.payment.full')}</h4>
+                            <div class="payment-breakdown">
+                                <div class="payment-item">
+                                    <span>${text('quote.payment.totalAmount')}</span>
+                                    <span class="payment-amount">${money(quote.totalPrice)}</span>
+                                </div>
+                            </div>
+                            <ul class="payment-benefits">
+                                ${list('quote.payment.fullBenefits').map(benefit => `<li><i data-lucide="check"></i> ${escapeHtml(benefit)}</li>`).join('')}
+                            </ul>
+                        </div>
+                    </div>
+                </div>
+            </div>
+
+            <!-- Project Timeline -->
+            <div class="timeline-section">
+                <h3><i data-lucide="calendar"></i> ${text('quote.timeline.title')}</h3>
+                <div class="timeline-steps">
+                    ${list('quote.timeline.steps').map((step, index) => `
+                    <div class="timeline-step">
+                        <div class="step-icon">
+                            <i data-lucide="${TIMELINE_ICONS[index] || 'circle'}"></i>
+                        </div>
+                        <div class="step-content">
+                            <h4>${escapeHtml(step.title)}</h4>
+                            <p>${escapeHtml(step.description)}</p>
+                        </div>
+                    </div>
+                    `).join('')}
+                </div>
+            </div>
+
+            <!-- What's Included -->
+            <div class="included-section">
+                <h3><i data-lucide="gift"></i> ${text('quote.included.title')}</h3>
+                <div class="included-grid">
+                    ${list('quote.included.items').map((item, index) => `
+                    <div class="included-item">
+                        <i data-lucide="${INCLUDED_ICONS[index] || 'check'}"></i>
+                        <h4>${escapeHtml(item.title)}</h4>
+                        <p>${escapeHtml(item.description)}</p>
+                    </div>
+                    `).join('')}
+                </div>
+            </div>
+
+            <!-- What's Included & Next Steps -->
+            <div class="quote-footer">
+                <div class="footer-content">
+                    <div class="footer-section">
+                        <h4><i data-lucide="check-circle"></i> ${text('quote.included.title')}</h4>
+                        <ul>
+                            ${list('quote.included.list').map(entry => `<li>${escapeHtml(entry)}</li>`).join('')}
+                        </ul>
+                    </div>
+                    <div class="footer-section">
+                        <h4><i data-lucide="arrow-right"></i> ${text('quote.nextSteps.title')}</h4>
+                        <ol>
+                            ${list('quote.nextSteps.list').map(entry => `<li>${escapeHtml(entry)}</li>`).join('')}
+                        </ol>
+                    </div>
+                </div>
+                <div class="footer-note">
+                    <div class="note-content">
+                        <i data-lucide="info"></i>
+                        <div>
+                            <strong>${text('quote.important')}</strong> ${text('quote.validity')}
+                        </div>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+    }
+
+    return {
+        render,
+        displayPricing,
+        escapeHtml
+    };
+}));
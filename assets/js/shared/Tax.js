@@ -0,0 +1,145 @@
+// ===== TAX RULES =====
+// Matches catalog tax rules (VAT, GST, US state sales tax) to a customer's
+// country and region. Shared by the quote builder (window.Tax) and the server
+// (require), so the sidebar estimate and the submitted quote tax the same way.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Tax = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Written-out names customers type instead of the postal code
+    const REGION_NAMES = {
+        us: {
+            'alabama': 'AL', 'alaska': 'AK', 'arizona': 'AZ', 'arkansas': 'AR', 'california': 'CA',
+            'colorado': 'CO', 'connecticut': 'CT', 'delaware': 'DE', 'district of columbia': 'DC',
+            'florida': 'FL', 'georgia': 'GA', 'hawaii': 'HI', 'idaho': 'ID', 'illinois': 'IL',
+            'indiana': 'IN', 'iowa': 'IA', 'kansas': 'KS', 'kentucky': 'KY', 'louisiana': 'LA',
+            'maine': 'ME', 'maryland': 'MD', 'massachusetts': 'MA', 'michigan': 'MI', 'minnesota': 'MN',
+            'mississippi': 'MS', 'missouri': 'MO', 'montana': 'MT', 'nebraska': 'NE', 'nevada': 'NV',
+            'new hampshire': 'NH', 'new jersey': 'NJ', 'new mexico': 'NM', 'new york': 'NY',
+            'north carolina': 'NC', 'north dakota': 'ND', 'ohio': 'OH', 'oklahoma': 'OK', 'oregon': 'OR',
+            'pennsylvania': 'PA', 'rhode island': 'RI', 'south carolina': 'SC', 'south dakota': 'SD',
+            'tennessee': 'TN', 'texas': 'TX', 'utah': 'UT', 'vermont': 'VT', 'virginia': 'VA',
+            'washington': 'WA', 'west virginia': 'WV', 'wisconsin': 'WI', 'wyoming': 'WY'
+        },
+        ca: {
+            'alberta': 'AB', 'british columbia': 'BC', 'manitoba': 'MB', 'new brunswick': 'NB',
+            'newfoundland and labrador': 'NL', 'nova scotia': 'NS', 'ontario': 'ON',
+            'prince edward island': 'PE', 'quebec': 'QC', 'saskatchewan': 'SK'
+        }
+    };
+
+    /**
+     * Region (state or province code) from a "City, State" location, e.g.
+     * "Austin, TX 78701" or "Austin, Texas" -> "TX". Null when there is none.
+     */
+    function regionFromLocation(location, country) {
+        const parts = String(location || '').split(',');
+        if (parts.length < 2) {
+            return null;
+        }
+        const last = parts[parts.length - 1].trim();
+
+        const code = last.match(/^([A-Za-z]{2})\b/);
+        if (code) {
+            return code[1].toUpperCase();
+        }
+
+        // Drop a trailing postal code before looking the name up
+        const name = last.replace(/[\d\s-]+$/, '').toLowerCase();
+        const names = country ? [REGION_NAMES[country] || {}] : Object.values(REGION_NAMES);
+        for (const regions of names) {
+            if (regions[name]) {
+                return regions[name];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Active rules for a location. A rule without `region` covers the whole
+     * country, so national and regional taxes (GST + PST) stack.
+     */
+    function rulesFor(taxRules, { country, region } = {}) {
+        if (!country) {
+            return [];
+        }
+        return (taxRules || []).filter(rule =>
+            rule.active !== false &&
+            rule.country === country &&
+            (!rule.region || rule.region === region)
+        );
+    }
+
+    /**
+     * Prices are shown with tax included if any rule for the location says so (EU VAT)
+     */
+    function displayFor(rules) {
+        return (rules || []).some(rule => rule.display === 'inclusive') ? 'inclusive' : 'exclusive';
+    }
+
+    // 0.0825 -> "8.25%", 0.09975 -> "9.975%"
+    function formatRate(rate) {
+        return `${Math.round(Number(rate || 0) * 100000) / 1000}%`;
+    }
+
+    /**
+     * Line label for a priced tax, e.g. "VAT (20%)" or "incl. VAT (20%)".
+     * Pass the translated prefix for other languages ("dont TVA (20%)").
+     */
+    function taxLabel(tax, display = 'exclusive', includedPrefix = 'incl.') {
+        const label = `${tax.label} (${formatRate(tax.rate)})`;
+        return display === 'inclusive' ? `${includedPrefix} ${label}` : label;
+    }
+
+    /**
+     * Line amounts as a document shows them. Prices are stored before tax, so
+     * with tax-inclusive display each line is grossed up by its share of the
+     * tax, in proportion to its amount, and the lines still add up to the
+     * total; any rounding difference goes on the largest line.
+     * @param {Array<number>} amounts - line amounts before tax, discounts negative
+     * @param {number} total - the quote total, tax included
+     * @param {string} display - 'inclusive' or 'exclusive'
+     * @param {function(number): number} round - rounds to the currency's minor unit
+     * @returns {Array<number>} amounts in the same order
+     */
+    function displayAmounts(amounts, total, display, round) {
+        const net = amounts.reduce((sum, amount) => sum + amount, 0);
+        if (display !== 'inclusive' || !(net > 0)) {
+            return amounts.slice();
+        }
+        const gross = amounts.map(amount => round(amount * total / net));
+        const difference = round(total - gross.reduce((sum, amount) => sum + amount, 0));
+        if (difference !== 0) {
+            const largest = gross.indexOf(Math.max(...gross));
+            gross[largest] = round(gross[largest] + difference);
+        }
+        return gross;
+    }
+
+    /**
+     * Where a document lists its taxes: added ones above the total, shown
+     * as "+" amounts, and included ones under it as notes, since the lines
+     * displayAmounts() returns already contain them.
+     * @returns {{above: Array<{label, amount}>, below: Array<{label, amount}>}}
+     */
+    function totalRows(taxes, display = 'exclusive', includedPrefix = 'incl.') {
+        const rows = (taxes || []).map(tax => ({ label: taxLabel(tax, display, includedPrefix), amount: tax.amount }));
+        return display === 'inclusive' ? { above: [], below: rows } : { above: rows, below: [] };
+    }
+
+    return {
+        regionFromLocation,
+        rulesFor,
+        displayFor,
+        formatRate,
+        taxLabel,
+        displayAmounts,
+        totalRows
+    };
+}));
@@ -0,0 +1,259 @@
+// ===== PROJECT TIMELINE =====
+// Schedules the selected package, features and addons into a projected start
+// and delivery date: item dependencies, work that runs alongside the build,
+// and working days that skip weekends and studio holidays. Shared by the quote
+// builder (window.Timeline) and the server (require), so the sidebar, the
+// success page and the PDF all quote the same dates.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Timeline = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    /**
+     * Catalog timeline to working days: "8-12 days" -> { min: 8, max: 12 }.
+     * Null for anything else.
+     */
+    function parseRange(timeline) {
+        const match = /^(\d+)-(\d+) days$/.exec(timeline || '');
+        if (!match) {
+            return null;
+        }
+        const [min, max] = [parseInt(match[1], 10), parseInt(match[2], 10)].sort((a, b) => a - b);
+        return { min, max };
+    }
+
+    // { min: 19, max: 27 } -> "19-27 days", the catalog format I18n.formatTimeline shows
+    const formatRange = range => `${range.min}-${range.max} days`;
+
+    // ----- Calendar: dates are whole days in UTC, passed around as "YYYY-MM-DD" -----
+
+    function toDay(value) {
+        const date = value === undefined ? new Date() : new Date(value);
+        return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    }
+
+    const isoDate = date => date.toISOString().slice(0, 10);
+
+    // nth `weekday` (0 = Sunday) of a month, or the last one when n is -1
+    function nthWeekday(year, month, weekday, n) {
+        if (n > 0) {
+            const first = new Date(Date.UTC(year, month, 1)).getUTCDay();
+            return Date.UTC(year, month, 1 + ((weekday - first + 7) % 7) + (n - 1) * 7);
+        }
+        const last = new Date(Date.UTC(year, month + 1, 0));
+        return last.getTime() - ((last.getUTCDay() - weekday + 7) % 7) * DAY_MS;
+    }
+
+    // Fixed-date holidays on a weekend are taken on the Friday before or the Monday after
+    function observed(time) {
+        const weekday = new Date(time).getUTCDay();
+        if (weekday === 6) {
+            return time - DAY_MS;
+        }
+        return weekday === 0 ? time + DAY_MS : time;
+    }
+
+    const holidayCache = {};
+
+    /**
+     * Days the studio is closed in a year: New Year's Day, Memorial Day,
+     * Independence Day, Labor Day, Thanksgiving and the day after, Christmas.
+     * @returns {string[]} ISO dates
+     */
+    function studioHolidays(year) {
+        if (!holidayCache[year]) {
+            const thanksgiving = nthWeekday(year, 10, 4, 4);
+            holidayCache[year] = [
+                observed(Date.UTC(year, 0, 1)),
+                nthWeekday(year, 4, 1, -1),
+                observed(Date.UTC(year, 6, 4)),
+                nthWeekday(year, 8, 1, 1),
+                thanksgiving,
+                thanksgiving + DAY_MS,
+                observed(Date.UTC(year, 11, 25))
+            ].map(time => isoDate(new Date(time)));
+        }
+        return holidayCache[year];
+    }
+
+    function isWorkingDate(date, holidays) {
+        const weekday = date.getUTCDay();
+        if (weekday === 0 || weekday === 6) {
+            return false;
+        }
+        const iso = isoDate(date);
+        const year = date.getUTCFullYear();
+        // Next year's New Year's Day can be observed on December 31st
+        return !holidays.includes(iso) && !studioHolidays(year).includes(iso) && !studioHolidays(year + 1).includes(iso);
+    }
+
+    function advance(date, workingDays, holidays) {
+        let current = date;
+        for (let remaining = workingDays; remaining > 0;) {
+            current = new Date(current.getTime() + DAY_MS);
+            if (isWorkingDate(current, holidays)) {
+                remaining--;
+            }
+        }
+        return current;
+    }
+
+    /**
+     * @param {string|Date} date
+     * @param {string[]} [holidays] - extra ISO dates off, on top of the studio holidays
+     */
+    function isWorkingDay(date, holidays = []) {
+        return isWorkingDate(toDay(date), holidays);
+    }
+
+    /**
+     * The date `count` working days after `date`, e.g. 5 working days after
+     * Thursday 2026-07-02 is Friday 2026-07-10: the 4th of July is observed
+     * on Friday the 3rd and the weekend is off.
+     * @returns {string} ISO date
+     */
+    function addWorkingDays(date, count, holidays = []) {
+        return isoDate(advance(toDay(date), count, holidays));
+    }
+
+    // ----- Scheduling -----
+
+    /**
+     * Schedule a selection.
+     *
+     * Work is done one item at a time, package first, unless an item says
+     * otherwise: `dependsOn` lists the item IDs that have to finish before it
+     * starts (an empty list means day one; leaving it out means after the
+     * package) and `parallel: true` items run alongside the rest of the work
+     * instead of waiting their turn. Dependencies that aren't selected are
+     * ignored, as are items without a "N-M days" timeline.
+     *
+     * @param {Object} selection
+     * @param {Object} [selection.package] - { id, timeline }
+     * @param {Array} [selection.features] - [{ id, timeline, dependsOn, parallel }]
+     * @param {Array} [selection.addons] - same shape as features
+     * @param {Object} [options]
+     * @param {string|Date} [options.from=today] - quote date; work starts the next working day
+     * @param {string[]} [options.holidays] - extra ISO dates off, on top of the studio holidays
+     * @returns {{ startDate: string, days: Object, delivery: Object, tasks: Array }}
+     *   `days` is the { min, max } working days from start to delivery,
+     *   `delivery` the { earliest, latest } ISO dates, and each task has
+     *   { id, type, name, parallel, start, end } in working days from the start
+     */
+    function schedule(selection, options = {}) {
+        const holidays = options.holidays || [];
+        const items = [
+            ...(selection.package ? [{ ...selection.package, type: 'package' }] : []),
+            ...(selection.features || []).map(item => ({ ...item, type: 'feature' })),
+            ...(selection.addons || []).map(item => ({ ...item, type: 'addon' }))
+        ].filter(item => parseRange(item.timeline));
+        const byId = new Map(items.map(item => [item.id, item]));
+        const packageItem = items.find(item => item.type === 'package');
+
+        const dependencies = (item) => {
+            if (item === packageItem) {
+                return [];
+            }
+            const ids = Array.isArray(item.dependsOn) ? item.dependsOn : packageItem ? [packageItem.id] : [];
+            return ids.filter(id => id !== item.id && byId.has(id));
+        };
+
+        // Every item after what it depends on; a dependency cycle is cut where it closes
+        const ordered = [];
+        const visited = new Set();
+        const visit = (item) => {
+            if (visited.has(item.id)) {
+                return;
+            }
+            visited.add(item.id);
+            dependencies(item).forEach(id => visit(byId.get(id)));
+            ordered.push(item);
+        };
+        items.forEach(visit);
+
+        const ends = {};
+        const free = { min: 0, max: 0 };
+        const tasks = ordered.map((item) => {
+            const duration = parseRange(item.timeline);
+            const parallel = item.parallel === true && item !== packageItem;
+            const start = {};
+            const end = {};
+            ['min', 'max'].forEach((bound) => {
+                const ready = Math.max(0, ...dependencies(item).filter(id => ends[id]).map(id => ends[id][bound]));
+                start[bound] = parallel ? ready : Math.max(ready, free[bound]);
+                end[bound] = start[bound] + duration[bound];
+                if (!parallel) {
+                    free[bound] = end[bound];
+                }
+            });
+            ends[item.id] = end;
+            return { id: item.id, type: item.type, name: item.name, parallel, start, end };
+        });
+
+        const days = {
+            min: Math.max(0, ...tasks.map(task => task.end.min)),
+            max: Math.max(0, ...tasks.map(task => task.end.max))
+        };
+        const startDate = advance(toDay(options.from), 1, holidays);
+        // Delivery is the last working day of the work, counting the start as day one
+        const deliveryAfter = count => isoDate(advance(startDate, Math.max(0, count - 1), holidays));
+
+        return {
+            startDate: isoDate(startDate),
+            days,
+            delivery: { earliest: deliveryAfter(days.min), latest: deliveryAfter(days.max) },
+            tasks
+        };
+    }
+
+    /**
+     * Working days from the first task of the given types starting to the last
+     * one finishing, e.g. how long the add-on work runs. Null when there are none.
+     * @param {Object} result - from schedule()
+     * @param {string|string[]} types - "package", "feature" and/or "addon"
+     */
+    function span(result, types) {
+        const tasks = result.tasks.filter(task => [].concat(types).includes(task.type));
+        if (tasks.length === 0) {
+            return null;
+        }
+        const length = bound => Math.max(...tasks.map(task => task.end[bound])) - Math.min(...tasks.map(task => task.start[bound]));
+        const [min, max] = [length('min'), length('max')].sort((a, b) => a - b);
+        return { min, max };
+    }
+
+    /**
+     * "Nov 12 – 20, 2026" in an Intl locale such as "en-US"; a single date
+     * when both ends are the same day
+     */
+    function formatDateRange(from, to, locale) {
+        const format = new Intl.DateTimeFormat(locale, { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' });
+        if (from === to) {
+            return format.format(toDay(from));
+        }
+        return typeof format.formatRange === 'function'
+            ? format.formatRange(toDay(from), toDay(to))
+            : `${format.format(toDay(from))} – ${format.format(toDay(to))}`;
+    }
+
+    const formatDate = (date, locale) => formatDateRange(date, date, locale);
+
+    return {
+        parseRange,
+        formatRange,
+        studioHolidays,
+        isWorkingDay,
+        addWorkingDays,
+        schedule,
+        span,
+        formatDate,
+        formatDateRange
+    };
+}));
@@ -0,0 +1,172 @@
+// ===== CUSTOMER DETAIL RULES =====
+// Patterns, lengths and messages for the customer details on a quote. Shared
+// by the browser (window.Validation, read by ValidationUtils and the quote
+// builder) and the server (require), so a name the form accepts is never
+// turned away on submit. Names and places may be written in any script.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Validation = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const rules = {
+        email: {
+            pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+            message: 'Please enter a valid email address',
+            maxLength: 254
+        },
+        phone: {
+            pattern: /^[\+]?[1-9][\d]{0,15}$/,
+            message: 'Please enter a valid phone number',
+            maxLength: 20
+        },
+        // Letters with their accents (José Núñez, Zoë, Łukasz), spaces, hyphens and apostrophes
+        name: {
+            pattern: /^[\p{L}\p{M}\s\-'’]{2,50}$/u,
+            message: 'Please enter a valid name (2-50 characters, letters only)',
+            minLength: 2,
+            maxLength: 50
+        },
+        company: {
+            pattern: /^[\p{L}\p{M}\p{N}\s\-&.,'’()]{1,100}$/u,
+            message: 'Please enter a valid company name',
+            maxLength: 100
+        },
+        // "Montréal, QC", "São Paulo", "Zürich 8001"
+        location: {
+            pattern: /^[\p{L}\p{M}\p{N}\s\-.,'’()]{3,100}$/u,
+            message: 'Please enter a valid service location',
+            minLength: 3,
+            maxLength: 100
+        },
+        message: {
+            maxLength: 1000,
+            message: 'Message must be 1000 characters or less'
+        },
+        serviceArea: {
+            validValues: ['15', '30', '50'],
+            message: 'Please select a valid service area'
+        }
+    };
+
+    const valid = () => ({ isValid: true, error: null });
+    const invalid = (error) => ({ isValid: false, error });
+
+    function validateRequired(value, minLength = 1) {
+        if (!value || typeof value !== 'string') {
+            return invalid('This field is required');
+        }
+        if (value.trim().length < minLength) {
+            return invalid(`This field must be at least ${minLength} characters long`);
+        }
+        return valid();
+    }
+
+    function validateEmail(email) {
+        if (!email || typeof email !== 'string') {
+            return invalid('Email is required');
+        }
+        const trimmedEmail = email.trim();
+        if (trimmedEmail.length > rules.email.maxLength) {
+            return invalid(`Email must be ${rules.email.maxLength} characters or less`);
+        }
+        if (!rules.email.pattern.test(trimmedEmail)) {
+            return invalid(rules.email.message);
+        }
+        return valid();
+    }
+
+    function validatePhone(phone) {
+        if (!phone || typeof phone !== 'string') {
+            return valid(); // Optional field
+        }
+        const cleanedPhone = phone.replace(/[\s\-\(\)]/g, '');
+        if (cleanedPhone.length > rules.phone.maxLength) {
+            return invalid(`Phone number must be ${rules.phone.maxLength} characters or less`);
+        }
+        if (!rules.phone.pattern.test(cleanedPhone)) {
+            return invalid(rules.phone.message);
+        }
+        return valid();
+    }
+
+    function validateName(name) {
+        const requiredValidation = validateRequired(name, rules.name.minLength);
+        if (!requiredValidation.isValid) {
+            return requiredValidation;
+        }
+        const trimmedName = name.trim();
+        if (trimmedName.length > rules.name.maxLength) {
+            return invalid(`Name must be ${rules.name.maxLength} characters or less`);
+        }
+        if (!rules.name.pattern.test(trimmedName)) {
+            return invalid(rules.name.message);
+        }
+        return valid();
+    }
+
+    function validateCompany(company) {
+        if (!company) {
+            return valid(); // Optional field
+        }
+        if (typeof company !== 'string') {
+            return invalid(rules.company.message);
+        }
+        const trimmedCompany = company.trim();
+        if (trimmedCompany.length > rules.company.maxLength) {
+            return invalid(`Company name must be ${rules.company.maxLength} characters or less`);
+        }
+        if (!rules.company.pattern.test(trimmedCompany)) {
+            return invalid(rules.company.message);
+        }
+        return valid();
+    }
+
+    function validateLocation(location) {
+        const requiredValidation = validateRequired(location, rules.location.minLength);
+        if (!requiredValidation.isValid) {
+            return requiredValidation;
+        }
+        const trimmedLocation = location.trim();
+        if (trimmedLocation.length > rules.location.maxLength) {
+            return invalid(`Location must be ${rules.location.maxLength} characters or less`);
+        }
+        if (!rules.location.pattern.test(trimmedLocation)) {
+            return invalid(rules.location.message);
+        }
+        return valid();
+    }
+
+    function validateMessage(message) {
+        if (!message) {
+            return valid(); // Optional field
+        }
+        if (typeof message !== 'string' || message.length > rules.message.maxLength) {
+            return invalid(rules.message.message);
+        }
+        return valid();
+    }
+
+    function validateServiceArea(area) {
+        if (!rules.serviceArea.validValues.includes(area)) {
+            return invalid(rules.serviceArea.message);
+        }
+        return valid();
+    }
+
+    return {
+        rules,
+        validateRequired,
+        validateEmail,
+        validatePhone,
+        validateName,
+        validateCompany,
+        validateLocation,
+        validateMessage,
+        validateServiceArea
+    };
+}));
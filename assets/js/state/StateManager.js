@@ -101,6 +101,7 @@ export const ActionTypes = {
     // System actions
     INITIALIZE_SYSTEM: 'INITIALIZE_SYSTEM',
     RESET_SYSTEM: 'RESET_SYSTEM',
+    RESTORE_STATE: 'RESTORE_STATE',
     UNDO_ACTION: 'UNDO_ACTION',
     REDO_ACTION: 'REDO_ACTION'
 };
@@ -300,9 +301,9 @@ export const ActionCreators = {
         type: ActionTypes.CALCULATE_PRICE
     }),
     
-    applyDiscount: (discountCode, discountAmount) => ({
+    applyDiscount: (discountCode, discountAmount, label) => ({
         type: ActionTypes.APPLY_DISCOUNT,
-        payload: { discountCode, discountAmount }
+        payload: { discountCode, discountAmount, label }
     }),
     
     removeDiscount: () => ({
@@ -434,6 +435,11 @@ export const ActionCreators = {
         type: ActionTypes.RESET_SYSTEM
     }),
     
+    restoreState: (state) => ({
+        type: ActionTypes.RESTORE_STATE,
+        payload: { state }
+    }),
+    
     undoAction: () => ({
         type: ActionTypes.UNDO_ACTION
     }),
@@ -443,6 +449,31 @@ export const ActionCreators = {
     })
 };
 
+// Undo and redo bring back the selections; where the customer is in the
+// wizard and what the UI is showing stay as they are
+const HISTORY_KEPT_KEYS = ['currentStep', 'totalSteps', 'isLoading', 'error', 'notification', 'modals', 'maxHistorySize'];
+
+/**
+ * Move to another history entry, returning state unchanged if there's none
+ */
+function travelHistory(state, index) {
+    const entry = state.history[index];
+    if (!entry) {
+        return state;
+    }
+    
+    const kept = HISTORY_KEPT_KEYS.reduce((values, key) => {
+        values[key] = state[key];
+        return values;
+    }, {});
+    return {
+        ...entry.stateSnapshot,
+        ...kept,
+        history: state.history,
+        historyIndex: index
+    };
+}
+
 /**
  * Reducers - Pure functions that handle state transitions
  */
@@ -742,7 +773,8 @@ const reducers = {
         ...state,
         discount: {
             code: action.payload.discountCode,
-            amount: action.payload.discountAmount
+            amount: action.payload.discountAmount,
+            label: action.payload.label
         }
     }),
     
@@ -876,7 +908,25 @@ const reducers = {
         isInitialized: true
     }),
     
-    [ActionTypes.RESET_SYSTEM]: () => getInitialState()
+    [ActionTypes.RESET_SYSTEM]: () => getInitialState(),
+    
+    // Values saved outside the store (storage, another tab, a saved draft)
+    // come back from JSON, so lists are turned back into Sets. Keys the
+    // state doesn't have are ignored.
+    [ActionTypes.RESTORE_STATE]: (state, action) => Object.keys(action.payload.state)
+        .filter(key => state.hasOwnProperty(key))
+        .reduce((restored, key) => {
+            const value = action.payload.state[key];
+            restored[key] = state[key] instanceof Set ? new Set(value) : value;
+            return restored;
+        }, { ...state }),
+    
+    // History reducers
+    [ActionTypes.UNDO_ACTION]: (state) => (
+        state.historyIndex > 0 ? travelHistory(state, state.historyIndex - 1) : state
+    ),
+    
+    [ActionTypes.REDO_ACTION]: (state) => travelHistory(state, state.historyIndex + 1)
 };
 
 /**
@@ -899,9 +949,9 @@ export function getInitialState() {
         totalPrice: 0,
         discount: null,
         
-        // Progress
+        // Progress - one step per entry in wizard/QuoteWizard.js WIZARD_STEPS
         currentStep: 1,
-        totalSteps: 5,
+        totalSteps: 6,
         
         // Data
         packages: [],
@@ -952,29 +1002,20 @@ export class StateManager {
         this.subscribers = new Set();
         this.middleware = [];
         this.isDispatching = false;
+        this.isBatching = false;
         this.pendingActions = [];
         
         // Setup default middleware
         this.setupDefaultMiddleware();
+        
+        // The starting state is the first history entry, so the first change can be undone
+        this.resetHistory();
     }
     
     /**
      * Setup default middleware
      */
     setupDefaultMiddleware() {
-        // Logging middleware
-        this.use((store, action, next) => {
-            const startTime = performance.now();
-            const result = next(action);
-            const endTime = performance.now();
-            
-            .toFixed(2)}ms`,
-                timestamp: new Date().toISOString()
-            });
-            
-            return result;
-        });
-        
         // Error handling middleware
         this.use((store, action, next) => {
             try {
@@ -991,6 +1032,7 @@ export class StateManager {
         
         // History middleware for undo/redo
         this.use((store, action, next) => {
+            const previousState = store.getState();
             const result = next(action);
             
             // Don't track certain actions in history
@@ -998,10 +1040,18 @@ export class StateManager {
                 ActionTypes.SET_LOADING_STATE,
                 ActionTypes.SHOW_NOTIFICATION,
                 ActionTypes.HIDE_NOTIFICATION,
-                ActionTypes.SET_MODAL_STATE
+                ActionTypes.SET_MODAL_STATE,
+                // Moving between wizard steps isn't a change to undo
+                ActionTypes.SET_CURRENT_STEP,
+                ActionTypes.NEXT_STEP,
+                ActionTypes.PREVIOUS_STEP,
+                ActionTypes.RESET_PROGRESS,
+                ActionTypes.UNDO_ACTION,
+                ActionTypes.REDO_ACTION
             ];
             
-            if (!excludedActions.includes(action.type)) {
+            // A batch is recorded once, by batchDispatch()
+            if (!this.isBatching && !excludedActions.includes(action.type) && store.getState() !== previousState) {
                 this.addToHistory(action);
             }
             
@@ -1061,6 +1111,7 @@ export class StateManager {
         }
         
         this.isDispatching = true;
+        const previousState = this.state;
         
         try {
             // Create middleware chain
@@ -1078,6 +1129,14 @@ export class StateManager {
             // Execute middleware chain
             const result = chain.length > 0 ? chain[0](action) : this.reducer(this.state, action);
             
+            // Subscribers hear about the change once the whole chain, history
+            // included, has run. They, and the actions queued meanwhile, can
+            // dispatch again from here.
+            this.isDispatching = false;
+            if (this.state !== previousState) {
+                this.notifySubscribers();
+            }
+            
             // Process pending actions
             while (this.pendingActions.length > 0) {
                 const pendingAction = this.pendingActions.shift();
@@ -1098,7 +1157,6 @@ export class StateManager {
         
         if (newState !== state) {
             this.state = newState;
-            this.notifySubscribers();
         }
         
         return newState;
@@ -1108,50 +1166,56 @@ export class StateManager {
      * Add action to history for undo/redo
      */
     addToHistory(action) {
-        // Remove any history after current index
-        this.state.history = this.state.history.slice(0, this.state.historyIndex + 1);
+        const { history, historyIndex, maxHistorySize } = this.state;
         
-        // Add new action
-        this.state.history.push({
-            action,
-            timestamp: Date.now(),
-            stateSnapshot: JSON.parse(JSON.stringify(this.state))
-        });
+        // Anything undone since can't be redone after a new change;
+        // the oldest entries go once the history is full
+        const entries = [
+            ...history.slice(0, historyIndex + 1),
+            { action, timestamp: Date.now(), stateSnapshot: this.createSnapshot() }
+        ].slice(-maxHistorySize);
         
-        // Limit history size
-        if (this.state.history.length > this.state.maxHistorySize) {
-            this.state.history.shift();
-        } else {
-            this.state.historyIndex++;
-        }
+        this.state = { ...this.state, history: entries, historyIndex: entries.length - 1 };
+    }
+    
+    /**
+     * Copy of the state for a history entry, without the history itself.
+     * Reducers never change a value in place, so a shallow copy is enough
+     * and keeps Sets as Sets.
+     */
+    createSnapshot() {
+        const { history, historyIndex, ...snapshot } = this.state;
+        return snapshot;
+    }
+    
+    /**
+     * Start the undo history over from the current state, e.g. once a
+     * saved selection has been loaded
+     */
+    resetHistory() {
+        this.state = { ...this.state, history: [], historyIndex: -1 };
+        this.addToHistory({ type: 'HISTORY_START' });
+        this.notifySubscribers();
     }
     
     /**
      * Undo last action
+     * @returns {boolean} whether there was anything to undo
      */
     undo() {
-        if (this.state.historyIndex > 0) {
-            this.state.historyIndex--;
-            const historyEntry = this.state.history[this.state.historyIndex];
-            this.state = { ...historyEntry.stateSnapshot };
-            this.notifySubscribers();
-            return true;
-        }
-        return false;
+        const previousState = this.state;
+        this.dispatch(ActionCreators.undoAction());
+        return this.state !== previousState;
     }
     
     /**
      * Redo last undone action
+     * @returns {boolean} whether there was anything to redo
      */
     redo() {
-        if (this.state.historyIndex < this.state.history.length - 1) {
-            this.state.historyIndex++;
-            const historyEntry = this.state.history[this.state.historyIndex];
-            this.state = { ...historyEntry.stateSnapshot };
-            this.notifySubscribers();
-            return true;
-        }
-        return false;
+        const previousState = this.state;
+        this.dispatch(ActionCreators.redoAction());
+        return this.state !== previousState;
     }
     
     /**
@@ -1169,10 +1233,22 @@ export class StateManager {
     }
     
     /**
-     * Batch dispatch multiple actions
+     * Batch dispatch multiple actions, recorded as one history entry so a
+     * single undo reverts them all
      */
     batchDispatch(actions) {
-        actions.forEach(action => this.dispatch(action));
+        const previousState = this.state;
+        this.isBatching = true;
+        try {
+            actions.forEach(action => this.dispatch(action));
+        } finally {
+            this.isBatching = false;
+        }
+        
+        if (this.state !== previousState) {
+            this.addToHistory({ type: 'BATCH', payload: { actions } });
+            this.notifySubscribers();
+        }
     }
     
     /**
@@ -7,6 +7,21 @@ import { StorageUtils } from '../utils/Storage.js';
  * State Middleware - Additional middleware functions for state management
  */
 
+/**
+ * The part of the state to save or share: includeKeys (null for all)
+ * minus excludeKeys, with Sets as arrays so it survives JSON. The
+ * RESTORE_STATE action turns the arrays back into Sets.
+ */
+function pickState(state, includeKeys, excludeKeys) {
+    const keys = (includeKeys || Object.keys(state))
+        .filter(key => state.hasOwnProperty(key) && !excludeKeys.includes(key));
+    
+    return keys.reduce((picked, key) => {
+        picked[key] = state[key] instanceof Set ? Array.from(state[key]) : state[key];
+        return picked;
+    }, {});
+}
+
 /**
  * Storage Middleware - Automatically save state to localStorage
  */
@@ -19,7 +34,7 @@ export function createStorageMiddleware(storageKey = 'quote-state', options = {}
     } = options;
     
     let saveTimeout = null;
-    const storage = new StorageUtils();
+    const storage = new StorageUtils(storageKey);
     
     return (store, action, next) => {
         const result = next(action);
@@ -32,29 +47,7 @@ export function createStorageMiddleware(storageKey = 'quote-state', options = {}
         // Debounce save operation
         saveTimeout = setTimeout(() => {
             try {
-                const state = store.getState();
-                let stateToSave = state;
-                
-                // Filter state if includeKeys is specified
-                if (includeKeys) {
-                    stateToSave = {};
-                    includeKeys.forEach(key => {
-                        if (state.hasOwnProperty(key)) {
-                            stateToSave[key] = state[key];
-                        }
-                    });
-                }
-                
-                // Remove excluded keys
-                excludeKeys.forEach(key => {
-                    if (stateToSave.hasOwnProperty(key)) {
-                        delete stateToSave[key];
-                    }
-                });
-                
-                // Save to storage
-                storage.save(stateToSave, storageKey);
-                
+                storage.save(pickState(store.getState(), includeKeys, excludeKeys));
             } catch (error) {
                 errorHandler.handleError(error, {
                     context: 'StorageMiddleware',
@@ -85,11 +78,6 @@ export function createAnalyticsMiddleware(analyticsConfig = {}) {
         // Track action before execution
         if (trackActions && !excludeActions.includes(action.type)) {
             try {
-                // Simulate analytics tracking
-                .toISOString(),
-                    payload: action.payload
-                });
-                
                 // Custom event handling
                 if (customEvents[action.type]) {
                     customEvents[action.type](action, store.getState());
@@ -104,23 +92,20 @@ export function createAnalyticsMiddleware(analyticsConfig = {}) {
         
         const result = next(action);
         const endTime = performance.now();
-        
+
         // Track performance
-        if (trackPerformance) {
+        if (trackPerformance && customEvents.slowAction) {
             const duration = endTime - startTime;
-            if (duration > 16) { // Log slow actions (>16ms)
-                }ms`
-                });
+            if (duration > 16) { // Report slow actions (>16ms)
+                customEvents.slowAction(action, duration);
             }
         }
-        
+
         // Track state changes
-        if (trackStateChanges) {
-            const newState = store.getState();
-            .length
-            });
+        if (trackStateChanges && customEvents.stateChange) {
+            customEvents.stateChange(action, store.getState());
         }
-        
+
         return result;
     };
 }
@@ -206,8 +191,6 @@ export function createRetryMiddleware(retryConfig = {}) {
                 retryCount++;
                 
                 if (retryCount <= maxRetries && shouldRetry(error, action)) {
-                    `);
-                    
                     await new Promise(resolve => setTimeout(resolve, retryDelay * retryCount));
                     return attemptAction();
                 }
@@ -274,9 +257,10 @@ export function createDebugMiddleware(debugConfig = {}) {
             if (groupActions) {
                 console.group(`Action: ${action.type}`);
             } else {
-                }
+                console.log(`Action: ${action.type}`);
+            }
             
-            .toISOString());
+            console.log('Payload:', action.payload, 'at', new Date().toISOString());
             
             if (logStackTraces) {
                 console.trace('Action stack trace');
@@ -288,12 +272,11 @@ export function createDebugMiddleware(debugConfig = {}) {
         
         if (logPerformance) {
             const duration = endTime - startTime;
-            }ms`);
+            console.log(`Took ${duration.toFixed(2)}ms`);
         }
         
         if (logStateChanges) {
-            const newState = store.getState();
-            );
+            console.log('New state:', store.getState());
         }
         
         if (logActions && groupActions) {
@@ -306,26 +289,52 @@ export function createDebugMiddleware(debugConfig = {}) {
 
 /**
  * Sync Middleware - Synchronize state across tabs/windows
+ *
+ * Other tabs' changes are handed to onRemoteState(state, message), which
+ * should dispatch them (e.g. as ActionCreators.restoreState).
  */
 export function createSyncMiddleware(syncConfig = {}) {
     const {
         channel = 'quote-state-sync',
         includeKeys = null,
-        excludeKeys = ['history', 'historyIndex', 'isLoading', 'error', 'notification', 'modals']
+        excludeKeys = ['history', 'historyIndex', 'isLoading', 'error', 'notification', 'modals'],
+        onRemoteState = null
     } = syncConfig;
     
     let broadcastChannel = null;
+    // JSON of the state last sent or received, to skip repeats
+    let lastSynced = null;
+    let applyingRemoteState = false;
     
     try {
         broadcastChannel = new BroadcastChannel(channel);
     } catch (error) {
-        }
+        // Without BroadcastChannel every tab keeps its own state
+    }
     
     if (broadcastChannel) {
         broadcastChannel.onmessage = (event) => {
-            if (event.data.type === 'STATE_UPDATE') {
-                // Handle incoming state updates
-                }
+            if (event.data.type !== 'STATE_UPDATE' || !onRemoteState) {
+                return;
+            }
+            const serialized = JSON.stringify(event.data.state);
+            if (serialized === lastSynced) {
+                return;
+            }
+            lastSynced = serialized;
+            
+            // Apply the update without broadcasting it straight back
+            applyingRemoteState = true;
+            try {
+                onRemoteState(event.data.state, event.data);
+            } catch (error) {
+                errorHandler.handleError(error, {
+                    context: 'SyncMiddleware',
+                    action: event.data.action
+                });
+            } finally {
+                applyingRemoteState = false;
+            }
         };
     }
     
@@ -333,25 +342,14 @@ export function createSyncMiddleware(syncConfig = {}) {
         const result = next(action);
         
         // Broadcast state changes to other tabs
-        if (broadcastChannel) {
+        if (broadcastChannel && !applyingRemoteState) {
             try {
-                const state = store.getState();
-                let stateToSync = state;
-                
-                if (includeKeys) {
-                    stateToSync = {};
-                    includeKeys.forEach(key => {
-                        if (state.hasOwnProperty(key)) {
-                            stateToSync[key] = state[key];
-                        }
-                    });
+                const stateToSync = pickState(store.getState(), includeKeys, excludeKeys);
+                const serialized = JSON.stringify(stateToSync);
+                if (serialized === lastSynced) {
+                    return result;
                 }
-                
-                excludeKeys.forEach(key => {
-                    if (stateToSync.hasOwnProperty(key)) {
-                        delete stateToSync[key];
-                    }
-                });
+                lastSynced = serialized;
                 
                 broadcastChannel.postMessage({
                     type: 'STATE_UPDATE',
@@ -0,0 +1,44 @@
+// ===== QUOTE STATE ENTRY POINT =====
+// quote.js is a classic script and can't import the store, so this hands it
+// over as window.QuoteState - loaded from localStorage, saved back on every
+// change and kept in step with the quote builder open in other tabs.
+
+import { stateManager, ActionCreators } from './StateManager.js';
+import { Selectors } from './StateSelectors.js';
+import { createStorageMiddleware, createSyncMiddleware } from './StateMiddleware.js';
+import { StorageUtils } from '../utils/Storage.js';
+
+const STORAGE_KEY = 'quote-state';
+
+// The part of the state that makes up the customer's quote
+const SELECTION_KEYS = [
+    'selectedPackage',
+    'selectedFeatures',
+    'selectedAddons',
+    'selectedEmergency',
+    'selectedServiceArea',
+    'discount'
+];
+
+// Restore before the middleware goes in, so loading isn't saved or broadcast
+const saved = new StorageUtils(STORAGE_KEY).load();
+if (saved) {
+    stateManager.dispatch(ActionCreators.restoreState(saved));
+}
+
+stateManager.use(createStorageMiddleware(STORAGE_KEY, {
+    includeKeys: SELECTION_KEYS,
+    debounceMs: 250
+}));
+stateManager.use(createSyncMiddleware({
+    includeKeys: SELECTION_KEYS,
+    onRemoteState: state => stateManager.dispatch(ActionCreators.restoreState(state))
+}));
+
+window.QuoteState = {
+    store: stateManager,
+    ActionCreators,
+    Selectors,
+    SELECTION_KEYS,
+    restored: Boolean(saved)
+};
@@ -3,6 +3,27 @@
  * Provides centralized error handling, logging, user notifications, and recovery mechanisms
  */
 
+/**
+ * Translate with the page's I18n (assets/js/shared/I18n.js) when it has the
+ * key; the English text is used otherwise
+ * @param {string} key - message key, e.g. "errors.api.networkError"
+ * @param {string} fallback - English message
+ * @returns {string}
+ */
+function translate(key, fallback) {
+    const i18n = window.I18n;
+    if (!i18n) {
+        return fallback;
+    }
+    const message = i18n.t(key);
+    return message === key ? fallback : message;
+}
+
+// 'Network Error' -> 'networkError', as the messages are keyed in assets/locales
+const toMessageKey = (message) => message
+    .replace(/\s+(\w)/g, (match, letter) => letter.toUpperCase())
+    .replace(/^\w/, letter => letter.toLowerCase());
+
 export class ErrorHandler {
     constructor() {
         this.errorLog = [];
@@ -225,12 +246,12 @@ export class ErrorHandler {
      */
     getNotificationTitle(errorInfo) {
         switch (errorInfo.context) {
-            case 'API': return 'Connection Error';
-            case 'Validation': return 'Input Error';
-            case 'Storage': return 'Data Error';
-            case 'Resource': return 'Loading Error';
-            case 'Global': return 'System Error';
-            default: return 'Error';
+            case 'API': return translate('errors.titles.api', 'Connection Error');
+            case 'Validation': return translate('errors.titles.validation', 'Input Error');
+            case 'Storage': return translate('errors.titles.storage', 'Data Error');
+            case 'Resource': return translate('errors.titles.resource', 'Loading Error');
+            case 'Global': return translate('errors.titles.global', 'System Error');
+            default: return translate('errors.titles.default', 'Error');
         }
     }
 
@@ -275,8 +296,13 @@ export class ErrorHandler {
             }
         };
 
-        const contextMessages = messages[errorInfo.context] || messages['Global'];
-        const specificMessage = contextMessages[errorInfo.message] || contextMessages['default'];
+        const context = messages[errorInfo.context] ? errorInfo.context : 'Global';
+        const contextMessages = messages[context];
+        const known = Boolean(contextMessages[errorInfo.message]);
+        const specificMessage = translate(
+            `errors.${context.toLowerCase()}.${known ? toMessageKey(errorInfo.message) : 'default'}`,
+            known ? contextMessages[errorInfo.message] : contextMessages['default']
+        );
         
         return specificMessage.replace(/\{(\w+)\}/g, (match, key) => errorInfo[key] || match);
     }
@@ -2,44 +2,9 @@
 import { errorHandler } from './ErrorHandler.js';
 
 export class ValidationUtils {
-    // Validation rules configuration
-    static rules = {
-        email: {
-            pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
-            message: 'Please enter a valid email address',
-            maxLength: 254
-        },
-        phone: {
-            pattern: /^[\+]?[1-9][\d]{0,15}$/,
-            message: 'Please enter a valid phone number',
-            maxLength: 20
-        },
-        name: {
-            pattern: /^[a-zA-Z\s\-']{2,50}$/,
-            message: 'Please enter a valid name (2-50 characters, letters only)',
-            minLength: 2,
-            maxLength: 50
-        },
-        company: {
-            pattern: /^[a-zA-Z0-9\s\-&.,'()]{1,100}$/,
-            message: 'Please enter a valid company name',
-            maxLength: 100
-        },
-        location: {
-            pattern: /^[a-zA-Z0-9\s\-.,'()]{3,100}$/,
-            message: 'Please enter a valid service location',
-            minLength: 3,
-            maxLength: 100
-        },
-        message: {
-            maxLength: 1000,
-            message: 'Message must be 1000 characters or less'
-        },
-        serviceArea: {
-            validValues: ['15', '30', '50'],
-            message: 'Please select a valid service area'
-        }
-    };
+    // Validation rules configuration, shared with the server (assets/js/shared/Validation.js,
+    // loaded as a classic script before the modules)
+    static rules = window.Validation.rules;
     // Email validation
     static validateEmail(email) {
         try {
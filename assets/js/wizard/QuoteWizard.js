@@ -0,0 +1,467 @@
+// ===== QUOTE WIZARD =====
+// Step-by-step layout for the quote builder. Each step shows one section of
+// the page; the current step lives in the StateManager store and in the
+// address bar (#step-<id>), so any step can be linked to.
+
+import { BaseComponent } from '../components/BaseComponent.js';
+import { ActionCreators } from '../state/StateManager.js';
+import { Selectors } from '../state/StateSelectors.js';
+import { ValidationUtils } from '../utils/Validation.js';
+
+const escape = (value) => ValidationUtils.sanitizeString(value === undefined || value === null ? '' : String(value));
+
+const HASH_PREFIX = '#step-';
+
+/**
+ * The steps in order. `section` is the part of the page the step shows;
+ * `validate(system)` returns why the customer can't move past the step yet,
+ * or an empty string.
+ */
+export const WIZARD_STEPS = [
+    {
+        id: 'package',
+        section: '#package-section',
+        validate: system => (system.selectedPackage ? '' : I18n.t('wizard.errors.package'))
+    },
+    { id: 'features', section: '#additional-features-section' },
+    { id: 'addons', section: '#addon-services-section' },
+    {
+        id: 'coverage',
+        section: '#coverage-section',
+        validate: system => (system.selectedServiceArea ? '' : I18n.t('wizard.errors.serviceArea'))
+    },
+    {
+        id: 'contact',
+        section: '#contact-section',
+        validate: system => (system.validateAndShowErrors()
+            ? ''
+            : (system.validationErrors && system.validationErrors[0]) || I18n.t('validation.fixErrors'))
+    },
+    { id: 'review', section: '#review-section' }
+];
+
+/**
+ * The step named by a location hash such as "#step-coverage", or null
+ */
+export function stepFromHash(hash) {
+    const id = hash && hash.startsWith(HASH_PREFIX) ? hash.slice(HASH_PREFIX.length) : '';
+    return WIZARD_STEPS.some(step => step.id === id) ? id : null;
+}
+
+export class QuoteWizard extends BaseComponent {
+    getDefaultConfig() {
+        return {
+            ...super.getDefaultConfig(),
+            className: 'quote-wizard',
+            tagName: 'nav',
+            system: null,
+            store: null,
+            main: null
+        };
+    }
+
+    getInitialState() {
+        return {
+            enabled: false,
+            submitting: false
+        };
+    }
+
+    afterInit() {
+        this.element.setAttribute('data-i18n-aria-label', 'wizard.stepsLabel');
+        this.shownIndex = null;
+
+        this.controls = document.createElement('div');
+        this.controls.className = 'wizard-controls';
+        this.controls.addEventListener('click', (event) => {
+            const button = event.target.closest('[data-action]');
+            if (!button || button.disabled) return;
+
+            if (button.dataset.action === 'back') {
+                this.back();
+            } else if (button.dataset.action === 'next') {
+                this.next();
+            } else {
+                this.submit();
+            }
+        });
+
+        // The contact step hosts the customer info form; the review step is rendered here
+        this.contactSection = document.createElement('section');
+        this.contactSection.className = 'section wizard-contact';
+        this.contactSection.id = 'contact-section';
+        this.contactSection.setAttribute('aria-labelledby', 'customer-info-modal-title');
+
+        this.reviewSection = document.createElement('section');
+        this.reviewSection.className = 'section wizard-review';
+        this.reviewSection.id = 'review-section';
+        this.reviewSection.setAttribute('aria-labelledby', 'wizard-review-title');
+
+        this.handleHashChange = () => {
+            const id = stepFromHash(window.location.hash);
+            if (id) {
+                this.goTo(id);
+            }
+        };
+        this.handleLanguageChange = () => {
+            this.renderProgress();
+            // Line item names follow the language too
+            if (this.isShowing('review')) {
+                this.renderReview();
+            }
+        };
+    }
+
+    get isEnabled() {
+        return this.state.enabled;
+    }
+
+    get currentIndex() {
+        return Selectors.getCurrentStep(this.config.store.getState()) - 1;
+    }
+
+    isShowing(stepId) {
+        return this.shownIndex !== null && WIZARD_STEPS[this.shownIndex].id === stepId;
+    }
+
+    renderLayout() {
+        return `
+            <div class="wizard-progress">
+                <div class="wizard-progress-text" id="wizardProgressText"></div>
+                <div class="wizard-progress-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-labelledby="wizardProgressText">
+                    <div class="wizard-progress-fill"></div>
+                </div>
+            </div>
+            <ol class="wizard-steps">
+                ${WIZARD_STEPS.map((step, index) => `
+                    <li>
+                        <a href="${HASH_PREFIX}${step.id}" class="wizard-step" data-step="${step.id}">
+                            <span class="wizard-step-number">${index + 1}</span>
+                            <span class="wizard-step-label" data-i18n="wizard.steps.${step.id}">${escape(I18n.t(`wizard.steps.${step.id}`))}</span>
+                        </a>
+                    </li>
+                `).join('')}
+            </ol>
+        `;
+    }
+
+    renderControls() {
+        return `
+            <button type="button" class="btn btn-secondary" data-action="back">
+                <i data-lucide="arrow-left" aria-hidden="true"></i>
+                <span data-i18n="wizard.back">${escape(I18n.t('wizard.back'))}</span>
+            </button>
+            <button type="button" class="btn btn-primary" data-action="next">
+                <span data-i18n="wizard.next">${escape(I18n.t('wizard.next'))}</span>
+                <i data-lucide="arrow-right" aria-hidden="true"></i>
+            </button>
+            <button type="button" class="btn btn-primary" data-action="submit" hidden>
+                <i data-lucide="send" aria-hidden="true"></i>
+                <span data-i18n="wizard.submit">${escape(I18n.t('wizard.submit'))}</span>
+            </button>
+        `;
+    }
+
+    renderReviewLayout() {
+        return `
+            <h2 id="wizard-review-title" class="section-title">
+                <i data-lucide="clipboard-check" aria-hidden="true"></i>
+                <span data-i18n="wizard.review.title">${escape(I18n.t('wizard.review.title'))}</span>
+            </h2>
+            <p class="section-description" data-i18n="wizard.review.description">${escape(I18n.t('wizard.review.description'))}</p>
+            <div class="wizard-review-content" id="wizardReview" aria-live="polite"></div>
+        `;
+    }
+
+    /**
+     * Switch the page to one step at a time, starting at the step in the
+     * address bar if there is one
+     */
+    enable() {
+        if (this.state.enabled) return;
+        const { main, store } = this.config;
+
+        this.element.innerHTML = this.renderLayout();
+        this.controls.innerHTML = this.renderControls();
+        this.reviewSection.innerHTML = this.renderReviewLayout();
+
+        // Move the customer info form out of its modal and into the contact step
+        const modal = document.getElementById('customerInfoModal');
+        if (modal) {
+            this.modalHome = { parent: modal.parentNode, next: modal.nextSibling };
+            modal.classList.add('modal-inline', 'show');
+            modal.removeAttribute('hidden');
+            modal.removeAttribute('aria-modal');
+            this.contactSection.appendChild(modal);
+            initializeModalCountrySelector();
+        }
+
+        main.prepend(this.element);
+        main.append(this.contactSection, this.reviewSection, this.controls);
+        main.closest('.quote-interface').classList.add('wizard-layout');
+        if (window.lucide) {
+            lucide.createIcons();
+        }
+
+        this.update({ enabled: true }, false);
+        this.shownIndex = null;
+        this.unsubscribe = store.subscribe(() => this.showStep(this.currentIndex));
+        window.addEventListener('hashchange', this.handleHashChange);
+        document.addEventListener('quote:languagechange', this.handleLanguageChange);
+
+        this.goTo(stepFromHash(window.location.hash) || WIZARD_STEPS[this.currentIndex].id, { replace: true });
+    }
+
+    /**
+     * Back to the single page layout
+     */
+    disable() {
+        if (!this.state.enabled) return;
+        const { main } = this.config;
+
+        this.unsubscribe();
+        window.removeEventListener('hashchange', this.handleHashChange);
+        document.removeEventListener('quote:languagechange', this.handleLanguageChange);
+
+        const modal = document.getElementById('customerInfoModal');
+        if (modal && this.modalHome) {
+            modal.classList.remove('modal-inline', 'show');
+            modal.setAttribute('hidden', '');
+            modal.setAttribute('aria-modal', 'true');
+            this.modalHome.parent.insertBefore(modal, this.modalHome.next);
+        }
+
+        [this.element, this.contactSection, this.reviewSection, this.controls].forEach(node => node.remove());
+        main.querySelectorAll('.wizard-step-current').forEach(section => section.classList.remove('wizard-step-current'));
+        main.closest('.quote-interface').classList.remove('wizard-layout');
+
+        this.update({ enabled: false }, false);
+        const url = new URL(window.location.href);
+        url.hash = '';
+        window.history.replaceState(null, '', url);
+    }
+
+    /**
+     * First step before `index` whose gate fails, as { index, message }, or null
+     */
+    findBlockedStep(index) {
+        for (let i = 0; i < index; i++) {
+            const message = WIZARD_STEPS[i].validate ? WIZARD_STEPS[i].validate(this.config.system) : '';
+            if (message) {
+                return { index: i, message };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Go to a step. Going forward passes every gate on the way and stops at
+     * the first step that isn't complete.
+     * @param {string} id
+     * @param {Object} [options] - { replace } to change the address bar without a new history entry
+     */
+    goTo(id, { replace = false } = {}) {
+        let index = WIZARD_STEPS.findIndex(step => step.id === id);
+        if (index === -1) return;
+
+        const blocked = index > this.currentIndex || this.shownIndex === null ? this.findBlockedStep(index) : null;
+        if (blocked) {
+            index = blocked.index;
+            this.config.system.showNotification(blocked.message, 'error');
+        }
+
+        // A link to a step the customer can't reach yet shouldn't stay in the history
+        this.replaceHash = replace || Boolean(blocked);
+        if (index !== this.currentIndex) {
+            this.config.store.dispatch(ActionCreators.setCurrentStep(index + 1));
+        } else if (index === this.shownIndex) {
+            this.syncHash();
+        } else {
+            this.showStep(index);
+        }
+    }
+
+    next() {
+        const state = this.config.store.getState();
+        if (!Selectors.canGoNext(state)) return;
+
+        const step = WIZARD_STEPS[this.currentIndex];
+        const message = step.validate ? step.validate(this.config.system) : '';
+        if (message) {
+            this.config.system.showNotification(message, 'error');
+            return;
+        }
+        this.config.store.dispatch(ActionCreators.nextStep());
+    }
+
+    back() {
+        if (Selectors.canGoPrevious(this.config.store.getState())) {
+            this.config.store.dispatch(ActionCreators.previousStep());
+        }
+    }
+
+    async submit() {
+        if (this.state.submitting) return;
+
+        const blocked = this.findBlockedStep(WIZARD_STEPS.length - 1);
+        if (blocked) {
+            this.config.system.showNotification(blocked.message, 'error');
+            this.goTo(WIZARD_STEPS[blocked.index].id);
+            return;
+        }
+
+        const button = this.controls.querySelector('[data-action="submit"]');
+        this.update({ submitting: true }, false);
+        button.disabled = true;
+        try {
+            // Same submission as the modal; it redirects to the success page
+            await submitCustomerInfo();
+        } finally {
+            this.update({ submitting: false }, false);
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Show the section for a step and bring the progress bar, step list,
+     * buttons and address bar in line with it
+     */
+    showStep(index) {
+        if (!this.state.enabled || index === this.shownIndex) return;
+        const firstShow = this.shownIndex === null;
+        this.shownIndex = index;
+        const step = WIZARD_STEPS[index];
+
+        WIZARD_STEPS.forEach((entry) => {
+            const section = document.querySelector(entry.section);
+            if (section) {
+                section.classList.toggle('wizard-step-current', entry === step);
+            }
+        });
+        this.element.querySelectorAll('.wizard-step').forEach((link, linkIndex) => {
+            link.classList.toggle('completed', linkIndex < index);
+            if (linkIndex === index) {
+                link.setAttribute('aria-current', 'step');
+            } else {
+                link.removeAttribute('aria-current');
+            }
+        });
+
+        const state = this.config.store.getState();
+        this.controls.querySelector('[data-action="back"]').disabled = !Selectors.canGoPrevious(state);
+        this.controls.querySelector('[data-action="next"]').hidden = !Selectors.canGoNext(state);
+        this.controls.querySelector('[data-action="submit"]').hidden = Selectors.canGoNext(state);
+        this.renderProgress();
+        this.syncHash();
+
+        if (step.id === 'review') {
+            this.renderReview();
+        }
+        if (!firstShow) {
+            this.element.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    }
+
+    // Put the shown step in the address bar; a new history entry unless asked to replace
+    syncHash() {
+        const hash = `${HASH_PREFIX}${WIZARD_STEPS[this.shownIndex].id}`;
+        if (window.location.hash !== hash) {
+            window.history[this.replaceHash ? 'replaceState' : 'pushState'](null, '', hash);
+        }
+        this.replaceHash = false;
+    }
+
+    renderProgress() {
+        const state = this.config.store.getState();
+        const percentage = Math.round(Selectors.getProgressPercentage(state));
+
+        this.element.querySelector('#wizardProgressText').textContent = I18n.t('wizard.progress', {
+            step: Selectors.getCurrentStep(state),
+            total: Selectors.getTotalSteps(state)
+        });
+        this.element.querySelector('.wizard-progress-bar').setAttribute('aria-valuenow', String(percentage));
+        this.element.querySelector('.wizard-progress-fill').style.width = `${percentage}%`;
+    }
+
+    /**
+     * Price the quote for the customer's location, as submitting will, and
+     * list the selection and contact details
+     */
+    async renderReview() {
+        const { system } = this.config;
+        const container = this.reviewSection.querySelector('#wizardReview');
+        container.innerHTML = `<p class="wizard-review-loading">${escape(I18n.t('wizard.review.loading'))}</p>`;
+
+        const customerInfo = readCustomerInfo();
+        system.setTaxLocation({
+            country: customerInfo.country || null,
+            region: Tax.regionFromLocation(customerInfo.location, customerInfo.country)
+        });
+        if (!system.hasCurrentServerPricing()) {
+            await system.fetchServerPricing();
+        }
+
+        // The customer may have moved on while the price was on its way
+        if (this.isShowing('review')) {
+            container.innerHTML = this.renderReviewContent(customerInfo, system.hasCurrentServerPricing() ? system.serverPricing : null);
+        }
+    }
+
+    renderReviewContent(customerInfo, pricing) {
+        const { system } = this.config;
+        const money = amount => escape(system.formatMoney(amount));
+        const edit = stepId => `<a href="${HASH_PREFIX}${stepId}" class="wizard-review-edit">${escape(I18n.t('wizard.review.edit'))}</a>`;
+
+        // Without the server's price, show the local estimate
+        const lines = pricing
+            ? pricing.lineItems.map(line => ({ name: line.name, amount: line.amount }))
+            : (system.currentSelectedItems || []).map(item => ({ name: item.name, amount: system.convertPrice(item.price) }));
+        const discounts = pricing ? pricing.discounts || [] : [];
+        const taxes = pricing ? pricing.taxes || [] : [];
+        const inclusive = pricing && pricing.taxDisplay === 'inclusive';
+        const taxRows = taxes.map(tax => `
+            <tr class="wizard-review-tax"><td>${escape(Tax.taxLabel(tax, pricing.taxDisplay, I18n.t('tax.included')))}</td><td class="amount">${inclusive ? '' : '+'}${money(tax.amount)}</td></tr>
+        `).join('');
+
+        const details = [
+            ['form.name', customerInfo.name],
+            ['form.email', customerInfo.email],
+            ['form.phone', customerInfo.phone],
+            ['form.company', customerInfo.company],
+            ['form.location', customerInfo.location]
+        ].filter(([, value]) => value);
+
+        return `
+            <div class="wizard-review-block">
+                <div class="wizard-review-heading">
+                    <h3>${escape(I18n.t('wizard.review.selection'))}</h3>
+                    ${edit('package')}
+                </div>
+                <table class="wizard-review-table">
+                    <tbody>
+                        ${lines.map(line => `
+                            <tr><td>${escape(line.name)}</td><td class="amount">${money(line.amount)}</td></tr>
+                        `).join('')}
+                        ${discounts.map(discount => `
+                            <tr class="wizard-review-discount"><td>${escape(I18n.t('summary.discountCode', { code: discount.code }))}</td><td class="amount">-${money(discount.amount)}</td></tr>
+                        `).join('')}
+                        ${inclusive ? '' : taxRows}
+                    </tbody>
+                    <tfoot>
+                        <tr><td>${escape(I18n.t('summary.total'))}</td><td class="amount">${money(pricing ? pricing.total : system.calculateTotalPrice())}</td></tr>
+                        ${inclusive ? taxRows : ''}
+                    </tfoot>
+                </table>
+            </div>
+            <div class="wizard-review-block">
+                <div class="wizard-review-heading">
+                    <h3>${escape(I18n.t('wizard.review.contact'))}</h3>
+                    ${edit('contact')}
+                </div>
+                <dl class="wizard-review-details">
+                    ${details.map(([label, value]) => `<dt>${escape(I18n.t(label))}</dt><dd>${escape(value)}</dd>`).join('')}
+                </dl>
+            </div>
+        `;
+    }
+}
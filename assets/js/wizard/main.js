@@ -0,0 +1,71 @@
+// ===== WIZARD ENTRY POINT =====
+// Offers the step-by-step layout next to the single page one. It's picked
+// with ?layout=wizard, a #step-<id> link or the layout button in the header.
+
+import { stateManager } from '../state/StateManager.js';
+import { QuoteWizard, stepFromHash } from './QuoteWizard.js';
+
+const LAYOUT_PARAM = 'layout';
+
+function wantsWizard() {
+    return new URLSearchParams(window.location.search).get(LAYOUT_PARAM) === 'wizard' ||
+        Boolean(stepFromHash(window.location.hash));
+}
+
+// The wizard drives the QuoteSystem, so wait until quote.js has finished loading
+function whenQuoteSystemReady() {
+    if (window.quoteSystem && window.quoteSystem.isReady) {
+        return Promise.resolve(window.quoteSystem);
+    }
+    return new Promise((resolve) => {
+        document.addEventListener('quote:ready', event => resolve(event.detail), { once: true });
+    });
+}
+
+/**
+ * Switch layouts, keeping the choice in the address bar so reloads and
+ * shared links open the same one
+ */
+function setLayout(wizard, enabled) {
+    const url = new URL(window.location.href);
+    if (enabled) {
+        url.searchParams.set(LAYOUT_PARAM, 'wizard');
+    } else {
+        url.searchParams.delete(LAYOUT_PARAM);
+    }
+    window.history.replaceState(null, '', url);
+
+    if (enabled) {
+        wizard.enable();
+    } else {
+        wizard.disable();
+    }
+    document.getElementById('layoutToggle').setAttribute('aria-pressed', String(enabled));
+}
+
+async function init() {
+    const system = await whenQuoteSystemReady();
+    const wizard = new QuoteWizard({
+        system,
+        store: stateManager,
+        main: document.querySelector('.quote-main')
+    });
+    window.quoteWizard = wizard;
+
+    const toggle = document.getElementById('layoutToggle');
+    toggle.hidden = false;
+    toggle.addEventListener('click', () => setLayout(wizard, !wizard.isEnabled));
+
+    // Following a step link from the single page layout switches to the wizard
+    window.addEventListener('hashchange', () => {
+        if (!wizard.isEnabled && stepFromHash(window.location.hash)) {
+            setLayout(wizard, true);
+        }
+    });
+
+    if (wantsWizard()) {
+        setLayout(wizard, true);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,102 @@
+// ===== SYNTAX CHECK =====
+// `npm run lint`: parses every JavaScript file and every inline <script> in
+// the HTML pages without running them, so a truncated call or a stray brace
+// fails here instead of in the browser. ES modules (import/export, or
+// type="module" in HTML) are parsed as modules, everything else as scripts.
+// Minified bundles are build output (npm run optimize) and are skipped.
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const ROOT = __dirname;
+const SKIP_DIRS = new Set(['node_modules', '.git', 'data']);
+const MODULE_SYNTAX = /^\s*(import\s*[\w{*'"]|export\s)/m;
+
+function listFiles(dir, extensions, files = []) {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (!SKIP_DIRS.has(entry.name)) {
+                listFiles(fullPath, extensions, files);
+            }
+        } else if (extensions.includes(path.extname(entry.name)) && !entry.name.endsWith('.min.js')) {
+            files.push(fullPath);
+        }
+    }
+    return files;
+}
+
+/**
+ * Inline scripts of a page, each with the line it starts on so errors
+ * point at the HTML file. JSON and other data blocks are left out.
+ */
+function inlineScripts(html) {
+    const scripts = [];
+    const pattern = /<script\b([^>]*)>([\s\S]*?)<\/script>/gi;
+    let match;
+    while ((match = pattern.exec(html)) !== null) {
+        const [, attributes, code] = match;
+        const type = (/\btype\s*=\s*["']?([^"'\s>]+)/i.exec(attributes) || [])[1];
+        if (/\bsrc\s*=/i.test(attributes) || !code.trim() || (type && type !== 'module' && !/javascript/i.test(type))) {
+            continue;
+        }
+        const line = html.slice(0, match.index + match[0].indexOf('>') + 1).split('\n').length;
+        scripts.push({ code, line, isModule: type === 'module' });
+    }
+    return scripts;
+}
+
+/**
+ * Parse code with `node --check`. Returns the error message, or null.
+ */
+function checkCode(code, isModule) {
+    const result = spawnSync(process.execPath, ['--check', `--input-type=${isModule ? 'module' : 'commonjs'}`], {
+        input: code,
+        encoding: 'utf8'
+    });
+    if (result.status === 0) {
+        return null;
+    }
+    // "[stdin]:12" followed by the offending line, a caret and the error
+    const lines = result.stderr.split('\n');
+    const location = /^\[stdin\]:(\d+)/.exec(lines[0]);
+    const error = lines.find(line => /^\w*Error\b/.test(line)) || lines[0];
+    return { line: location ? Number(location[1]) : 1, message: error.trim() };
+}
+
+function main() {
+    const failures = [];
+    const relative = file => path.relative(ROOT, file);
+
+    const jsFiles = listFiles(ROOT, ['.js', '.mjs', '.cjs']);
+    for (const file of jsFiles) {
+        const code = fs.readFileSync(file, 'utf8');
+        const isModule = file.endsWith('.mjs') || (!file.endsWith('.cjs') && MODULE_SYNTAX.test(code));
+        const error = checkCode(code, isModule);
+        if (error) {
+            failures.push(`${relative(file)}:${error.line}: ${error.message}`);
+        }
+    }
+
+    const htmlFiles = listFiles(ROOT, ['.html']);
+    let scriptCount = 0;
+    for (const file of htmlFiles) {
+        for (const script of inlineScripts(fs.readFileSync(file, 'utf8'))) {
+            scriptCount++;
+            const error = checkCode(script.code, script.isModule);
+            if (error) {
+                failures.push(`${relative(file)}:${script.line + error.line - 1}: ${error.message}`);
+            }
+        }
+    }
+
+    if (failures.length > 0) {
+        console.error(failures.join('\n'));
+        console.error(`\n${failures.length} file(s) failed to parse`);
+        process.exit(1);
+    }
+    console.log(`Parsed ${jsFiles.length} JavaScript files and ${scriptCount} inline scripts in ${htmlFiles.length} pages`);
+}
+
+main();
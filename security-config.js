@@ -1,10 +1,122 @@
 // ===== SECURITY CONFIGURATION =====
 
+const path = require('path');
+
+const dataDir = process.env.DATA_DIR || path.join(__dirname, 'data');
+
 module.exports = {
     // Server Configuration
     port: process.env.PORT || 3031,
     nodeEnv: process.env.NODE_ENV || 'development',
     
+    // Storage Configuration
+    storage: {
+        // Directory for file-backed stores (quote submissions, etc.)
+        dataDir
+    },
+    
+    // Share Link Configuration
+    share: {
+        // Days until a new quote share link expires, 0 for links that never expire
+        linkTtlDays: process.env.SHARE_LINK_TTL_DAYS !== undefined ? parseInt(process.env.SHARE_LINK_TTL_DAYS) : 30
+    },
+    
+    // Saved Draft Configuration
+    drafts: {
+        // Days a "save and continue later" link can be resumed, 0 for links that never expire
+        ttlDays: process.env.DRAFT_TTL_DAYS !== undefined ? parseInt(process.env.DRAFT_TTL_DAYS) : 30,
+        // Site origin resume links point at, e.g. https://quotes.example.com. Without it
+        // links are relative and are never emailed, so a forged Host header can't end up in one.
+        publicUrl: (process.env.DRAFT_PUBLIC_URL || '').replace(/\/+$/, ''),
+        // Resume links emailed to one address, on top of the API rate limit
+        emailRateLimit: {
+            windowMs: 60 * 60 * 1000,
+            max: parseInt(process.env.DRAFT_EMAIL_RATE_LIMIT_MAX) || 5,
+            message: { error: 'Too many resume links sent to this address, please try again later.' },
+            standardHeaders: true,
+            legacyHeaders: false
+        }
+    },
+    
+    // Admin API Configuration
+    admin: {
+        // Optional bearer token for scripts, treated as the admin role. With no key and
+        // no users the admin API is disabled.
+        apiKey: process.env.ADMIN_API_KEY || '',
+        // Creates the first admin user on startup when there are no users yet
+        bootstrapUsername: process.env.ADMIN_USERNAME || '',
+        bootstrapPassword: process.env.ADMIN_PASSWORD || ''
+    },
+    
+    // Staff Login Configuration
+    auth: {
+        sessionTtlHours: parseInt(process.env.SESSION_TTL_HOURS) || 12,
+        // Failed and successful login attempts per IP, on top of the API rate limit
+        loginRateLimit: {
+            windowMs: 15 * 60 * 1000,
+            max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX) || 10,
+            message: { error: 'Too many login attempts, please try again later.' },
+            standardHeaders: true,
+            legacyHeaders: false
+        }
+    },
+    
+    // Quote Export Configuration
+    export: {
+        // JSON file of extra CRM column mappings, keyed by name (see server/export-mappings.js)
+        mappingsFile: process.env.EXPORT_MAPPINGS_FILE || path.join(dataDir, 'export-mappings.json')
+    },
+    
+    // Mail Configuration
+    mail: {
+        // 'outbox' writes .eml files to outboxDir instead of sending; 'smtp' sends through the relay below
+        transport: process.env.MAIL_TRANSPORT || 'outbox',
+        outboxDir: process.env.MAIL_OUTBOX_DIR || path.join(dataDir, 'outbox'),
+        from: process.env.MAIL_FROM || 'HVAC Quotes <quotes@localhost>',
+        // Internal address for new-lead alerts, alerts are off when unset
+        leadsTo: process.env.MAIL_LEADS_TO || '',
+        smtp: {
+            host: process.env.SMTP_HOST || '',
+            port: parseInt(process.env.SMTP_PORT) || 587,
+            // true for implicit TLS (port 465); otherwise STARTTLS is used when offered
+            secure: process.env.SMTP_SECURE === 'true',
+            user: process.env.SMTP_USER || '',
+            pass: process.env.SMTP_PASS || '',
+            // Log in even when the server offers no TLS; only for a relay on a trusted network
+            allowInsecureAuth: process.env.SMTP_ALLOW_INSECURE_AUTH === 'true'
+        },
+        maxAttempts: parseInt(process.env.MAIL_MAX_ATTEMPTS) || 5,
+        retryDelayMs: parseInt(process.env.MAIL_RETRY_DELAY_MS) || 30 * 1000, // doubles after each failure
+        pollIntervalMs: parseInt(process.env.MAIL_POLL_INTERVAL_MS) || 5000
+    },
+    
+    // Webhook Configuration
+    webhooks: {
+        maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+        retryDelayMs: parseInt(process.env.WEBHOOK_RETRY_DELAY_MS) || 30 * 1000, // doubles after each failure
+        maxRetryDelayMs: parseInt(process.env.WEBHOOK_MAX_RETRY_DELAY_MS) || 60 * 60 * 1000,
+        timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000,
+        pollIntervalMs: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 5000
+    },
+    
+    // Payment Configuration
+    payments: {
+        // 'stripe' takes real payments, 'mock' runs a local checkout page for development.
+        // Off unless set: the mock's checkout marks quotes paid for anyone who asks.
+        provider: process.env.PAYMENT_PROVIDER || '',
+        // Public origin the provider sends customers back to, e.g. https://quotes.example.com;
+        // the request's own origin when unset
+        publicUrl: process.env.PUBLIC_URL || '',
+        stripe: {
+            secretKey: process.env.STRIPE_SECRET_KEY || '',
+            webhookSecret: process.env.STRIPE_WEBHOOK_SECRET || ''
+        },
+        mock: {
+            // Random per process when unset
+            webhookSecret: process.env.MOCK_PAYMENT_WEBHOOK_SECRET || ''
+        }
+    },
+
     // CORS Configuration
     cors: {
         enabled: process.env.CORS_ENABLED !== 'false',
@@ -12,7 +124,7 @@ module.exports = {
             process.env.ALLOWED_ORIGINS.split(',') : 
             ['http://localhost:3031', 'http://127.0.0.1:3031'],
         credentials: true,
-        methods: ['GET', 'POST'],
+        methods: ['GET', 'POST', 'PUT', 'DELETE'],
         allowedHeaders: ['Content-Type', 'Authorization']
     },
     
@@ -24,6 +136,16 @@ module.exports = {
         standardHeaders: true,
         legacyHeaders: false
     },
+
+    // The quote builder reprices on every change, so /api/quote/price is limited
+    // on its own instead of using up the API rate limit
+    pricingRateLimit: {
+        windowMs: 15 * 60 * 1000,
+        max: parseInt(process.env.PRICING_RATE_LIMIT_MAX) || 1000,
+        message: { error: 'Too many pricing requests, please try again later.' },
+        standardHeaders: true,
+        legacyHeaders: false
+    },
     
     // Helmet Configuration
     helmet: {
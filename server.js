@@ -7,9 +7,82 @@ const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const compression = require('compression');
 const securityConfig = require('./security-config');
+const { HttpError } = require('./server/http-error');
+const { authenticate, requireRole } = require('./server/admin-auth');
+const CatalogStore = require('./server/catalog-store');
+const QuoteStore = require('./server/quote-store');
+const JobQueue = require('./server/job-queue');
+const ShareLinkStore = require('./server/share-links');
+const DraftStore = require('./server/drafts');
+const { UserStore } = require('./server/users');
+const SessionStore = require('./server/sessions');
+const { DiscountUsageStore } = require('./server/discounts');
+const QuoteNotifier = require('./server/notifications');
+const { WebhookStore, WebhookDispatcher } = require('./server/webhooks');
+const { createMailTransport } = require('./server/mail-transports');
+const { createPaymentProvider } = require('./server/payment-providers');
+const createCatalogRouter = require('./server/routes/catalog');
+const createSubmissionsRouter = require('./server/routes/submissions');
+const createDraftsRouter = require('./server/routes/drafts');
+const createPricingRouter = require('./server/routes/pricing');
+const createAdminCatalogRouter = require('./server/routes/admin-catalog');
+const createAdminQuotesRouter = require('./server/routes/admin-quotes');
+const createAdminUsersRouter = require('./server/routes/admin-users');
+const createAdminWebhooksRouter = require('./server/routes/admin-webhooks');
+const createAuthRouter = require('./server/routes/auth');
+const createHealthRouter = require('./server/routes/health');
+const createShareRouter = require('./server/routes/share');
+const createPaymentsRouter = require('./server/routes/payments');
 const app = express();
 const PORT = securityConfig.port;
 
+// Data stores
+const catalogStore = new CatalogStore(securityConfig.storage.dataDir);
+const quoteStore = new QuoteStore(securityConfig.storage.dataDir);
+const discountUsageStore = new DiscountUsageStore(securityConfig.storage.dataDir);
+const mailQueue = new JobQueue(securityConfig.storage.dataDir, 'mail', {
+    maxAttempts: securityConfig.mail.maxAttempts,
+    retryDelayMs: securityConfig.mail.retryDelayMs
+});
+const webhookQueue = new JobQueue(securityConfig.storage.dataDir, 'webhooks', {
+    maxAttempts: securityConfig.webhooks.maxAttempts,
+    retryDelayMs: securityConfig.webhooks.retryDelayMs,
+    maxRetryDelayMs: securityConfig.webhooks.maxRetryDelayMs
+});
+const webhookStore = new WebhookStore(securityConfig.storage.dataDir);
+const shareLinkStore = new ShareLinkStore(securityConfig.storage.dataDir, { ttlDays: securityConfig.share.linkTtlDays });
+const draftStore = new DraftStore(securityConfig.storage.dataDir, { ttlDays: securityConfig.drafts.ttlDays });
+const userStore = new UserStore(securityConfig.storage.dataDir);
+const sessionStore = new SessionStore(securityConfig.storage.dataDir, { ttlHours: securityConfig.auth.sessionTtlHours });
+
+// Staff authentication - a session token or ADMIN_API_KEY
+const requireStaff = authenticate({ apiKey: securityConfig.admin.apiKey, sessionStore, userStore });
+
+// Outbound mail
+const notifier = new QuoteNotifier({
+    queue: mailQueue,
+    transport: createMailTransport(securityConfig.mail),
+    quoteStore,
+    catalogStore,
+    from: securityConfig.mail.from,
+    leadsTo: securityConfig.mail.leadsTo
+});
+
+// Outbound webhooks - fed by the quote store's events, so every submission
+// and status change is covered whichever route caused it
+const webhooks = new WebhookDispatcher({
+    queue: webhookQueue,
+    webhookStore,
+    timeoutMs: securityConfig.webhooks.timeoutMs
+});
+const logWebhookError = (error) => console.error(`[webhooks] ${error.message}`);
+quoteStore.on('created', quote => webhooks.quoteSubmitted(quote).catch(logWebhookError));
+quoteStore.on('transition', change => webhooks.quoteTransitioned(change).catch(logWebhookError));
+quoteStore.on('revised', revision => webhooks.quoteRevised(revision).catch(logWebhookError));
+
+// Online payments - null when PAYMENT_PROVIDER turns them off
+const paymentProvider = createPaymentProvider(securityConfig.payments);
+
 // Security middleware
 if (securityConfig.helmet.enabled) {
     app.use(helmet({
@@ -31,9 +104,24 @@ if (securityConfig.cors.enabled) {
     app.use(cors(securityConfig.cors));
 }
 
-// Rate limiting
+// Health probes - registered before rate limiting so load balancer polling
+// never gets throttled
+app.use('/api/quote', createHealthRouter({
+    checks: {
+        catalog: () => catalogStore.check(),
+        submissions: () => quoteStore.check(),
+        mailQueue: () => mailQueue.stats(),
+        webhookQueue: () => webhookQueue.stats()
+    }
+}));
+
+// Rate limiting. Live repricing has its own limit (see pricingRateLimit)
 if (securityConfig.rateLimit.enabled !== false) {
-    app.use('/api/', rateLimit(securityConfig.rateLimit));
+    app.use('/api/quote/price', rateLimit(securityConfig.pricingRateLimit));
+    app.use('/api/', rateLimit({
+        ...securityConfig.rateLimit,
+        skip: req => req.path === '/quote/price'
+    }));
 }
 
 // Compression middleware
@@ -41,12 +129,23 @@ if (securityConfig.compression.enabled) {
     app.use(compression(securityConfig.compression));
 }
 
-// Body parsing middleware with size limits
+// Body parsing middleware with size limits. Payment webhooks keep their raw
+// body, which their signature covers byte for byte.
+app.use('/api/payments/webhook', express.raw({ type: '*/*', limit: '1mb' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Input validation middleware
 const validateInput = (req, res, next) => {
+    // Admin payloads are checked against the catalog schemas instead, which
+    // reject markup without mangling legitimate text like "Washer & Dryer"
+    // Passwords are compared as typed, so login bodies are left alone too,
+    // as are signed payment webhooks
+    if (req.path.startsWith('/api/admin/') || req.path.startsWith('/api/auth/') || req.path === '/api/payments/webhook') {
+        next();
+        return;
+    }
+    
     const sanitizeString = (str) => {
         if (typeof str !== 'string') return '';
         return str.replace(/[<>\"'&]/g, '');
@@ -73,20 +172,12 @@ const validateInput = (req, res, next) => {
 
 app.use(validateInput);
 
-// Security error handling middleware
-app.use((err, req, res, next) => {
-    // Don't leak error details in production
-    if (securityConfig.nodeEnv === 'production') {
-        res.status(500).json({ 
-            error: 'Internal Server Error',
-            message: 'Something went wrong. Please try again later.'
-        });
-    } else {
-        res.status(500).json({ 
-            error: err.message,
-            stack: err.stack
-        });
-    }
+// Never expose runtime data or server-side modules through the static handler
+app.use(['/data', '/server'], (req, res) => {
+    res.status(404).json({ 
+        error: 'Not Found',
+        message: 'The requested resource was not found.'
+    });
 });
 
 // Serve static files
@@ -98,647 +189,60 @@ app.get('/about-us.html', (req, res) => {
     res.sendFile(path.join(__dirname, 'about-us.html'));
 });
 
-app.get('/api/quote/packages', (req, res) => {
-    res.json([
-        {
-            id: 'hvac-appliance-website',
-            name: 'Professional HVAC & Appliance Website',
-            price: 1200,
-            originalPrice: 1700,
-            timeline: '18-24 days',
-            description: 'Complete professional website for HVAC and appliance repair businesses',
-            includedFeatures: [
-                'Professional Homepage',
-                'Mobile-Responsive Design',
-                'Contact Forms & Phone Integration',
-                'Service Pages (HVAC & Appliance)',
-                'About Us Page',
-                'Emergency Service Call Buttons',
-                'Service Area Coverage',
-                'Basic SEO Optimization',
-                'Google Analytics Integration',
-                'Customer Testimonials Section',
-                'Business Hours & Location',
-                'Brand Support Information'
-            ]
-        }
-    ]);
-});
+// Public catalog endpoints - served from the versioned catalog store
+app.use('/api/quote', createCatalogRouter({ catalogStore }));
 
-app.get('/api/quote/additional-features', (req, res) => {
-    res.json([
-        {
-            id: 'online-booking',
-            name: 'Smart Booking & Scheduling',
-            price: 450,
-            timeline: '8-12 days',
-            description: 'Professional appointment booking system with calendar sync, SMS reminders, and automated confirmations. Perfect for HVAC maintenance scheduling.',
-            icon: 'calendar'
-        },
-        {
-            id: 'enhanced-seo',
-            name: 'Premium Local SEO',
-            price: 350,
-            timeline: '10-15 days',
-            description: 'Advanced local SEO optimization including Google My Business management, local citations, and review management for HVAC businesses.',
-            icon: 'trending-up'
-        },
-        {
-            id: 'social-media',
-            name: 'Social Media Hub',
-            price: 250,
-            timeline: '5-7 days',
-            description: 'Complete social media integration with Facebook, Instagram, and Google Business feeds. Showcase your HVAC work and customer reviews.',
-            icon: 'share-2'
-        },
-        {
-            id: 'customer-portal',
-            name: 'Customer Service Portal',
-            price: 550,
-            timeline: '12-18 days',
-            description: 'Professional customer portal with service history, digital invoices, maintenance schedules, and warranty tracking for HVAC clients.',
-            icon: 'users'
-        },
-        {
-            id: 'live-chat',
-            name: '24/7 Live Chat Support',
-            price: 400,
-            timeline: '6-9 days',
-            description: 'Professional live chat system with HVAC-specific automated responses, emergency service requests, and instant customer support.',
-            icon: 'message-circle'
-        },
-        {
-            id: 'advanced-analytics',
-            name: 'Business Intelligence Dashboard',
-            price: 500,
-            timeline: '9-14 days',
-            description: 'Advanced analytics dashboard with lead tracking, conversion optimization, customer insights, and HVAC business performance metrics.',
-            icon: 'bar-chart-3'
-        }
-    ]);
-});
+// Authoritative quote pricing
+app.use('/api/quote', createPricingRouter({ catalogStore, discountUsageStore }));
 
-app.get('/api/quote/components', (req, res) => {
-    res.json({
-        pages: [
-            {
-                id: 'hvac-homepage',
-                name: 'Professional HVAC & Appliance Homepage',
-                price: 0,
-                description: 'Professional homepage showcasing HVAC and appliance repair services with emergency call buttons, service highlights, and customer testimonials'
-            },
-            {
-                id: 'service-pages',
-                name: 'Comprehensive Service Pages',
-                price: 0,
-                description: 'Detailed pages for HVAC repair, appliance repair, installation, and maintenance services with pricing and service details'
-            },
-            {
-                id: 'contact-form',
-                name: 'Contact Form & Phone Integration',
-                price: 0,
-                description: 'Professional contact forms with phone integration, lead capture, and automated response system'
-            },
-            {
-                id: 'business-hours',
-                name: 'Business Hours & Location',
-                price: 0,
-                description: 'Business hours display, location information, and interactive map integration'
-            },
-            {
-                id: 'about-us',
-                name: 'About Us Page',
-                price: 99,
-                description: 'Professional about us page with company history, team information, and credentials'
-            },
-            {
-                id: 'testimonials-page',
-                name: 'Customer Testimonials Page',
-                price: 149,
-                description: 'Dedicated testimonials page showcasing customer reviews and success stories'
-            },
-            {
-                id: 'service-areas-page',
-                name: 'Service Areas Page',
-                price: 199,
-                description: 'Detailed service areas page with interactive map and coverage information'
-            },
-            {
-                id: 'warranty-page',
-                name: 'Warranty Information Page',
-                price: 99,
-                description: 'Warranty information page with terms, conditions, and coverage details'
-            },
-            {
-                id: 'faq-page',
-                name: 'FAQ Page',
-                price: 149,
-                description: 'Frequently asked questions page with common HVAC and appliance repair queries'
-            }
-        ],
-        features: [
-            {
-                id: 'local-seo',
-                name: 'Local SEO Optimization',
-                price: 0,
-                description: 'Local SEO optimization for HVAC and appliance repair businesses with Google My Business integration'
-            },
-            {
-                id: 'google-analytics',
-                name: 'Google Analytics Integration',
-                price: 0,
-                description: 'Google Analytics integration, visitor tracking, and performance monitoring'
-            },
-            {
-                id: 'email-support',
-                name: 'Email Support System',
-                price: 0,
-                description: 'Email support system with ticket tracking and basic technical assistance'
-            },
-            {
-                id: 'hvac-brand-support',
-                name: 'HVAC Brand Support',
-                price: 0,
-                description: 'Support for major HVAC brands: Carrier, Trane, Lennox, Rheem, Goodman with warranty information'
-            },
-            {
-                id: 'appliance-brand-support',
-                name: 'Appliance Brand Support',
-                price: 0,
-                description: 'Support for major appliance brands: Samsung, LG, Whirlpool, GE, Maytag with service manuals'
-            },
-            {
-                id: 'emergency-services',
-                name: 'Emergency Service Management',
-                price: 299,
-                description: 'Dedicated page for emergency HVAC and appliance services with 24/7 availability'
-            },
-            {
-                id: 'mobile-design',
-                name: 'Mobile-Optimized Design',
-                price: 0,
-                description: 'Fully responsive mobile-optimized design for all devices with touch-friendly interface'
-            },
-            {
-                id: 'online-booking',
-                name: 'Online Booking & Scheduling',
-                price: 399,
-                description: 'Advanced scheduling system for regular maintenance and repair appointments with calendar integration'
-            },
-            {
-                id: 'testimonials',
-                name: 'Customer Reviews & Testimonials',
-                price: 199,
-                description: 'Showcase customer reviews and testimonials for HVAC and appliance services with rating system'
-            },
-            {
-                id: 'service-areas',
-                name: 'Service Area Management',
-                price: 249,
-                description: 'Interactive map showing service coverage areas with zip code lookup and radius display'
-            },
-            {
-                id: 'premium-seo',
-                name: 'Premium SEO & Content Strategy',
-                price: 399,
-                description: 'Advanced SEO with keyword optimization, content strategy, and performance tracking'
-            },
-            {
-                id: 'social-links',
-                name: 'Social Media Links',
-                price: 99,
-                description: 'Social media links and sharing buttons for Facebook, Instagram, and Google'
-            },
-            {
-                id: 'social-feeds',
-                name: 'Social Media Feeds Integration',
-                price: 199,
-                description: 'Full social media integration with feeds, posting, and analytics dashboard'
-            },
-            {
-                id: 'advanced-analytics',
-                name: 'Advanced Analytics Dashboard',
-                price: 299,
-                description: 'Advanced analytics dashboard with lead tracking, conversion optimization, and performance monitoring'
-            },
-            {
-                id: 'priority-support',
-                name: 'Priority Support',
-                price: 199,
-                description: 'Priority customer support with phone and live chat assistance'
-            },
-            {
-                id: 'commercial-hvac-support',
-                name: 'Commercial HVAC Support',
-                price: 149,
-                description: 'Extended support for commercial HVAC systems and additional brands'
-            },
-            {
-                id: 'commercial-appliance-support',
-                name: 'Commercial Appliance Support',
-                price: 149,
-                description: 'Extended support for commercial appliances and additional brands'
-            },
-            {
-                id: 'maintenance-programs',
-                name: 'Maintenance Programs',
-                price: 149,
-                description: 'Seasonal maintenance scheduling, preventive maintenance programs with automated reminders'
-            },
-            {
-                id: 'installation-services',
-                name: 'Installation Services',
-                price: 149,
-                description: 'New appliance installation, replacement services, old appliance removal with warranty'
-            },
-            {
-                id: 'commercial-hvac',
-                name: 'Commercial HVAC Systems',
-            price: 199,
-                description: 'Commercial HVAC systems, rooftop units, package units, and industrial systems support'
-            },
-            {
-                id: 'commercial-appliances',
-                name: 'Commercial Appliance Systems',
-                price: 199,
-                description: 'Commercial kitchen equipment, restaurant appliances, industrial equipment support'
-            },
-            {
-                id: 'service-request',
-                name: 'Service Request System',
-                price: 149,
-                description: 'Complete service request management system with status tracking and notifications'
-            },
-            {
-                id: 'request-forms',
-                name: 'Service Request Forms',
-                price: 99,
-                description: 'Custom service request forms for different service types with validation'
-            }
-        ],
-        technical: [
-            {
-                id: 'ssl-certificate',
-                name: 'SSL Security Certificate',
-                price: 79,
-                description: 'SSL certificate for secure HTTPS connection and data protection'
-            },
-            {
-                id: 'backup-system',
-                name: 'Automated Backup System',
-                price: 99,
-                description: 'Daily automated backups with 30-day retention and disaster recovery'
-            },
-            {
-                id: 'cdn-integration',
-                name: 'CDN Integration',
-                price: 149,
-                description: 'Content Delivery Network for faster loading speeds and global accessibility'
-            },
-            {
-                id: 'database-optimization',
-                name: 'Database Optimization',
-                price: 199,
-                description: 'Database optimization for improved performance and faster queries'
-            },
-            {
-                id: 'api-integration',
-                name: 'API Integration',
-                price: 299,
-                description: 'Custom API integration for third-party services and data synchronization'
-            },
-            {
-                id: 'performance-monitoring',
-                name: 'Performance Monitoring',
-                price: 149,
-                description: 'Real-time performance monitoring with uptime tracking and alerting'
-            },
-            {
-                id: 'security-scanning',
-                name: 'Security Scanning',
-                price: 199,
-                description: 'Regular security scanning and vulnerability assessment with automated fixes'
-            },
-            {
-                id: 'load-balancing',
-                name: 'Load Balancing',
-                price: 399,
-                description: 'Load balancing for high traffic handling and improved reliability'
-            },
-            {
-                id: 'caching-system',
-                name: 'Advanced Caching System',
-                price: 179,
-                description: 'Advanced caching system for improved page load speeds and user experience'
-            },
-            {
-                id: 'mobile-app',
-                name: 'Mobile App Development',
-                price: 599,
-                description: 'Native mobile app development for iOS and Android platforms'
-            }
-        ]
-    });
-});
+// Quote submissions
+app.use('/api/quote/submissions', createSubmissionsRouter({
+    quoteStore,
+    catalogStore,
+    discountUsageStore,
+    shareLinkStore,
+    notifier,
+    authenticate: requireStaff
+}));
 
-app.get('/api/quote/addon-services', (req, res) => {
-    res.json([
-        {
-            id: 'content-creation',
-            name: 'Professional Content Creation',
-            price: 450,
-            timeline: '12-18 days',
-            description: 'Complete content creation including HVAC service descriptions, company story, blog posts, and SEO-optimized content for better search rankings.',
-            icon: 'file-text'
-        },
-        {
-            id: 'google-ads-setup',
-            name: 'Google Ads & PPC Management',
-            price: 600,
-            timeline: '8-12 days',
-            description: 'Complete Google Ads setup with HVAC-specific keywords, local targeting, conversion tracking, and first month campaign management.',
-            icon: 'trending-up'
-        },
-        {
-            id: 'website-maintenance',
-            name: 'Premium Website Maintenance',
-            price: 150,
-            timeline: '3-5 days',
-            description: 'Monthly website maintenance including security updates, performance optimization, content updates, and technical support.',
-            icon: 'settings'
-        },
-        {
-            id: 'mobile-app-development',
-            name: 'Mobile App Development',
-            price: 1599,
-            timeline: '25-35 days',
-            description: 'Professional mobile app development for iOS and Android platforms with HVAC service booking, emergency contact, service tracking, and customer portal.',
-            icon: 'smartphone'
-        },
-        {
-            id: 'sms-integration',
-            name: 'SMS Integration & Notifications',
-            price: 299,
-            timeline: '7-10 days',
-            description: 'SMS integration for appointment reminders, service updates, emergency notifications, and automated customer communication via text messages.',
-            icon: 'message-circle'
-        },
-        {
-            id: 'multi-language-support',
-            name: 'Multi-Language Support',
-            price: 199,
-            timeline: '10-15 days',
-            description: 'Multi-language website support with language switcher, translated content for Spanish, French, and other languages, and localized SEO optimization. Includes 2 languages ($99 per additional language).',
-            icon: 'languages'
-        },
-        {
-            id: 'domain-reservation',
-            name: 'Domain Name Reservation',
-            price: 20,
-            timeline: '2-3 days',
-            description: 'Professional domain name reservation and registration for your HVAC business website.',
-            icon: 'globe'
-        },
-        {
-            id: 'cpanel-hosting-3months',
-            name: 'cPanel Hosting (3 Months)',
-            price: 60,
-            timeline: '2-3 days',
-            description: 'Professional cPanel hosting for 3 months with SSL certificate, email hosting, database support, and 24/7 technical support.',
-            icon: 'server'
-        },
-        {
-            id: 'cpanel-hosting-1year',
-            name: 'cPanel Hosting (1 Year) - Save $40',
-            price: 200,
-            timeline: '2-3 days',
-            description: 'Professional cPanel hosting for 1 year with SSL certificate, email hosting, database support, and 24/7 technical support. Save $40 compared to 3-month plan.',
-            icon: 'server'
-        },
-        {
-            id: 'advanced-security-audit',
-            name: 'Advanced Security & Audit',
-            price: 399,
-            timeline: '8-12 days',
-            description: 'Comprehensive security audit, vulnerability assessment, penetration testing, security monitoring, and compliance reporting for your HVAC business website.',
-            icon: 'shield-check'
-        }
-    ]);
-});
+// Saved drafts and their resume links
+app.use('/api/quote/drafts', createDraftsRouter({
+    draftStore,
+    catalogStore,
+    notifier,
+    publicUrl: securityConfig.drafts.publicUrl,
+    emailRateLimit: securityConfig.rateLimit.enabled !== false ? securityConfig.drafts.emailRateLimit : null
+}));
 
-// API endpoint for emergency services
-app.get('/api/quote/emergency-services', (req, res) => {
-    const emergencyServices = [
-        {
-            id: 'standard-emergency',
-            name: 'Standard Emergency Service',
-            price: 149,
-            responseTime: '2-4 hours',
-            features: [
-                '24/7 emergency hotline',
-                'Same-day service availability',
-                'Emergency dispatch system',
-                'Customer notification system'
-            ],
-            popular: false
-        },
-        {
-            id: 'premium-emergency',
-            name: 'Premium Emergency Service',
-            price: 299,
-            responseTime: '1-2 hours',
-            features: [
-                'Priority emergency response',
-                'Real-time technician tracking',
-                'Advanced notification system',
-                'Extended service hours',
-                'Emergency parts availability'
-            ],
-            popular: false
-        },
-        {
-            id: 'vip-emergency',
-            name: 'VIP Emergency Service',
-            price: 449,
-            responseTime: '30-60 minutes',
-            features: [
-                'Ultra-fast emergency response',
-                'Dedicated emergency team',
-                'Premium customer support',
-                'Guaranteed response time',
-                'Comprehensive emergency coverage'
-            ],
-            popular: false
-        }
-    ];
-    res.json(emergencyServices);
-});
+// Read-only shared quote pages
+app.use('/q', createShareRouter({ shareLinkStore, quoteStore, catalogStore }));
 
-// API endpoint for service areas
-app.get('/api/quote/service-areas', (req, res) => {
-    const serviceAreas = [
-        {
-            id: 'primary-zone',
-            name: 'Primary Service Zone',
-            price: 0,
-            radius: '15-mile radius',
-            responseTime: 'Same day',
-            features: [
-                'Standard service coverage',
-                'Regular maintenance visits',
-                'Emergency service availability',
-                'Local parts availability'
-            ]
-        },
-        {
-            id: 'extended-zone',
-            name: 'Extended Service Zone',
-            price: 199,
-            radius: '30-mile radius',
-            responseTime: 'Next day',
-            features: [
-                'Extended service coverage',
-                'Travel time included',
-                'Emergency service with surcharge',
-                'Remote diagnostics available'
-            ]
-        },
-        {
-            id: 'premium-zone',
-            name: 'Premium Service Zone',
-            price: 349,
-            radius: '50-mile radius',
-            responseTime: 'Within 48 hours',
-            features: [
-                'Maximum service coverage',
-                'Premium travel arrangements',
-                'Emergency service priority',
-                'Comprehensive service guarantee'
-            ]
-        }
-    ];
-    res.json(serviceAreas);
-});
+// Deposit checkout and payment provider webhooks
+app.use('/api/payments', createPaymentsRouter({ quoteStore, shareLinkStore, paymentProvider, publicUrl: securityConfig.payments.publicUrl }));
 
-// API endpoint for HVAC features
-app.get('/api/quote/hvac-features', (req, res) => {
-    const hvacFeatures = [
-        {
-            id: 'hvac-brand-support',
-            name: 'HVAC Brand Support',
-            price: 149,
-            description: 'Support for all major HVAC brands with comprehensive service coverage',
-            brands: ['Carrier', 'Trane', 'Lennox', 'Rheem', 'Goodman', 'Bryant', 'American Standard']
-        },
-        {
-            id: 'commercial-hvac',
-            name: 'Commercial HVAC Systems',
-            price: 299,
-            description: 'Commercial HVAC systems, rooftop units, package units, and industrial systems',
-            brands: ['All Commercial Brands', 'Rooftop Units', 'Package Units', 'Industrial Systems']
-        },
-        {
-            id: 'maintenance-programs',
-            name: 'Maintenance Programs',
-            price: 199,
-            description: 'Seasonal maintenance scheduling and preventive maintenance programs',
-            brands: ['All Systems', 'Bi-annual', 'Annual', 'Preventive']
-        },
-        {
-            id: 'hvac-installation',
-            name: 'HVAC Installation Services',
-            price: 249,
-            description: 'Complete HVAC system installation with warranty and support',
-            brands: ['Carrier', 'Trane', 'Lennox', 'Rheem', 'Goodman']
-        },
-        {
-            id: 'hvac-repair',
-            name: 'HVAC Repair Services',
-            price: 199,
-            description: 'Professional HVAC repair for all major brands and systems',
-            brands: ['All Major Brands', 'Residential', 'Commercial']
-        }
-    ];
-    res.json(hvacFeatures);
-});
+// Staff login
+if (securityConfig.rateLimit.enabled !== false) {
+    app.use('/api/auth/login', rateLimit(securityConfig.auth.loginRateLimit));
+}
+app.use('/api/auth', createAuthRouter({ userStore, sessionStore, authenticate: requireStaff }));
 
-// API endpoint for appliance features
-app.get('/api/quote/appliance-features', (req, res) => {
-    const applianceFeatures = [
-        {
-            id: 'appliance-brand-support',
-            name: 'Appliance Brand Support',
-            price: 149,
-            description: 'Support for all major appliance brands with comprehensive service coverage',
-            brands: ['Samsung', 'LG', 'Whirlpool', 'GE', 'Maytag', 'Bosch', 'KitchenAid']
-        },
-        {
-            id: 'commercial-appliances',
-            name: 'Commercial Appliance Systems',
-            price: 299,
-            description: 'Commercial kitchen equipment, restaurant appliances, industrial equipment',
-            brands: ['All Commercial Brands', 'Restaurant Equipment', 'Industrial Systems', 'Kitchen Equipment']
-        },
-        {
-            id: 'installation-services',
-            name: 'Installation Services',
-            price: 199,
-            description: 'New appliance installation, replacement services, old appliance removal',
-            brands: ['All Brands', 'Installation', 'Replacement', 'Removal']
-        },
-        {
-            id: 'refrigerator-repair',
-            name: 'Refrigerator Repair',
-            price: 179,
-            description: 'Professional refrigerator repair for all major brands',
-            brands: ['Samsung', 'LG', 'Whirlpool', 'GE', 'Frigidaire']
-        },
-        {
-            id: 'washer-dryer-repair',
-            name: 'Washer & Dryer Repair',
-            price: 159,
-            description: 'Complete washer and dryer repair services',
-            brands: ['Maytag', 'Whirlpool', 'Samsung', 'LG', 'GE']
-        }
-    ];
-    res.json(applianceFeatures);
-});
+// Admin API - every route also checks the role it needs
+app.use('/api/admin', requireStaff, requireRole('viewer'));
+app.use('/api/admin/catalog', createAdminCatalogRouter({ catalogStore }));
+app.use('/api/admin/quotes', createAdminQuotesRouter({
+    quoteStore,
+    shareLinkStore,
+    catalogStore,
+    discountUsageStore,
+    paymentProvider,
+    exportMappingsFile: securityConfig.export.mappingsFile
+}));
+app.use('/api/admin/users', createAdminUsersRouter({ userStore, sessionStore }));
+app.use('/api/admin/webhooks', createAdminWebhooksRouter({ webhookStore, webhookQueue, dispatcher: webhooks }));
 
-// API endpoint for contact features
-app.get('/api/quote/contact-features', (req, res) => {
-    const contactFeatures = [
-        {
-            id: 'emergency-hotline',
-            name: '24/7 Emergency Hotline',
-            price: 149,
-            description: 'Dedicated emergency hotline for urgent HVAC and appliance issues'
-        },
-        {
-            id: 'online-chat',
-            name: 'Live Chat Support',
-            price: 99,
-            description: 'Real-time chat support for customer inquiries and scheduling'
-        },
-        {
-            id: 'callback-request',
-            name: 'Callback Request System',
-            price: 79,
-            description: 'Automated callback request system for customer convenience'
-        },
-        {
-            id: 'contact-forms',
-            name: 'Advanced Contact Forms',
-            price: 89,
-            description: 'Custom contact forms with file uploads and service selection'
-        },
-        {
-            id: 'phone-integration',
-            name: 'Phone System Integration',
-            price: 199,
-            description: 'Integration with business phone systems and call tracking'
-        }
-    ];
-    res.json(contactFeatures);
+// Quote admin dashboard - the page is static, its data comes from /api/admin
+app.get('/admin', (req, res) => {
+    res.sendFile(path.join(__dirname, 'admin.html'));
 });
 
 // Serve success.html
@@ -759,8 +263,43 @@ app.use('*', (req, res) => {
     });
 });
 
+// Security error handling middleware - registered after the routes so
+// errors passed to next() from handlers end up here
+app.use((err, req, res, next) => {
+    // Client errors (HttpError, malformed JSON bodies) are safe to expose, and so
+    // are server-side HttpErrors such as a 503 for something that isn't set up
+    if ((err.status >= 400 && err.status < 500) || err instanceof HttpError) {
+        res.status(err.status).json({
+            error: err.message,
+            ...(err.details ? { details: err.details } : {})
+        });
+        return;
+    }
+
+    // Don't leak error details in production
+    if (securityConfig.nodeEnv === 'production') {
+        res.status(500).json({ 
+            error: 'Internal Server Error',
+            message: 'Something went wrong. Please try again later.'
+        });
+    } else {
+        res.status(500).json({ 
+            error: err.message,
+            stack: err.stack
+        });
+    }
+});
+
 // Start server
 app.listen(PORT, () => {
+    userStore.bootstrap({
+        username: securityConfig.admin.bootstrapUsername,
+        password: securityConfig.admin.bootstrapPassword
+    }).catch((error) => {
+        console.error(`[auth] could not create the first admin user: ${error.message}`);
+    });
+    notifier.start({ intervalMs: securityConfig.mail.pollIntervalMs });
+    webhooks.start({ intervalMs: securityConfig.webhooks.pollIntervalMs });
     });
 
 module.exports = app;
@@ -0,0 +1,76 @@
+// ===== ADMIN AUTHENTICATION =====
+
+const crypto = require('crypto');
+const { HttpError } = require('./http-error');
+const { hasRole } = require('./users');
+
+/**
+ * Constant-time string comparison
+ */
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+function bearerToken(req) {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+}
+
+/**
+ * Require `Authorization: Bearer <token>` on staff routes, where the token is
+ * a login session or ADMIN_API_KEY (which acts as an admin, for scripts).
+ * Sets `req.user` to { id, username, name, role }. The admin API stays
+ * disabled until a key or at least one user is configured.
+ */
+function authenticate({ apiKey, sessionStore, userStore }) {
+    return async (req, res, next) => {
+        try {
+            if (!apiKey && await userStore.count() === 0) {
+                throw new HttpError(503, 'Admin API is disabled. Set ADMIN_API_KEY or create a user to enable it.');
+            }
+
+            const token = bearerToken(req);
+            if (token && apiKey && safeEqual(token, apiKey)) {
+                req.user = { id: 'api-key', username: 'api-key', name: 'API key', role: 'admin' };
+                next();
+                return;
+            }
+
+            const session = token ? await sessionStore.resolve(token) : null;
+            // Look the user up each time so role changes and removals apply at once
+            const user = session ? await userStore.get(session.userId) : null;
+            if (!user) {
+                res.set('WWW-Authenticate', 'Bearer');
+                throw new HttpError(401, 'Unauthorized');
+            }
+
+            req.user = user;
+            req.sessionToken = token;
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+/**
+ * Allow only users with at least `minimumRole` (viewer < sales < admin).
+ * Must run after authenticate().
+ */
+function requireRole(minimumRole) {
+    return (req, res, next) => {
+        if (!req.user) {
+            next(new HttpError(401, 'Unauthorized'));
+            return;
+        }
+        if (!hasRole(req.user.role, minimumRole)) {
+            next(new HttpError(403, `This needs the ${minimumRole} role or higher`));
+            return;
+        }
+        next();
+    };
+}
+
+module.exports = { authenticate, requireRole, safeEqual };
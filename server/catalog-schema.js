@@ -0,0 +1,244 @@
+// ===== CATALOG SCHEMAS =====
+// Field rules for every catalog collection, used to validate admin writes.
+
+const I18n = require('../assets/js/shared/I18n');
+
+const ID_PATTERN = /^[a-zA-Z0-9\-_]{1,50}$/;
+const TIMELINE_PATTERN = /^\d+-\d+ days$/;
+const DISCOUNT_CODE_PATTERN = /^[A-Z0-9\-_]{3,30}$/;
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{3})?Z$/;
+const CURRENCY_CODE_PATTERN = /^[A-Z]{3}$/;
+const COUNTRY_CODE_PATTERN = /^[a-z]{2}$/;
+const REGION_CODE_PATTERN = /^[A-Z0-9]{1,3}$/;
+
+// Catalog text is rendered into the quote builder, so markup is never allowed
+const NO_MARKUP_PATTERN = /^[^<>]*$/;
+
+const text = (maxLength, extra = {}) => ({ type: 'string', maxLength, pattern: NO_MARKUP_PATTERN, ...extra });
+const textList = { type: 'array', items: text(200) };
+const idList = { type: 'array', items: { type: 'string', pattern: ID_PATTERN } };
+
+/**
+ * `translations` field: per-locale overrides of an item's customer-facing
+ * text, e.g. { es: { name, description } }. English lives on the item itself
+ * and fills in any field a locale leaves out.
+ */
+function translations(fields) {
+    const properties = {};
+    I18n.LOCALES
+        .filter(locale => locale !== I18n.DEFAULT_LOCALE)
+        .forEach((locale) => {
+            properties[locale] = { type: 'object', properties: fields };
+        });
+    return { type: 'object', properties };
+}
+
+/**
+ * `paymentSchedule` field: the milestones a package's quote total is paid in,
+ * e.g. 40% deposit, 30% at design approval and 30% at launch
+ */
+const paymentSchedule = {
+    type: 'array',
+    items: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', pattern: ID_PATTERN },
+            name: text(120),
+            percent: { type: 'number', min: 0, max: 100 },
+            translations: translations({ name: text(120) })
+        }
+    },
+    check: (milestones) => {
+        if (milestones.length === 0) return 'needs at least one milestone';
+        if (milestones.some(milestone => !milestone.id || milestone.percent === undefined)) {
+            return 'milestones need an id and a percent';
+        }
+        if (new Set(milestones.map(milestone => milestone.id)).size !== milestones.length) {
+            return 'milestone ids must be unique';
+        }
+        const total = milestones.reduce((sum, milestone) => sum + milestone.percent, 0);
+        return Math.abs(total - 100) > 1e-9 ? 'percentages must add up to 100' : null;
+    }
+};
+
+const baseFields = {
+    id: { type: 'string', required: true, pattern: ID_PATTERN },
+    name: text(120, { required: true }),
+    price: { type: 'number', required: true, min: 0, max: 100000 },
+    description: text(1000),
+    translations: translations({ name: text(120), description: text(1000) })
+};
+
+const schemas = {
+    package: {
+        ...baseFields,
+        originalPrice: { type: 'number', min: 0, max: 100000 },
+        timeline: text(30, { pattern: TIMELINE_PATTERN }),
+        includedFeatures: textList,
+        popular: { type: 'boolean' },
+        paymentSchedule,
+        translations: translations({ name: text(120), description: text(1000), includedFeatures: textList })
+    },
+    timedItem: {
+        ...baseFields,
+        timeline: text(30, { pattern: TIMELINE_PATTERN }),
+        // Scheduling (see Timeline.schedule): item IDs that must finish first,
+        // [] to start on day one, left out to follow the package. `parallel`
+        // work runs alongside the rest instead of waiting its turn.
+        dependsOn: idList,
+        parallel: { type: 'boolean' },
+        icon: text(50)
+    },
+    component: baseFields,
+    emergencyService: {
+        ...baseFields,
+        responseTime: text(50),
+        features: textList,
+        popular: { type: 'boolean' },
+        translations: translations({ name: text(120), responseTime: text(50), features: textList })
+    },
+    serviceArea: {
+        ...baseFields,
+        radius: text(50),
+        responseTime: text(50),
+        features: textList,
+        translations: translations({ name: text(120), radius: text(50), responseTime: text(50), features: textList })
+    },
+    brandedFeature: {
+        ...baseFields,
+        brands: textList
+    },
+    // Promo codes - `id` is the code customers type, stored upper-case
+    discount: {
+        id: { type: 'string', required: true, pattern: DISCOUNT_CODE_PATTERN },
+        name: text(120, { required: true }),
+        description: text(1000),
+        type: { type: 'string', required: true, oneOf: ['percentage', 'fixed'] },
+        value: { type: 'number', required: true, min: 0, max: 100000 },
+        startsAt: { type: 'string', pattern: ISO_DATE_PATTERN },
+        expiresAt: { type: 'string', pattern: ISO_DATE_PATTERN },
+        minSubtotal: { type: 'number', min: 0, max: 100000 },
+        maxUses: { type: 'number', min: 1, max: 1000000 },
+        eligibleItems: idList,
+        active: { type: 'boolean' },
+        translations: translations({ name: text(120), description: text(1000) })
+    },
+    // `id` is the ISO 4217 code; `rate` converts from the base currency (USD).
+    // `countries` are ISO 3166 alpha-2 codes that default to this currency.
+    currency: {
+        id: { type: 'string', required: true, pattern: CURRENCY_CODE_PATTERN },
+        name: text(120, { required: true }),
+        rate: { type: 'number', required: true, min: 0.0001, max: 1000000 },
+        countries: { type: 'array', items: { type: 'string', pattern: COUNTRY_CODE_PATTERN } }
+    },
+    // Taxes for customers in `country` (ISO 3166 alpha-2), or only in `region`
+    // (state/province code) when set. `rate` is a fraction: 0.2 for 20% VAT.
+    // `exemptItems` are catalog item IDs the tax doesn't apply to.
+    taxRule: {
+        id: { type: 'string', required: true, pattern: ID_PATTERN },
+        name: text(120, { required: true }),
+        description: text(1000),
+        country: { type: 'string', required: true, pattern: COUNTRY_CODE_PATTERN },
+        region: { type: 'string', pattern: REGION_CODE_PATTERN },
+        rate: { type: 'number', required: true, min: 0, max: 1 },
+        display: { type: 'string', oneOf: ['inclusive', 'exclusive'] },
+        exemptItems: idList,
+        active: { type: 'boolean' },
+        translations: translations({ name: text(120), description: text(1000) })
+    }
+};
+
+/**
+ * Collections exposed through the admin API, keyed by URL slug.
+ * `path` locates the collection inside the catalog document.
+ */
+const collections = {
+    'packages': { path: ['packages'], schema: schemas.package },
+    'additional-features': { path: ['additionalFeatures'], schema: schemas.timedItem },
+    'addon-services': { path: ['addonServices'], schema: schemas.timedItem },
+    'component-pages': { path: ['components', 'pages'], schema: schemas.component },
+    'component-features': { path: ['components', 'features'], schema: schemas.component },
+    'component-technical': { path: ['components', 'technical'], schema: schemas.component },
+    'emergency-services': { path: ['emergencyServices'], schema: schemas.emergencyService },
+    'service-areas': { path: ['serviceAreas'], schema: schemas.serviceArea },
+    'hvac-features': { path: ['hvacFeatures'], schema: schemas.brandedFeature },
+    'appliance-features': { path: ['applianceFeatures'], schema: schemas.brandedFeature },
+    'contact-features': { path: ['contactFeatures'], schema: schemas.brandedFeature },
+    'discounts': { path: ['discounts'], schema: schemas.discount },
+    'currencies': { path: ['currencies'], schema: schemas.currency },
+    'tax-rules': { path: ['taxRules'], schema: schemas.taxRule }
+};
+
+function checkType(value, rule) {
+    if (rule.type === 'array') return Array.isArray(value);
+    if (rule.type === 'object') return value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (rule.type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    return typeof value === rule.type;
+}
+
+function validateField(name, value, rule) {
+    if (!checkType(value, rule)) {
+        return `${name} must be ${rule.type === 'array' || rule.type === 'object' ? `an ${rule.type}` : `a ${rule.type}`}`;
+    }
+    if (rule.type === 'string') {
+        if (rule.required && value.trim() === '') return `${name} is required`;
+        if (rule.maxLength && value.length > rule.maxLength) return `${name} must be ${rule.maxLength} characters or less`;
+        if (rule.pattern && !rule.pattern.test(value)) return `${name} has an invalid format`;
+        if (rule.oneOf && !rule.oneOf.includes(value)) return `${name} must be one of: ${rule.oneOf.join(', ')}`;
+    }
+    if (rule.type === 'number') {
+        if (rule.min !== undefined && value < rule.min) return `${name} must be at least ${rule.min}`;
+        if (rule.max !== undefined && value > rule.max) return `${name} must be at most ${rule.max}`;
+    }
+    if (rule.type === 'array' && rule.items) {
+        const index = value.findIndex(entry => validateField(name, entry, rule.items));
+        if (index !== -1) return `${name}[${index}]: ${validateField(name, value[index], rule.items)}`;
+    }
+    if (rule.type === 'object' && rule.properties) {
+        const unknown = Object.keys(value).find(key => !rule.properties[key]);
+        if (unknown) return `${name}.${unknown} is not allowed`;
+        for (const [key, propertyRule] of Object.entries(rule.properties)) {
+            if (value[key] === undefined) continue;
+            const error = validateField(`${name}.${key}`, value[key], propertyRule);
+            if (error) return error;
+        }
+    }
+    // Rules that span entries, e.g. percentages adding up to 100
+    if (rule.check) {
+        const error = rule.check(value);
+        if (error) return `${name} ${error}`;
+    }
+    return null;
+}
+
+/**
+ * Validate a catalog item against a schema
+ * @returns {{isValid: boolean, errors: string[]}}
+ */
+function validateItem(item, schema) {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        return { isValid: false, errors: ['Item must be an object'] };
+    }
+
+    const errors = [];
+    Object.entries(schema).forEach(([name, rule]) => {
+        if (item[name] === undefined) {
+            if (rule.required) errors.push(`${name} is required`);
+            return;
+        }
+        const error = validateField(name, item[name], rule);
+        if (error) errors.push(error);
+    });
+
+    Object.keys(item)
+        .filter(name => !schema[name])
+        .forEach(name => errors.push(`Unknown field: ${name}`));
+
+    return { isValid: errors.length === 0, errors };
+}
+
+module.exports = {
+    collections,
+    schemas,
+    validateItem
+};
@@ -0,0 +1,144 @@
+// ===== CATALOG STORE =====
+
+const fs = require('fs').promises;
+const path = require('path');
+const JsonStore = require('./json-store');
+const { HttpError } = require('./http-error');
+const { collections, validateItem } = require('./catalog-schema');
+
+const SEED_PATH = path.join(__dirname, '..', 'catalog', 'catalog.json');
+
+/**
+ * The array at `keys` in a catalog document. Collections added after a
+ * catalog was first saved (such as currencies) start out empty.
+ */
+function collectionItems(catalog, keys) {
+    const parent = keys.slice(0, -1).reduce((node, key) => node[key], catalog);
+    const key = keys[keys.length - 1];
+    if (!Array.isArray(parent[key])) {
+        parent[key] = [];
+    }
+    return parent[key];
+}
+
+/**
+ * Versioned product catalog. Reads fall back to the catalog/catalog.json seed
+ * that ships with the code until the first admin edit writes
+ * <dataDir>/catalog.json. Every write bumps `version` and archives the
+ * previous document under <dataDir>/catalog-versions/.
+ */
+class CatalogStore {
+    constructor(dataDir, seedPath = SEED_PATH) {
+        this.dataDir = dataDir;
+        this.seedPath = seedPath;
+        this.store = new JsonStore(path.join(dataDir, 'catalog.json'), () => this.readSeed());
+        this.cached = null;
+    }
+
+    async get() {
+        if (!this.cached) {
+            this.cached = await this.store.read();
+        }
+        return this.cached;
+    }
+
+    async check() {
+        const catalog = await this.store.check();
+        return { version: catalog.version };
+    }
+
+    async readSeed() {
+        return JSON.parse(await fs.readFile(this.seedPath, 'utf8'));
+    }
+
+    /**
+     * Resolve a collection slug (e.g. "addon-services") to its config
+     */
+    getCollectionConfig(slug) {
+        const config = collections[slug];
+        if (!config) {
+            throw new HttpError(404, `Unknown catalog collection: ${slug}`);
+        }
+        return config;
+    }
+
+    async list(slug) {
+        const { path: keys } = this.getCollectionConfig(slug);
+        return collectionItems(await this.get(), keys);
+    }
+
+    async create(slug, item) {
+        const config = this.getCollectionConfig(slug);
+        this.assertValid(item, config);
+
+        return this.write(config, (items) => {
+            if (items.some(existing => existing.id === item.id)) {
+                throw new HttpError(409, `An item with id "${item.id}" already exists`);
+            }
+            items.push(item);
+            return item;
+        });
+    }
+
+    async replace(slug, id, item) {
+        const config = this.getCollectionConfig(slug);
+        const next = { ...item, id };
+        this.assertValid(next, config);
+
+        return this.write(config, (items) => {
+            const index = items.findIndex(existing => existing.id === id);
+            if (index === -1) {
+                throw new HttpError(404, `No item with id "${id}"`);
+            }
+            items[index] = next;
+            return next;
+        });
+    }
+
+    async remove(slug, id) {
+        const config = this.getCollectionConfig(slug);
+
+        return this.write(config, (items) => {
+            const index = items.findIndex(existing => existing.id === id);
+            if (index === -1) {
+                throw new HttpError(404, `No item with id "${id}"`);
+            }
+            return items.splice(index, 1)[0];
+        });
+    }
+
+    assertValid(item, config) {
+        const validation = validateItem(item, config.schema);
+        if (!validation.isValid) {
+            throw new HttpError(400, validation.errors[0], { errors: validation.errors });
+        }
+    }
+
+    /**
+     * Apply a mutation to one collection and publish it as a new version.
+     * Readers keep the cached catalog until the new one is on disk.
+     */
+    async write(config, mutate) {
+        let written;
+        const result = await this.store.update(async (catalog) => {
+            const items = collectionItems(catalog, config.path);
+            const previous = JSON.stringify(catalog, null, 2);
+            const mutationResult = mutate(items);
+
+            await fs.mkdir(path.join(this.dataDir, 'catalog-versions'), { recursive: true });
+            await fs.writeFile(
+                path.join(this.dataDir, 'catalog-versions', `catalog.v${catalog.version}.json`),
+                previous
+            );
+
+            catalog.version += 1;
+            catalog.updatedAt = new Date().toISOString();
+            written = catalog;
+            return { item: mutationResult, version: catalog.version };
+        });
+        this.cached = written;
+        return result;
+    }
+}
+
+module.exports = CatalogStore;
@@ -0,0 +1,136 @@
+// ===== DISCOUNT CODES =====
+// Promo code rules live in the catalog `discounts` collection. Redemptions are
+// counted in their own file so catalog edits never reset usage.
+
+const path = require('path');
+const JsonStore = require('./json-store');
+const { HttpError } = require('./http-error');
+const { priceQuote, roundCurrency } = require('./pricing');
+const Money = require('../assets/js/shared/Money');
+const I18n = require('../assets/js/shared/I18n');
+
+const normalizeCode = (code) => (typeof code === 'string' ? code.trim().toUpperCase() : '');
+
+/**
+ * Counts how many times each code has been redeemed, in <dataDir>/discount-usage.json
+ */
+class DiscountUsageStore {
+    constructor(dataDir) {
+        this.store = new JsonStore(path.join(dataDir, 'discount-usage.json'), {});
+    }
+
+    async getUses(code) {
+        const usage = await this.store.read();
+        return usage[code] || 0;
+    }
+
+    /**
+     * Record one use of a code, failing if its usage limit was reached meanwhile
+     */
+    redeem(rule) {
+        return this.store.update((usage) => {
+            const uses = usage[rule.id] || 0;
+            if (rule.maxUses !== undefined && uses >= rule.maxUses) {
+                throw new HttpError(422, 'This promo code has reached its usage limit');
+            }
+            usage[rule.id] = uses + 1;
+            return usage[rule.id];
+        });
+    }
+}
+
+/**
+ * Work out what a rule takes off a priced quote. Fixed amounts and minimum
+ * spends are set in the base currency and converted at the quote's rate.
+ * Throws a 422 HttpError explaining, in the quote's language, why a code
+ * can't be used.
+ *
+ * @param {Object} rule - catalog discount (see schemas.discount)
+ * @param {Object} pricing - result of priceQuote() without discounts
+ * @param {Object} context
+ * @param {number} context.uses - times the code has already been redeemed
+ * @param {Date} [context.now]
+ * @returns {{code: string, label: string, type: string, value: number, amount: number}}
+ */
+function evaluateDiscount(rule, pricing, { uses, now = new Date() }) {
+    const locale = pricing.selection.locale;
+    const t = I18n.translator(locale);
+    if (rule.active === false) {
+        throw new HttpError(422, t('discounts.inactive'));
+    }
+    if (rule.startsAt && now < new Date(rule.startsAt)) {
+        throw new HttpError(422, t('discounts.notStarted'));
+    }
+    if (rule.expiresAt && now > new Date(rule.expiresAt)) {
+        throw new HttpError(422, t('discounts.expired'));
+    }
+    if (rule.maxUses !== undefined && uses >= rule.maxUses) {
+        throw new HttpError(422, t('discounts.usageLimit'));
+    }
+    const currency = { id: pricing.currency, rate: pricing.exchangeRate };
+    if (rule.minSubtotal !== undefined) {
+        const minSubtotal = Money.convert(rule.minSubtotal, currency);
+        if (pricing.subtotal < minSubtotal) {
+            throw new HttpError(422, t('discounts.minimumSpend', { amount: Money.format(minSubtotal, currency.id, I18n.intlLocale(locale)) }), {
+                minSubtotal
+            });
+        }
+    }
+
+    // Without eligibleItems the whole quote qualifies
+    const eligibleLines = rule.eligibleItems
+        ? pricing.lineItems.filter(item => rule.eligibleItems.includes(item.id))
+        : pricing.lineItems;
+    const eligibleAmount = roundCurrency(eligibleLines.reduce((sum, item) => sum + item.amount, 0), currency.id);
+    if (eligibleLines.length === 0 || eligibleAmount === 0) {
+        throw new HttpError(422, t('discounts.notApplicable'));
+    }
+
+    const amount = rule.type === 'percentage'
+        ? roundCurrency(eligibleAmount * Math.min(rule.value, 100) / 100, currency.id)
+        : Math.min(Money.convert(rule.value, currency), eligibleAmount);
+
+    return {
+        code: rule.id,
+        label: I18n.localizeItem(rule, locale).name,
+        type: rule.type,
+        value: rule.value,
+        amount
+    };
+}
+
+/**
+ * Price a selection with an optional promo code applied
+ *
+ * @param {Object} selection - request body with the selection fields
+ * @param {string} [code] - promo code as typed by the customer
+ * @param {Object} deps
+ * @param {Object} deps.catalog
+ * @param {DiscountUsageStore} deps.usageStore
+ * @returns {Promise<{pricing: Object, rule: Object|null}>}
+ */
+async function priceWithDiscount(selection, code, { catalog, usageStore }) {
+    const basePricing = priceQuote(selection, catalog);
+    const normalizedCode = normalizeCode(code);
+    if (!normalizedCode) {
+        return { pricing: basePricing, rule: null };
+    }
+
+    const rule = (catalog.discounts || []).find(discount => discount.id === normalizedCode);
+    if (!rule) {
+        throw new HttpError(422, I18n.translator(basePricing.selection.locale)('discounts.notValid'));
+    }
+
+    const discount = evaluateDiscount(rule, basePricing, { uses: await usageStore.getUses(rule.id) });
+    return {
+        pricing: priceQuote(selection, catalog, { discounts: [discount] }),
+        rule
+    };
+}
+
+module.exports = {
+    DiscountUsageStore,
+    evaluateDiscount,
+    normalizeCode,
+    priceWithDiscount
+};
@@ -0,0 +1,88 @@
+// ===== SAVED QUOTE DRAFTS =====
+
+const crypto = require('crypto');
+const path = require('path');
+const JsonStore = require('./json-store');
+const { HttpError } = require('./http-error');
+
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const isExpired = (draft, now = new Date()) => Boolean(draft.expiresAt) && new Date(draft.expiresAt) < now;
+
+// Fields safe to hand back to the customer - never the token hash
+function toPublicDraft(draft) {
+    const { tokenHash, ...publicDraft } = draft;
+    return publicDraft;
+}
+
+/**
+ * In-progress quote selections saved by customers so they can carry on later
+ * or on another device, in <dataDir>/drafts.json. Like share links, only a
+ * hash of each resume token is stored and the token is returned once.
+ */
+class DraftStore {
+    /**
+     * @param {string} dataDir
+     * @param {Object} [options]
+     * @param {number} [options.ttlDays=30] - how long a draft can be resumed, 0 for no expiry
+     */
+    constructor(dataDir, { ttlDays = 30 } = {}) {
+        this.ttlDays = ttlDays;
+        this.store = new JsonStore(path.join(dataDir, 'drafts.json'), { drafts: {} });
+    }
+
+    /**
+     * Save a selection; expired drafts are dropped at the same time
+     * @param {Object} selection - normalized selection plus an optional discountCode
+     * @returns {Promise<{token: string, draft: Object}>}
+     */
+    create(selection) {
+        const token = crypto.randomBytes(24).toString('base64url');
+        const now = new Date();
+        const draft = {
+            id: crypto.randomBytes(6).toString('hex'),
+            tokenHash: hashToken(token),
+            createdAt: now.toISOString(),
+            expiresAt: this.ttlDays > 0 ? new Date(now.getTime() + this.ttlDays * 24 * 60 * 60 * 1000).toISOString() : null,
+            resumedAt: null,
+            selection
+        };
+
+        return this.store.update((data) => {
+            Object.values(data.drafts)
+                .filter(entry => isExpired(entry, now))
+                .forEach((entry) => {
+                    delete data.drafts[entry.id];
+                });
+            data.drafts[draft.id] = draft;
+            return { token, draft: toPublicDraft(draft) };
+        });
+    }
+
+    /**
+     * Look up a resume token. Throws 404 for unknown tokens and 410 once the draft has expired.
+     */
+    open(token) {
+        if (!TOKEN_PATTERN.test(token)) {
+            return Promise.reject(new HttpError(404, 'Saved quote not found'));
+        }
+
+        const tokenHash = hashToken(token);
+        return this.store.update((data) => {
+            const draft = Object.values(data.drafts).find(entry => entry.tokenHash === tokenHash);
+            if (!draft) {
+                throw new HttpError(404, 'Saved quote not found');
+            }
+            if (isExpired(draft)) {
+                throw new HttpError(410, 'This saved quote has expired');
+            }
+
+            draft.resumedAt = new Date().toISOString();
+            return toPublicDraft(draft);
+        });
+    }
+}
+
+module.exports = DraftStore;
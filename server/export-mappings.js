@@ -0,0 +1,167 @@
+// ===== QUOTE EXPORT MAPPINGS =====
+// Column layouts for quote exports, one per CRM import format.
+//
+// A mapping is { label, columns } where each column is:
+//   { header, field }          a flattened quote field (see EXPORT_FIELDS in quote-export.js)
+//   { header, value }          the same constant on every row, e.g. a lead source
+// and optionally:
+//   format: 'date' | 'datetime' | 'number'
+//   map: { from: to }          translate values, e.g. quote status -> CRM deal stage
+//
+// Extra mappings (or overrides of these) can be loaded from the JSON file
+// set in EXPORT_MAPPINGS_FILE, keyed by mapping name.
+
+const fs = require('fs').promises;
+
+const BUILT_IN_MAPPINGS = {
+    default: {
+        label: 'All fields',
+        columns: [
+            { header: 'Quote ID', field: 'id' },
+            { header: 'Created', field: 'createdAt', format: 'datetime' },
+            { header: 'Status', field: 'status' },
+            { header: 'Status Changed', field: 'statusChangedAt', format: 'datetime' },
+            { header: 'Name', field: 'customerName' },
+            { header: 'Email', field: 'email' },
+            { header: 'Phone', field: 'phone' },
+            { header: 'Company', field: 'company' },
+            { header: 'Location', field: 'location' },
+            { header: 'Country', field: 'country' },
+            { header: 'Region', field: 'region' },
+            { header: 'Service Area (miles)', field: 'serviceArea' },
+            { header: 'Package ID', field: 'packageId' },
+            { header: 'Package', field: 'packageName' },
+            { header: 'Package Price', field: 'packagePrice', format: 'number' },
+            { header: 'Features', field: 'features' },
+            { header: 'Features Total', field: 'featuresTotal', format: 'number' },
+            { header: 'Add-ons', field: 'addons' },
+            { header: 'Add-ons Total', field: 'addonsTotal', format: 'number' },
+            { header: 'Subtotal', field: 'subtotal', format: 'number' },
+            { header: 'Discount Codes', field: 'discountCodes' },
+            { header: 'Discount', field: 'discountTotal', format: 'number' },
+            { header: 'Tax', field: 'taxTotal', format: 'number' },
+            { header: 'Total', field: 'total', format: 'number' },
+            { header: 'Currency', field: 'currency' },
+            { header: 'Exchange Rate', field: 'exchangeRate', format: 'number' },
+            { header: 'Message', field: 'message' }
+        ]
+    },
+
+    // HubSpot contact + deal import
+    hubspot: {
+        label: 'HubSpot',
+        columns: [
+            { header: 'First Name', field: 'firstName' },
+            { header: 'Last Name', field: 'lastName' },
+            { header: 'Email', field: 'email' },
+            { header: 'Phone Number', field: 'phone' },
+            { header: 'Company Name', field: 'company' },
+            { header: 'City', field: 'location' },
+            { header: 'Deal Name', field: 'dealName' },
+            { header: 'Amount', field: 'total', format: 'number' },
+            {
+                header: 'Deal Stage',
+                field: 'status',
+                map: {
+                    draft: 'appointmentscheduled',
+                    sent: 'presentationscheduled',
+                    viewed: 'decisionmakerboughtin',
+                    accepted: 'closedwon',
+                    paid: 'closedwon',
+                    invoiced: 'closedwon',
+                    declined: 'closedlost'
+                }
+            },
+            { header: 'Pipeline', value: 'default' },
+            { header: 'Create Date', field: 'createdAt', format: 'date' },
+            { header: 'Close Date', field: 'closedAt', format: 'date' },
+            { header: 'Deal Description', field: 'summary' },
+            { header: 'Quote ID', field: 'id' }
+        ]
+    },
+
+    // Salesforce lead import (Data Import Wizard field names)
+    salesforce: {
+        label: 'Salesforce',
+        columns: [
+            { header: 'FirstName', field: 'firstName' },
+            { header: 'LastName', field: 'lastName' },
+            { header: 'Email', field: 'email' },
+            { header: 'Phone', field: 'phone' },
+            // Company is required on leads; individuals fall back to their name
+            { header: 'Company', field: 'companyOrName' },
+            { header: 'City', field: 'location' },
+            { header: 'LeadSource', value: 'Website Quote' },
+            {
+                header: 'Status',
+                field: 'status',
+                map: {
+                    draft: 'Open - Not Contacted',
+                    sent: 'Working - Contacted',
+                    viewed: 'Working - Contacted',
+                    accepted: 'Closed - Converted',
+                    paid: 'Closed - Converted',
+                    invoiced: 'Closed - Converted',
+                    declined: 'Closed - Not Converted'
+                }
+            },
+            { header: 'Description', field: 'summary' },
+            { header: 'AnnualRevenue', field: 'total', format: 'number' },
+            { header: 'Quote_ID__c', field: 'id' },
+            { header: 'Quote_Date__c', field: 'createdAt', format: 'date' }
+        ]
+    }
+};
+
+const FORMATS = ['date', 'datetime', 'number'];
+
+/**
+ * Check a mapping's shape, so a typo in the mappings file is reported
+ * instead of producing empty columns
+ */
+function validateMapping(name, mapping, fields) {
+    const problem = (message) => new Error(`Export mapping "${name}": ${message}`);
+
+    if (!mapping || !Array.isArray(mapping.columns) || mapping.columns.length === 0) {
+        throw problem('needs a non-empty columns array');
+    }
+    mapping.columns.forEach((column, index) => {
+        if (!column || typeof column.header !== 'string' || column.header === '') {
+            throw problem(`column ${index + 1} needs a header`);
+        }
+        if (column.value === undefined && !fields.includes(column.field)) {
+            throw problem(`column "${column.header}" has unknown field "${column.field}"`);
+        }
+        if (column.format !== undefined && !FORMATS.includes(column.format)) {
+            throw problem(`column "${column.header}" has unknown format "${column.format}"`);
+        }
+        if (column.map !== undefined && (typeof column.map !== 'object' || column.map === null)) {
+            throw problem(`column "${column.header}" map must be an object`);
+        }
+    });
+}
+
+/**
+ * Built-in mappings merged with those in `file`. The file is read on every
+ * call, so edits apply without a restart.
+ * @param {string} [file]
+ * @param {string[]} fields - known field names
+ */
+async function loadExportMappings(file, fields) {
+    let custom = {};
+    if (file) {
+        try {
+            custom = JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new Error(`Could not read export mappings from ${file}: ${error.message}`);
+            }
+        }
+    }
+
+    const mappings = { ...BUILT_IN_MAPPINGS, ...custom };
+    Object.entries(mappings).forEach(([name, mapping]) => validateMapping(name, mapping, fields));
+    return mappings;
+}
+
+module.exports = { BUILT_IN_MAPPINGS, loadExportMappings };
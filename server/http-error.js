@@ -0,0 +1,25 @@
+// ===== HTTP ERROR =====
+
+/**
+ * Error carrying an HTTP status code. Thrown from route handlers and
+ * services; the error middleware in server.js turns it into a JSON response.
+ */
+class HttpError extends Error {
+    constructor(status, message, details) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        if (details !== undefined) {
+            this.details = details;
+        }
+    }
+}
+
+/**
+ * Wrap an async route handler so rejected promises reach the error middleware
+ */
+const asyncHandler = (handler) => (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+module.exports = { HttpError, asyncHandler };
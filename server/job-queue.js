@@ -0,0 +1,200 @@
+// ===== PERSISTENT JOB QUEUE =====
+
+const crypto = require('crypto');
+const path = require('path');
+const JsonStore = require('./json-store');
+
+/**
+ * Delay before the next attempt: retryDelayMs, doubling with each failure, capped
+ */
+function backoffDelay(attempts, { retryDelayMs, maxRetryDelayMs }) {
+    return Math.min(retryDelayMs * 2 ** (attempts - 1), maxRetryDelayMs);
+}
+
+/**
+ * File-backed queue of outbound work (e.g. mail) in <dataDir>/queues/<name>.json.
+ * Jobs survive restarts; failed jobs move to `deadLetter` once out of attempts.
+ */
+class JobQueue {
+    /**
+     * @param {string} dataDir
+     * @param {string} name
+     * @param {Object} [options]
+     * @param {number} [options.maxAttempts=5] - attempts before a job is dead-lettered
+     * @param {number} [options.retryDelayMs=30000] - delay after the first failure, doubled each time
+     * @param {number} [options.maxRetryDelayMs=3600000]
+     */
+    constructor(dataDir, name, { maxAttempts = 5, retryDelayMs = 30 * 1000, maxRetryDelayMs = 60 * 60 * 1000 } = {}) {
+        this.name = name;
+        this.options = { maxAttempts, retryDelayMs, maxRetryDelayMs };
+        this.store = new JsonStore(path.join(dataDir, 'queues', `${name}.json`), { jobs: [], deadLetter: [] });
+        this.processing = null;
+        this.timer = null;
+    }
+
+    /**
+     * Add a job; resolves with the stored job
+     */
+    enqueue(payload) {
+        const now = new Date().toISOString();
+        const job = {
+            id: crypto.randomUUID(),
+            payload,
+            attempts: 0,
+            createdAt: now,
+            nextAttemptAt: now,
+            lastError: null
+        };
+
+        return this.store.update((data) => {
+            data.jobs.push(job);
+            return job;
+        });
+    }
+
+    /**
+     * Run every job that is due through `handler(payload, job)`, one at a time.
+     * Jobs whose handler resolves are removed; failures are rescheduled with
+     * backoff, or dead-lettered once out of attempts or when the error is
+     * marked `permanent`. Resolves with { sent, failed }.
+     */
+    processDue(handler) {
+        // Overlapping polls share one run so a job is never handled twice
+        if (!this.processing) {
+            this.processing = this.runDue(handler).finally(() => {
+                this.processing = null;
+            });
+        }
+        return this.processing;
+    }
+
+    async runDue(handler) {
+        const now = new Date().toISOString();
+        const data = await this.store.read();
+        const due = data.jobs.filter(job => job.nextAttemptAt <= now);
+        const result = { sent: 0, failed: 0 };
+
+        for (const job of due) {
+            let error = null;
+            try {
+                await handler(job.payload, job);
+            } catch (handlerError) {
+                error = handlerError;
+            }
+
+            await this.store.update((current) => {
+                const index = current.jobs.findIndex(entry => entry.id === job.id);
+                if (index === -1) {
+                    return;
+                }
+                if (!error) {
+                    current.jobs.splice(index, 1);
+                    return;
+                }
+
+                const stored = current.jobs[index];
+                stored.attempts += 1;
+                stored.lastError = error.message;
+                if (error.permanent || stored.attempts >= this.options.maxAttempts) {
+                    current.jobs.splice(index, 1);
+                    current.deadLetter.push({ ...stored, failedAt: new Date().toISOString() });
+                } else {
+                    stored.nextAttemptAt = new Date(Date.now() + backoffDelay(stored.attempts, this.options)).toISOString();
+                }
+            });
+
+            if (error) {
+                result.failed += 1;
+                console.error(`[${this.name} queue] job ${job.id} failed: ${error.message}`);
+            } else {
+                result.sent += 1;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Poll for due jobs every intervalMs. The timer doesn't keep the process alive.
+     */
+    start(handler, { intervalMs = 5000 } = {}) {
+        this.stop();
+        this.handler = handler;
+        this.timer = setInterval(() => {
+            this.processDue(handler).catch(error => console.error(`[${this.name} queue] ${error.message}`));
+        }, intervalMs);
+        this.timer.unref();
+        return this;
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Process right away instead of waiting for the next poll, if a worker is running
+     */
+    kick() {
+        if (this.handler) {
+            setImmediate(() => {
+                this.processDue(this.handler).catch(error => console.error(`[${this.name} queue] ${error.message}`));
+            });
+        }
+    }
+
+    /**
+     * Pending and dead-lettered jobs, optionally only those matching `filter(payload)`
+     */
+    async list(filter = () => true) {
+        const data = await this.store.read();
+        return {
+            pending: data.jobs.filter(job => filter(job.payload)),
+            deadLetter: data.deadLetter.filter(job => filter(job.payload))
+        };
+    }
+
+    /**
+     * Move a dead-lettered job back onto the queue with its attempts reset.
+     * Resolves with the job, or null if there's no such dead letter.
+     */
+    async replay(id) {
+        const job = await this.store.update((data) => {
+            const index = data.deadLetter.findIndex(entry => entry.id === id);
+            if (index === -1) {
+                return null;
+            }
+
+            const [{ failedAt, ...entry }] = data.deadLetter.splice(index, 1);
+            const replayed = {
+                ...entry,
+                attempts: 0,
+                nextAttemptAt: new Date().toISOString(),
+                replayedAt: new Date().toISOString()
+            };
+            data.jobs.push(replayed);
+            return replayed;
+        });
+
+        if (job) {
+            this.kick();
+        }
+        return job;
+    }
+
+    /**
+     * Queue depth, used by the readiness check
+     */
+    async stats() {
+        const data = await this.store.check();
+        const oldest = data.jobs.reduce((min, job) => (!min || job.createdAt < min ? job.createdAt : min), null);
+        return {
+            pending: data.jobs.length,
+            deadLetter: data.deadLetter.length,
+            oldestPendingAt: oldest
+        };
+    }
+}
+
+module.exports = JobQueue;
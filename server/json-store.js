@@ -0,0 +1,68 @@
+// ===== JSON FILE STORE =====
+
+const fs = require('fs').promises;
+const { constants: fsConstants } = require('fs');
+const path = require('path');
+
+/**
+ * File-backed JSON document. Writes go to a temp file and are renamed into
+ * place, and updates are serialized so concurrent requests can't interleave.
+ */
+class JsonStore {
+    constructor(filePath, defaults = {}) {
+        this.filePath = filePath;
+        this.defaults = defaults;
+        this.queue = Promise.resolve();
+    }
+
+    async read() {
+        try {
+            const raw = await fs.readFile(this.filePath, 'utf8');
+            return JSON.parse(raw);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                // Defaults may be a (possibly async) factory, e.g. to load a seed file
+                if (typeof this.defaults === 'function') {
+                    return this.defaults();
+                }
+                return JSON.parse(JSON.stringify(this.defaults));
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Confirm the document is readable and its directory writable.
+     * Resolves with the current data; used by readiness checks.
+     */
+    async check() {
+        const dir = path.dirname(this.filePath);
+        await fs.mkdir(dir, { recursive: true });
+        await fs.access(dir, fsConstants.W_OK);
+        return this.read();
+    }
+
+    async write(data) {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(data, null, 2));
+        await fs.rename(tempPath, this.filePath);
+    }
+
+    /**
+     * Read, mutate and write back the document in one serialized step.
+     * Resolves with whatever the mutator returns.
+     */
+    update(mutator) {
+        const run = this.queue.then(async () => {
+            const data = await this.read();
+            const result = await mutator(data);
+            await this.write(data);
+            return result;
+        });
+        this.queue = run.catch(() => {});
+        return run;
+    }
+}
+
+module.exports = JsonStore;
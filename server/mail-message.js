@@ -0,0 +1,106 @@
+// ===== MAIL MESSAGE =====
+
+const crypto = require('crypto');
+
+/**
+ * Encode a header value as an RFC 2047 word when it isn't plain ASCII
+ */
+function encodeHeader(value) {
+    const text = String(value).replace(/[\r\n]+/g, ' ');
+    if (/^[\x20-\x7e]*$/.test(text)) {
+        return text;
+    }
+    return `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+// Base64 wrapped at 76 characters per line, as MIME requires
+function toBase64Lines(content) {
+    const encoded = Buffer.isBuffer(content) ? content.toString('base64') : Buffer.from(String(content), 'utf8').toString('base64');
+    return encoded.replace(/.{1,76}/g, '$&\r\n');
+}
+
+function formatAddressList(addresses) {
+    return [].concat(addresses).filter(Boolean).map(encodeHeader).join(', ');
+}
+
+/**
+ * Build a raw RFC 5322 message (CRLF line endings) ready for SMTP DATA or an .eml file
+ * @param {Object} message
+ * @param {string} message.from
+ * @param {string|string[]} message.to
+ * @param {string} message.subject
+ * @param {string} message.text
+ * @param {string} [message.html]
+ * @param {Array<{filename: string, contentType: string, content: Buffer}>} [message.attachments]
+ * @param {string} [message.replyTo]
+ * @returns {{ messageId: string, raw: string }}
+ */
+function buildMimeMessage({ from, to, replyTo, subject, text, html, attachments = [] }) {
+    const boundary = () => `----=_Part_${crypto.randomBytes(12).toString('hex')}`;
+    const domain = String(from).split('@').pop().replace(/[>\s]/g, '') || 'localhost';
+    const messageId = `<${crypto.randomUUID()}@${domain}>`;
+
+    const headers = [
+        `From: ${encodeHeader(from)}`,
+        `To: ${formatAddressList(to)}`,
+        replyTo ? `Reply-To: ${encodeHeader(replyTo)}` : null,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString().replace('GMT', '+0000')}`,
+        `Message-ID: ${messageId}`,
+        'MIME-Version: 1.0'
+    ].filter(Boolean);
+
+    const textPart = [
+        'Content-Type: text/plain; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        toBase64Lines(text)
+    ].join('\r\n');
+
+    let body = textPart;
+    if (html) {
+        const alternative = boundary();
+        body = [
+            `Content-Type: multipart/alternative; boundary="${alternative}"`,
+            '',
+            `--${alternative}`,
+            textPart,
+            `--${alternative}`,
+            'Content-Type: text/html; charset=UTF-8',
+            'Content-Transfer-Encoding: base64',
+            '',
+            toBase64Lines(html),
+            `--${alternative}--`,
+            ''
+        ].join('\r\n');
+    }
+
+    if (attachments.length > 0) {
+        const mixed = boundary();
+        const parts = attachments.map(attachment => [
+            `--${mixed}`,
+            `Content-Type: ${attachment.contentType}; name="${attachment.filename}"`,
+            `Content-Disposition: attachment; filename="${attachment.filename}"`,
+            'Content-Transfer-Encoding: base64',
+            '',
+            toBase64Lines(attachment.content)
+        ].join('\r\n'));
+        body = [
+            `Content-Type: multipart/mixed; boundary="${mixed}"`,
+            '',
+            `--${mixed}`,
+            body,
+            ...parts,
+            `--${mixed}--`,
+            ''
+        ].join('\r\n');
+    }
+
+    // The first line of `body` is its Content-Type header; the rest follows the blank line
+    return {
+        messageId,
+        raw: `${headers.join('\r\n')}\r\n${body}`
+    };
+}
+
+module.exports = { buildMimeMessage, encodeHeader };
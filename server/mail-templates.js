@@ -0,0 +1,180 @@
+// ===== MAIL TEMPLATES =====
+// Each quote template takes the quote content model (see quote-content.js)
+// and returns { subject, text, html }. Customer mail is written in the quote's
+// language; staff alerts stay in English.
+
+const { escapeHtml } = require('../assets/js/shared/QuoteContent');
+const Money = require('../assets/js/shared/Money');
+const Tax = require('../assets/js/shared/Tax');
+const I18n = require('../assets/js/shared/I18n');
+const Timeline = require('../assets/js/shared/Timeline');
+
+const english = I18n.translator(I18n.DEFAULT_LOCALE);
+
+const formatMoney = (amount, currency, locale) => Money.format(amount, currency, I18n.intlLocale(locale));
+
+// Line items as [name, price] pairs, package first
+function itemRows(model, locale) {
+    return [model.package, ...model.features, ...model.addons]
+        .filter(Boolean)
+        .map(item => [item.name, formatMoney(item.price, model.currency, locale)]);
+}
+
+// Discounts and added taxes come before the total, included taxes after it
+function adjustmentRows(model, t, locale) {
+    const display = model.taxDisplay;
+    const taxRows = (model.taxes || []).map(tax => [
+        Tax.taxLabel(tax, display, t('tax.included')),
+        `${display === 'inclusive' ? '' : '+'}${formatMoney(tax.amount, model.currency, locale)}`
+    ]);
+    return {
+        before: [
+            ...model.discounts.map(discount => [t('email.discount', { code: discount.code }), `-${formatMoney(discount.amount, model.currency, locale)}`]),
+            ...(display === 'inclusive' ? [] : taxRows)
+        ],
+        after: display === 'inclusive' ? taxRows : []
+    };
+}
+
+function textTable(rows) {
+    return rows.map(([name, price]) => `  - ${name}: ${price}`).join('\n');
+}
+
+// Item rows, discounts, taxes and the total as plain text lines
+function textSummary(rows, model, t = english, locale = I18n.DEFAULT_LOCALE) {
+    const { before, after } = adjustmentRows(model, t, locale);
+    return [
+        textTable(rows),
+        ...before.map(([name, amount]) => `  - ${name}: ${amount}`),
+        `  ${t('email.total')}: ${formatMoney(model.totalPrice, model.currency, locale)}`,
+        ...after.map(([name, amount]) => `    ${name}: ${amount}`)
+    ];
+}
+
+function htmlTable(rows, model, t = english, locale = I18n.DEFAULT_LOCALE) {
+    const { before, after } = adjustmentRows(model, t, locale);
+    const row = ([name, amount]) => `
+        <tr><td>${escapeHtml(name)}</td><td align="right">${escapeHtml(amount)}</td></tr>`;
+    return `
+    <table cellpadding="6" cellspacing="0" width="100%" style="border-collapse: collapse; font-size: 14px;">${rows.map(([name, price]) => `
+        <tr><td>${escapeHtml(name)}</td><td align="right">${price}</td></tr>`).join('')}${before.map(row).join('')}
+        <tr style="font-weight: bold; border-top: 2px solid #3b82f6;"><td>${escapeHtml(t('email.total'))}</td><td align="right">${formatMoney(model.totalPrice, model.currency, locale)}</td></tr>${after.map(row).join('')}
+    </table>`;
+}
+
+function layout(title, content, locale = I18n.DEFAULT_LOCALE) {
+    return `<!DOCTYPE html>
+<html lang="${locale}">
+<body style="margin: 0; padding: 24px; background: #f9fafb; font-family: Helvetica, Arial, sans-serif; color: #374151;">
+    <div style="max-width: 600px; margin: 0 auto; background: #ffffff; padding: 24px; border-radius: 8px;">
+        <h1 style="color: #3b82f6; font-size: 22px;">${escapeHtml(title)}</h1>
+${content}
+        <p style="font-size: 12px; color: #6b7280;">Anass El - Full-Stack Web Developer | ${escapeHtml(I18n.translator(locale)('pdf.footer'))}</p>
+    </div>
+</body>
+</html>`;
+}
+
+/**
+ * Confirmation sent to the customer, with the quote PDF attached
+ */
+function customerConfirmation(model) {
+    const { locale } = model;
+    const t = I18n.translator(locale);
+    const name = model.customerInfo.name;
+    const greeting = name ? t('email.greeting', { name }) : t('email.greetingAnonymous');
+    const rows = itemRows(model, locale);
+
+    return {
+        subject: t('email.subject', { id: model.id }),
+        text: [
+            greeting,
+            '',
+            t('email.intro'),
+            '',
+            ...textSummary(rows, model, t, locale),
+            '',
+            t('email.reference', { id: model.id }),
+            t('email.followUp'),
+            '',
+            'Anass El - Full-Stack Web Developer'
+        ].join('\n'),
+        html: layout(t('email.heading'), `
+        <p>${escapeHtml(greeting)}</p>
+        <p>${escapeHtml(t('email.intro'))}</p>
+        ${htmlTable(rows, model, t, locale)}
+        <p>${escapeHtml(t('email.reference')).replace('{id}', `<strong>${escapeHtml(model.id)}</strong>`)}</p>
+        <p>${escapeHtml(t('email.followUp'))}</p>`, locale)
+    };
+}
+
+/**
+ * Internal alert for a new lead, with contact details and the quote PDF
+ */
+function leadAlert(model) {
+    const info = model.customerInfo;
+    const contact = [
+        ['Name', info.name],
+        ['Email', info.email],
+        ['Phone', info.phone],
+        ['Company', info.company],
+        ['Location', info.country ? `${info.location} (${info.country.toUpperCase()})` : info.location],
+        ['Service area', info.serviceArea && `${info.serviceArea} miles`]
+    ].filter(([, value]) => value);
+    const rows = itemRows(model);
+
+    return {
+        subject: `New quote ${model.id}: ${info.name || info.email} - ${formatMoney(model.totalPrice, model.currency)}`,
+        text: [
+            `New quote ${model.id} submitted ${model.createdAt}.`,
+            '',
+            ...contact.map(([label, value]) => `${label}: ${value}`),
+            info.message ? `\nMessage:\n${info.message}` : null,
+            '',
+            'Selection:',
+            ...textSummary(rows, model)
+        ].filter(line => line !== null).join('\n'),
+        html: layout(`New quote ${model.id}`, `
+        <table cellpadding="4" cellspacing="0" style="font-size: 14px;">${contact.map(([label, value]) => `
+            <tr><td><strong>${escapeHtml(label)}</strong></td><td>${escapeHtml(value)}</td></tr>`).join('')}
+        </table>${info.message ? `
+        <p><strong>Message</strong></p>
+        <p style="white-space: pre-wrap;">${escapeHtml(info.message)}</p>` : ''}
+        ${htmlTable(rows, model)}`)
+    };
+}
+
+/**
+ * Link back to a saved, unsubmitted quote. Takes the draft rather than a
+ * quote: { resumeUrl, expiresAt, locale }
+ */
+function resumeLink({ resumeUrl, expiresAt, locale }) {
+    const t = I18n.translator(locale);
+    const expiry = expiresAt ? t('email.resumeExpires', { date: Timeline.formatDate(expiresAt, I18n.intlLocale(locale)) }) : null;
+
+    return {
+        subject: t('email.resumeSubject'),
+        text: [
+            t('email.greetingAnonymous'),
+            '',
+            t('email.resumeIntro'),
+            '',
+            resumeUrl,
+            '',
+            expiry,
+            expiry ? '' : null,
+            'Anass El - Full-Stack Web Developer'
+        ].filter(line => line !== null).join('\n'),
+        html: layout(t('email.resumeHeading'), `
+        <p>${escapeHtml(t('email.greetingAnonymous'))}</p>
+        <p>${escapeHtml(t('email.resumeIntro'))}</p>
+        <p><a href="${escapeHtml(resumeUrl)}" style="display: inline-block; padding: 10px 18px; background: #3b82f6; color: #ffffff; text-decoration: none; border-radius: 6px;">${escapeHtml(t('email.resumeButton'))}</a></p>${expiry ? `
+        <p style="font-size: 13px; color: #6b7280;">${escapeHtml(expiry)}</p>` : ''}`, locale)
+    };
+}
+
+module.exports = {
+    customerConfirmation,
+    leadAlert,
+    resumeLink
+};
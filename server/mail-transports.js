@@ -0,0 +1,225 @@
+// ===== MAIL TRANSPORTS =====
+// A transport takes a message (see mail-message.js) and delivers it:
+// `outbox` writes .eml files for development and tests, `smtp` talks to a relay.
+
+const fs = require('fs').promises;
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const tls = require('tls');
+const { buildMimeMessage } = require('./mail-message');
+
+/**
+ * Writes each message to <dir>/<timestamp>-<id>.eml instead of sending it
+ */
+class OutboxTransport {
+    constructor(dir) {
+        this.name = 'outbox';
+        this.dir = dir;
+    }
+
+    async send(message) {
+        const { messageId, raw } = buildMimeMessage(message);
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const fileName = `${stamp}-${messageId.slice(1, 9)}.eml`;
+        await fs.mkdir(this.dir, { recursive: true });
+        await fs.writeFile(path.join(this.dir, fileName), raw);
+        return { messageId, path: path.join(this.dir, fileName) };
+    }
+}
+
+/**
+ * Error for an SMTP reply. 5xx replies are `permanent`: retrying won't help.
+ */
+class SmtpError extends Error {
+    constructor(command, reply) {
+        super(`SMTP ${command} failed: ${reply.code} ${reply.text}`);
+        this.name = 'SmtpError';
+        this.code = reply.code;
+        this.permanent = reply.code >= 500;
+    }
+}
+
+/**
+ * One SMTP session over a socket, reading multi-line replies as they arrive
+ */
+class SmtpSession {
+    constructor(socket, timeoutMs) {
+        this.timeoutMs = timeoutMs;
+        this.attach(socket);
+    }
+
+    attach(socket) {
+        this.socket = socket;
+        this.buffer = '';
+        this.lines = [];
+        this.waiting = null;
+        socket.setTimeout(this.timeoutMs, () => socket.destroy(new Error('SMTP connection timed out')));
+        socket.on('data', (chunk) => {
+            this.buffer += chunk.toString('utf8');
+            let newline;
+            while ((newline = this.buffer.indexOf('\n')) !== -1) {
+                this.lines.push(this.buffer.slice(0, newline).replace(/\r$/, ''));
+                this.buffer = this.buffer.slice(newline + 1);
+            }
+            this.flush();
+        });
+        socket.on('error', (error) => this.fail(error));
+        socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+    }
+
+    // A reply ends at the line whose code is followed by a space instead of '-'
+    flush() {
+        if (!this.waiting) {
+            return;
+        }
+        const last = this.lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+        if (last === -1) {
+            return;
+        }
+        const lines = this.lines.splice(0, last + 1);
+        const { resolve } = this.waiting;
+        this.waiting = null;
+        resolve({
+            code: parseInt(lines[last].slice(0, 3), 10),
+            text: lines.map(line => line.slice(4)).join('\n')
+        });
+    }
+
+    fail(error) {
+        if (this.waiting) {
+            const { reject } = this.waiting;
+            this.waiting = null;
+            reject(error);
+        }
+    }
+
+    read() {
+        return new Promise((resolve, reject) => {
+            this.waiting = { resolve, reject };
+            this.flush();
+        });
+    }
+
+    /**
+     * Send a command and check the reply code against what's expected
+     */
+    async command(line, expected, label = line.split(' ')[0]) {
+        if (line !== null) {
+            this.socket.write(`${line}\r\n`);
+        }
+        const reply = await this.read();
+        if (!expected.includes(reply.code)) {
+            throw new SmtpError(label, reply);
+        }
+        return reply;
+    }
+
+    upgrade(servername) {
+        return new Promise((resolve, reject) => {
+            this.socket.removeAllListeners('data');
+            this.socket.removeAllListeners('close');
+            this.socket.removeAllListeners('error');
+            const secureSocket = tls.connect({ socket: this.socket, servername }, () => resolve());
+            secureSocket.once('error', reject);
+            this.attach(secureSocket);
+        });
+    }
+
+    close() {
+        this.socket.end();
+    }
+}
+
+/**
+ * Sends through an SMTP server: implicit TLS when `secure` (port 465),
+ * otherwise STARTTLS whenever the server offers it. AUTH PLAIN when a user is
+ * set, and only over TLS unless `allowInsecureAuth` says a plain connection is fine.
+ */
+class SmtpTransport {
+    constructor({ host, port = 587, secure = false, user = '', pass = '', allowInsecureAuth = false, timeoutMs = 15000, clientName = os.hostname() }) {
+        this.name = 'smtp';
+        this.options = { host, port, secure, user, pass, allowInsecureAuth, timeoutMs, clientName };
+    }
+
+    connect() {
+        const { host, port, secure } = this.options;
+        return new Promise((resolve, reject) => {
+            const socket = secure
+                ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+                : net.connect({ host, port }, () => resolve(socket));
+            socket.once('error', reject);
+        });
+    }
+
+    async send(message) {
+        const { host, secure, user, pass, allowInsecureAuth, timeoutMs, clientName } = this.options;
+        if (!host) {
+            throw Object.assign(new Error('SMTP host is not configured'), { permanent: true });
+        }
+
+        const { messageId, raw } = buildMimeMessage(message);
+        const recipients = [].concat(message.to).filter(Boolean);
+        const envelopeAddress = (address) => {
+            const match = /<([^>]+)>/.exec(address);
+            return match ? match[1] : address.trim();
+        };
+
+        const session = new SmtpSession(await this.connect(), timeoutMs);
+        try {
+            await session.command(null, [220], 'greeting');
+            let ehlo = await session.command(`EHLO ${clientName}`, [250]);
+            let encrypted = secure;
+
+            if (!secure && /^STARTTLS$/im.test(ehlo.text)) {
+                await session.command('STARTTLS', [220]);
+                await session.upgrade(host);
+                ehlo = await session.command(`EHLO ${clientName}`, [250]);
+                encrypted = true;
+            }
+
+            if (user) {
+                // The password would cross the network readable by anyone on the path
+                if (!encrypted && !allowInsecureAuth) {
+                    throw Object.assign(
+                        new Error('SMTP server offered no TLS; not sending the password in plain text (SMTP_ALLOW_INSECURE_AUTH)'),
+                        { permanent: true }
+                    );
+                }
+                const credentials = Buffer.from(`\0${user}\0${pass}`, 'utf8').toString('base64');
+                await session.command(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+            }
+
+            await session.command(`MAIL FROM:<${envelopeAddress(message.from)}>`, [250], 'MAIL FROM');
+            for (const recipient of recipients) {
+                await session.command(`RCPT TO:<${envelopeAddress(recipient)}>`, [250, 251], 'RCPT TO');
+            }
+            await session.command('DATA', [354]);
+
+            // Dot-stuff lines starting with '.' so they aren't read as the end of data
+            const data = raw.replace(/(^|\r\n)\./g, '$1..');
+            await session.command(`${data}\r\n.`, [250], 'message');
+            await session.command('QUIT', [221]).catch(() => {});
+        } finally {
+            session.close();
+        }
+
+        return { messageId };
+    }
+}
+
+/**
+ * Pick the transport named in the mail config
+ */
+function createMailTransport(config) {
+    switch (config.transport) {
+        case 'smtp':
+            return new SmtpTransport(config.smtp);
+        case 'outbox':
+            return new OutboxTransport(config.outboxDir);
+        default:
+            throw new Error(`Unknown mail transport: ${config.transport}`);
+    }
+}
+
+module.exports = { OutboxTransport, SmtpTransport, SmtpError, createMailTransport };
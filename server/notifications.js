@@ -0,0 +1,110 @@
+// ===== QUOTE NOTIFICATIONS =====
+
+const templates = require('./mail-templates');
+const { buildContentModel } = require('./quote-content');
+const { renderQuotePdf, pdfFilename } = require('./quote-pdf');
+
+/**
+ * Emails sent when quotes come in or drafts are saved. Sends go through the
+ * mail JobQueue so a slow or failing mail server never holds up a request,
+ * and failed sends are retried. Quote jobs only reference the quote; the
+ * message and PDF are rendered at send time.
+ */
+class QuoteNotifier {
+    /**
+     * @param {Object} deps
+     * @param {JobQueue} deps.queue
+     * @param {Object} deps.transport - see mail-transports.js
+     * @param {QuoteStore} deps.quoteStore
+     * @param {CatalogStore} deps.catalogStore
+     * @param {string} deps.from - sender address
+     * @param {string} [deps.leadsTo] - where lead alerts go; alerts are off when empty
+     */
+    constructor({ queue, transport, quoteStore, catalogStore, from, leadsTo = '' }) {
+        this.queue = queue;
+        this.transport = transport;
+        this.quoteStore = quoteStore;
+        this.catalogStore = catalogStore;
+        this.from = from;
+        this.leadsTo = leadsTo;
+    }
+
+    /**
+     * Queue the customer confirmation and the internal lead alert
+     */
+    async quoteSubmitted(quote) {
+        const jobs = [];
+        if (quote.customerInfo.email) {
+            jobs.push(await this.queue.enqueue({
+                template: 'customerConfirmation',
+                quoteId: quote.id,
+                to: quote.customerInfo.email
+            }));
+        }
+        if (this.leadsTo) {
+            jobs.push(await this.queue.enqueue({
+                template: 'leadAlert',
+                quoteId: quote.id,
+                to: this.leadsTo,
+                replyTo: quote.customerInfo.email
+            }));
+        }
+        this.queue.kick();
+        return jobs;
+    }
+
+    /**
+     * Queue the resume link for a saved draft. There is no quote yet, so the
+     * job carries the link itself.
+     */
+    async draftSaved({ to, resumeUrl, expiresAt, locale }) {
+        const job = await this.queue.enqueue({ template: 'resumeLink', to, draft: { resumeUrl, expiresAt, locale } });
+        this.queue.kick();
+        return job;
+    }
+
+    /**
+     * Render and send one queued message. Errors marked `permanent` skip the retries.
+     */
+    async deliver({ template, quoteId, draft, to, replyTo }) {
+        const render = templates[template];
+        if (!render) {
+            throw Object.assign(new Error(`Unknown mail template: ${template}`), { permanent: true });
+        }
+        if (draft) {
+            const { subject, text, html } = render(draft);
+            return this.transport.send({ from: this.from, to, subject, text, html });
+        }
+
+        const quote = await this.quoteStore.get(quoteId);
+        if (!quote) {
+            throw Object.assign(new Error(`Quote ${quoteId} no longer exists`), { permanent: true });
+        }
+
+        const catalog = await this.catalogStore.get();
+        const { subject, text, html } = render(buildContentModel(quote, catalog));
+        return this.transport.send({
+            from: this.from,
+            to,
+            replyTo,
+            subject,
+            text,
+            html,
+            attachments: [{
+                filename: pdfFilename(quote),
+                contentType: 'application/pdf',
+                content: renderQuotePdf(quote, catalog)
+            }]
+        });
+    }
+
+    /**
+     * Start the background worker that drains the queue
+     */
+    start(options) {
+        this.queue.start(payload => this.deliver(payload), options);
+        return this;
+    }
+}
+
+module.exports = QuoteNotifier;
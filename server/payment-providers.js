@@ -0,0 +1,259 @@
+// ===== PAYMENT PROVIDERS =====
+// A provider takes payments for quotes: createSession() starts a hosted
+// checkout, confirmWebhook() verifies and reads the provider's callbacks and
+// refund() gives a payment back. `stripe` talks to the Stripe API; `mock`
+// runs the whole flow on this server for development and tests.
+//
+// confirmWebhook() returns one of these, or null for events we don't act on:
+//   { type: 'checkout.completed', sessionId, paymentId, amount, currency, quoteId }
+//   { type: 'checkout.expired', sessionId, quoteId }
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const Money = require('../assets/js/shared/Money');
+const { HttpError } = require('./http-error');
+const { signPayload, verifySignature } = require('./webhooks');
+
+const MOCK_SIGNATURE_HEADER = 'X-Mock-Signature';
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+// 12.5 USD -> 1250 cents; currencies without minor units stay as they are
+const toMinorUnits = (amount, currency) => Math.round(amount * 10 ** Money.fractionDigits(currency));
+const fromMinorUnits = (amount, currency) => Money.round(amount / 10 ** Money.fractionDigits(currency), currency);
+
+function parseEvent(rawBody) {
+    try {
+        return JSON.parse(rawBody);
+    } catch (error) {
+        throw new HttpError(400, 'Webhook body is not valid JSON');
+    }
+}
+
+/**
+ * { line_items: [{ quantity: 1 }] } -> { 'line_items[0][quantity]': '1' },
+ * the form encoding the Stripe API expects
+ */
+function flattenParams(value, prefix = '', out = {}) {
+    if (value === undefined || value === null) {
+        return out;
+    }
+    if (typeof value === 'object') {
+        Object.entries(value).forEach(([key, entry]) => flattenParams(entry, prefix ? `${prefix}[${key}]` : key, out));
+    } else {
+        out[prefix] = String(value);
+    }
+    return out;
+}
+
+function postForm(url, params, headers, { timeoutMs }) {
+    const body = new URLSearchParams(flattenParams(params)).toString();
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const request = (target.protocol === 'https:' ? https : http).request(target, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'Content-Length': Buffer.byteLength(body),
+                ...headers
+            },
+            timeout: timeoutMs
+        }, (response) => {
+            const chunks = [];
+            response.on('data', chunk => chunks.push(chunk));
+            response.on('end', () => {
+                let data = {};
+                try {
+                    data = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+                } catch (error) {
+                    // Left empty; the status says what happened
+                }
+                resolve({ status: response.statusCode, data });
+            });
+        });
+
+        request.on('timeout', () => request.destroy(new Error(`timed out after ${timeoutMs}ms`)));
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+/**
+ * Stripe Checkout. Webhooks are signed `t=<unix seconds>,v1=<hex HMAC>` in
+ * the Stripe-Signature header, the same scheme as our outbound webhooks.
+ */
+class StripeProvider {
+    constructor({ secretKey = '', webhookSecret = '', apiBase = 'https://api.stripe.com', timeoutMs = 15000 }) {
+        this.name = 'stripe';
+        this.options = { secretKey, webhookSecret, apiBase, timeoutMs };
+    }
+
+    async request(path, params) {
+        const { secretKey, apiBase, timeoutMs } = this.options;
+        if (!secretKey) {
+            throw new Error('Stripe secret key is not configured');
+        }
+
+        let response;
+        try {
+            response = await postForm(`${apiBase}${path}`, params, { Authorization: `Bearer ${secretKey}` }, { timeoutMs });
+        } catch (error) {
+            throw new HttpError(502, `Payment provider unavailable: ${error.message}`);
+        }
+        if (response.status >= 400) {
+            const message = response.data.error ? response.data.error.message : `status ${response.status}`;
+            throw new HttpError(502, `Payment provider error: ${message}`);
+        }
+        return response.data;
+    }
+
+    /**
+     * @param {Object} checkout - { quoteId, milestone, description, amount, currency, customerEmail, successUrl, cancelUrl }
+     * @returns {Promise<{id: string, url: string}>}
+     */
+    async createSession(checkout) {
+        const session = await this.request('/v1/checkout/sessions', {
+            mode: 'payment',
+            success_url: checkout.successUrl,
+            cancel_url: checkout.cancelUrl,
+            client_reference_id: checkout.quoteId,
+            customer_email: checkout.customerEmail,
+            line_items: [{
+                quantity: 1,
+                price_data: {
+                    currency: checkout.currency.toLowerCase(),
+                    unit_amount: toMinorUnits(checkout.amount, checkout.currency),
+                    product_data: { name: checkout.description }
+                }
+            }],
+            metadata: { quoteId: checkout.quoteId, milestone: checkout.milestone }
+        });
+        return { id: session.id, url: session.url };
+    }
+
+    async confirmWebhook(rawBody, headers) {
+        const { webhookSecret } = this.options;
+        if (!webhookSecret) {
+            throw new Error('Stripe webhook secret is not configured');
+        }
+        if (!verifySignature(webhookSecret, headers['stripe-signature'], rawBody)) {
+            throw new HttpError(400, 'Invalid webhook signature');
+        }
+
+        const event = parseEvent(rawBody);
+        const session = event.data && event.data.object;
+        if (!session || !['checkout.session.completed', 'checkout.session.expired'].includes(event.type)) {
+            return null;
+        }
+        const quoteId = session.metadata ? session.metadata.quoteId : session.client_reference_id;
+
+        if (event.type === 'checkout.session.expired') {
+            return { type: 'checkout.expired', sessionId: session.id, quoteId };
+        }
+        // Delayed payment methods complete the session before the money arrives
+        if (session.payment_status !== 'paid') {
+            return null;
+        }
+        const currency = String(session.currency || '').toUpperCase();
+        return {
+            type: 'checkout.completed',
+            sessionId: session.id,
+            paymentId: session.payment_intent,
+            amount: fromMinorUnits(session.amount_total, currency),
+            currency,
+            quoteId
+        };
+    }
+
+    /**
+     * @param {Object} payment - { paymentId, amount, currency }
+     * @returns {Promise<{id: string, status: string}>}
+     */
+    async refund(payment) {
+        const refund = await this.request('/v1/refunds', {
+            payment_intent: payment.paymentId,
+            amount: toMinorUnits(payment.amount, payment.currency)
+        });
+        return { id: refund.id, status: refund.status };
+    }
+}
+
+/**
+ * Local stand-in for a real provider. Checkout is a page on this server (see
+ * routes/payments.js) with Pay and Cancel buttons; completeSession() builds
+ * the signed webhook that page then hands to confirmWebhook(), just as a
+ * provider's callback would arrive. Sessions only live in memory.
+ */
+class MockProvider {
+    constructor({ webhookSecret } = {}) {
+        this.name = 'mock';
+        this.webhookSecret = webhookSecret || randomId('whsec');
+        this.sessions = new Map();
+    }
+
+    async createSession(checkout) {
+        const id = randomId('mock_cs');
+        this.sessions.set(id, { ...checkout, id, status: 'open' });
+        return { id, url: `/api/payments/mock/checkout/${id}` };
+    }
+
+    getSession(id) {
+        return this.sessions.get(id) || null;
+    }
+
+    /**
+     * Finish an open session, paid or abandoned
+     * @returns {{body: string, headers: Object}} the webhook request it sends
+     */
+    completeSession(id, { paid = true } = {}) {
+        const session = this.sessions.get(id);
+        if (!session || session.status !== 'open') {
+            throw new HttpError(404, 'No open checkout session');
+        }
+        session.status = paid ? 'complete' : 'expired';
+
+        const data = { sessionId: id, quoteId: session.quoteId };
+        if (paid) {
+            Object.assign(data, { paymentId: randomId('mock_pay'), amount: session.amount, currency: session.currency });
+        }
+        const body = JSON.stringify({ id: randomId('mock_evt'), type: paid ? 'checkout.completed' : 'checkout.expired', data });
+        return { body, headers: { [MOCK_SIGNATURE_HEADER.toLowerCase()]: signPayload(this.webhookSecret, body) } };
+    }
+
+    async confirmWebhook(rawBody, headers) {
+        if (!verifySignature(this.webhookSecret, headers[MOCK_SIGNATURE_HEADER.toLowerCase()], rawBody)) {
+            throw new HttpError(400, 'Invalid webhook signature');
+        }
+        const event = parseEvent(rawBody);
+        return { type: event.type, ...event.data };
+    }
+
+    async refund() {
+        return { id: randomId('mock_re'), status: 'succeeded' };
+    }
+}
+
+/**
+ * Provider for the payments config; null when payments are off
+ */
+function createPaymentProvider(config) {
+    switch (config.provider) {
+        case 'stripe':
+            return new StripeProvider(config.stripe);
+        case 'mock':
+            return new MockProvider(config.mock);
+        case '':
+        case 'none':
+            return null;
+        default:
+            throw new Error(`Unknown payment provider: ${config.provider}`);
+    }
+}
+
+module.exports = {
+    StripeProvider,
+    MockProvider,
+    MOCK_SIGNATURE_HEADER,
+    createPaymentProvider
+};
@@ -0,0 +1,263 @@
+// ===== PDF DOCUMENT =====
+// Minimal PDF writer covering the part of the jsPDF API the quote PDF uses,
+// so the same drawing code runs on the server without a browser or network.
+// Output depends only on what is drawn: no timestamps or random IDs.
+
+const crypto = require('crypto');
+
+// A4 portrait in millimetres, like jsPDF's defaults
+const PAGE_WIDTH = 210;
+const PAGE_HEIGHT = 297;
+const PT_PER_MM = 72 / 25.4;
+
+// Standard Type 1 fonts every PDF reader ships, so nothing is embedded
+const FONTS = {
+    normal: { key: 'F1', baseFont: 'Helvetica' },
+    bold: { key: 'F2', baseFont: 'Helvetica-Bold' }
+};
+
+// Glyph widths (1/1000 em) for WinAnsi codes 32-126, from the Adobe AFM files
+const ASCII_WIDTHS = {
+    normal: [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ],
+    bold: [
+        278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+        975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+        333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+    ]
+};
+
+// Punctuation outside Latin-1 that WinAnsiEncoding places in 0x80-0x9F
+const WIN_ANSI_EXTRAS = {
+    '€': [0x80, 556, 556],
+    '‘': [0x91, 222, 278],
+    '’': [0x92, 222, 278],
+    '“': [0x93, 333, 500],
+    '”': [0x94, 333, 500],
+    '•': [0x95, 350, 350],
+    '–': [0x96, 556, 556],
+    '—': [0x97, 1000, 1000]
+};
+
+// Latin-1 letters share their base letter's width closely enough for layout
+const LATIN1_FALLBACK_WIDTH = { normal: 556, bold: 611 };
+
+/**
+ * Map a character to its WinAnsi byte and width; anything unsupported becomes '?'
+ */
+function encodeChar(char, style) {
+    const code = char.charCodeAt(0);
+    if (code >= 32 && code <= 126) {
+        return [code, ASCII_WIDTHS[style][code - 32]];
+    }
+    if (WIN_ANSI_EXTRAS[char]) {
+        const [byte, normalWidth, boldWidth] = WIN_ANSI_EXTRAS[char];
+        return [byte, style === 'bold' ? boldWidth : normalWidth];
+    }
+    // fr-FR number formatting groups thousands with a narrow no-break space (U+202F)
+    if (code === 160 || code === 0x202F) {
+        return [160, 278];
+    }
+    // Intl date ranges put thin spaces (U+2009) around the dash
+    if (code === 0x2009) {
+        return encodeChar(' ', style);
+    }
+    if (code > 160 && code <= 255) {
+        return [code, LATIN1_FALLBACK_WIDTH[style]];
+    }
+    return encodeChar('?', style);
+}
+
+/**
+ * Encode text as a PDF literal string, escaping delimiters and non-ASCII bytes
+ */
+function toPdfString(text, style) {
+    let out = '';
+    for (const char of String(text)) {
+        const [byte] = encodeChar(char, style);
+        if (byte === 0x28 || byte === 0x29 || byte === 0x5c) {
+            out += `\\${String.fromCharCode(byte)}`;
+        } else if (byte > 126) {
+            out += `\\${byte.toString(8)}`;
+        } else {
+            out += String.fromCharCode(byte);
+        }
+    }
+    return `(${out})`;
+}
+
+// Fixed precision keeps the output stable and compact
+const num = (value) => {
+    const fixed = (Math.round(value * 100) / 100).toFixed(2);
+    return fixed.replace(/\.00$/, '').replace(/(\.\d)0$/, '$1');
+};
+
+const toColor = (r, g, b) => [r, g, b].map(channel => num(channel / 255)).join(' ');
+
+/**
+ * Drawing surface with jsPDF-compatible method names. Coordinates are in mm
+ * from the top-left corner of the page; text is positioned by its baseline.
+ */
+class PdfDocument {
+    constructor() {
+        this.pages = [];
+        this.properties = {};
+        this.fontSize = 16;
+        this.fontStyle = 'normal';
+        this.textColor = toColor(0, 0, 0);
+        this.drawColor = toColor(0, 0, 0);
+        this.lineWidth = 0.2;
+        this.internal = {
+            getNumberOfPages: () => this.pages.length
+        };
+        this.addPage();
+    }
+
+    setProperties(properties) {
+        this.properties = { ...this.properties, ...properties };
+        return this;
+    }
+
+    addPage() {
+        this.pages.push([]);
+        this.currentPage = this.pages.length - 1;
+        return this;
+    }
+
+    setPage(pageNumber) {
+        if (pageNumber < 1 || pageNumber > this.pages.length) {
+            throw new RangeError(`Page ${pageNumber} does not exist`);
+        }
+        this.currentPage = pageNumber - 1;
+        return this;
+    }
+
+    setFontSize(size) {
+        this.fontSize = size;
+        return this;
+    }
+
+    /**
+     * Only Helvetica is available; the family argument is kept for jsPDF compatibility
+     */
+    setFont(family, style = 'normal') {
+        this.fontStyle = style === 'bold' ? 'bold' : 'normal';
+        return this;
+    }
+
+    setTextColor(r, g, b) {
+        this.textColor = toColor(r, g, b);
+        return this;
+    }
+
+    setDrawColor(r, g, b) {
+        this.drawColor = toColor(r, g, b);
+        return this;
+    }
+
+    setLineWidth(width) {
+        this.lineWidth = width;
+        return this;
+    }
+
+    /**
+     * Width of a string in mm at the current font and size
+     */
+    getTextWidth(text) {
+        let units = 0;
+        for (const char of String(text)) {
+            units += encodeChar(char, this.fontStyle)[1];
+        }
+        return (units * this.fontSize) / 1000 / PT_PER_MM;
+    }
+
+    text(text, x, y) {
+        const font = FONTS[this.fontStyle];
+        this.pages[this.currentPage].push(
+            `BT /${font.key} ${num(this.fontSize)} Tf ${this.textColor} rg ` +
+            `${num(x * PT_PER_MM)} ${num((PAGE_HEIGHT - y) * PT_PER_MM)} Td ` +
+            `${toPdfString(text, this.fontStyle)} Tj ET`
+        );
+        return this;
+    }
+
+    line(x1, y1, x2, y2) {
+        this.pages[this.currentPage].push(
+            `${num(this.lineWidth * PT_PER_MM)} w ${this.drawColor} RG ` +
+            `${num(x1 * PT_PER_MM)} ${num((PAGE_HEIGHT - y1) * PT_PER_MM)} m ` +
+            `${num(x2 * PT_PER_MM)} ${num((PAGE_HEIGHT - y2) * PT_PER_MM)} l S`
+        );
+        return this;
+    }
+
+    /**
+     * Serialize the document
+     * @returns {Buffer}
+     */
+    output() {
+        const objects = [];
+        const addObject = (body) => {
+            objects.push(body);
+            return objects.length;
+        };
+
+        const catalogId = addObject(null);
+        const pagesId = addObject(null);
+        const fontIds = {};
+        for (const font of Object.values(FONTS)) {
+            fontIds[font.key] = addObject(
+                `<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`
+            );
+        }
+        const fontResources = Object.entries(fontIds).map(([key, id]) => `/${key} ${id} 0 R`).join(' ');
+        const mediaBox = `[0 0 ${num(PAGE_WIDTH * PT_PER_MM)} ${num(PAGE_HEIGHT * PT_PER_MM)}]`;
+
+        const pageIds = this.pages.map((operations) => {
+            const content = operations.join('\n');
+            const contentId = addObject(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+            return addObject(
+                `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox ${mediaBox} ` +
+                `/Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`
+            );
+        });
+
+        objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+        objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+        const infoFields = { title: 'Title', subject: 'Subject', author: 'Author', creator: 'Creator' };
+        const info = Object.entries(infoFields)
+            .filter(([field]) => this.properties[field])
+            .map(([field, key]) => `/${key} ${toPdfString(this.properties[field], 'normal')}`)
+            .join(' ');
+        const infoId = addObject(`<< ${info} /Producer (HVAC Quote System) >>`);
+
+        let pdf = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+        const offsets = objects.map((body, index) => {
+            const offset = Buffer.byteLength(pdf, 'latin1');
+            pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+            return offset;
+        });
+
+        // Same content, same document ID - keeps repeated downloads byte-identical
+        const documentId = crypto.createHash('md5').update(pdf, 'latin1').digest('hex');
+        const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+        pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R ` +
+            `/ID [<${documentId}> <${documentId}>] >>\n`;
+        pdf += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+        return Buffer.from(pdf, 'latin1');
+    }
+}
+
+module.exports = PdfDocument;
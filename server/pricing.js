@@ -0,0 +1,205 @@
+// ===== QUOTE PRICING ENGINE =====
+// The server is the source of truth for quote totals. The client displays
+// the result of priceQuote() and submissions are checked against it.
+
+const { HttpError } = require('./http-error');
+const Money = require('../assets/js/shared/Money');
+const Tax = require('../assets/js/shared/Tax');
+const I18n = require('../assets/js/shared/I18n');
+
+const roundCurrency = (amount, currency) => Money.round(amount, currency);
+
+// Used for packages without their own `paymentSchedule`; names come from the
+// message catalogs (payments.milestones.<id>)
+const DEFAULT_PAYMENT_SCHEDULE = [
+    { id: 'deposit', percent: 40 },
+    { id: 'design-approval', percent: 30 },
+    { id: 'launch', percent: 30 }
+];
+
+/**
+ * Pick the selection fields out of a request body or stored quote
+ */
+function normalizeSelection(data = {}) {
+    return {
+        selectedPackage: data.selectedPackage,
+        selectedAdditionalFeatures: [...new Set(data.selectedAdditionalFeatures || [])],
+        selectedAddonServices: [...new Set(data.selectedAddonServices || [])],
+        selectedEmergency: data.selectedEmergency || null,
+        selectedServiceArea: data.selectedServiceArea || null,
+        currency: data.currency || Money.BASE_CURRENCY,
+        // Where the customer is, for tax - ISO 3166 alpha-2 country and state/province code
+        country: data.country || null,
+        region: data.region || null,
+        // Language the quote is written in; line item and tax names follow it
+        locale: I18n.isSupported(data.locale) ? data.locale : I18n.DEFAULT_LOCALE
+    };
+}
+
+/**
+ * Look up the quoted currency, failing the request if the catalog doesn't offer it
+ */
+function findCurrency(catalog, code) {
+    const currency = Money.findCurrency(catalog.currencies, code);
+    if (!currency) {
+        throw new HttpError(400, `Unsupported currency: ${code}`);
+    }
+    return currency;
+}
+
+/**
+ * Look up a catalog item, failing the request if it doesn't exist
+ */
+function findItem(collection, id, label) {
+    const item = collection.find(entry => entry.id === id);
+    if (!item) {
+        throw new HttpError(400, `Unknown ${label}: ${id}`);
+    }
+    return item;
+}
+
+function toLineItem(type, item, currency, locale) {
+    const price = Money.convert(item.price, currency);
+    return {
+        type,
+        id: item.id,
+        name: I18n.localizeItem(item, locale).name,
+        quantity: 1,
+        unitPrice: price,
+        amount: price
+    };
+}
+
+/**
+ * Build the priced line items for a selection, in the selection's currency
+ * and language
+ */
+function buildLineItems(selection, catalog, currency) {
+    if (!selection.selectedPackage) {
+        throw new HttpError(400, 'A package must be selected');
+    }
+
+    const line = (type, item) => toLineItem(type, item, currency, selection.locale);
+    const lineItems = [
+        line('package', findItem(catalog.packages, selection.selectedPackage, 'package'))
+    ];
+
+    selection.selectedAdditionalFeatures.forEach(id => {
+        lineItems.push(line('feature', findItem(catalog.additionalFeatures, id, 'additional feature')));
+    });
+
+    selection.selectedAddonServices.forEach(id => {
+        lineItems.push(line('addon', findItem(catalog.addonServices, id, 'addon service')));
+    });
+
+    if (selection.selectedEmergency) {
+        lineItems.push(line('emergency', findItem(catalog.emergencyServices, selection.selectedEmergency, 'emergency service')));
+    }
+
+    if (selection.selectedServiceArea) {
+        lineItems.push(line('serviceArea', findItem(catalog.serviceAreas, selection.selectedServiceArea, 'service area')));
+    }
+
+    return lineItems;
+}
+
+/**
+ * Split the final total into the package's payment milestones. Each share is
+ * rounded to the currency's minor unit and the last milestone takes what's
+ * left, so the amounts always add up to the total.
+ */
+function buildPaymentSchedule(packageItem, total, currency, locale) {
+    const t = I18n.translator(locale);
+    const milestones = packageItem.paymentSchedule || DEFAULT_PAYMENT_SCHEDULE;
+    let remaining = total;
+    return milestones.map((milestone, index) => {
+        const amount = index === milestones.length - 1
+            ? remaining
+            : roundCurrency(Math.min(total * milestone.percent / 100, remaining), currency);
+        remaining = roundCurrency(remaining - amount, currency);
+        return {
+            id: milestone.id,
+            name: I18n.localizeItem(milestone, locale).name || t(`payments.milestones.${milestone.id}`),
+            percent: milestone.percent,
+            amount
+        };
+    });
+}
+
+/**
+ * Price a selection against the catalog. Catalog prices are in the base
+ * currency; each line is converted at the catalog exchange rate and rounded
+ * to the currency's minor unit, so totals add up in the quoted currency.
+ *
+ * Catalog prices are before tax. Taxes are charged on the discounted amount
+ * of the lines they don't exempt and always add to the total; `taxDisplay`
+ * only says whether documents present them as included or added.
+ *
+ * @param {Object} selection - see normalizeSelection()
+ * @param {Object} catalog - catalog collections (packages, additionalFeatures, ...)
+ * @param {Object} [options]
+ * @param {Array<{label: string, amount: number}>} [options.discounts] - discounts to subtract from the subtotal, in the quoted currency
+ * @param {Array<Object>} [options.taxes] - tax rules to apply (see schemas.taxRule), defaults to the catalog rules for the selection's country and region
+ * @returns {Object} currency, line items, subtotal, discounts, taxes, total
+ *   and the payment schedule the total is due in
+ */
+function priceQuote(selection, catalog, options = {}) {
+    const normalized = normalizeSelection(selection);
+    const currency = findCurrency(catalog, normalized.currency);
+    const round = (amount) => roundCurrency(amount, currency.id);
+
+    const lineItems = buildLineItems(normalized, catalog, currency);
+    const subtotal = round(lineItems.reduce((sum, item) => sum + item.amount, 0));
+
+    // Discounts can never take the total below zero
+    let remaining = subtotal;
+    const discounts = (options.discounts || []).map(discount => {
+        const amount = round(Math.min(discount.amount, remaining));
+        remaining = round(remaining - amount);
+        return { ...discount, amount };
+    });
+    const discountTotal = round(subtotal - remaining);
+
+    // Discounts are spread over the lines in proportion to their amounts
+    const discountRatio = subtotal > 0 ? remaining / subtotal : 0;
+    const taxRules = options.taxes || Tax.rulesFor(catalog.taxRules, normalized);
+    const taxes = taxRules
+        .map((rule) => {
+            const exempt = rule.exemptItems || [];
+            const taxableAmount = round(lineItems
+                .filter(item => !exempt.includes(item.id))
+                .reduce((sum, item) => sum + item.amount, 0) * discountRatio);
+            return {
+                code: rule.id,
+                label: I18n.localizeItem(rule, normalized.locale).name,
+                rate: rule.rate,
+                taxableAmount,
+                amount: round(taxableAmount * rule.rate)
+            };
+        })
+        .filter(tax => tax.amount > 0);
+    const taxTotal = round(taxes.reduce((sum, tax) => sum + tax.amount, 0));
+    const total = round(remaining + taxTotal);
+    const packageItem = catalog.packages.find(item => item.id === normalized.selectedPackage);
+
+    return {
+        currency: currency.id,
+        exchangeRate: currency.rate,
+        selection: normalized,
+        lineItems,
+        subtotal,
+        discounts,
+        discountTotal,
+        taxes,
+        taxTotal,
+        taxDisplay: Tax.displayFor(taxRules),
+        total,
+        paymentSchedule: buildPaymentSchedule(packageItem, total, currency.id, normalized.locale)
+    };
+}
+
+module.exports = {
+    normalizeSelection,
+    priceQuote,
+    roundCurrency
+};
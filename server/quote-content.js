@@ -0,0 +1,51 @@
+// ===== QUOTE CONTENT MODEL =====
+
+const I18n = require('../assets/js/shared/I18n');
+const Timeline = require('../assets/js/shared/Timeline');
+
+/**
+ * Turn a stored quote into the model shared by QuoteContent.render() and the PDF.
+ * Names and prices come from the quote's own pricing so documents always show
+ * what was quoted; descriptions and icons are filled in from the catalog, in
+ * the quote's language. The schedule counts from the day the quote was
+ * created, or last revised.
+ */
+function buildContentModel(quote, catalog) {
+    const locale = quote.locale || I18n.DEFAULT_LOCALE;
+    const catalogItem = (collection, id) => (collection || []).find(item => item.id === id) || {};
+    const toItem = (line, collection) => ({
+        ...I18n.localizeItem(catalogItem(collection, line.id), locale),
+        name: line.name,
+        price: line.amount
+    });
+    const linesOfType = (type, collection) => quote.pricing.lineItems
+        .filter(line => line.type === type)
+        .map(line => toItem(line, collection));
+
+    const selection = {
+        package: linesOfType('package', catalog.packages)[0],
+        features: linesOfType('feature', catalog.additionalFeatures),
+        addons: [
+            ...linesOfType('addon', catalog.addonServices),
+            ...linesOfType('emergency', catalog.emergencyServices),
+            ...linesOfType('serviceArea', catalog.serviceAreas)
+        ]
+    };
+
+    return {
+        id: quote.id,
+        createdAt: quote.createdAt,
+        locale,
+        totalPrice: quote.totalPrice,
+        currency: quote.pricing.currency || 'USD',
+        ...selection,
+        schedule: Timeline.schedule(selection, { from: quote.revisedAt || quote.createdAt }),
+        discounts: quote.pricing.discounts || [],
+        taxes: quote.pricing.taxes || [],
+        taxDisplay: quote.pricing.taxDisplay || 'exclusive',
+        paymentSchedule: quote.pricing.paymentSchedule,
+        customerInfo: quote.customerInfo
+    };
+}
+
+module.exports = { buildContentModel };
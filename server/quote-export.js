@@ -0,0 +1,189 @@
+// ===== QUOTE EXPORT =====
+// Flattens quotes into rows and streams them as CSV, JSON or XLSX.
+
+const { once } = require('events');
+const { XlsxWriter } = require('./xlsx-writer');
+
+const LIST_SEPARATOR = '; ';
+
+const sumAmounts = (lines) => Math.round(lines.reduce((sum, line) => sum + line.amount, 0) * 100) / 100;
+
+/**
+ * Every field a mapping column can use, as a function of the stored quote
+ */
+const EXPORT_FIELDS = {
+    id: quote => quote.id,
+    createdAt: quote => quote.createdAt,
+    updatedAt: quote => quote.updatedAt,
+    status: quote => quote.status,
+    statusChangedAt: quote => (quote.statusChangedAt || {})[quote.status] || quote.createdAt,
+    // When the quote was won or lost, empty while it's still open
+    closedAt: quote => ['accepted', 'paid', 'invoiced', 'declined'].includes(quote.status)
+        ? (quote.statusChangedAt || {})[quote.status]
+        : null,
+
+    customerName: quote => quote.customerInfo.name,
+    firstName: quote => splitName(quote.customerInfo.name).first,
+    lastName: quote => splitName(quote.customerInfo.name).last,
+    email: quote => quote.customerInfo.email,
+    phone: quote => quote.customerInfo.phone,
+    company: quote => quote.customerInfo.company,
+    companyOrName: quote => quote.customerInfo.company || quote.customerInfo.name,
+    location: quote => quote.customerInfo.location,
+    // Where the quote was taxed: ISO 3166 alpha-2 country and state/province code
+    country: quote => quote.country,
+    region: quote => quote.region,
+    serviceArea: quote => quote.customerInfo.serviceArea,
+    message: quote => quote.customerInfo.message,
+
+    packageId: quote => (lines(quote, 'package')[0] || {}).id,
+    packageName: quote => (lines(quote, 'package')[0] || {}).name,
+    packagePrice: quote => (lines(quote, 'package')[0] || {}).amount,
+    featureIds: quote => lines(quote, 'feature').map(line => line.id),
+    features: quote => lines(quote, 'feature').map(line => line.name),
+    featuresTotal: quote => sumAmounts(lines(quote, 'feature')),
+    // Add-on services plus emergency and service-area charges, as on the PDF
+    addonIds: quote => lines(quote, 'addon', 'emergency', 'serviceArea').map(line => line.id),
+    addons: quote => lines(quote, 'addon', 'emergency', 'serviceArea').map(line => line.name),
+    addonsTotal: quote => sumAmounts(lines(quote, 'addon', 'emergency', 'serviceArea')),
+
+    subtotal: quote => quote.pricing.subtotal,
+    discountCodes: quote => (quote.pricing.discounts || []).map(discount => discount.code).filter(Boolean),
+    discountTotal: quote => quote.pricing.discountTotal || 0,
+    taxTotal: quote => quote.pricing.taxTotal || 0,
+    total: quote => quote.totalPrice,
+    currency: quote => quote.pricing.currency || 'USD',
+    // Units of the quote's currency per US dollar when it was priced
+    exchangeRate: quote => quote.pricing.exchangeRate || 1,
+
+    dealName: quote => `${quote.customerInfo.company || quote.customerInfo.name} - ${(lines(quote, 'package')[0] || {}).name || 'Website'}`,
+    summary: quote => [
+        (lines(quote, 'package')[0] || {}).name,
+        ...lines(quote, 'feature', 'addon', 'emergency', 'serviceArea').map(line => line.name)
+    ].filter(Boolean).join(LIST_SEPARATOR)
+};
+
+function lines(quote, ...types) {
+    return ((quote.pricing && quote.pricing.lineItems) || []).filter(line => types.includes(line.type));
+}
+
+// CRMs want first and last names apart; everything after the first word is the last name
+function splitName(name = '') {
+    const [first, ...rest] = name.trim().split(/\s+/);
+    return { first: first || '', last: rest.join(' ') };
+}
+
+function formatValue(value, format) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    if (Array.isArray(value)) {
+        return value.join(LIST_SEPARATOR);
+    }
+    switch (format) {
+        case 'date':
+            return String(value).slice(0, 10);
+        case 'datetime':
+            return new Date(value).toISOString();
+        case 'number':
+            return Number(value);
+        default:
+            return value;
+    }
+}
+
+/**
+ * Turn a quote into one row of values, in the mapping's column order
+ */
+function toRow(quote, mapping) {
+    return mapping.columns.map((column) => {
+        let value = column.value !== undefined ? column.value : EXPORT_FIELDS[column.field](quote);
+        if (column.map && Object.prototype.hasOwnProperty.call(column.map, value)) {
+            value = column.map[value];
+        }
+        return formatValue(value, column.format);
+    });
+}
+
+// Cells a spreadsheet would run as a formula. Numbers and phone numbers
+// like "+1 512 555 0100" are left alone.
+const FORMULA_PATTERN = /^[=+\-@\t\r]/;
+const NUMERIC_PATTERN = /^[+-]?[\d\s().-]+$/;
+
+function csvCell(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = String(value);
+    if (typeof value === 'string' && FORMULA_PATTERN.test(text) && !NUMERIC_PATTERN.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Wait for the client to catch up; a closed connection ends the wait too
+async function write(output, chunk) {
+    if (!output.write(chunk)) {
+        await Promise.race([once(output, 'drain'), once(output, 'close')]);
+    }
+}
+
+const EXPORT_FORMATS = {
+    csv: {
+        contentType: 'text/csv; charset=utf-8',
+        extension: 'csv',
+        async write(output, headers, rows) {
+            await write(output, `${headers.map(csvCell).join(',')}\r\n`);
+            for (const row of rows) {
+                if (output.destroyed) return;
+                await write(output, `${row.map(csvCell).join(',')}\r\n`);
+            }
+        }
+    },
+    json: {
+        contentType: 'application/json; charset=utf-8',
+        extension: 'json',
+        // An array of objects keyed by the mapping's headers
+        async write(output, headers, rows) {
+            await write(output, '[');
+            let first = true;
+            for (const row of rows) {
+                if (output.destroyed) return;
+                const record = Object.fromEntries(headers.map((header, index) => [header, row[index]]));
+                await write(output, `${first ? '' : ','}\n${JSON.stringify(record)}`);
+                first = false;
+            }
+            await write(output, '\n]\n');
+        }
+    },
+    xlsx: {
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        extension: 'xlsx',
+        async write(output, headers, rows) {
+            const xlsx = new XlsxWriter(output, { sheetName: 'Quotes' });
+            await xlsx.start(headers);
+            for (const row of rows) {
+                if (output.destroyed) return;
+                await xlsx.writeRow(row);
+            }
+            await xlsx.end();
+        }
+    }
+};
+
+/**
+ * Stream quotes to `output` in the given format. Rows are built one at a
+ * time as the output drains, so large exports don't build up in memory.
+ * Doesn't end the stream.
+ */
+async function exportQuotes(output, quotes, { format, mapping }) {
+    const headers = mapping.columns.map(column => column.header);
+    function* rows() {
+        for (const quote of quotes) {
+            yield toRow(quote, mapping);
+        }
+    }
+    await EXPORT_FORMATS[format].write(output, headers, rows());
+}
+
+module.exports = { EXPORT_FIELDS, EXPORT_FORMATS, exportQuotes, toRow };
@@ -0,0 +1,103 @@
+// ===== QUOTE LIFECYCLE =====
+// draft → sent → viewed → accepted → invoiced, with declined as a dead end.
+// Paying a deposit online accepts a quote and then marks it paid.
+
+const { HttpError } = require('./http-error');
+
+const STATUSES = ['draft', 'sent', 'viewed', 'accepted', 'paid', 'declined', 'invoiced'];
+
+// Allowed next statuses for each status
+const transitions = {
+    draft: ['sent'],
+    sent: ['viewed', 'accepted', 'declined'],
+    viewed: ['accepted', 'declined'],
+    accepted: ['paid', 'invoiced'],
+    paid: ['invoiced'],
+    declined: [],
+    invoiced: []
+};
+
+// Route action name -> target status. `paid` has no action: only a
+// confirmed payment (routes/payments.js) moves a quote there.
+const actions = {
+    send: 'sent',
+    view: 'viewed',
+    accept: 'accepted',
+    decline: 'declined',
+    invoice: 'invoiced'
+};
+
+function canTransition(from, to) {
+    return (transitions[from] || []).includes(to);
+}
+
+/**
+ * Route actions available from a status, e.g. 'sent' -> ['view', 'accept', 'decline']
+ */
+function nextActions(status) {
+    return Object.keys(actions).filter(action => canTransition(status, actions[action]));
+}
+
+/**
+ * Fill in lifecycle fields for quotes stored before statuses existed
+ */
+function withLifecycle(quote) {
+    if (quote.status) {
+        return quote;
+    }
+    return {
+        ...quote,
+        status: 'draft',
+        statusChangedAt: { draft: quote.createdAt },
+        auditTrail: [{ at: quote.createdAt, action: 'created', from: null, to: 'draft', actor: 'customer' }]
+    };
+}
+
+/**
+ * Set up the lifecycle of a newly created quote
+ */
+function initializeLifecycle(quote, { actor = 'customer' } = {}) {
+    quote.status = 'draft';
+    quote.statusChangedAt = { draft: quote.createdAt };
+    quote.auditTrail = [{ at: quote.createdAt, action: 'created', from: null, to: 'draft', actor }];
+    return quote;
+}
+
+/**
+ * Move a quote to a new status, recording when and by whom.
+ * Mutates and returns the quote; throws 409 for a transition that isn't allowed.
+ */
+function applyTransition(quote, to, { actor, note, at = new Date() } = {}) {
+    if (!STATUSES.includes(to)) {
+        throw new HttpError(400, `Unknown quote status: ${to}`);
+    }
+    if (!canTransition(quote.status, to)) {
+        throw new HttpError(409, `Cannot move a quote from ${quote.status} to ${to}`, {
+            status: quote.status,
+            allowed: transitions[quote.status]
+        });
+    }
+
+    const timestamp = at.toISOString();
+    const entry = { at: timestamp, action: 'status', from: quote.status, to, actor: actor || 'system' };
+    if (note) {
+        entry.note = note;
+    }
+
+    quote.status = to;
+    quote.statusChangedAt = { ...quote.statusChangedAt, [to]: timestamp };
+    quote.updatedAt = timestamp;
+    quote.auditTrail = [...(quote.auditTrail || []), entry];
+    return quote;
+}
+
+module.exports = {
+    STATUSES,
+    transitions,
+    actions,
+    canTransition,
+    nextActions,
+    withLifecycle,
+    initializeLifecycle,
+    applyTransition
+};
@@ -0,0 +1,416 @@
+// ===== QUOTE PDF =====
+// Server-side port of the PDF sections in assets/js/quote.js (addHeader,
+// addCustomerInfo, ...). Drawing calls and coordinates are kept the same so
+// the downloaded document matches what the browser used to generate.
+
+const PdfDocument = require('./pdf-document');
+const Money = require('../assets/js/shared/Money');
+const Tax = require('../assets/js/shared/Tax');
+const I18n = require('../assets/js/shared/I18n');
+const Timeline = require('../assets/js/shared/Timeline');
+const { displayPricing } = require('../assets/js/shared/QuoteContent');
+const { buildContentModel } = require('./quote-content');
+
+const DEVELOPER = 'Anass El - Full-Stack Web Developer';
+
+
+/**
+ * Write text word by word, wrapping before it reaches maxWidth.
+ * Returns the y position below the last line written.
+ */
+function addWrappedText(doc, text, x, y, maxWidth, lineHeight) {
+    let yPosition = y;
+    let line = '';
+    for (const word of String(text || '').split(' ')) {
+        const testLine = line + word + ' ';
+        if (doc.getTextWidth(testLine) < maxWidth) {
+            line = testLine;
+        } else {
+            doc.text(line, x, yPosition);
+            yPosition += lineHeight;
+            line = word + ' ';
+        }
+    }
+    if (line) {
+        doc.text(line, x, yPosition);
+        yPosition += lineHeight;
+    }
+    return yPosition;
+}
+
+function addHeader(doc, quote, t) {
+    // Title
+    doc.setFontSize(24);
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(59, 130, 246);
+    doc.text(t('pdf.heading'), 20, 30);
+    doc.text(t('pdf.headingLine2'), 20, 40);
+
+    // Subtitle
+    doc.setFontSize(12);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(107, 114, 128);
+    doc.text(t('pdf.subtitle'), 20, 50);
+
+    // Developer info
+    doc.setFontSize(14);
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(34, 197, 94);
+    doc.text(DEVELOPER, 20, 70);
+
+    // Date - the quote's own timestamp, so the same quote always renders the same
+    doc.setFontSize(10);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(107, 114, 128);
+    const date = new Date(quote.createdAt).toLocaleDateString(I18n.intlLocale(quote.locale), {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+        timeZone: 'UTC',
+        timeZoneName: 'short'
+    });
+    doc.text(t('pdf.generated', { date }), 20, 80);
+
+    // Add decorative line
+    doc.setDrawColor(59, 130, 246);
+    doc.setLineWidth(0.5);
+    doc.line(20, 85, 190, 85);
+}
+
+function addCustomerInfo(doc, customerInfo, t) {
+    doc.addPage();
+
+    // Section title
+    doc.setFontSize(16);
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(17, 24, 39);
+    doc.text(t('pdf.customerInformation'), 20, 30);
+
+    // Customer details
+    doc.setFontSize(11);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(55, 65, 81);
+
+    let yPosition = 50;
+    const lineHeight = 8;
+    const details = [
+        [t('pdf.name'), customerInfo.name],
+        [t('pdf.email'), customerInfo.email],
+        [t('pdf.phone'), customerInfo.phone],
+        [t('pdf.company'), customerInfo.company],
+        [t('pdf.location'), customerInfo.location],
+        [t('pdf.serviceArea'), customerInfo.serviceArea && t('pdf.miles', { miles: customerInfo.serviceArea })]
+    ];
+
+    for (const [label, value] of details) {
+        if (value) {
+            doc.text(`${label}: ${value}`, 20, yPosition);
+            yPosition += lineHeight;
+        }
+    }
+
+    if (customerInfo.message) {
+        yPosition += lineHeight;
+        doc.text(t('pdf.additionalRequirements'), 20, yPosition);
+        yPosition += lineHeight;
+        addWrappedText(doc, customerInfo.message, 20, yPosition, 170, lineHeight);
+    }
+}
+
+function addQuoteSummary(doc, model, t) {
+    const money = amount => Money.format(amount, model.currency, I18n.intlLocale(model.locale));
+    doc.addPage();
+
+    // Section title
+    doc.setFontSize(16);
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(17, 24, 39);
+    doc.text(t('pdf.quoteSummary'), 20, 30);
+
+    // Summary table
+    doc.setFontSize(11);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(55, 65, 81);
+
+    let yPosition = 50;
+    const lineHeight = 8;
+
+    // Base package
+    doc.text(t('pdf.basePackage'), 20, yPosition);
+    doc.text(model.package ? model.package.name : t('pdf.basicPackage'), 80, yPosition);
+    doc.text(money(model.package ? model.package.price : 0), 160, yPosition);
+    yPosition += lineHeight;
+
+    const addGroup = (title, subtotalLabel, items) => {
+        if (items.length === 0) {
+            return;
+        }
+        yPosition += lineHeight;
+        doc.setFont('helvetica', 'bold');
+        doc.text(title, 20, yPosition);
+        yPosition += lineHeight;
+        doc.setFont('helvetica', 'normal');
+
+        let groupTotal = 0;
+        for (const item of items) {
+            doc.text(`• ${item.name}`, 30, yPosition);
+            doc.text(money(item.price), 160, yPosition);
+            yPosition += lineHeight;
+            groupTotal += item.price;
+        }
+
+        doc.setFont('helvetica', 'bold');
+        doc.text(subtotalLabel, 20, yPosition);
+        doc.text(money(Money.round(groupTotal, model.currency)), 160, yPosition);
+        yPosition += lineHeight;
+    };
+
+    addGroup(t('pdf.additionalFeatures'), t('pdf.featuresSubtotal'), model.features);
+    addGroup(t('pdf.addonServices'), t('pdf.addonsSubtotal'), model.addons);
+
+    // Promo code discounts
+    if (model.discounts.length > 0) {
+        yPosition += lineHeight;
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(5, 150, 105);
+        for (const discount of model.discounts) {
+            doc.text(t('pdf.discount', { code: discount.code }), 20, yPosition);
+            doc.text(`-${money(discount.amount)}`, 160, yPosition);
+            yPosition += lineHeight;
+        }
+    }
+
+    const taxRows = Tax.totalRows(model.taxes, model.taxDisplay, t('tax.included'));
+    const addTaxes = (rows, sign) => {
+        doc.setFontSize(11);
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(55, 65, 81);
+        for (const row of rows) {
+            doc.text(`${row.label}:`, 20, yPosition);
+            doc.text(`${sign}${money(row.amount)}`, 160, yPosition);
+            yPosition += lineHeight;
+        }
+    };
+
+    // Taxes added on top are listed before the total
+    if (taxRows.above.length > 0) {
+        yPosition += lineHeight;
+        addTaxes(taxRows.above, '+');
+    }
+
+    // Total
+    yPosition += lineHeight;
+    doc.setFontSize(14);
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(59, 130, 246);
+    doc.text(t('pdf.total'), 20, yPosition);
+    doc.text(money(model.totalPrice), 160, yPosition);
+
+    // Add decorative line
+    doc.setDrawColor(59, 130, 246);
+    doc.setLineWidth(0.5);
+    doc.line(20, yPosition + 5, 190, yPosition + 5);
+
+    // Taxes included in the total are listed under it
+    if (taxRows.below.length > 0) {
+        yPosition += lineHeight * 2;
+        addTaxes(taxRows.below, '');
+    }
+
+    // Long selections continue on a new page instead of running into the footer
+    const ensureRoom = (height) => {
+        if (yPosition + height > 270) {
+            doc.addPage();
+            yPosition = 30;
+        }
+    };
+
+    // Schedule
+    const { schedule } = model;
+    const intlLocale = I18n.intlLocale(model.locale);
+    yPosition += lineHeight * 2;
+    ensureRoom(lineHeight * 3);
+    doc.setFontSize(11);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(55, 65, 81);
+    doc.text(t('timeline.duration', { range: I18n.formatTimeline(Timeline.formatRange(schedule.days), model.locale) }), 20, yPosition);
+    yPosition += lineHeight;
+    doc.text(t('timeline.start', { date: Timeline.formatDate(schedule.startDate, intlLocale) }), 20, yPosition);
+    yPosition += lineHeight;
+    doc.text(t('timeline.delivery', {
+        range: Timeline.formatDateRange(schedule.delivery.earliest, schedule.delivery.latest, intlLocale)
+    }), 20, yPosition);
+
+    // Payment milestones - quotes priced before schedules existed have none
+    if (model.paymentSchedule) {
+        yPosition += lineHeight * 2;
+        ensureRoom(lineHeight * (model.paymentSchedule.length + 1));
+        doc.setFont('helvetica', 'bold');
+        doc.text(t('payments.title'), 20, yPosition);
+        yPosition += lineHeight;
+        doc.setFont('helvetica', 'normal');
+        for (const milestone of model.paymentSchedule) {
+            doc.text(`• ${t('payments.milestone', milestone)}`, 30, yPosition);
+            doc.text(money(milestone.amount), 160, yPosition);
+            yPosition += lineHeight;
+        }
+    }
+}
+
+function addSelectedItems(doc, model, t) {
+    doc.addPage();
+
+    // Section title
+    doc.setFontSize(16);
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(17, 24, 39);
+    doc.text(t('pdf.selectedItems'), 20, 30);
+
+    let yPosition = 50;
+    const lineHeight = 8;
+
+    // Long selections continue on a new page instead of running into the footer
+    const ensureRoom = (height) => {
+        if (yPosition + height > 270) {
+            doc.addPage();
+            yPosition = 30;
+        }
+    };
+
+    // Base package details
+    if (model.package) {
+        doc.setFontSize(12);
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(34, 197, 94);
+        doc.text(t('pdf.basePackage'), 20, yPosition);
+        yPosition += lineHeight;
+
+        doc.setFontSize(10);
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(55, 65, 81);
+        doc.text(model.package.name, 30, yPosition);
+        yPosition += lineHeight;
+        yPosition = addWrappedText(doc, model.package.description, 30, yPosition, 150, lineHeight);
+    }
+
+    const addGroup = (title, color, items) => {
+        if (items.length === 0) {
+            return;
+        }
+        yPosition += lineHeight;
+        ensureRoom(lineHeight * 4);
+        doc.setFontSize(12);
+        doc.setFont('helvetica', 'bold');
+        doc.setTextColor(...color);
+        doc.text(title, 20, yPosition);
+        yPosition += lineHeight;
+
+        for (const item of items) {
+            ensureRoom(lineHeight * 3);
+            doc.setFontSize(10);
+            doc.setFont('helvetica', 'bold');
+            doc.setTextColor(55, 65, 81);
+            doc.text(`• ${item.name} - ${Money.format(item.price, model.currency, I18n.intlLocale(model.locale))}`, 30, yPosition);
+            yPosition += lineHeight;
+
+            doc.setFont('helvetica', 'normal');
+            yPosition = addWrappedText(doc, item.description, 40, yPosition, 150, lineHeight);
+            yPosition += lineHeight;
+        }
+    };
+
+    addGroup(t('pdf.additionalFeatures'), [59, 130, 246], model.features);
+    addGroup(t('pdf.addonServices'), [245, 158, 11], model.addons);
+}
+
+function addTermsAndConditions(doc, locale) {
+    doc.addPage();
+
+    // Section title
+    doc.setFontSize(16);
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(17, 24, 39);
+    doc.text(I18n.translator(locale)('pdf.termsTitle'), 20, 30);
+
+    // Terms content
+    doc.setFontSize(10);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(55, 65, 81);
+
+    const terms = I18n.list(locale, 'pdf.terms');
+
+    let yPosition = 50;
+    const lineHeight = 6;
+
+    for (const term of terms) {
+        doc.text(term, 20, yPosition);
+        yPosition += lineHeight;
+    }
+}
+
+function addFooter(doc, t) {
+    const pageCount = doc.internal.getNumberOfPages();
+
+    for (let i = 1; i <= pageCount; i++) {
+        doc.setPage(i);
+
+        // Footer line
+        doc.setDrawColor(200, 200, 200);
+        doc.setLineWidth(0.1);
+        doc.line(20, 280, 190, 280);
+
+        // Footer text
+        doc.setFontSize(8);
+        doc.setFont('helvetica', 'normal');
+        doc.setTextColor(107, 114, 128);
+        doc.text(`${DEVELOPER} | ${t('pdf.footer')}`, 20, 285);
+        doc.text(t('pdf.page', { page: i, count: pageCount }), 170, 285);
+    }
+}
+
+/**
+ * Render a stored quote as a PDF in the quote's language. The same quote and
+ * catalog always produce the same bytes.
+ * @returns {Buffer}
+ */
+function renderQuotePdf(quote, catalog) {
+    // Line prices as the quote page shows them, with tax in them when it's included
+    const content = buildContentModel(quote, catalog);
+    const shown = displayPricing(content);
+    const model = {
+        ...content,
+        package: content.package && { ...content.package, price: shown.packagePrice },
+        features: shown.features,
+        addons: shown.addons,
+        discounts: shown.discounts
+    };
+    const t = I18n.translator(model.locale);
+    const doc = new PdfDocument();
+
+    doc.setProperties({
+        title: t('pdf.title'),
+        subject: t('pdf.subject', { id: quote.id }),
+        author: DEVELOPER,
+        creator: 'HVAC Quote System'
+    });
+
+    addHeader(doc, quote, t);
+    addCustomerInfo(doc, quote.customerInfo || {}, t);
+    addQuoteSummary(doc, model, t);
+    addSelectedItems(doc, model, t);
+    addTermsAndConditions(doc, model.locale);
+    addFooter(doc, t);
+
+    return doc.output();
+}
+
+/**
+ * Download filename, e.g. HVAC_Website_Quote_Q-20250903-4F1A9C2E7B0D5A13.pdf
+ */
+function pdfFilename(quote) {
+    return `${I18n.translator(quote.locale)('pdf.filename')}_${quote.id}.pdf`;
+}
+
+module.exports = { renderQuotePdf, pdfFilename };
@@ -0,0 +1,121 @@
+// ===== QUOTE SEARCH =====
+// Filters for the admin quote list, parsed from the query string.
+
+const { HttpError } = require('./http-error');
+const { STATUSES } = require('./quote-lifecycle');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const SEARCH_MAX_LENGTH = 100;
+
+function parseDate(value, name) {
+    if (!DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value))) {
+        throw new HttpError(400, `${name} must be a date in YYYY-MM-DD format`);
+    }
+    return value;
+}
+
+function parseAmount(value, name) {
+    const amount = Number(value);
+    if (value === '' || !Number.isFinite(amount) || amount < 0) {
+        throw new HttpError(400, `${name} must be a non-negative number`);
+    }
+    return amount;
+}
+
+/**
+ * Validate list filters from req.query. Unset filters are left out.
+ * @returns {Object} { status, from, to, package, serviceArea, minTotal, maxTotal, q }
+ */
+function parseQuoteFilters(query = {}) {
+    const filters = {};
+    const text = (name) => (typeof query[name] === 'string' && query[name].trim() !== '' ? query[name].trim() : undefined);
+
+    const status = text('status');
+    if (status !== undefined) {
+        if (!STATUSES.includes(status)) {
+            throw new HttpError(400, `status must be one of: ${STATUSES.join(', ')}`);
+        }
+        filters.status = status;
+    }
+
+    if (text('from') !== undefined) {
+        filters.from = parseDate(text('from'), 'from');
+    }
+    if (text('to') !== undefined) {
+        filters.to = parseDate(text('to'), 'to');
+    }
+    if (filters.from && filters.to && filters.from > filters.to) {
+        throw new HttpError(400, 'from must not be after to');
+    }
+
+    if (text('minTotal') !== undefined) {
+        filters.minTotal = parseAmount(text('minTotal'), 'minTotal');
+    }
+    if (text('maxTotal') !== undefined) {
+        filters.maxTotal = parseAmount(text('maxTotal'), 'maxTotal');
+    }
+
+    ['package', 'serviceArea'].forEach((name) => {
+        if (text(name) !== undefined) {
+            filters[name] = text(name);
+        }
+    });
+
+    const search = text('q');
+    if (search !== undefined) {
+        if (search.length > SEARCH_MAX_LENGTH) {
+            throw new HttpError(400, `q must be at most ${SEARCH_MAX_LENGTH} characters`);
+        }
+        filters.q = search.toLowerCase();
+    }
+
+    return filters;
+}
+
+/**
+ * A quote's total in the base currency (USD), so minTotal/maxTotal compare
+ * like with like whatever currency the customer was quoted in
+ */
+function baseTotal(quote) {
+    const rate = (quote.pricing && quote.pricing.exchangeRate) || 1;
+    return quote.totalPrice / rate;
+}
+
+/**
+ * Apply parsed filters to a list of quotes. Dates compare against createdAt
+ * (UTC, inclusive) and totals in the base currency; `q` matches the
+ * customer's name, email or company.
+ */
+function filterQuotes(quotes, filters) {
+    return quotes.filter((quote) => {
+        const info = quote.customerInfo || {};
+        const day = quote.createdAt.slice(0, 10);
+
+        if (filters.status && quote.status !== filters.status) {
+            return false;
+        }
+        if ((filters.from && day < filters.from) || (filters.to && day > filters.to)) {
+            return false;
+        }
+        if (filters.package && quote.selectedPackage !== filters.package) {
+            return false;
+        }
+        // Either the radius the customer entered or the priced service zone
+        if (filters.serviceArea && info.serviceArea !== filters.serviceArea && quote.selectedServiceArea !== filters.serviceArea) {
+            return false;
+        }
+        if (filters.minTotal !== undefined && baseTotal(quote) < filters.minTotal) {
+            return false;
+        }
+        if (filters.maxTotal !== undefined && baseTotal(quote) > filters.maxTotal) {
+            return false;
+        }
+        if (filters.q) {
+            return [info.name, info.email, info.company]
+                .some(field => typeof field === 'string' && field.toLowerCase().includes(filters.q));
+        }
+        return true;
+    });
+}
+
+module.exports = { parseQuoteFilters, filterQuotes };
@@ -0,0 +1,215 @@
+// ===== QUOTE SUBMISSION STORE =====
+
+const crypto = require('crypto');
+const path = require('path');
+const EventEmitter = require('events');
+const JsonStore = require('./json-store');
+const { HttpError } = require('./http-error');
+const { withLifecycle, initializeLifecycle, applyTransition } = require('./quote-lifecycle');
+const { REVISABLE_STATUSES, SELECTION_FIELDS, snapshot, listVersions } = require('./quote-versions');
+
+/**
+ * Generate a quote ID such as Q-20250903-4F1A9C2E7B0D5A13. The random part
+ * is long enough that IDs can't be guessed from the date.
+ */
+function generateQuoteId(date = new Date()) {
+    const day = date.toISOString().slice(0, 10).replace(/-/g, '');
+    const suffix = crypto.randomBytes(8).toString('hex').toUpperCase();
+    return `Q-${day}-${suffix}`;
+}
+
+/**
+ * Normalize a customer info object down to the fields we keep
+ */
+function normalizeCustomerInfo(customerInfo = {}) {
+    const fields = ['name', 'email', 'phone', 'company', 'location', 'country', 'serviceArea', 'message'];
+    return fields.reduce((info, field) => {
+        const value = customerInfo[field];
+        info[field] = typeof value === 'string' ? value.trim() : '';
+        return info;
+    }, {});
+}
+
+/**
+ * Persists submitted quotes in <dataDir>/quotes.json.
+ *
+ * Emits 'created' (quote) after a submission is stored, 'transition'
+ * ({ quote, from, to, actor }) after a status change and 'revised'
+ * ({ quote, version, actor }) after a revision, so integrations such as
+ * webhooks can follow every quote without each route calling them.
+ */
+class QuoteStore extends EventEmitter {
+    constructor(dataDir) {
+        super();
+        this.store = new JsonStore(path.join(dataDir, 'quotes.json'), { quotes: {} });
+    }
+
+    /**
+     * Store a validated submission together with its server-side pricing
+     */
+    async create(submission, pricing) {
+        const now = new Date();
+        const { selection, ...priceBreakdown } = pricing;
+        const quote = {
+            id: generateQuoteId(now),
+            createdAt: now.toISOString(),
+            updatedAt: now.toISOString(),
+            ...selection,
+            totalPrice: pricing.total,
+            pricing: priceBreakdown,
+            customerInfo: normalizeCustomerInfo(submission.customerInfo)
+        };
+        initializeLifecycle(quote);
+        quote.version = 1;
+        quote.versions = [snapshot(quote, { version: 1, createdAt: quote.createdAt, createdBy: 'customer' })];
+
+        const created = await this.store.update((data) => {
+            while (data.quotes[quote.id]) {
+                quote.id = generateQuoteId(now);
+            }
+            data.quotes[quote.id] = quote;
+            return quote;
+        });
+        this.emit('created', created);
+        return created;
+    }
+
+    async get(id) {
+        const data = await this.store.read();
+        return data.quotes[id] ? withLifecycle(data.quotes[id]) : null;
+    }
+
+    async list() {
+        const data = await this.store.read();
+        return Object.values(data.quotes)
+            .map(withLifecycle)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Move a quote to another lifecycle status (see quote-lifecycle.js)
+     * @param {Object} [meta] - { actor, note } recorded in the audit trail
+     */
+    async transition(id, to, meta = {}) {
+        let from;
+        const quote = await this.store.update((data) => {
+            if (!data.quotes[id]) {
+                throw new HttpError(404, 'Quote not found');
+            }
+            const current = withLifecycle(data.quotes[id]);
+            from = current.status;
+            data.quotes[id] = applyTransition(current, to, meta);
+            return data.quotes[id];
+        });
+        this.emit('transition', { quote, from, to: quote.status, actor: meta.actor });
+        return quote;
+    }
+
+    /**
+     * Store a new version of a quote with a changed selection (see
+     * quote-versions.js). Earlier versions are kept as they were.
+     * @param {Object} pricing - priceQuote() result for the new selection
+     * @param {Object} [meta] - { actor, note } recorded with the version
+     */
+    async revise(id, pricing, { actor, note } = {}) {
+        const quote = await this.store.update((data) => {
+            if (!data.quotes[id]) {
+                throw new HttpError(404, 'Quote not found');
+            }
+            const current = withLifecycle(data.quotes[id]);
+            if (!REVISABLE_STATUSES.includes(current.status)) {
+                throw new HttpError(409, `Only ${REVISABLE_STATUSES.join(', ')} quotes can be revised; this one is ${current.status}`, { status: current.status });
+            }
+
+            const at = new Date().toISOString();
+            const { selection, ...priceBreakdown } = pricing;
+            const versions = listVersions(current);
+            const revised = {
+                ...current,
+                ...Object.fromEntries(SELECTION_FIELDS.map(field => [field, selection[field]])),
+                totalPrice: pricing.total,
+                pricing: priceBreakdown,
+                version: versions.length + 1,
+                revisedAt: at,
+                updatedAt: at
+            };
+            revised.versions = [...versions, snapshot(revised, { version: revised.version, createdAt: at, createdBy: actor, note })];
+            revised.auditTrail = [...current.auditTrail, { at, action: 'revision', actor, version: revised.version, ...(note ? { note } : {}) }];
+            data.quotes[id] = revised;
+            return revised;
+        });
+        this.emit('revised', { quote, version: quote.version, actor });
+        return quote;
+    }
+
+    /**
+     * Add an internal staff note; notes never appear on customer-facing documents
+     */
+    addNote(id, { text, author }) {
+        return this.store.update((data) => {
+            if (!data.quotes[id]) {
+                throw new HttpError(404, 'Quote not found');
+            }
+            const quote = withLifecycle(data.quotes[id]);
+            const at = new Date().toISOString();
+            const note = { id: crypto.randomBytes(6).toString('hex'), at, author, text };
+
+            quote.notes = [...(quote.notes || []), note];
+            quote.auditTrail = [...quote.auditTrail, { at, action: 'note', actor: author, noteId: note.id }];
+            quote.updatedAt = at;
+            data.quotes[id] = quote;
+            return note;
+        });
+    }
+
+    /**
+     * Record a checkout started for one of the quote's payment milestones
+     * @param {Object} payment - { provider, sessionId, milestone, amount, currency }
+     */
+    addPayment(id, payment, { actor = 'customer' } = {}) {
+        return this.store.update((data) => {
+            if (!data.quotes[id]) {
+                throw new HttpError(404, 'Quote not found');
+            }
+            const quote = withLifecycle(data.quotes[id]);
+            const at = new Date().toISOString();
+            const record = { id: crypto.randomBytes(6).toString('hex'), ...payment, status: 'pending', createdAt: at };
+
+            quote.payments = [...(quote.payments || []), record];
+            quote.auditTrail = [...quote.auditTrail, { at, action: 'payment', actor, paymentId: record.id, status: 'pending' }];
+            quote.updatedAt = at;
+            data.quotes[id] = quote;
+            return record;
+        });
+    }
+
+    /**
+     * Update a payment (paid, expired, refunded, ...), recording the new status
+     * in the audit trail
+     * @param {Object} changes - { status, ...details }
+     */
+    updatePayment(id, paymentId, changes, { actor = 'payment' } = {}) {
+        return this.store.update((data) => {
+            const quote = data.quotes[id] ? withLifecycle(data.quotes[id]) : null;
+            const index = quote ? (quote.payments || []).findIndex(payment => payment.id === paymentId) : -1;
+            if (index === -1) {
+                throw new HttpError(404, 'Payment not found');
+            }
+            const at = new Date().toISOString();
+            const payment = { ...quote.payments[index], ...changes };
+
+            quote.payments = quote.payments.map((entry, i) => (i === index ? payment : entry));
+            quote.auditTrail = [...quote.auditTrail, { at, action: 'payment', actor, paymentId, status: payment.status }];
+            quote.updatedAt = at;
+            data.quotes[id] = quote;
+            return payment;
+        });
+    }
+
+    async check() {
+        const data = await this.store.check();
+        return { quotes: Object.keys(data.quotes).length };
+    }
+}
+
+module.exports = QuoteStore;
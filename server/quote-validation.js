@@ -0,0 +1,214 @@
+// ===== QUOTE SUBMISSION VALIDATION =====
+// The customer detail rules are shared with the browser
+// (assets/js/shared/Validation.js); the selection and lookup codes are only
+// checked here.
+
+const I18n = require('../assets/js/shared/I18n');
+const Validation = require('../assets/js/shared/Validation');
+
+const {
+    validateEmail,
+    validatePhone,
+    validateName,
+    validateCompany,
+    validateLocation,
+    validateMessage,
+    validateServiceArea
+} = Validation;
+
+const rules = {
+    ...Validation.rules,
+    id: {
+        pattern: /^[a-zA-Z0-9\-_]{1,50}$/,
+        message: 'ID must contain only letters, numbers, hyphens, and underscores (1-50 characters)'
+    },
+    discountCode: {
+        pattern: /^[a-zA-Z0-9\-_]{3,30}$/,
+        message: 'Please enter a valid promo code'
+    },
+    currency: {
+        pattern: /^[A-Z]{3}$/,
+        message: 'Currency must be a three-letter code such as USD'
+    },
+    country: {
+        pattern: /^[a-z]{2}$/,
+        message: 'Country must be a two-letter code such as us'
+    },
+    region: {
+        pattern: /^[A-Z0-9]{1,3}$/,
+        message: 'Region must be a state or province code such as TX'
+    },
+    locale: {
+        validValues: I18n.LOCALES,
+        message: `Language must be one of: ${I18n.LOCALES.join(', ')}`
+    }
+};
+
+const valid = () => ({ isValid: true, error: null });
+const invalid = (error) => ({ isValid: false, error });
+
+function validateDiscountCode(code) {
+    if (typeof code !== 'string' || !rules.discountCode.pattern.test(code.trim())) {
+        return invalid(rules.discountCode.message);
+    }
+    return valid();
+}
+
+function validateId(id) {
+    if (!id || typeof id !== 'string') {
+        return invalid('ID is required');
+    }
+    if (!rules.id.pattern.test(id)) {
+        return invalid(rules.id.message);
+    }
+    return valid();
+}
+
+/**
+ * Validate the customer details collected in the quote modal.
+ * Mirrors ValidationUtils.validateQuoteForm.
+ */
+function validateQuoteForm(formData = {}) {
+    const errors = [];
+    const fieldErrors = {};
+
+    const check = (field, result) => {
+        if (!result.isValid) {
+            errors.push(result.error);
+            fieldErrors[field] = result.error;
+        }
+    };
+
+    check('name', validateName(formData.name));
+    check('email', validateEmail(formData.email));
+    if (formData.phone) {
+        check('phone', validatePhone(formData.phone));
+    }
+    if (formData.company) {
+        check('company', validateCompany(formData.company));
+    }
+    check('location', validateLocation(formData.location));
+    check('serviceArea', validateServiceArea(formData.serviceArea));
+    if (formData.message) {
+        check('message', validateMessage(formData.message));
+    }
+    if (formData.country !== undefined && (typeof formData.country !== 'string' || !rules.country.pattern.test(formData.country))) {
+        check('country', invalid(rules.country.message));
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors,
+        fieldErrors
+    };
+}
+
+/**
+ * Validate the package/feature/addon selection part of a submission
+ */
+function validateSelection(data = {}) {
+    const errors = [];
+    const fieldErrors = {};
+
+    const packageValidation = validateId(data.selectedPackage);
+    if (!packageValidation.isValid) {
+        errors.push(`Package: ${packageValidation.error}`);
+        fieldErrors.selectedPackage = packageValidation.error;
+    }
+
+    ['selectedAdditionalFeatures', 'selectedAddonServices'].forEach(field => {
+        const value = data[field] === undefined ? [] : data[field];
+        if (!Array.isArray(value)) {
+            errors.push(`${field} must be a list of IDs`);
+            fieldErrors[field] = 'Must be a list of IDs';
+            return;
+        }
+        const badId = value.find(id => !validateId(id).isValid);
+        if (badId !== undefined) {
+            errors.push(`${field} contains an invalid ID`);
+            fieldErrors[field] = rules.id.message;
+        }
+    });
+
+    ['selectedEmergency', 'selectedServiceArea'].forEach(field => {
+        if (data[field] && !validateId(data[field]).isValid) {
+            errors.push(`${field} is not a valid ID`);
+            fieldErrors[field] = rules.id.message;
+        }
+    });
+
+    if (data.discountCode) {
+        const codeValidation = validateDiscountCode(data.discountCode);
+        if (!codeValidation.isValid) {
+            errors.push(codeValidation.error);
+            fieldErrors.discountCode = codeValidation.error;
+        }
+    }
+
+    if (data.currency !== undefined && (typeof data.currency !== 'string' || !rules.currency.pattern.test(data.currency))) {
+        errors.push(rules.currency.message);
+        fieldErrors.currency = rules.currency.message;
+    }
+
+    ['country', 'region'].forEach(field => {
+        if (data[field] && (typeof data[field] !== 'string' || !rules[field].pattern.test(data[field]))) {
+            errors.push(rules[field].message);
+            fieldErrors[field] = rules[field].message;
+        }
+    });
+
+    if (data.locale !== undefined && !rules.locale.validValues.includes(data.locale)) {
+        errors.push(rules.locale.message);
+        fieldErrors.locale = rules.locale.message;
+    }
+
+    // Totals in currencies like MXN run past the USD range, so only the sign is checked here;
+    // the amount itself has to match the server's pricing
+    if (data.totalPrice !== undefined && (typeof data.totalPrice !== 'number' || !Number.isFinite(data.totalPrice) || data.totalPrice < 0)) {
+        errors.push('Price must be a positive amount');
+        fieldErrors.totalPrice = 'Price must be a positive amount';
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors,
+        fieldErrors
+    };
+}
+
+/**
+ * Validate a full quote submission payload
+ */
+function validateSubmission(data) {
+    if (!data || typeof data !== 'object') {
+        return { isValid: false, errors: ['Quote data is required'], fieldErrors: {} };
+    }
+
+    const selection = validateSelection(data);
+    const customer = validateQuoteForm(data.customerInfo || {});
+
+    return {
+        isValid: selection.isValid && customer.isValid,
+        errors: [...selection.errors, ...customer.errors],
+        fieldErrors: {
+            ...selection.fieldErrors,
+            ...(Object.keys(customer.fieldErrors).length > 0 ? { customerInfo: customer.fieldErrors } : {})
+        }
+    };
+}
+
+module.exports = {
+    rules,
+    validateEmail,
+    validatePhone,
+    validateName,
+    validateCompany,
+    validateLocation,
+    validateMessage,
+    validateServiceArea,
+    validateId,
+    validateDiscountCode,
+    validateQuoteForm,
+    validateSelection,
+    validateSubmission
+};
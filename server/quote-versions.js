@@ -0,0 +1,129 @@
+// ===== QUOTE VERSIONS =====
+// A revision re-prices a quote with a changed selection under the same quote
+// ID. Every version is kept as an immutable snapshot in `quote.versions`; the
+// quote's own selection, totalPrice and pricing always hold the latest one.
+
+const { normalizeSelection, roundCurrency } = require('./pricing');
+const { buildContentModel } = require('./quote-content');
+
+// Fields a version captures, besides its number and who made it
+const SELECTION_FIELDS = Object.keys(normalizeSelection());
+
+// Statuses a quote can still be revised in; once accepted the customer has
+// agreed to a version, so changes need a new quote
+const REVISABLE_STATUSES = ['draft', 'sent', 'viewed'];
+
+/**
+ * Immutable copy of a quote's current selection and pricing
+ * @param {Object} meta - { version, createdAt, createdBy, note }
+ */
+function snapshot(quote, { version, createdAt, createdBy, note }) {
+    const fields = Object.fromEntries(SELECTION_FIELDS.map(field => [field, quote[field]]));
+    const entry = { version, createdAt, createdBy, ...fields, totalPrice: quote.totalPrice, pricing: quote.pricing };
+    if (note) {
+        entry.note = note;
+    }
+    return entry;
+}
+
+/**
+ * A quote's versions, oldest first. Quotes stored before revisions existed
+ * have one, made from the quote itself.
+ */
+function listVersions(quote) {
+    if (quote.versions) {
+        return quote.versions;
+    }
+    return [snapshot(quote, { version: 1, createdAt: quote.createdAt, createdBy: 'customer' })];
+}
+
+function findVersion(quote, number) {
+    return listVersions(quote).find(entry => entry.version === number) || null;
+}
+
+/**
+ * Version summaries for listings, without the full pricing
+ */
+function summarizeVersions(quote) {
+    return listVersions(quote).map(entry => ({
+        version: entry.version,
+        createdAt: entry.createdAt,
+        createdBy: entry.createdBy,
+        note: entry.note,
+        totalPrice: entry.totalPrice,
+        currency: entry.pricing.currency || 'USD'
+    }));
+}
+
+/**
+ * Schedule of one version, counted from the day it was made
+ */
+function versionSchedule(quote, entry, catalog) {
+    return buildContentModel({ ...quote, ...entry, revisedAt: undefined }, catalog).schedule;
+}
+
+/**
+ * What changed between two versions of a quote.
+ *
+ * Line items are matched by type and ID: `added` and `removed` list whole
+ * items, `changed` items whose price moved. `price` compares the totals and
+ * `timeline` the working days of each version's schedule; deltas are
+ * `to - from`, so a negative number means cheaper or quicker.
+ *
+ * @returns {{ quoteId, from, to, currency, added, removed, changed, discounts, price, timeline }}
+ */
+function diffVersions(quote, from, to, catalog) {
+    const key = line => `${line.type}:${line.id}`;
+    const fromLines = new Map(from.pricing.lineItems.map(line => [key(line), line]));
+    const toLines = new Map(to.pricing.lineItems.map(line => [key(line), line]));
+    const describe = line => ({ type: line.type, id: line.id, name: line.name, amount: line.amount });
+
+    const changed = to.pricing.lineItems
+        .filter(line => fromLines.has(key(line)) && fromLines.get(key(line)).amount !== line.amount)
+        .map(line => ({ ...describe(line), previousAmount: fromLines.get(key(line)).amount }));
+
+    const codes = entry => (entry.pricing.discounts || []).map(discount => discount.code);
+    const currency = to.pricing.currency || 'USD';
+    const totals = ['subtotal', 'discountTotal', 'taxTotal', 'total'];
+    const price = Object.fromEntries(totals.map(field => [field, {
+        from: from.pricing[field] || 0,
+        to: to.pricing[field] || 0,
+        delta: roundCurrency((to.pricing[field] || 0) - (from.pricing[field] || 0), currency)
+    }]));
+
+    const fromSchedule = versionSchedule(quote, from, catalog);
+    const toSchedule = versionSchedule(quote, to, catalog);
+
+    return {
+        quoteId: quote.id,
+        from: from.version,
+        to: to.version,
+        currency,
+        added: to.pricing.lineItems.filter(line => !fromLines.has(key(line))).map(describe),
+        removed: from.pricing.lineItems.filter(line => !toLines.has(key(line))).map(describe),
+        changed,
+        discounts: {
+            added: codes(to).filter(code => !codes(from).includes(code)),
+            removed: codes(from).filter(code => !codes(to).includes(code))
+        },
+        price,
+        timeline: {
+            from: { days: fromSchedule.days, delivery: fromSchedule.delivery },
+            to: { days: toSchedule.days, delivery: toSchedule.delivery },
+            delta: {
+                min: toSchedule.days.min - fromSchedule.days.min,
+                max: toSchedule.days.max - fromSchedule.days.max
+            }
+        }
+    };
+}
+
+module.exports = {
+    SELECTION_FIELDS,
+    REVISABLE_STATUSES,
+    snapshot,
+    listVersions,
+    findVersion,
+    summarizeVersions,
+    diffVersions
+};
@@ -0,0 +1,46 @@
+// ===== ADMIN CATALOG ROUTES =====
+
+const express = require('express');
+const { HttpError, asyncHandler } = require('../http-error');
+const { collections } = require('../catalog-schema');
+const { requireRole } = require('../admin-auth');
+
+/**
+ * Routes mounted at /api/admin/catalog. Any staff role can read; edits are admin only.
+ */
+function createAdminCatalogRouter({ catalogStore }) {
+    const router = express.Router();
+
+    // Full catalog document, including its version
+    router.get('/', requireRole('viewer'), asyncHandler(async (req, res) => {
+        res.json(await catalogStore.get());
+    }));
+
+    router.get('/collections', requireRole('viewer'), (req, res) => {
+        res.json(Object.keys(collections));
+    });
+
+    router.get('/:collection', requireRole('viewer'), asyncHandler(async (req, res) => {
+        res.json(await catalogStore.list(req.params.collection));
+    }));
+
+    router.post('/:collection', requireRole('admin'), asyncHandler(async (req, res) => {
+        const result = await catalogStore.create(req.params.collection, req.body);
+        res.status(201).json(result);
+    }));
+
+    router.put('/:collection/:id', requireRole('admin'), asyncHandler(async (req, res) => {
+        if (req.body && req.body.id !== undefined && req.body.id !== req.params.id) {
+            throw new HttpError(400, 'Item id in the body does not match the URL');
+        }
+        res.json(await catalogStore.replace(req.params.collection, req.params.id, req.body));
+    }));
+
+    router.delete('/:collection/:id', requireRole('admin'), asyncHandler(async (req, res) => {
+        res.json(await catalogStore.remove(req.params.collection, req.params.id));
+    }));
+
+    return router;
+}
+
+module.exports = createAdminCatalogRouter;
@@ -0,0 +1,254 @@
+// ===== ADMIN QUOTE ROUTES =====
+
+const express = require('express');
+const { HttpError, asyncHandler } = require('../http-error');
+const { validateId, validateSelection } = require('../quote-validation');
+const { actions, nextActions } = require('../quote-lifecycle');
+const { parseQuoteFilters, filterQuotes } = require('../quote-search');
+const { requireRole } = require('../admin-auth');
+const { EXPORT_FIELDS, EXPORT_FORMATS, exportQuotes } = require('../quote-export');
+const { loadExportMappings } = require('../export-mappings');
+const { priceWithDiscount } = require('../discounts');
+const { renderQuotePdf, pdfFilename } = require('../quote-pdf');
+const { SELECTION_FIELDS, REVISABLE_STATUSES, listVersions, findVersion, summarizeVersions, diffVersions } = require('../quote-versions');
+
+const NOTE_MAX_LENGTH = 500;
+
+/**
+ * Routes mounted at /api/admin/quotes. Viewers can read; changing a quote,
+ * its notes or its share links needs the sales role, refunds the admin role.
+ */
+function createAdminQuotesRouter({ quoteStore, shareLinkStore, catalogStore, discountUsageStore, paymentProvider, exportMappingsFile }) {
+    const router = express.Router();
+
+    router.param('id', (req, res, next, id) => {
+        next(validateId(id).isValid ? undefined : new HttpError(400, 'Invalid quote ID'));
+    });
+
+    // ?status=&from=&to=&package=&serviceArea=&minTotal=&maxTotal=&q= (see quote-search.js)
+    router.get('/', requireRole('viewer'), asyncHandler(async (req, res) => {
+        const filters = parseQuoteFilters(req.query);
+        res.json(filterQuotes(await quoteStore.list(), filters));
+    }));
+
+    // ?format=csv|json|xlsx&mapping=<name> plus the list filters. Exports
+    // contact details in bulk, so it needs the sales role.
+    router.get('/export', requireRole('sales'), asyncHandler(async (req, res) => {
+        const format = typeof req.query.format === 'string' && req.query.format !== '' ? req.query.format : 'csv';
+        if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) {
+            throw new HttpError(400, `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+        }
+
+        const mappings = await loadExportMappings(exportMappingsFile, Object.keys(EXPORT_FIELDS));
+        const mappingName = typeof req.query.mapping === 'string' && req.query.mapping !== '' ? req.query.mapping : 'default';
+        if (!Object.prototype.hasOwnProperty.call(mappings, mappingName)) {
+            throw new HttpError(400, `mapping must be one of: ${Object.keys(mappings).join(', ')}`);
+        }
+
+        const filters = parseQuoteFilters(req.query);
+        const quotes = filterQuotes(await quoteStore.list(), filters);
+        const date = new Date().toISOString().slice(0, 10);
+        const suffix = mappingName === 'default' ? '' : `-${mappingName}`;
+
+        res.set({
+            'Content-Type': EXPORT_FORMATS[format].contentType,
+            'Content-Disposition': `attachment; filename="quotes-${date}${suffix}.${EXPORT_FORMATS[format].extension}"`,
+            'Cache-Control': 'no-store',
+            'X-Total-Count': String(quotes.length)
+        });
+        await exportQuotes(res, quotes, { format, mapping: mappings[mappingName] });
+        res.end();
+    }));
+
+    // Export layouts that can be passed as ?mapping=
+    router.get('/export/mappings', requireRole('sales'), asyncHandler(async (req, res) => {
+        const mappings = await loadExportMappings(exportMappingsFile, Object.keys(EXPORT_FIELDS));
+        res.json(Object.entries(mappings).map(([name, mapping]) => ({
+            name,
+            label: mapping.label || name,
+            columns: mapping.columns.map(column => column.header)
+        })));
+    }));
+
+    const findQuote = async (id) => {
+        const quote = await quoteStore.get(id);
+        if (!quote) {
+            throw new HttpError(404, 'Quote not found');
+        }
+        return quote;
+    };
+
+    // Includes the lifecycle actions that can be taken next and whether it can be revised
+    const withActions = quote => ({
+        ...quote,
+        nextActions: nextActions(quote.status),
+        revisable: REVISABLE_STATUSES.includes(quote.status)
+    });
+
+    router.get('/:id', requireRole('viewer'), asyncHandler(async (req, res) => {
+        res.json(withActions(await findQuote(req.params.id)));
+    }));
+
+    // The customer's PDF; customers download it through their share link (/q/:token/pdf)
+    router.get('/:id/pdf', requireRole('viewer'), asyncHandler(async (req, res) => {
+        const quote = await findQuote(req.params.id);
+        const pdf = renderQuotePdf(quote, await catalogStore.get());
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="${pdfFilename(quote)}"`,
+            'Cache-Control': 'no-store'
+        });
+        res.send(pdf);
+    }));
+
+    router.get('/:id/versions', requireRole('viewer'), asyncHandler(async (req, res) => {
+        res.json(summarizeVersions(await findQuote(req.params.id)));
+    }));
+
+    const parseVersion = (quote, value, fallback) => {
+        const number = value === undefined || value === '' ? fallback : Number(value);
+        const version = findVersion(quote, number);
+        if (!version) {
+            throw new HttpError(404, `Version ${value} not found`);
+        }
+        return version;
+    };
+
+    router.get('/:id/versions/:version', requireRole('viewer'), asyncHandler(async (req, res) => {
+        const quote = await findQuote(req.params.id);
+        res.json(parseVersion(quote, req.params.version));
+    }));
+
+    // ?from=&to= version numbers; by default the latest revision against the one before
+    router.get('/:id/diff', requireRole('viewer'), asyncHandler(async (req, res) => {
+        const quote = await findQuote(req.params.id);
+        const latest = listVersions(quote).length;
+        const to = parseVersion(quote, req.query.to, latest);
+        const from = parseVersion(quote, req.query.from, Math.max(1, to.version - 1));
+        res.json(diffVersions(quote, from, to, await catalogStore.get()));
+    }));
+
+    // New version with a changed selection, repriced on the server. Fields
+    // left out keep their current value, including the promo code; send
+    // `discountCode: ""` to drop it.
+    router.post('/:id/revisions', requireRole('sales'), asyncHandler(async (req, res) => {
+        const quote = await findQuote(req.params.id);
+        const body = req.body || {};
+        const note = body.note;
+        if (note !== undefined && (typeof note !== 'string' || note.length > NOTE_MAX_LENGTH)) {
+            throw new HttpError(400, `note must be a string of at most ${NOTE_MAX_LENGTH} characters`);
+        }
+
+        // Currency, location and language stay as quoted
+        const selection = Object.fromEntries(SELECTION_FIELDS.map(field => [field, quote[field]]));
+        ['selectedPackage', 'selectedAdditionalFeatures', 'selectedAddonServices', 'selectedEmergency', 'selectedServiceArea']
+            .filter(field => body[field] !== undefined)
+            .forEach((field) => {
+                selection[field] = body[field];
+            });
+        const validation = validateSelection(selection);
+        if (!validation.isValid) {
+            throw new HttpError(400, validation.errors[0], {
+                errors: validation.errors,
+                fieldErrors: validation.fieldErrors
+            });
+        }
+
+        // The quote's own redemption of its code doesn't count against the code's limit
+        const keptCode = ((quote.pricing.discounts || [])[0] || {}).code;
+        const code = body.discountCode !== undefined ? body.discountCode : keptCode;
+        const usageStore = {
+            getUses: async id => (await discountUsageStore.getUses(id)) - (id === keptCode ? 1 : 0)
+        };
+        const { pricing, rule } = await priceWithDiscount(selection, code, { catalog: await catalogStore.get(), usageStore });
+        if (rule && rule.id !== keptCode) {
+            await discountUsageStore.redeem(rule);
+        }
+
+        const revised = await quoteStore.revise(quote.id, pricing, {
+            actor: req.user.username,
+            note: note ? note.trim() : undefined
+        });
+        res.status(201).json(withActions(revised));
+    }));
+
+    router.get('/:id/shares', requireRole('viewer'), asyncHandler(async (req, res) => {
+        await findQuote(req.params.id);
+        res.json(await shareLinkStore.listForQuote(req.params.id));
+    }));
+
+    // Issue a new share link; the token is only ever returned here
+    router.post('/:id/shares', requireRole('sales'), asyncHandler(async (req, res) => {
+        await findQuote(req.params.id);
+        const ttlDays = req.body && req.body.ttlDays;
+        if (ttlDays !== undefined && (!Number.isInteger(ttlDays) || ttlDays < 0 || ttlDays > 365)) {
+            throw new HttpError(400, 'ttlDays must be a whole number of days between 0 and 365');
+        }
+
+        const { token, link } = await shareLinkStore.create(req.params.id, { ttlDays, createdBy: req.user.username });
+        res.status(201).json({ ...link, url: `/q/${token}` });
+    }));
+
+    router.delete('/:id/shares/:linkId', requireRole('sales'), asyncHandler(async (req, res) => {
+        res.json(await shareLinkStore.revoke(req.params.id, req.params.linkId));
+    }));
+
+    router.get('/:id/notes', requireRole('viewer'), asyncHandler(async (req, res) => {
+        const quote = await findQuote(req.params.id);
+        res.json(quote.notes || []);
+    }));
+
+    router.post('/:id/notes', requireRole('sales'), asyncHandler(async (req, res) => {
+        const text = req.body && typeof req.body.text === 'string' ? req.body.text.trim() : '';
+        if (!text || text.length > NOTE_MAX_LENGTH) {
+            throw new HttpError(400, `text is required and must be at most ${NOTE_MAX_LENGTH} characters`);
+        }
+
+        res.status(201).json(await quoteStore.addNote(req.params.id, { text, author: req.user.username }));
+    }));
+
+    // Refund a payment in full through the provider that took it. The quote
+    // keeps its status; decline or note it separately if the deal is off.
+    router.post('/:id/payments/:paymentId/refund', requireRole('admin'), asyncHandler(async (req, res) => {
+        const quote = await findQuote(req.params.id);
+        const payment = (quote.payments || []).find(entry => entry.id === req.params.paymentId);
+        if (!payment) {
+            throw new HttpError(404, 'Payment not found');
+        }
+        if (payment.status !== 'paid') {
+            throw new HttpError(409, `Only paid payments can be refunded; this one is ${payment.status}`);
+        }
+        if (!paymentProvider || paymentProvider.name !== payment.provider) {
+            throw new HttpError(409, `Payments from ${payment.provider} can't be refunded here`);
+        }
+
+        const refund = await paymentProvider.refund({
+            paymentId: payment.transactionId,
+            amount: payment.amount,
+            currency: payment.currency
+        });
+        res.json(await quoteStore.updatePayment(quote.id, payment.id, {
+            status: 'refunded',
+            refund: { id: refund.id, status: refund.status, at: new Date().toISOString(), by: req.user.username }
+        }, { actor: req.user.username }));
+    }));
+
+    // POST /:id/send, /:id/accept, ... - each guarded by the lifecycle rules
+    Object.entries(actions).forEach(([action, status]) => {
+        router.post(`/:id/${action}`, requireRole('sales'), asyncHandler(async (req, res) => {
+            const note = req.body && req.body.note;
+            if (note !== undefined && (typeof note !== 'string' || note.length > NOTE_MAX_LENGTH)) {
+                throw new HttpError(400, `note must be a string of at most ${NOTE_MAX_LENGTH} characters`);
+            }
+
+            res.json(await quoteStore.transition(req.params.id, status, {
+                actor: req.user.username,
+                note: note ? note.trim() : undefined
+            }));
+        }));
+    });
+
+    return router;
+}
+
+module.exports = createAdminQuotesRouter;
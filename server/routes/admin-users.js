@@ -0,0 +1,44 @@
+// ===== ADMIN USER ROUTES =====
+
+const express = require('express');
+const { HttpError, asyncHandler } = require('../http-error');
+const { requireRole } = require('../admin-auth');
+
+/**
+ * Routes mounted at /api/admin/users - admin role only
+ */
+function createAdminUsersRouter({ userStore, sessionStore }) {
+    const router = express.Router();
+
+    router.get('/', requireRole('admin'), asyncHandler(async (req, res) => {
+        res.json(await userStore.list());
+    }));
+
+    // { username, password, role, name }
+    router.post('/', requireRole('admin'), asyncHandler(async (req, res) => {
+        res.status(201).json(await userStore.create(req.body || {}));
+    }));
+
+    // { name, role, password } - any subset; a new password signs the user out everywhere
+    router.put('/:id', requireRole('admin'), asyncHandler(async (req, res) => {
+        const { name, role, password } = req.body || {};
+        const user = await userStore.update(req.params.id, { name, role, password });
+        if (password !== undefined) {
+            await sessionStore.revokeForUser(user.id);
+        }
+        res.json(user);
+    }));
+
+    router.delete('/:id', requireRole('admin'), asyncHandler(async (req, res) => {
+        if (req.params.id === req.user.id) {
+            throw new HttpError(409, 'You can\'t remove your own account');
+        }
+        const user = await userStore.remove(req.params.id);
+        await sessionStore.revokeForUser(user.id);
+        res.json(user);
+    }));
+
+    return router;
+}
+
+module.exports = createAdminUsersRouter;
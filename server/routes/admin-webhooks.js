@@ -0,0 +1,67 @@
+// ===== ADMIN WEBHOOK ROUTES =====
+
+const express = require('express');
+const { HttpError, asyncHandler } = require('../http-error');
+const { requireRole } = require('../admin-auth');
+const { WEBHOOK_EVENTS } = require('../webhooks');
+
+/**
+ * Routes mounted at /api/admin/webhooks - admin role only
+ */
+function createAdminWebhooksRouter({ webhookStore, webhookQueue, dispatcher }) {
+    const router = express.Router();
+
+    router.get('/', requireRole('admin'), asyncHandler(async (req, res) => {
+        res.json(await webhookStore.list());
+    }));
+
+    router.get('/events', requireRole('admin'), (req, res) => {
+        res.json(WEBHOOK_EVENTS);
+    });
+
+    // Queued and dead-lettered deliveries, optionally ?webhookId=
+    router.get('/deliveries', requireRole('admin'), asyncHandler(async (req, res) => {
+        const { webhookId } = req.query;
+        res.json(await webhookQueue.list(payload => !webhookId || payload.webhookId === webhookId));
+    }));
+
+    // Send a dead-lettered delivery again, with a fresh set of attempts
+    router.post('/deliveries/:jobId/replay', requireRole('admin'), asyncHandler(async (req, res) => {
+        const job = await webhookQueue.replay(req.params.jobId);
+        if (!job) {
+            throw new HttpError(404, 'Dead-lettered delivery not found');
+        }
+        res.json(job);
+    }));
+
+    // { url, events, description } - the response carries the signing secret, shown only here
+    router.post('/', requireRole('admin'), asyncHandler(async (req, res) => {
+        res.status(201).json(await webhookStore.create(req.body || {}));
+    }));
+
+    // { url, events, description, active } - any subset
+    router.put('/:id', requireRole('admin'), asyncHandler(async (req, res) => {
+        res.json(await webhookStore.update(req.params.id, req.body || {}));
+    }));
+
+    router.delete('/:id', requireRole('admin'), asyncHandler(async (req, res) => {
+        res.json(await webhookStore.remove(req.params.id));
+    }));
+
+    router.post('/:id/rotate-secret', requireRole('admin'), asyncHandler(async (req, res) => {
+        res.json(await webhookStore.rotateSecret(req.params.id));
+    }));
+
+    // Queue a `webhook.test` delivery
+    router.post('/:id/test', requireRole('admin'), asyncHandler(async (req, res) => {
+        const webhook = await webhookStore.get(req.params.id);
+        if (!webhook) {
+            throw new HttpError(404, 'Webhook not found');
+        }
+        res.status(202).json(await dispatcher.ping(webhook.id));
+    }));
+
+    return router;
+}
+
+module.exports = createAdminWebhooksRouter;
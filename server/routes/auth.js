@@ -0,0 +1,43 @@
+// ===== AUTH ROUTES =====
+
+const express = require('express');
+const { HttpError, asyncHandler } = require('../http-error');
+
+/**
+ * Routes mounted at /api/auth. `authenticate` is the middleware from
+ * admin-auth.js, used for the routes that need a signed-in user.
+ */
+function createAuthRouter({ userStore, sessionStore, authenticate }) {
+    const router = express.Router();
+
+    // { username, password } -> { token, expiresAt, user }
+    router.post('/login', asyncHandler(async (req, res) => {
+        const { username, password } = req.body || {};
+        if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+            throw new HttpError(400, 'username and password are required');
+        }
+
+        const user = await userStore.authenticate(username, password);
+        if (!user) {
+            throw new HttpError(401, 'Incorrect username or password');
+        }
+
+        const { token, session } = await sessionStore.create(user.id);
+        res.json({ token, expiresAt: session.expiresAt, user });
+    }));
+
+    router.post('/logout', authenticate, asyncHandler(async (req, res) => {
+        if (req.sessionToken) {
+            await sessionStore.revoke(req.sessionToken);
+        }
+        res.status(204).end();
+    }));
+
+    router.get('/me', authenticate, (req, res) => {
+        res.json(req.user);
+    });
+
+    return router;
+}
+
+module.exports = createAuthRouter;
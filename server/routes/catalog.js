@@ -0,0 +1,106 @@
+// ===== PUBLIC CATALOG ROUTES =====
+
+const crypto = require('crypto');
+const express = require('express');
+const { asyncHandler } = require('../http-error');
+const I18n = require('../../assets/js/shared/I18n');
+
+/**
+ * Public endpoint names and the catalog document keys they serve.
+ * The names match ApiService in assets/js/services/ApiService.js.
+ */
+const catalogEndpoints = {
+    'packages': 'packages',
+    'features': 'additionalFeatures',
+    'addons': 'addonServices',
+    'components': 'components',
+    'emergency-services': 'emergencyServices',
+    'service-areas': 'serviceAreas',
+    'hvac-features': 'hvacFeatures',
+    'appliance-features': 'applianceFeatures',
+    'contact-features': 'contactFeatures',
+    'currencies': 'currencies'
+};
+
+// Earlier names for the features and addons endpoints, kept working
+const legacyAliases = {
+    'additional-features': 'features',
+    'addon-services': 'addons'
+};
+
+const toCamelCase = (name) => name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+
+/**
+ * A collection with every item in one language. Components are grouped
+ * ({ pages: [...], ... }), everything else is a list.
+ */
+function localizeCollection(collection, locale) {
+    if (Array.isArray(collection)) {
+        return collection.map(item => I18n.localizeItem(item, locale));
+    }
+    const groups = {};
+    Object.entries(collection || {}).forEach(([group, items]) => {
+        groups[group] = localizeCollection(items, locale);
+    });
+    return groups;
+}
+
+// ?locale=es; anything unsupported gets English
+const requestLocale = (req) => (I18n.isSupported(req.query.locale) ? req.query.locale : I18n.DEFAULT_LOCALE);
+
+/**
+ * Build the public catalog response: everything customers may see, keyed the
+ * way the client stores it and in the requested language. Internal collections
+ * such as discounts are left out.
+ */
+function buildPublicCatalog(catalog, locale) {
+    const body = {
+        version: catalog.version,
+        updatedAt: catalog.updatedAt,
+        locale
+    };
+    Object.entries(catalogEndpoints).forEach(([name, key]) => {
+        body[toCamelCase(name)] = localizeCollection(catalog[key], locale);
+    });
+    return body;
+}
+
+/**
+ * Send a catalog payload with validators so clients can revalidate cheaply.
+ * Express answers 304 itself when If-None-Match / If-Modified-Since match.
+ */
+function sendCacheable(res, body, catalog) {
+    const hash = crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url');
+    res.set({
+        'ETag': `"${hash}"`,
+        'Last-Modified': new Date(catalog.updatedAt).toUTCString(),
+        'Cache-Control': 'no-cache'
+    });
+    res.json(body);
+}
+
+/**
+ * Routes mounted at /api/quote
+ */
+function createCatalogRouter({ catalogStore }) {
+    const router = express.Router();
+
+    // Whole catalog in one round-trip
+    router.get('/catalog', asyncHandler(async (req, res) => {
+        const catalog = await catalogStore.get();
+        sendCacheable(res, buildPublicCatalog(catalog, requestLocale(req)), catalog);
+    }));
+
+    const endpointNames = [...Object.keys(catalogEndpoints), ...Object.keys(legacyAliases)];
+    endpointNames.forEach((name) => {
+        const key = catalogEndpoints[legacyAliases[name] || name];
+        router.get(`/${name}`, asyncHandler(async (req, res) => {
+            const catalog = await catalogStore.get();
+            sendCacheable(res, localizeCollection(catalog[key], requestLocale(req)), catalog);
+        }));
+    });
+
+    return router;
+}
+
+module.exports = createCatalogRouter;
@@ -0,0 +1,87 @@
+// ===== SAVED DRAFT ROUTES =====
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { HttpError, asyncHandler } = require('../http-error');
+const { validateSelection, validateEmail } = require('../quote-validation');
+const { priceQuote } = require('../pricing');
+const { normalizeCode } = require('../discounts');
+
+function requestEmail(req) {
+    const email = req.body && req.body.email;
+    return typeof email === 'string' ? email.trim() : '';
+}
+
+/**
+ * Routes mounted at /api/quote/drafts. A customer saves their selection and
+ * gets a resume link (/?resume=<token>), optionally by email, that restores
+ * it in any browser.
+ * @param {string} [publicUrl] - origin of emailed links; without it the link is relative and not emailed
+ * @param {Object} [emailRateLimit] - express-rate-limit options, applied per email address
+ */
+function createDraftsRouter({ draftStore, catalogStore, notifier, publicUrl = '', emailRateLimit = null }) {
+    const router = express.Router();
+
+    // Only requests that email a link count, keyed by the address rather than the IP
+    const limitEmails = emailRateLimit
+        ? rateLimit({
+            ...emailRateLimit,
+            keyGenerator: req => requestEmail(req).toLowerCase(),
+            skip: req => !requestEmail(req)
+        })
+        : (req, res, next) => next();
+
+    // Selection fields plus { discountCode, email } -> { id, resumeUrl, expiresAt, emailed }
+    router.post('/', limitEmails, asyncHandler(async (req, res) => {
+        const body = req.body || {};
+        const validation = validateSelection(body);
+        if (!validation.isValid) {
+            throw new HttpError(400, validation.errors[0], {
+                errors: validation.errors,
+                fieldErrors: validation.fieldErrors
+            });
+        }
+        const email = requestEmail(req);
+        const emailValidation = email ? validateEmail(email) : { isValid: true };
+        if (!emailValidation.isValid) {
+            throw new HttpError(400, emailValidation.error, { fieldErrors: { email: emailValidation.error } });
+        }
+        if (email && !publicUrl) {
+            throw new HttpError(503, 'Emailing resume links is not set up on this server');
+        }
+
+        // Pricing rejects IDs the catalog doesn't have. The promo code is kept
+        // unchecked; the quote page checks it again when the draft is resumed.
+        const { selection } = priceQuote(body, await catalogStore.get());
+        const discountCode = normalizeCode(body.discountCode);
+        const { token, draft } = await draftStore.create(discountCode ? { ...selection, discountCode } : selection);
+
+        const resumeUrl = `${publicUrl}/?resume=${token}`;
+
+        // The draft is saved either way; a queueing problem shouldn't fail the request
+        let emailed = false;
+        if (email) {
+            try {
+                await notifier.draftSaved({ to: email, resumeUrl, expiresAt: draft.expiresAt, locale: selection.locale });
+                emailed = true;
+            } catch (error) {
+                console.error(`Could not queue the resume link for draft ${draft.id}:`, error.message);
+            }
+        }
+
+        res.status(201).json({ id: draft.id, resumeUrl, expiresAt: draft.expiresAt, emailed });
+    }));
+
+    router.get('/:token', asyncHandler(async (req, res) => {
+        const draft = await draftStore.open(req.params.token);
+        res.set('Cache-Control', 'no-store').json({
+            createdAt: draft.createdAt,
+            expiresAt: draft.expiresAt,
+            selection: draft.selection
+        });
+    }));
+
+    return router;
+}
+
+module.exports = createDraftsRouter;
@@ -0,0 +1,77 @@
+// ===== HEALTH ROUTES =====
+
+const express = require('express');
+const { asyncHandler } = require('../http-error');
+const { version } = require('../../package.json');
+
+const CHECK_TIMEOUT_MS = 2000;
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run every dependency check, never rejecting
+ */
+async function runChecks(checks) {
+    const entries = await Promise.all(Object.entries(checks).map(async ([name, check]) => {
+        const startedAt = Date.now();
+        try {
+            const details = await withTimeout(Promise.resolve().then(check), CHECK_TIMEOUT_MS);
+            return [name, { status: 'up', latencyMs: Date.now() - startedAt, ...details }];
+        } catch (error) {
+            // Error codes rather than messages, which can contain file paths
+            return [name, { status: 'down', latencyMs: Date.now() - startedAt, error: error.code || error.message }];
+        }
+    }));
+    return Object.fromEntries(entries);
+}
+
+function buildReport(status, dependencies) {
+    return {
+        status,
+        version,
+        uptime: Math.round(process.uptime()),
+        timestamp: new Date().toISOString(),
+        dependencies
+    };
+}
+
+/**
+ * Routes mounted at /api/quote
+ *
+ * @param {Object} options
+ * @param {Object<string, Function>} options.checks - dependency name -> async check
+ *   resolving with extra details to report, rejecting when the dependency is unusable
+ */
+function createHealthRouter({ checks }) {
+    const router = express.Router();
+
+    router.use((req, res, next) => {
+        res.set('Cache-Control', 'no-store');
+        next();
+    });
+
+    // Liveness: the process is serving requests. Dependency status is
+    // reported but never fails the probe, so a full disk doesn't cause restarts.
+    router.get('/health', asyncHandler(async (req, res) => {
+        const dependencies = await runChecks(checks);
+        const allUp = Object.values(dependencies).every(result => result.status === 'up');
+        res.json(buildReport(allUp ? 'ok' : 'degraded', dependencies));
+    }));
+
+    // Readiness: every dependency must be usable before we take traffic
+    router.get('/ready', asyncHandler(async (req, res) => {
+        const dependencies = await runChecks(checks);
+        const ready = Object.values(dependencies).every(result => result.status === 'up');
+        res.status(ready ? 200 : 503).json(buildReport(ready ? 'ready' : 'not_ready', dependencies));
+    }));
+
+    return router;
+}
+
+module.exports = createHealthRouter;
@@ -0,0 +1,217 @@
+// ===== PAYMENT ROUTES =====
+
+const express = require('express');
+const { HttpError, asyncHandler } = require('../http-error');
+const { validateId } = require('../quote-validation');
+const { canTransition } = require('../quote-lifecycle');
+const QuoteContent = require('../../assets/js/shared/QuoteContent');
+const Money = require('../../assets/js/shared/Money');
+
+const { escapeHtml } = QuoteContent;
+
+// Statuses a customer can still pay in. A draft has to be sent first, so
+// staff see a quote before the customer is asked for money.
+const PAYABLE_STATUSES = ['sent', 'viewed', 'accepted', 'paid'];
+
+function renderMockCheckout(session) {
+    const action = `/api/payments/mock/checkout/${encodeURIComponent(session.id)}`;
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex, nofollow">
+    <title>Test checkout</title>
+    <link rel="stylesheet" href="/assets/css/style.css?v=1.0.2">
+</head>
+<body class="shared-quote-page">
+    <main class="container">
+        <div class="shared-quote-message">
+            <h1>Test checkout</h1>
+            <p>${escapeHtml(session.description)}</p>
+            <p><strong>${escapeHtml(Money.format(session.amount, session.currency))}</strong></p>
+            <p>No money moves: this is the mock payment provider.</p>
+            <form method="post" action="${action}/pay"><button type="submit" class="btn btn-primary">Pay</button></form>
+            <form method="post" action="${action}/cancel"><button type="submit" class="btn btn-outline">Cancel</button></form>
+        </div>
+    </main>
+</body>
+</html>`;
+}
+
+/**
+ * Routes mounted at /api/payments. `POST /webhook` needs the raw request
+ * body for its signature, so server.js parses it with express.raw().
+ */
+function createPaymentsRouter({ quoteStore, shareLinkStore, paymentProvider, publicUrl }) {
+    const router = express.Router();
+
+    const requireProvider = (req, res, next) => {
+        next(paymentProvider ? undefined : new HttpError(404, 'Online payments are not enabled'));
+    };
+
+    /**
+     * Apply a confirmed provider event to its quote. Providers deliver
+     * webhooks at least once, so anything already settled is left alone.
+     */
+    async function applyEvent(event) {
+        const quote = event && event.quoteId && validateId(event.quoteId).isValid
+            ? await quoteStore.get(event.quoteId)
+            : null;
+        const payment = quote && (quote.payments || []).find(entry => entry.sessionId === event.sessionId);
+        if (!payment || payment.status !== 'pending') {
+            return;
+        }
+
+        if (event.type === 'checkout.expired') {
+            await quoteStore.updatePayment(quote.id, payment.id, { status: 'expired' });
+            return;
+        }
+
+        await quoteStore.updatePayment(quote.id, payment.id, {
+            status: 'paid',
+            paidAt: new Date().toISOString(),
+            transactionId: event.paymentId,
+            amount: event.amount,
+            currency: event.currency
+        });
+
+        // Paying accepts the quote; the first payment then marks it paid
+        const note = `${payment.milestone} payment of ${Money.format(event.amount, event.currency)}`;
+        let { status } = quote;
+        if (canTransition(status, 'accepted') && status !== 'accepted') {
+            status = (await quoteStore.transition(quote.id, 'accepted', { actor: 'payment', note })).status;
+        }
+        if (canTransition(status, 'paid')) {
+            await quoteStore.transition(quote.id, 'paid', { actor: 'payment', note });
+        }
+    }
+
+    /**
+     * The customer's quote, if it can still be paid. `token` is one of its
+     * share link tokens, which only the customer has.
+     */
+    async function findPayableQuote(quoteId, token) {
+        if (typeof quoteId !== 'string' || !validateId(quoteId).isValid) {
+            throw new HttpError(400, 'Invalid quote ID');
+        }
+        await shareLinkStore.verify(token, quoteId);
+        const quote = await quoteStore.get(quoteId);
+        if (!quote) {
+            throw new HttpError(404, 'Quote not found');
+        }
+        if (!PAYABLE_STATUSES.includes(quote.status)) {
+            throw new HttpError(409, `A ${quote.status} quote can't be paid`);
+        }
+        return quote;
+    }
+
+    /**
+     * The schedule entry to charge: `milestone`, or the first one not yet paid
+     */
+    function findDueMilestone(quote, milestone) {
+        const paid = (quote.payments || []).filter(payment => payment.status === 'paid').map(payment => payment.milestone);
+        const schedule = (quote.pricing && quote.pricing.paymentSchedule) || [];
+        if (schedule.length === 0) {
+            throw new HttpError(409, 'This quote has no payment schedule');
+        }
+        const due = milestone === undefined
+            ? schedule.find(entry => !paid.includes(entry.id))
+            : schedule.find(entry => entry.id === milestone);
+        if (!due) {
+            throw new HttpError(409, milestone === undefined ? 'Nothing left to pay on this quote' : `Unknown payment milestone: ${milestone}`);
+        }
+        if (paid.includes(due.id)) {
+            throw new HttpError(409, `The ${due.id} payment has already been made`);
+        }
+        return due;
+    }
+
+    // The provider in use; 404 when online payments are off
+    router.get('/', requireProvider, (req, res) => {
+        res.json({ provider: paymentProvider.name });
+    });
+
+    // ?quoteId=&token= -> { milestone: { id, name, percent, amount }, currency };
+    // what a checkout without a milestone would charge, for the pay button
+    router.get('/due', requireProvider, asyncHandler(async (req, res) => {
+        const quote = await findPayableQuote(req.query.quoteId, req.query.token);
+        const { id, name, percent, amount } = findDueMilestone(quote);
+        res.set('Cache-Control', 'no-store').json({
+            milestone: { id, name, percent, amount },
+            currency: quote.pricing.currency || Money.BASE_CURRENCY
+        });
+    }));
+
+    // { quoteId, token, milestone } -> { sessionId, url }; the customer is
+    // sent to `url` and comes back to the success page. Milestone defaults to
+    // the first one due, usually the deposit.
+    router.post('/checkout', requireProvider, asyncHandler(async (req, res) => {
+        const { quoteId, token, milestone } = req.body || {};
+        const quote = await findPayableQuote(quoteId, token);
+        const due = findDueMilestone(quote, milestone);
+
+        const currency = quote.pricing.currency || Money.BASE_CURRENCY;
+        const origin = publicUrl || `${req.protocol}://${req.get('host')}`;
+        const returnUrl = result => `${origin}/success.html?quote=${encodeURIComponent(quote.id)}&payment=${result}`;
+        const session = await paymentProvider.createSession({
+            quoteId: quote.id,
+            milestone: due.id,
+            description: `Quote ${quote.id}: ${due.name} (${due.percent}%)`,
+            amount: due.amount,
+            currency,
+            customerEmail: quote.customerInfo.email || undefined,
+            successUrl: returnUrl('success'),
+            cancelUrl: returnUrl('cancelled')
+        });
+
+        await quoteStore.addPayment(quote.id, {
+            provider: paymentProvider.name,
+            sessionId: session.id,
+            milestone: due.id,
+            amount: due.amount,
+            currency
+        });
+        res.status(201).json({ sessionId: session.id, url: session.url });
+    }));
+
+    router.post('/webhook', requireProvider, asyncHandler(async (req, res) => {
+        const rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+        await applyEvent(await paymentProvider.confirmWebhook(rawBody, req.headers));
+        res.json({ received: true });
+    }));
+
+    // The mock provider's hosted checkout page, only there when
+    // PAYMENT_PROVIDER=mock. Pay and Cancel send the same signed webhook a
+    // real provider would, then return the customer.
+    if (paymentProvider && paymentProvider.name === 'mock') {
+        const findSession = (id) => {
+            const session = paymentProvider.getSession(id);
+            if (!session || session.status !== 'open') {
+                throw new HttpError(404, 'No open checkout session');
+            }
+            return session;
+        };
+
+        router.get('/mock/checkout/:sessionId', (req, res, next) => {
+            try {
+                res.set('Cache-Control', 'no-store').type('html').send(renderMockCheckout(findSession(req.params.sessionId)));
+            } catch (error) {
+                next(error);
+            }
+        });
+
+        ['pay', 'cancel'].forEach((result) => {
+            router.post(`/mock/checkout/:sessionId/${result}`, asyncHandler(async (req, res) => {
+                const session = findSession(req.params.sessionId);
+                const { body, headers } = paymentProvider.completeSession(session.id, { paid: result === 'pay' });
+                await applyEvent(await paymentProvider.confirmWebhook(body, headers));
+                res.redirect(303, result === 'pay' ? session.successUrl : session.cancelUrl);
+            }));
+        });
+    }
+
+    return router;
+}
+
+module.exports = createPaymentsRouter;
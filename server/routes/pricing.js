@@ -0,0 +1,58 @@
+// ===== QUOTE PRICING ROUTES =====
+
+const express = require('express');
+const { HttpError, asyncHandler } = require('../http-error');
+const { validateSelection, validateDiscountCode } = require('../quote-validation');
+const { priceWithDiscount } = require('../discounts');
+
+function assertValidSelection(body) {
+    const validation = validateSelection(body);
+    if (!validation.isValid) {
+        throw new HttpError(400, validation.errors[0], {
+            errors: validation.errors,
+            fieldErrors: validation.fieldErrors
+        });
+    }
+}
+
+/**
+ * Routes mounted at /api/quote
+ */
+function createPricingRouter({ catalogStore, discountUsageStore }) {
+    const router = express.Router();
+
+    router.post('/price', asyncHandler(async (req, res) => {
+        const body = req.body || {};
+        assertValidSelection(body);
+
+        const { pricing } = await priceWithDiscount(body, body.discountCode, {
+            catalog: await catalogStore.get(),
+            usageStore: discountUsageStore
+        });
+        res.json(pricing);
+    }));
+
+    // Check a promo code against a selection without redeeming it
+    router.post('/discounts/validate', asyncHandler(async (req, res) => {
+        const body = req.body || {};
+        const codeValidation = validateDiscountCode(body.code);
+        if (!codeValidation.isValid) {
+            throw new HttpError(400, codeValidation.error, { fieldErrors: { code: codeValidation.error } });
+        }
+        assertValidSelection(body);
+
+        const { pricing } = await priceWithDiscount(body, body.code, {
+            catalog: await catalogStore.get(),
+            usageStore: discountUsageStore
+        });
+        res.json({
+            valid: true,
+            discount: pricing.discounts[0],
+            pricing
+        });
+    }));
+
+    return router;
+}
+
+module.exports = createPricingRouter;
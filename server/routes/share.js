@@ -0,0 +1,184 @@
+// ===== SHARED QUOTE PAGE =====
+
+const express = require('express');
+const { HttpError, asyncHandler } = require('../http-error');
+const { buildContentModel } = require('../quote-content');
+const { renderQuotePdf, pdfFilename } = require('../quote-pdf');
+const { listVersions, findVersion, diffVersions } = require('../quote-versions');
+const QuoteContent = require('../../assets/js/shared/QuoteContent');
+const I18n = require('../../assets/js/shared/I18n');
+const Money = require('../../assets/js/shared/Money');
+const Timeline = require('../../assets/js/shared/Timeline');
+
+const { escapeHtml } = QuoteContent;
+
+function renderPage(title, body, locale = I18n.DEFAULT_LOCALE) {
+    return `<!DOCTYPE html>
+<html lang="${locale}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex, nofollow">
+    <title>${escapeHtml(title)}</title>
+    <link rel="stylesheet" href="/assets/css/style.css?v=1.0.2">
+    <script src="https://unpkg.com/lucide@latest/dist/umd/lucide.js"></script>
+</head>
+<body class="shared-quote-page">
+    <main class="container">
+${body}
+    </main>
+    <script>
+        if (window.lucide) {
+            lucide.createIcons();
+        }
+    </script>
+</body>
+</html>`;
+}
+
+function renderMessage(title, message) {
+    return renderPage(title, `
+        <div class="shared-quote-message">
+            <h1>${escapeHtml(title)}</h1>
+            <p>${escapeHtml(message)}</p>
+            <a class="btn btn-primary" href="/">Build your own quote</a>
+        </div>`);
+}
+
+/**
+ * Every version of a revised quote, newest first, with what changed from the
+ * one before. Links open older versions with ?version=N.
+ */
+function renderHistory(quote, catalog, shownVersion) {
+    const versions = listVersions(quote);
+    if (versions.length < 2) {
+        return '';
+    }
+    const t = I18n.translator(quote.locale);
+    const text = (key, params) => escapeHtml(t(key, params));
+    const intlLocale = I18n.intlLocale(quote.locale);
+    const money = (amount, currency) => Money.format(amount, currency, intlLocale);
+    const days = range => I18n.formatTimeline(Timeline.formatRange(range), quote.locale);
+    const latest = versions[versions.length - 1].version;
+
+    const rows = [...versions].reverse().map((entry) => {
+        const label = entry.version === latest ? t('share.currentVersion', entry) : t('share.version', entry);
+        const heading = entry.version === shownVersion
+            ? `<strong>${escapeHtml(label)}</strong>`
+            : `<a href="?version=${entry.version}">${escapeHtml(label)}</a>`;
+        const changes = [];
+        if (entry.version === 1) {
+            changes.push(text('share.original'));
+        } else {
+            const diff = diffVersions(quote, findVersion(quote, entry.version - 1), entry, catalog);
+            const names = lines => lines.map(line => line.name).join(', ');
+            if (diff.added.length > 0) {
+                changes.push(text('share.added', { items: names(diff.added) }));
+            }
+            if (diff.removed.length > 0) {
+                changes.push(text('share.removed', { items: names(diff.removed) }));
+            }
+            if (diff.price.total.delta !== 0) {
+                changes.push(text('share.totalChange', {
+                    from: money(diff.price.total.from, diff.currency),
+                    to: money(diff.price.total.to, diff.currency)
+                }));
+            }
+            if (diff.timeline.delta.min !== 0 || diff.timeline.delta.max !== 0) {
+                changes.push(text('share.timelineChange', { from: days(diff.timeline.from.days), to: days(diff.timeline.to.days) }));
+            }
+        }
+        return `
+            <li>
+                <div>${heading} <span class="shared-quote-history-date">${escapeHtml(Timeline.formatDate(entry.createdAt, intlLocale))}</span></div>
+                <ul>${changes.map(change => `<li>${change}</li>`).join('')}</ul>
+            </li>`;
+    }).join('');
+
+    return `
+        <section class="shared-quote-history">
+            <h3>${text('share.history')}</h3>
+            <ol>${rows}
+            </ol>
+        </section>`;
+}
+
+/**
+ * Routes mounted at /q
+ */
+function createShareRouter({ shareLinkStore, quoteStore, catalogStore }) {
+    const router = express.Router();
+
+    router.use((req, res, next) => {
+        // The token is the credential: keep it out of caches and Referer headers
+        res.set({
+            'Cache-Control': 'no-store',
+            'Referrer-Policy': 'no-referrer',
+            'X-Robots-Tag': 'noindex, nofollow'
+        });
+        next();
+    });
+
+    const openQuote = async (token) => {
+        const link = await shareLinkStore.open(token);
+        const quote = await quoteStore.get(link.quoteId);
+        if (!quote) {
+            throw new HttpError(404, 'Share link not found');
+        }
+
+        // First look at a sent quote counts as the customer viewing it
+        return quote.status === 'sent'
+            ? quoteStore.transition(quote.id, 'viewed', { actor: 'share-link' })
+            : quote;
+    };
+
+    router.get('/:token', asyncHandler(async (req, res) => {
+        const quote = await openQuote(req.params.token);
+
+        // The latest version unless ?version= asks for an earlier one
+        const catalog = await catalogStore.get();
+        const requested = req.query.version ? findVersion(quote, Number(req.query.version)) : null;
+        const shown = requested
+            ? { ...quote, ...requested, revisedAt: requested.createdAt }
+            : quote;
+        const t = I18n.translator(quote.locale);
+        const notice = requested && requested.version !== listVersions(quote).length
+            ? `<p class="shared-quote-notice">${escapeHtml(t('share.olderVersion', requested))} <a href="?">${escapeHtml(t('share.showCurrent'))}</a></p>`
+            : '';
+
+        const content = QuoteContent.render(buildContentModel(shown, catalog), {
+            showContactDetails: false
+        });
+        const history = renderHistory(quote, catalog, shown.version || 1);
+        const title = t('share.title', { id: quote.id });
+        res.type('html').send(renderPage(title, notice + content + history, quote.locale));
+    }));
+
+    // Rendered on demand from the stored quote; the same quote gives the same bytes
+    router.get('/:token/pdf', asyncHandler(async (req, res) => {
+        const quote = await openQuote(req.params.token);
+        const pdf = renderQuotePdf(quote, await catalogStore.get());
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="${pdfFilename(quote)}"`
+        });
+        res.send(pdf);
+    }));
+
+    // Friendly pages instead of the JSON error responses used by the API
+    router.use((err, req, res, next) => {
+        if (err.status === 404 || err.status === 410) {
+            const title = err.status === 404 ? 'Quote not found' : 'Link no longer available';
+            const message = err.status === 404
+                ? 'This share link is not valid. Please check the address or ask for a new link.'
+                : `${err.message}. Please ask for a new link.`;
+            res.status(err.status).type('html').send(renderMessage(title, message));
+            return;
+        }
+        next(err);
+    });
+
+    return router;
+}
+
+module.exports = createShareRouter;
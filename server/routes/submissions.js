@@ -0,0 +1,126 @@
+// ===== QUOTE SUBMISSION ROUTES =====
+
+const express = require('express');
+const { HttpError, asyncHandler } = require('../http-error');
+const { validateSubmission, validateId } = require('../quote-validation');
+const { priceWithDiscount } = require('../discounts');
+const { buildContentModel } = require('../quote-content');
+const { renderQuotePdf, pdfFilename } = require('../quote-pdf');
+const { requireRole } = require('../admin-auth');
+const Tax = require('../../assets/js/shared/Tax');
+
+/**
+ * Tax applies where the customer is: their country and the state or
+ * province in their "City, State" location
+ */
+function taxLocation(customerInfo = {}) {
+    const country = customerInfo.country || null;
+    return { country, region: Tax.regionFromLocation(customerInfo.location, country) };
+}
+
+/**
+ * What the customer may see of their own quote: staff notes, the audit
+ * trail, payment records and the version history (which carries staff
+ * names and revision notes) stay internal
+ */
+function toCustomerQuote(quote) {
+    const { notes, auditTrail, payments, versions, ...customerQuote } = quote;
+    return customerQuote;
+}
+
+/**
+ * Routes mounted at /api/quote/submissions
+ * @param {Function} authenticate - the staff authentication middleware from admin-auth
+ */
+function createSubmissionsRouter({ quoteStore, catalogStore, discountUsageStore, shareLinkStore, notifier, authenticate }) {
+    const router = express.Router();
+    const requireViewer = requireRole('viewer');
+
+    // Quote IDs are not secret, so reading a stored quote needs the token of
+    // one of its share links (?token=) or a staff session
+    const requireOwnerOrStaff = (req, res, next) => {
+        if (req.query.token === undefined) {
+            authenticate(req, res, error => (error ? next(error) : requireViewer(req, res, next)));
+            return;
+        }
+        shareLinkStore.verify(req.query.token, req.params.id).then(() => next(), next);
+    };
+
+    router.post('/', asyncHandler(async (req, res) => {
+        const validation = validateSubmission(req.body);
+        if (!validation.isValid) {
+            throw new HttpError(400, validation.errors[0], {
+                errors: validation.errors,
+                fieldErrors: validation.fieldErrors
+            });
+        }
+
+        // Never trust the client total - reprice and reject on mismatch
+        const selection = { ...req.body, ...taxLocation(req.body.customerInfo) };
+        const catalog = await catalogStore.get();
+        const { pricing, rule } = await priceWithDiscount(selection, req.body.discountCode, {
+            catalog,
+            usageStore: discountUsageStore
+        });
+        if (req.body.totalPrice !== undefined && req.body.totalPrice !== pricing.total) {
+            throw new HttpError(409, 'Quote total does not match current pricing', { pricing });
+        }
+
+        if (rule) {
+            await discountUsageStore.redeem(rule);
+        }
+
+        const quote = await quoteStore.create(req.body, pricing);
+        const share = await shareLinkStore.create(quote.id);
+
+        // The quote is saved either way; a queueing problem shouldn't fail the request
+        try {
+            await notifier.quoteSubmitted(quote);
+        } catch (error) {
+            console.error(`Could not queue notifications for quote ${quote.id}:`, error.message);
+        }
+
+        res.status(201)
+            .location(`${req.baseUrl}/${quote.id}`)
+            .json({
+                id: quote.id,
+                createdAt: quote.createdAt,
+                shareUrl: `/q/${share.token}`,
+                shareExpiresAt: share.link.expiresAt,
+                schedule: buildContentModel(quote, catalog).schedule,
+                quote: toCustomerQuote(quote)
+            });
+    }));
+
+    const findQuote = async (id) => {
+        if (!validateId(id).isValid) {
+            throw new HttpError(400, 'Invalid quote ID');
+        }
+
+        const quote = await quoteStore.get(id);
+        if (!quote) {
+            throw new HttpError(404, 'Quote not found');
+        }
+        return quote;
+    };
+
+    router.get('/:id', requireOwnerOrStaff, asyncHandler(async (req, res) => {
+        res.json(toCustomerQuote(await findQuote(req.params.id)));
+    }));
+
+    // Rendered on demand from the stored quote; the same quote gives the same bytes
+    router.get('/:id/pdf', requireOwnerOrStaff, asyncHandler(async (req, res) => {
+        const quote = await findQuote(req.params.id);
+        const pdf = renderQuotePdf(quote, await catalogStore.get());
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="${pdfFilename(quote)}"`,
+            'Cache-Control': 'private, no-cache'
+        });
+        res.send(pdf);
+    }));
+
+    return router;
+}
+
+module.exports = createSubmissionsRouter;
@@ -0,0 +1,87 @@
+// ===== LOGIN SESSIONS =====
+
+const crypto = require('crypto');
+const path = require('path');
+const JsonStore = require('./json-store');
+
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Bearer-token sessions for staff, in <dataDir>/sessions.json.
+ * As with share links, only a hash of each token is stored.
+ */
+class SessionStore {
+    /**
+     * @param {string} dataDir
+     * @param {Object} [options]
+     * @param {number} [options.ttlHours=12] - lifetime of a session from login
+     */
+    constructor(dataDir, { ttlHours = 12 } = {}) {
+        this.ttlMs = ttlHours * 60 * 60 * 1000;
+        this.store = new JsonStore(path.join(dataDir, 'sessions.json'), { sessions: {} });
+    }
+
+    /**
+     * Start a session for a user. Expired sessions are pruned here.
+     * @returns {Promise<{token: string, session: Object}>}
+     */
+    create(userId) {
+        const token = crypto.randomBytes(32).toString('base64url');
+        const now = new Date();
+        const tokenHash = hashToken(token);
+        const session = {
+            userId,
+            createdAt: now.toISOString(),
+            expiresAt: new Date(now.getTime() + this.ttlMs).toISOString()
+        };
+
+        return this.store.update((data) => {
+            Object.entries(data.sessions).forEach(([hash, entry]) => {
+                if (new Date(entry.expiresAt) <= now) {
+                    delete data.sessions[hash];
+                }
+            });
+            data.sessions[tokenHash] = session;
+            return { token, session };
+        });
+    }
+
+    /**
+     * @returns {Promise<Object|null>} the session, or null if unknown or expired
+     */
+    async resolve(token) {
+        if (!TOKEN_PATTERN.test(token || '')) {
+            return null;
+        }
+
+        const data = await this.store.read();
+        const session = data.sessions[hashToken(token)];
+        if (!session || new Date(session.expiresAt) <= new Date()) {
+            return null;
+        }
+        return session;
+    }
+
+    revoke(token) {
+        return this.store.update((data) => {
+            delete data.sessions[hashToken(token || '')];
+        });
+    }
+
+    /**
+     * End every session of a user, e.g. after a password change or removal
+     */
+    revokeForUser(userId) {
+        return this.store.update((data) => {
+            Object.entries(data.sessions).forEach(([hash, entry]) => {
+                if (entry.userId === userId) {
+                    delete data.sessions[hash];
+                }
+            });
+        });
+    }
+}
+
+module.exports = SessionStore;
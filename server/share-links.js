@@ -0,0 +1,138 @@
+// ===== QUOTE SHARE LINKS =====
+
+const crypto = require('crypto');
+const path = require('path');
+const JsonStore = require('./json-store');
+const { HttpError } = require('./http-error');
+
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Fields safe to return from the admin API - never the token hash
+function toPublicLink(link) {
+    const { tokenHash, ...publicLink } = link;
+    return publicLink;
+}
+
+/**
+ * The link stored for a token. Throws 404 for unknown tokens and 410 for
+ * expired or revoked links.
+ */
+function findUsableLink(data, token) {
+    const tokenHash = hashToken(token);
+    const link = Object.values(data.links).find(entry => entry.tokenHash === tokenHash);
+    if (!link) {
+        throw new HttpError(404, 'Share link not found');
+    }
+    if (link.revokedAt) {
+        throw new HttpError(410, 'This share link has been revoked');
+    }
+    if (link.expiresAt && new Date(link.expiresAt) < new Date()) {
+        throw new HttpError(410, 'This share link has expired');
+    }
+    return link;
+}
+
+/**
+ * Read-only share links for quotes, in <dataDir>/share-links.json.
+ * Only a hash of each token is stored; the token itself is returned once,
+ * when the link is created.
+ */
+class ShareLinkStore {
+    /**
+     * @param {string} dataDir
+     * @param {Object} [options]
+     * @param {number} [options.ttlDays=30] - default lifetime of new links, 0 for no expiry
+     */
+    constructor(dataDir, { ttlDays = 30 } = {}) {
+        this.ttlDays = ttlDays;
+        this.store = new JsonStore(path.join(dataDir, 'share-links.json'), { links: {} });
+    }
+
+    /**
+     * Create a link for a quote
+     * @param {string} quoteId
+     * @param {Object} [options]
+     * @param {number} [options.ttlDays] - overrides the default lifetime, 0 for no expiry
+     * @param {string} [options.createdBy]
+     * @returns {Promise<{token: string, link: Object}>}
+     */
+    create(quoteId, { ttlDays = this.ttlDays, createdBy = 'customer' } = {}) {
+        const token = crypto.randomBytes(24).toString('base64url');
+        const now = new Date();
+        const link = {
+            id: crypto.randomBytes(6).toString('hex'),
+            quoteId,
+            tokenHash: hashToken(token),
+            createdAt: now.toISOString(),
+            createdBy,
+            expiresAt: ttlDays > 0 ? new Date(now.getTime() + ttlDays * 24 * 60 * 60 * 1000).toISOString() : null,
+            revokedAt: null,
+            views: 0,
+            lastViewedAt: null
+        };
+
+        return this.store.update((data) => {
+            data.links[link.id] = link;
+            return { token, link: toPublicLink(link) };
+        });
+    }
+
+    /**
+     * Look up a token and count the view.
+     * Throws 404 for unknown tokens and 410 for expired or revoked links.
+     */
+    open(token) {
+        if (!TOKEN_PATTERN.test(token)) {
+            return Promise.reject(new HttpError(404, 'Share link not found'));
+        }
+
+        return this.store.update((data) => {
+            const link = findUsableLink(data, token);
+            link.views += 1;
+            link.lastViewedAt = new Date().toISOString();
+            return toPublicLink(link);
+        });
+    }
+
+    /**
+     * Check that a token is a usable link to `quoteId`, without counting a
+     * view. Used where the customer proves a quote is theirs, e.g. to download
+     * its PDF. Throws like open(), and 404 for a link to another quote.
+     */
+    async verify(token, quoteId) {
+        if (typeof token !== 'string' || !TOKEN_PATTERN.test(token)) {
+            throw new HttpError(404, 'Share link not found');
+        }
+
+        const link = findUsableLink(await this.store.read(), token);
+        if (link.quoteId !== quoteId) {
+            throw new HttpError(404, 'Share link not found');
+        }
+        return toPublicLink(link);
+    }
+
+    async listForQuote(quoteId) {
+        const data = await this.store.read();
+        return Object.values(data.links)
+            .filter(link => link.quoteId === quoteId)
+            .map(toPublicLink)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    revoke(quoteId, linkId) {
+        return this.store.update((data) => {
+            const link = data.links[linkId];
+            if (!link || link.quoteId !== quoteId) {
+                throw new HttpError(404, 'Share link not found');
+            }
+            if (!link.revokedAt) {
+                link.revokedAt = new Date().toISOString();
+            }
+            return toPublicLink(link);
+        });
+    }
+}
+
+module.exports = ShareLinkStore;
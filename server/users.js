@@ -0,0 +1,223 @@
+// ===== STAFF USERS =====
+
+const crypto = require('crypto');
+const path = require('path');
+const { promisify } = require('util');
+const JsonStore = require('./json-store');
+const { HttpError } = require('./http-error');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Lowest to highest - each role can do everything the roles before it can
+const ROLES = ['viewer', 'sales', 'admin'];
+
+const USERNAME_PATTERN = /^[a-z0-9._-]{3,32}$/;
+const PASSWORD_MIN_LENGTH = 10;
+const PASSWORD_MAX_LENGTH = 200;
+const NAME_MAX_LENGTH = 100;
+
+// scrypt cost parameters, stored with each hash so they can be raised later
+const SCRYPT = { N: 16384, r: 8, p: 1, keyLength: 64 };
+
+/**
+ * Hash a password as `scrypt$N$r$p$salt$hash` (salt and hash base64)
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, SCRYPT.keyLength, { N: SCRYPT.N, r: SCRYPT.r, p: SCRYPT.p });
+    return ['scrypt', SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, N, r, p, salt, hash] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+        N: Number(N), r: Number(r), p: Number(p)
+    });
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Whether `role` is at least `minimumRole`
+ */
+function hasRole(role, minimumRole) {
+    const rank = ROLES.indexOf(role);
+    return rank !== -1 && rank >= ROLES.indexOf(minimumRole);
+}
+
+// Fields safe to return from the API - never the password hash
+function toPublicUser(user) {
+    const { passwordHash, ...publicUser } = user;
+    return publicUser;
+}
+
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH || password.length > PASSWORD_MAX_LENGTH) {
+        throw new HttpError(400, `password must be between ${PASSWORD_MIN_LENGTH} and ${PASSWORD_MAX_LENGTH} characters`);
+    }
+}
+
+function validateRole(role) {
+    if (!ROLES.includes(role)) {
+        throw new HttpError(400, `role must be one of: ${ROLES.join(', ')}`);
+    }
+}
+
+function validateName(name) {
+    if (name !== undefined && (typeof name !== 'string' || name.trim().length > NAME_MAX_LENGTH || /[<>]/.test(name))) {
+        throw new HttpError(400, `name must be plain text of at most ${NAME_MAX_LENGTH} characters`);
+    }
+}
+
+/**
+ * Staff accounts, in <dataDir>/users.json
+ */
+class UserStore {
+    constructor(dataDir) {
+        this.store = new JsonStore(path.join(dataDir, 'users.json'), { users: {} });
+        // Compared against when the username is unknown, so a failed login
+        // takes as long whether or not the account exists
+        this.dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+    }
+
+    async list() {
+        const data = await this.store.read();
+        return Object.values(data.users)
+            .map(toPublicUser)
+            .sort((a, b) => a.username.localeCompare(b.username));
+    }
+
+    async get(id) {
+        const data = await this.store.read();
+        return data.users[id] ? toPublicUser(data.users[id]) : null;
+    }
+
+    async count() {
+        const data = await this.store.read();
+        return Object.keys(data.users).length;
+    }
+
+    /**
+     * @param {Object} input - { username, password, role, name }
+     */
+    async create({ username, password, role, name } = {}) {
+        const normalized = typeof username === 'string' ? username.trim().toLowerCase() : '';
+        if (!USERNAME_PATTERN.test(normalized)) {
+            throw new HttpError(400, 'username must be 3-32 characters: lowercase letters, digits, ".", "_" or "-"');
+        }
+        validatePassword(password);
+        validateRole(role);
+        validateName(name);
+
+        const passwordHash = await hashPassword(password);
+        return this.store.update((data) => {
+            if (Object.values(data.users).some(user => user.username === normalized)) {
+                throw new HttpError(409, 'A user with that username already exists');
+            }
+
+            const now = new Date().toISOString();
+            const user = {
+                id: crypto.randomBytes(6).toString('hex'),
+                username: normalized,
+                name: name ? name.trim() : normalized,
+                role,
+                passwordHash,
+                createdAt: now,
+                updatedAt: now,
+                lastLoginAt: null
+            };
+            data.users[user.id] = user;
+            return toPublicUser(user);
+        });
+    }
+
+    /**
+     * Change a user's name, role or password. The last admin can't be demoted.
+     * @param {Object} changes - { name, role, password }
+     */
+    async update(id, { name, role, password } = {}) {
+        if (role !== undefined) validateRole(role);
+        if (password !== undefined) validatePassword(password);
+        validateName(name);
+
+        const passwordHash = password !== undefined ? await hashPassword(password) : undefined;
+        return this.store.update((data) => {
+            const user = data.users[id];
+            if (!user) {
+                throw new HttpError(404, 'User not found');
+            }
+            if (role !== undefined && role !== 'admin' && user.role === 'admin' && this.countAdmins(data) === 1) {
+                throw new HttpError(409, 'The last admin can\'t be given a lower role');
+            }
+
+            if (name !== undefined) user.name = name.trim() || user.username;
+            if (role !== undefined) user.role = role;
+            if (passwordHash) user.passwordHash = passwordHash;
+            user.updatedAt = new Date().toISOString();
+            return toPublicUser(user);
+        });
+    }
+
+    remove(id) {
+        return this.store.update((data) => {
+            const user = data.users[id];
+            if (!user) {
+                throw new HttpError(404, 'User not found');
+            }
+            if (user.role === 'admin' && this.countAdmins(data) === 1) {
+                throw new HttpError(409, 'The last admin can\'t be removed');
+            }
+
+            delete data.users[id];
+            return toPublicUser(user);
+        });
+    }
+
+    countAdmins(data) {
+        return Object.values(data.users).filter(user => user.role === 'admin').length;
+    }
+
+    /**
+     * Check a username and password.
+     * @returns {Promise<Object|null>} the user, or null when either is wrong
+     */
+    async authenticate(username, password) {
+        const normalized = typeof username === 'string' ? username.trim().toLowerCase() : '';
+        const data = await this.store.read();
+        const user = Object.values(data.users).find(entry => entry.username === normalized);
+
+        if (typeof password !== 'string' || password.length > PASSWORD_MAX_LENGTH) {
+            return null;
+        }
+        const valid = await verifyPassword(password, user ? user.passwordHash : await this.dummyHash);
+        if (!user || !valid) {
+            return null;
+        }
+
+        return this.store.update((latest) => {
+            const current = latest.users[user.id];
+            if (!current) {
+                return null;
+            }
+            current.lastLoginAt = new Date().toISOString();
+            return toPublicUser(current);
+        });
+    }
+
+    /**
+     * Create the first admin from the environment when there are no users yet
+     * @returns {Promise<Object|null>} the created user, if any
+     */
+    async bootstrap({ username, password } = {}) {
+        if (!username || !password || await this.count() > 0) {
+            return null;
+        }
+        return this.create({ username, password, role: 'admin' });
+    }
+}
+
+module.exports = { UserStore, ROLES, hasRole, hashPassword, verifyPassword };
@@ -0,0 +1,48 @@
+// ===== LOCAL WEBHOOK RECEIVER =====
+// For trying webhooks out locally: logs each delivery and whether its
+// signature checks out.
+//
+//   WEBHOOK_SECRET=whsec_... node server/webhook-receiver.js [port]
+//
+// Register http://localhost:<port>/ as a webhook. Set RECEIVER_STATUS=500
+// to answer with an error and watch the retries.
+
+const http = require('http');
+const { verifySignature, SIGNATURE_HEADER } = require('./webhooks');
+
+const port = parseInt(process.argv[2] || process.env.PORT) || 4000;
+const secret = process.env.WEBHOOK_SECRET || '';
+const responseStatus = parseInt(process.env.RECEIVER_STATUS) || 200;
+
+http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        const body = Buffer.concat(chunks).toString('utf8');
+        const signature = req.headers[SIGNATURE_HEADER.toLowerCase()];
+        const verified = secret ? verifySignature(secret, signature, body) : null;
+
+        let event = {};
+        try {
+            event = JSON.parse(body);
+        } catch (error) {
+            // Logged as-is below
+        }
+
+        console.log(JSON.stringify({
+            receivedAt: new Date().toISOString(),
+            event: req.headers['x-webhook-event'],
+            id: req.headers['x-webhook-id'],
+            attempt: req.headers['x-webhook-attempt'],
+            signature: verified === null ? 'unchecked (no WEBHOOK_SECRET)' : verified ? 'valid' : 'INVALID',
+            quoteId: event.data && event.data.quote ? event.data.quote.id : undefined,
+            status: event.data ? event.data.status : undefined
+        }));
+
+        // Reject bad signatures the way a real receiver should
+        res.writeHead(verified === false ? 401 : responseStatus);
+        res.end();
+    });
+}).listen(port, () => {
+    console.log(`Webhook receiver listening on http://localhost:${port}/`);
+});
@@ -0,0 +1,358 @@
+// ===== OUTBOUND WEBHOOKS =====
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const JsonStore = require('./json-store');
+const { HttpError } = require('./http-error');
+const { STATUSES } = require('./quote-lifecycle');
+
+/**
+ * Events a webhook can subscribe to. `quote.<status>` fires alongside
+ * `quote.status_changed` when a quote enters that status.
+ */
+const WEBHOOK_EVENTS = [
+    'quote.submitted',
+    'quote.status_changed',
+    'quote.revised',
+    ...STATUSES.filter(status => status !== 'draft').map(status => `quote.${status}`)
+];
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+const DESCRIPTION_MAX_LENGTH = 200;
+
+/**
+ * Signature header value: `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">`.
+ * Including the timestamp lets receivers reject replayed requests.
+ */
+function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Check a signature header against the raw request body, for receivers
+ * (see webhook-receiver.js). Signatures older than `toleranceSeconds` fail.
+ */
+function verifySignature(secret, header, body, { toleranceSeconds = 300, now = Date.now() } = {}) {
+    const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+    const timestamp = Number(parts.t);
+    if (!Number.isInteger(timestamp) || !parts.v1) {
+        return false;
+    }
+    if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) {
+        return false;
+    }
+
+    const expected = Buffer.from(signPayload(secret, body, timestamp).split('v1=')[1], 'hex');
+    const actual = Buffer.from(parts.v1, 'hex');
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// Fields safe to list - the secret is only returned when created or rotated
+function toPublicWebhook(webhook) {
+    const { secret, ...publicWebhook } = webhook;
+    return publicWebhook;
+}
+
+const newSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+function validateWebhook({ url, events, description, active }, { partial = false } = {}) {
+    if (url !== undefined || !partial) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            throw new HttpError(400, 'url must be an absolute http(s) URL');
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            throw new HttpError(400, 'url must be an absolute http(s) URL');
+        }
+    }
+    if (events !== undefined || !partial) {
+        const valid = Array.isArray(events) && events.length > 0
+            && events.every(event => event === '*' || WEBHOOK_EVENTS.includes(event));
+        if (!valid) {
+            throw new HttpError(400, `events must be a non-empty list of: *, ${WEBHOOK_EVENTS.join(', ')}`);
+        }
+    }
+    if (description !== undefined && (typeof description !== 'string' || description.length > DESCRIPTION_MAX_LENGTH)) {
+        throw new HttpError(400, `description must be a string of at most ${DESCRIPTION_MAX_LENGTH} characters`);
+    }
+    if (active !== undefined && typeof active !== 'boolean') {
+        throw new HttpError(400, 'active must be true or false');
+    }
+}
+
+/**
+ * Registered webhook endpoints, in <dataDir>/webhooks.json
+ */
+class WebhookStore {
+    constructor(dataDir) {
+        this.store = new JsonStore(path.join(dataDir, 'webhooks.json'), { webhooks: {} });
+    }
+
+    async list() {
+        const data = await this.store.read();
+        return Object.values(data.webhooks)
+            .map(toPublicWebhook)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    /**
+     * Full record including the secret, for signing deliveries
+     */
+    async get(id) {
+        const data = await this.store.read();
+        return data.webhooks[id] || null;
+    }
+
+    /**
+     * Active webhooks subscribed to `event`
+     */
+    async subscribedTo(event) {
+        const data = await this.store.read();
+        return Object.values(data.webhooks)
+            .filter(webhook => webhook.active && (webhook.events.includes('*') || webhook.events.includes(event)));
+    }
+
+    /**
+     * @param {Object} input - { url, events, description }
+     * @returns {Promise<Object>} the webhook including its secret, shown this once
+     */
+    create({ url, events, description = '' } = {}) {
+        validateWebhook({ url, events, description });
+        const now = new Date().toISOString();
+        const webhook = {
+            id: crypto.randomBytes(6).toString('hex'),
+            url,
+            events: [...new Set(events)],
+            description,
+            active: true,
+            secret: newSecret(),
+            createdAt: now,
+            updatedAt: now,
+            lastDelivery: null
+        };
+
+        return this.store.update((data) => {
+            data.webhooks[webhook.id] = webhook;
+            return webhook;
+        });
+    }
+
+    update(id, changes = {}) {
+        const { url, events, description, active } = changes;
+        validateWebhook({ url, events, description, active }, { partial: true });
+
+        return this.store.update((data) => {
+            const webhook = this.find(data, id);
+            if (url !== undefined) webhook.url = url;
+            if (events !== undefined) webhook.events = [...new Set(events)];
+            if (description !== undefined) webhook.description = description;
+            if (active !== undefined) webhook.active = active;
+            webhook.updatedAt = new Date().toISOString();
+            return toPublicWebhook(webhook);
+        });
+    }
+
+    /**
+     * Replace the signing secret; resolves with the webhook including the new secret
+     */
+    rotateSecret(id) {
+        return this.store.update((data) => {
+            const webhook = this.find(data, id);
+            webhook.secret = newSecret();
+            webhook.updatedAt = new Date().toISOString();
+            return { ...webhook };
+        });
+    }
+
+    remove(id) {
+        return this.store.update((data) => {
+            const webhook = this.find(data, id);
+            delete data.webhooks[id];
+            return toPublicWebhook(webhook);
+        });
+    }
+
+    /**
+     * Remember the outcome of the latest delivery attempt
+     */
+    recordDelivery(id, result) {
+        return this.store.update((data) => {
+            if (data.webhooks[id]) {
+                data.webhooks[id].lastDelivery = { at: new Date().toISOString(), ...result };
+            }
+        });
+    }
+
+    find(data, id) {
+        const webhook = data.webhooks[id];
+        if (!webhook) {
+            throw new HttpError(404, 'Webhook not found');
+        }
+        return webhook;
+    }
+}
+
+/**
+ * POST a JSON body; resolves with the response status, rejects on network
+ * errors and timeouts. Redirects aren't followed.
+ */
+function postJson(url, body, headers, { timeoutMs }) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const request = (target.protocol === 'https:' ? https : http).request(target, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                'User-Agent': 'HVAC-Quotes-Webhooks/1.0',
+                ...headers
+            },
+            timeout: timeoutMs
+        }, (response) => {
+            // Only the status matters; drain the body so the socket is freed
+            response.resume();
+            response.on('end', () => resolve(response.statusCode));
+        });
+
+        request.on('timeout', () => request.destroy(new Error(`timed out after ${timeoutMs}ms`)));
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+/**
+ * Turns quote events into signed webhook deliveries. Each delivery is a job
+ * on the webhooks JobQueue, so failures are retried with exponential backoff
+ * and end up in the queue's dead-letter list, from where they can be replayed.
+ */
+class WebhookDispatcher {
+    /**
+     * @param {Object} deps
+     * @param {JobQueue} deps.queue
+     * @param {WebhookStore} deps.webhookStore
+     * @param {number} [deps.timeoutMs=10000] - per delivery attempt
+     */
+    constructor({ queue, webhookStore, timeoutMs = 10000 }) {
+        this.queue = queue;
+        this.webhookStore = webhookStore;
+        this.timeoutMs = timeoutMs;
+    }
+
+    /**
+     * Queue one delivery of `type` per subscribed webhook. The payload is
+     * built now, so retries send what the quote looked like when it happened.
+     * @returns {Promise<Object>} the event
+     */
+    async emit(type, data) {
+        const event = {
+            id: `evt_${crypto.randomUUID()}`,
+            type,
+            createdAt: new Date().toISOString(),
+            data
+        };
+
+        const webhooks = await this.webhookStore.subscribedTo(type);
+        for (const webhook of webhooks) {
+            await this.queue.enqueue({ webhookId: webhook.id, event });
+        }
+        if (webhooks.length > 0) {
+            this.queue.kick();
+        }
+        return event;
+    }
+
+    quoteSubmitted(quote) {
+        return this.emit('quote.submitted', { quote: toWebhookQuote(quote) });
+    }
+
+    quoteRevised({ quote, version, actor }) {
+        return this.emit('quote.revised', { quote: toWebhookQuote(quote), version, actor });
+    }
+
+    async quoteTransitioned({ quote, from, to, actor }) {
+        const data = { quote: toWebhookQuote(quote), previousStatus: from, status: to, actor };
+        await this.emit('quote.status_changed', data);
+        if (WEBHOOK_EVENTS.includes(`quote.${to}`)) {
+            await this.emit(`quote.${to}`, data);
+        }
+    }
+
+    /**
+     * Send a `webhook.test` event to one webhook, whatever it subscribes to
+     */
+    async ping(webhookId) {
+        const event = {
+            id: `evt_${crypto.randomUUID()}`,
+            type: 'webhook.test',
+            createdAt: new Date().toISOString(),
+            data: { message: 'Test delivery' }
+        };
+        const job = await this.queue.enqueue({ webhookId, event });
+        this.queue.kick();
+        return job;
+    }
+
+    /**
+     * Sign and send one queued delivery. Errors marked `permanent` skip the retries.
+     */
+    async deliver({ webhookId, event }, job) {
+        const webhook = await this.webhookStore.get(webhookId);
+        if (!webhook) {
+            throw Object.assign(new Error(`Webhook ${webhookId} no longer exists`), { permanent: true });
+        }
+        if (!webhook.active) {
+            throw Object.assign(new Error(`Webhook ${webhookId} is disabled`), { permanent: true });
+        }
+
+        const body = JSON.stringify(event);
+        let status;
+        try {
+            status = await postJson(webhook.url, body, {
+                [SIGNATURE_HEADER]: signPayload(webhook.secret, body),
+                'X-Webhook-Id': event.id,
+                'X-Webhook-Event': event.type,
+                'X-Webhook-Attempt': String((job ? job.attempts : 0) + 1)
+            }, { timeoutMs: this.timeoutMs });
+        } catch (error) {
+            await this.webhookStore.recordDelivery(webhookId, { eventId: event.id, ok: false, error: error.message });
+            throw error;
+        }
+
+        const ok = status >= 200 && status < 300;
+        await this.webhookStore.recordDelivery(webhookId, { eventId: event.id, ok, status });
+        if (!ok) {
+            // 410 Gone means the receiver doesn't want this event, ever
+            throw Object.assign(new Error(`${webhook.url} responded ${status}`), { permanent: status === 410 });
+        }
+    }
+
+    /**
+     * Start the background worker that drains the queue
+     */
+    start(options) {
+        this.queue.start((payload, job) => this.deliver(payload, job), options);
+        return this;
+    }
+}
+
+/**
+ * The quote as sent to webhooks - internal notes stay out
+ */
+function toWebhookQuote(quote) {
+    const { notes, ...rest } = quote;
+    return rest;
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    SIGNATURE_HEADER,
+    WebhookStore,
+    WebhookDispatcher,
+    signPayload,
+    verifySignature
+};
@@ -0,0 +1,249 @@
+// ===== XLSX WRITER =====
+// Streams a single-sheet workbook without buffering the rows. Like
+// pdf-document.js it covers only what we need, so there's no extra package.
+
+const zlib = require('zlib');
+const { once } = require('events');
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+function crc32(buffer, previous = 0) {
+    let crc = previous ^ -1;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+// 1980-01-01 00:00 in DOS format, so identical exports are byte-identical
+const DOS_TIME = 0;
+const DOS_DATE = (1 << 5) | 1;
+
+// Bit 3: sizes and CRC follow the data; bit 11: UTF-8 names
+const ZIP_FLAGS = 0x0808;
+
+/**
+ * Minimal streaming ZIP (deflate, no ZIP64 - entries must stay under 4 GB)
+ */
+class ZipStream {
+    constructor(output) {
+        this.output = output;
+        this.offset = 0;
+        this.entries = [];
+    }
+
+    async push(buffer) {
+        this.offset += buffer.length;
+        if (!this.output.write(buffer)) {
+            await Promise.race([once(this.output, 'drain'), once(this.output, 'close')]);
+        }
+    }
+
+    /**
+     * Start an entry. Returns { write(data), close() }; write entries one at a time.
+     */
+    async openEntry(name) {
+        const nameBuffer = Buffer.from(name, 'utf8');
+        const entry = { nameBuffer, offset: this.offset, crc: 0, size: 0, compressedSize: 0 };
+
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(ZIP_FLAGS, 6);
+        header.writeUInt16LE(8, 8);
+        header.writeUInt16LE(DOS_TIME, 10);
+        header.writeUInt16LE(DOS_DATE, 12);
+        header.writeUInt16LE(nameBuffer.length, 26);
+        await this.push(Buffer.concat([header, nameBuffer]));
+
+        const deflate = zlib.createDeflateRaw();
+        const compressed = [];
+        deflate.on('data', chunk => compressed.push(chunk));
+
+        // Pass deflated output on as it's produced
+        const flush = async () => {
+            while (compressed.length > 0) {
+                const chunk = compressed.shift();
+                entry.compressedSize += chunk.length;
+                await this.push(chunk);
+            }
+        };
+
+        return {
+            write: async (data) => {
+                const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+                entry.crc = crc32(buffer, entry.crc);
+                entry.size += buffer.length;
+                if (!deflate.write(buffer)) {
+                    await once(deflate, 'drain');
+                }
+                await flush();
+            },
+            close: async () => {
+                deflate.end();
+                await once(deflate, 'end');
+                await flush();
+
+                const descriptor = Buffer.alloc(16);
+                descriptor.writeUInt32LE(0x08074b50, 0);
+                descriptor.writeUInt32LE(entry.crc, 4);
+                descriptor.writeUInt32LE(entry.compressedSize, 8);
+                descriptor.writeUInt32LE(entry.size, 12);
+                await this.push(descriptor);
+                this.entries.push(entry);
+            }
+        };
+    }
+
+    async addFile(name, content) {
+        const entry = await this.openEntry(name);
+        await entry.write(content);
+        await entry.close();
+    }
+
+    /**
+     * Write the central directory. Doesn't end the output stream.
+     */
+    async finish() {
+        const start = this.offset;
+        for (const entry of this.entries) {
+            const record = Buffer.alloc(46);
+            record.writeUInt32LE(0x02014b50, 0);
+            record.writeUInt16LE(20, 4);
+            record.writeUInt16LE(20, 6);
+            record.writeUInt16LE(ZIP_FLAGS, 8);
+            record.writeUInt16LE(8, 10);
+            record.writeUInt16LE(DOS_TIME, 12);
+            record.writeUInt16LE(DOS_DATE, 14);
+            record.writeUInt32LE(entry.crc, 16);
+            record.writeUInt32LE(entry.compressedSize, 20);
+            record.writeUInt32LE(entry.size, 24);
+            record.writeUInt16LE(entry.nameBuffer.length, 28);
+            record.writeUInt32LE(entry.offset, 42);
+            await this.push(Buffer.concat([record, entry.nameBuffer]));
+        }
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(this.entries.length, 8);
+        end.writeUInt16LE(this.entries.length, 10);
+        end.writeUInt32LE(this.offset - start, 12);
+        end.writeUInt32LE(start, 16);
+        await this.push(end);
+    }
+}
+
+const escapeXml = (value) => String(value)
+    // Control characters other than tab and newlines aren't allowed in XML 1.0
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// A1-style column letters: 0 -> A, 26 -> AA
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+const STATIC_PARTS = {
+    '[Content_Types].xml': `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + '</Types>',
+    '_rels/.rels': `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>',
+    'xl/_rels/workbook.xml.rels': `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+        + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+        + '</Relationships>',
+    // Style 1 is bold, for the header row
+    'xl/styles.xml': `${XML_HEADER}<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">`
+        + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+        + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+        + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+        + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+        + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+        + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+        + '</styleSheet>'
+};
+
+/**
+ * Write rows to a one-sheet .xlsx on `output`. Strings are written inline,
+ * so nothing needs to be held back for a shared string table.
+ *
+ *     const xlsx = new XlsxWriter(res, { sheetName: 'Quotes' });
+ *     await xlsx.start(['ID', 'Total']);
+ *     await xlsx.writeRow(['Q-1', 1200]);
+ *     await xlsx.end();
+ */
+class XlsxWriter {
+    constructor(output, { sheetName = 'Sheet1' } = {}) {
+        this.zip = new ZipStream(output);
+        // Sheet names are limited to 31 characters and can't contain []:*?/\
+        this.sheetName = sheetName.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'Sheet1';
+        this.rowCount = 0;
+    }
+
+    async start(headers) {
+        await this.zip.addFile('[Content_Types].xml', STATIC_PARTS['[Content_Types].xml']);
+        await this.zip.addFile('_rels/.rels', STATIC_PARTS['_rels/.rels']);
+        await this.zip.addFile('xl/workbook.xml', `${XML_HEADER}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" `
+            + 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+            + `<sheets><sheet name="${escapeXml(this.sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`);
+        await this.zip.addFile('xl/_rels/workbook.xml.rels', STATIC_PARTS['xl/_rels/workbook.xml.rels']);
+        await this.zip.addFile('xl/styles.xml', STATIC_PARTS['xl/styles.xml']);
+
+        this.sheet = await this.zip.openEntry('xl/worksheets/sheet1.xml');
+        await this.sheet.write(`${XML_HEADER}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">`
+            // Keep the header row in view while scrolling
+            + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+            + '<sheetData>');
+        await this.writeRow(headers, { style: 1 });
+    }
+
+    async writeRow(values, { style } = {}) {
+        this.rowCount += 1;
+        const row = this.rowCount;
+        const styleAttribute = style ? ` s="${style}"` : '';
+        const cells = values.map((value, index) => {
+            const ref = `${columnName(index)}${row}`;
+            if (value === null || value === undefined || value === '') {
+                return '';
+            }
+            if (typeof value === 'number' && Number.isFinite(value)) {
+                return `<c r="${ref}"${styleAttribute}><v>${value}</v></c>`;
+            }
+            if (typeof value === 'boolean') {
+                return `<c r="${ref}" t="b"${styleAttribute}><v>${value ? 1 : 0}</v></c>`;
+            }
+            return `<c r="${ref}" t="inlineStr"${styleAttribute}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+        }).join('');
+
+        await this.sheet.write(`<row r="${row}">${cells}</row>`);
+    }
+
+    async end() {
+        await this.sheet.write('</sheetData></worksheet>');
+        await this.sheet.close();
+        await this.zip.finish();
+    }
+}
+
+module.exports = { XlsxWriter, crc32 };
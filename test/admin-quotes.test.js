@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseQuoteFilters, filterQuotes } = require('../server/quote-search');
+const { ADMIN_API_KEY, startServer, postJson, sampleSubmission } = require('./helpers');
+
+const admin = { Authorization: `Bearer ${ADMIN_API_KEY}` };
+
+const quotes = [
+    { id: 'a', status: 'sent', createdAt: '2026-03-01T10:00:00.000Z', selectedPackage: 'hvac-appliance-website', totalPrice: 2100, customerInfo: { name: 'Jane Doe', email: 'jane@example.com', serviceArea: '30' } },
+    { id: 'b', status: 'draft', createdAt: '2026-03-15T10:00:00.000Z', selectedPackage: 'hvac-appliance-website', totalPrice: 5200, customerInfo: { name: 'Sam Lee', email: 'sam@acme.test', company: 'Acme Heating', serviceArea: '50' } },
+    { id: 'c', status: 'sent', createdAt: '2026-04-02T10:00:00.000Z', selectedPackage: 'other', totalPrice: 900, customerInfo: { name: 'Ana Ruiz', email: 'ana@example.com', serviceArea: '30' } }
+];
+const ids = query => filterQuotes(quotes, parseQuoteFilters(query)).map(quote => quote.id);
+
+test('list filters combine', () => {
+    assert.deepEqual(ids({}), ['a', 'b', 'c']);
+    assert.deepEqual(ids({ status: 'sent' }), ['a', 'c']);
+    assert.deepEqual(ids({ from: '2026-03-15', to: '2026-04-01' }), ['b']);
+    assert.deepEqual(ids({ package: 'hvac-appliance-website', serviceArea: '30' }), ['a']);
+    assert.deepEqual(ids({ minTotal: '1000', maxTotal: '5200' }), ['a', 'b']);
+    assert.deepEqual(ids({ q: ' ACME ' }), ['b']);
+});
+
+test('total filters compare in USD whatever the quote currency', () => {
+    const priced = [
+        { ...quotes[0], id: 'usd', totalPrice: 1000, pricing: { currency: 'USD', exchangeRate: 1 } },
+        // ¥150,000 at 150 to the dollar is $1,000, not 150,000
+        { ...quotes[0], id: 'jpy', totalPrice: 150000, pricing: { currency: 'JPY', exchangeRate: 150 } },
+        { ...quotes[0], id: 'eur', totalPrice: 1840, pricing: { currency: 'EUR', exchangeRate: 0.92 } }
+    ];
+    const matching = query => filterQuotes(priced, parseQuoteFilters(query)).map(quote => quote.id);
+
+    assert.deepEqual(matching({ maxTotal: '1000' }), ['usd', 'jpy']);
+    assert.deepEqual(matching({ minTotal: '1500' }), ['eur']);
+    assert.deepEqual(matching({ minTotal: '900', maxTotal: '1100' }), ['usd', 'jpy']);
+});
+
+test('bad filters are a 400', () => {
+    [
+        { status: 'lost' },
+        { from: '2026-13-01' },
+        { from: '2026-04-01', to: '2026-03-01' },
+        { minTotal: '-5' },
+        { q: 'x'.repeat(101) }
+    ].forEach(query => assert.throws(() => parseQuoteFilters(query), { status: 400 }, JSON.stringify(query)));
+});
+
+test('the admin list filters and the detail shows the next actions', async (t) => {
+    const { baseUrl } = await startServer(t);
+    const { body: { id } } = await postJson(`${baseUrl}/api/quote/submissions`, sampleSubmission());
+    await postJson(`${baseUrl}/api/quote/submissions`, sampleSubmission({ customerInfo: { name: 'Sam Lee', email: 'sam@acme.test' } }));
+
+    const list = await (await fetch(`${baseUrl}/api/admin/quotes?q=jane`, { headers: admin })).json();
+    assert.deepEqual(list.map(quote => quote.id), [id]);
+    const invalid = await fetch(`${baseUrl}/api/admin/quotes?status=lost`, { headers: admin });
+    assert.equal(invalid.status, 400);
+
+    const detail = await (await fetch(`${baseUrl}/api/admin/quotes/${id}`, { headers: admin })).json();
+    assert.deepEqual(detail.nextActions, ['send']);
+});
+
+test('staff notes are stored on the quote and in its audit trail', async (t) => {
+    const { baseUrl, quoteStore } = await startServer(t);
+    const { body: { id } } = await postJson(`${baseUrl}/api/quote/submissions`, sampleSubmission());
+
+    const added = await postJson(`${baseUrl}/api/admin/quotes/${id}/notes`, { text: '  Called, wants a demo  ' }, admin);
+    assert.equal(added.status, 201);
+    assert.equal(added.body.text, 'Called, wants a demo');
+    assert.equal((await postJson(`${baseUrl}/api/admin/quotes/${id}/notes`, { text: ' ' }, admin)).status, 400);
+
+    const notes = await (await fetch(`${baseUrl}/api/admin/quotes/${id}/notes`, { headers: admin })).json();
+    assert.deepEqual(notes.map(note => note.text), ['Called, wants a demo']);
+    const stored = await quoteStore.get(id);
+    assert.equal(stored.auditTrail.at(-1).noteId, added.body.id);
+});
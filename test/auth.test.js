@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { authenticate } = require('../server/admin-auth');
+const { ADMIN_API_KEY, createStores, startServer, postJson, signInAs, sampleSubmission } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+const getJson = async (url, headers) => {
+    const response = await fetch(url, { headers });
+    return { status: response.status, body: await response.json() };
+};
+
+const send = (url, method, body, headers) => fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+});
+
+test('logging in starts a session that /me and the admin API accept', async (t) => {
+    const server = await startServer(t);
+    const { baseUrl, userStore, sessionStore } = server;
+    await userStore.create({ username: 'Dana', password: 'correct horse battery', role: 'viewer', name: 'Dana Cruz' });
+
+    const login = await postJson(`${baseUrl}/api/auth/login`, { username: ' dana ', password: 'correct horse battery' });
+    assert.equal(login.status, 200);
+    assert.equal(login.body.user.username, 'dana');
+    assert.equal(login.body.user.passwordHash, undefined);
+    const headers = { Authorization: `Bearer ${login.body.token}` };
+
+    const me = await getJson(`${baseUrl}/api/auth/me`, headers);
+    assert.equal(me.body.name, 'Dana Cruz');
+    assert.equal((await fetch(`${baseUrl}/api/admin/quotes`, { headers })).status, 200);
+
+    // Only a hash of the token is stored
+    const data = await sessionStore.store.read();
+    assert.ok(!JSON.stringify(data).includes(login.body.token));
+
+    assert.equal((await fetch(`${baseUrl}/api/auth/logout`, { method: 'POST', headers })).status, 204);
+    assert.equal((await fetch(`${baseUrl}/api/auth/me`, { headers })).status, 401);
+});
+
+test('a wrong password and an unknown user get the same answer', async (t) => {
+    const { baseUrl, userStore } = await startServer(t);
+    await userStore.create({ username: 'dana', password: 'correct horse battery', role: 'viewer' });
+
+    const wrong = await postJson(`${baseUrl}/api/auth/login`, { username: 'dana', password: 'wrong password!' });
+    const unknown = await postJson(`${baseUrl}/api/auth/login`, { username: 'nobody', password: 'wrong password!' });
+    assert.equal(wrong.status, 401);
+    assert.deepEqual(unknown, wrong);
+    assert.equal((await postJson(`${baseUrl}/api/auth/login`, { username: 'dana' })).status, 400);
+});
+
+test('the admin API needs a session or the API key', async (t) => {
+    const { baseUrl } = await startServer(t);
+    const anonymous = await fetch(`${baseUrl}/api/admin/quotes`);
+    assert.equal(anonymous.status, 401);
+    assert.equal(anonymous.headers.get('www-authenticate'), 'Bearer');
+    assert.equal((await fetch(`${baseUrl}/api/admin/quotes`, { headers: { Authorization: 'Bearer not-a-session' } })).status, 401);
+    assert.equal((await fetch(`${baseUrl}/api/admin/quotes`, { headers: { Authorization: `Bearer ${ADMIN_API_KEY}` } })).status, 200);
+});
+
+test('sessions end after their lifetime', async (t) => {
+    const server = await startServer(t);
+    const headers = await signInAs(server, 'viewer');
+
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 13 * HOUR });
+    assert.equal((await fetch(`${server.baseUrl}/api/auth/me`, { headers })).status, 401);
+});
+
+test('with no API key and no users the admin API is off', async (t) => {
+    const stores = createStores(t);
+    const middleware = authenticate({ apiKey: '', ...stores });
+    const req = { get: () => `Bearer ${ADMIN_API_KEY}` };
+
+    const error = await new Promise(resolve => middleware(req, {}, resolve));
+    assert.equal(error.status, 503);
+});
+
+test('viewers read, sales change quotes, admins edit the catalog', async (t) => {
+    const server = await startServer(t);
+    const { baseUrl, quoteStore } = server;
+    const viewer = await signInAs(server, 'viewer');
+    const sales = await signInAs(server, 'sales');
+    const admin = await signInAs(server, 'admin');
+    const { body: { id } } = await postJson(`${baseUrl}/api/quote/submissions`, sampleSubmission());
+
+    assert.equal((await getJson(`${baseUrl}/api/admin/quotes/${id}`, viewer)).status, 200);
+    const refused = await postJson(`${baseUrl}/api/admin/quotes/${id}/send`, {}, viewer);
+    assert.equal(refused.status, 403);
+    assert.match(refused.body.error, /sales role/);
+
+    assert.equal((await postJson(`${baseUrl}/api/admin/quotes/${id}/send`, {}, sales)).status, 200);
+    assert.equal((await postJson(`${baseUrl}/api/admin/quotes/${id}/notes`, { text: 'Called' }, sales)).status, 201);
+    const stored = await quoteStore.get(id);
+    assert.equal(stored.auditTrail.find(entry => entry.to === 'sent').actor, 'sales');
+    assert.equal(stored.notes[0].author, 'sales');
+
+    const addon = { id: 'photo-shoot', name: 'Photo Shoot', price: 300, timeline: '2-3 days' };
+    assert.equal((await getJson(`${baseUrl}/api/admin/catalog`, sales)).status, 200);
+    assert.equal((await postJson(`${baseUrl}/api/admin/catalog/addon-services`, addon, sales)).status, 403);
+    assert.equal((await postJson(`${baseUrl}/api/admin/catalog/addon-services`, addon, admin)).status, 201);
+    assert.equal((await getJson(`${baseUrl}/api/admin/users`, sales)).status, 403);
+});
+
+test('admins manage users; the last admin stays', async (t) => {
+    const server = await startServer(t);
+    const { baseUrl } = server;
+    const admin = await signInAs(server, 'admin');
+    const users = `${baseUrl}/api/admin/users`;
+
+    const created = await postJson(users, { username: 'sam', password: 'sam-password-1', role: 'sales' }, admin);
+    assert.equal(created.status, 201);
+    assert.equal((await postJson(users, { username: 'sam', password: 'sam-password-1', role: 'sales' }, admin)).status, 409);
+    assert.equal((await postJson(users, { username: 'x', password: 'short', role: 'owner' }, admin)).status, 400);
+
+    const { body: session } = await postJson(`${baseUrl}/api/auth/login`, { username: 'sam', password: 'sam-password-1' });
+    const sam = { Authorization: `Bearer ${session.token}` };
+    assert.equal((await send(`${users}/${created.body.id}`, 'PUT', { password: 'sam-password-2' }, admin)).status, 200);
+    assert.equal((await fetch(`${baseUrl}/api/auth/me`, { headers: sam })).status, 401);
+
+    const { body: me } = await getJson(`${baseUrl}/api/auth/me`, admin);
+    assert.equal((await send(`${users}/${me.id}`, 'PUT', { role: 'viewer' }, admin)).status, 409);
+    assert.equal((await send(`${users}/${me.id}`, 'DELETE', undefined, admin)).status, 409);
+    assert.equal((await send(`${users}/${created.body.id}`, 'DELETE', undefined, admin)).status, 200);
+    assert.deepEqual((await getJson(users, admin)).body.map(user => user.username), ['admin']);
+});
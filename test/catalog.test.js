@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { ADMIN_API_KEY, startServer, postJson } = require('./helpers');
+
+const auth = { Authorization: `Bearer ${ADMIN_API_KEY}` };
+const selection = { selectedPackage: 'hvac-appliance-website', selectedAddonServices: ['photo-shoot'] };
+const photoShoot = { id: 'photo-shoot', name: 'Photo Shoot', price: 300, timeline: '2-3 days' };
+
+test('the admin catalog API needs the admin key', async (t) => {
+    const { baseUrl } = await startServer(t);
+    const url = `${baseUrl}/api/admin/catalog`;
+
+    assert.equal((await fetch(url)).status, 401);
+    assert.equal((await fetch(url, { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+    assert.equal((await fetch(url, { headers: auth })).status, 200);
+});
+
+test('a new catalog item is priced at once and the old catalog is archived', async (t) => {
+    const { baseUrl, catalogStore, dataDir } = await startServer(t);
+    const { version } = await catalogStore.get();
+    assert.equal((await postJson(`${baseUrl}/api/quote/price`, selection)).status, 400);
+
+    const created = await postJson(`${baseUrl}/api/admin/catalog/addon-services`, photoShoot, auth);
+    assert.equal(created.status, 201);
+    assert.equal(created.body.version, version + 1);
+
+    const priced = await postJson(`${baseUrl}/api/quote/price`, selection);
+    assert.equal(priced.status, 200);
+    assert.equal(priced.body.total, 1500);
+    const archived = JSON.parse(fs.readFileSync(path.join(dataDir, 'catalog-versions', `catalog.v${version}.json`), 'utf8'));
+    assert.equal(archived.addonServices.some(item => item.id === 'photo-shoot'), false);
+});
+
+test('catalog items are validated and IDs are unique', async (t) => {
+    const { baseUrl, catalogStore } = await startServer(t);
+    const url = `${baseUrl}/api/admin/catalog/addon-services`;
+    const { version } = await catalogStore.get();
+
+    assert.equal((await postJson(url, { ...photoShoot, name: '<b>Photo</b>' }, auth)).status, 400);
+    assert.equal((await postJson(url, { ...photoShoot, id: 'content-creation' }, auth)).status, 409);
+    assert.equal((await catalogStore.get()).version, version);
+});
+
+test('a catalog write that fails to save leaves the cached catalog alone', async (t) => {
+    const { catalogStore } = await startServer(t);
+    const before = await catalogStore.get();
+    t.mock.method(catalogStore.store, 'write', async () => {
+        throw new Error('disk full');
+    });
+
+    await assert.rejects(catalogStore.create('addon-services', photoShoot), /disk full/);
+    const after = await catalogStore.get();
+    assert.equal(after.version, before.version);
+    assert.equal(after.addonServices.some(item => item.id === 'photo-shoot'), false);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { priceQuote } = require('../server/pricing');
+const { evaluateDiscount } = require('../server/discounts');
+const catalog = require('../catalog/catalog.json');
+const { startServer, postJson, sampleSubmission } = require('./helpers');
+
+const selection = {
+    selectedPackage: 'hvac-appliance-website',
+    selectedAdditionalFeatures: ['online-booking'],
+    selectedAddonServices: ['content-creation']
+};
+const pricing = priceQuote(selection, catalog);
+const rule = { id: 'TEST10', name: 'Test', type: 'percentage', value: 10, active: true };
+const now = new Date('2026-06-01T00:00:00.000Z');
+
+test('a percentage code takes its share of the eligible items only', () => {
+    assert.equal(evaluateDiscount(rule, pricing, { uses: 0, now }).amount, 210);
+    assert.equal(evaluateDiscount({ ...rule, eligibleItems: ['content-creation'] }, pricing, { uses: 0, now }).amount, 45);
+    assert.throws(() => evaluateDiscount({ ...rule, eligibleItems: ['google-ads-setup'] }, pricing, { uses: 0, now }), {
+        status: 422,
+        message: /does not apply/
+    });
+});
+
+test('a fixed amount never takes off more than the eligible items cost', () => {
+    const fixed = { ...rule, type: 'fixed', value: 1000, eligibleItems: ['content-creation'] };
+    assert.equal(evaluateDiscount(fixed, pricing, { uses: 0, now }).amount, 450);
+});
+
+test('fixed amounts and minimum spends are converted to the quoted currency', () => {
+    const euros = priceQuote({ ...selection, currency: 'EUR' }, catalog);
+    assert.equal(evaluateDiscount({ ...rule, type: 'fixed', value: 100 }, euros, { uses: 0, now }).amount, 92);
+    assert.throws(() => evaluateDiscount({ ...rule, minSubtotal: 2100.01 }, euros, { uses: 0, now }), {
+        status: 422,
+        message: /minimum spend of €1,932\.01/
+    });
+});
+
+test('inactive, early, expired and under-minimum codes are refused', () => {
+    const refused = (overrides, message) => assert.throws(
+        () => evaluateDiscount({ ...rule, ...overrides }, pricing, { uses: 0, now }),
+        { status: 422, message }
+    );
+
+    refused({ active: false }, /not active/);
+    refused({ startsAt: '2026-07-01T00:00:00.000Z' }, /not active yet/);
+    refused({ expiresAt: '2026-05-31T23:59:59.000Z' }, /expired/);
+    refused({ minSubtotal: 5000 }, /minimum spend of \$5,000/);
+    assert.equal(evaluateDiscount({ ...rule, maxUses: 3 }, pricing, { uses: 2, now }).amount, 210);
+    assert.throws(() => evaluateDiscount({ ...rule, maxUses: 3 }, pricing, { uses: 3, now }), /usage limit/);
+});
+
+test('codes are checked without regard to case and unknown ones are refused', async (t) => {
+    const { baseUrl } = await startServer(t);
+    const url = `${baseUrl}/api/quote/discounts/validate`;
+
+    const valid = await postJson(url, { ...selection, code: ' welcome10 ' });
+    assert.equal(valid.status, 200);
+    assert.equal(valid.body.discount.code, 'WELCOME10');
+    assert.equal(valid.body.pricing.total, 1890);
+
+    const unknown = await postJson(url, { ...selection, code: 'NOPE1' });
+    assert.equal(unknown.status, 422);
+    assert.match(unknown.body.error, /not valid/);
+});
+
+test('a code stops working once its uses run out, and checking it uses none', async (t) => {
+    const { baseUrl, catalogStore, discountUsageStore } = await startServer(t);
+    await catalogStore.create('discounts', { ...rule, id: 'ONCE', maxUses: 1 });
+    const submit = () => postJson(`${baseUrl}/api/quote/submissions`, sampleSubmission({ discountCode: 'once' }));
+
+    const check = await postJson(`${baseUrl}/api/quote/discounts/validate`, { ...selection, code: 'ONCE' });
+    assert.equal(check.status, 200);
+    assert.equal(await discountUsageStore.getUses('ONCE'), 0);
+
+    const first = await submit();
+    assert.equal(first.status, 201);
+    assert.equal(first.body.quote.pricing.discountTotal, 210);
+
+    const second = await submit();
+    assert.equal(second.status, 422);
+    assert.match(second.body.error, /usage limit/);
+    assert.equal(await discountUsageStore.getUses('ONCE'), 1);
+});
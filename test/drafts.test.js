@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const securityConfig = require('../security-config');
+const { startServer, postJson } = require('./helpers');
+
+const selection = {
+    selectedPackage: 'hvac-appliance-website',
+    selectedAdditionalFeatures: ['online-booking'],
+    selectedAddonServices: [],
+    discountCode: 'welcome10'
+};
+
+/**
+ * The quote API with a notifier that records the resume links it was asked to send
+ */
+async function startDrafts(t, options = {}) {
+    const sent = [];
+    const server = await startServer(t, {
+        notifier: { draftSaved: async (message) => { sent.push(message); } },
+        ...options
+    });
+    return { ...server, sent, url: `${server.baseUrl}/api/quote/drafts` };
+}
+
+const resumeToken = resumeUrl => new URL(resumeUrl, 'https://quotes.example.com').searchParams.get('resume');
+
+test('a saved draft resumes with its selection', async (t) => {
+    const { url, sent } = await startDrafts(t);
+    const saved = await postJson(url, selection);
+
+    assert.equal(saved.status, 201);
+    assert.match(saved.body.resumeUrl, /^https:\/\/quotes\.example\.com\/\?resume=[\w-]{32}$/);
+    assert.equal(saved.body.emailed, false);
+    assert.deepEqual(sent, []);
+
+    const resumed = await fetch(`${url}/${resumeToken(saved.body.resumeUrl)}`);
+    const draft = await resumed.json();
+    assert.equal(resumed.status, 200);
+    assert.equal(resumed.headers.get('cache-control'), 'no-store');
+    assert.equal(draft.selection.selectedPackage, 'hvac-appliance-website');
+    assert.deepEqual(draft.selection.selectedAdditionalFeatures, ['online-booking']);
+    assert.equal(draft.selection.discountCode, 'WELCOME10');
+    assert.equal(draft.tokenHash, undefined);
+});
+
+test('without a public URL links are relative and never emailed', async (t) => {
+    const { url, sent } = await startDrafts(t, { publicUrl: '' });
+    const saved = await postJson(url, selection);
+    assert.equal(saved.status, 201);
+    assert.match(saved.body.resumeUrl, /^\/\?resume=[\w-]{32}$/);
+
+    const { status, body } = await postJson(url, { ...selection, email: 'jane@example.com' });
+    assert.equal(status, 503);
+    assert.match(body.error, /not set up/);
+    assert.deepEqual(sent, []);
+});
+
+test('emailed links point at the public URL, never the request host', async (t) => {
+    const { url, sent } = await startDrafts(t);
+    const { status, body } = await postJson(url, { ...selection, email: ' jane@example.com ' }, { 'X-Forwarded-Host': 'evil.example' });
+
+    assert.equal(status, 201);
+    assert.equal(body.emailed, true);
+    assert.match(body.resumeUrl, /^https:\/\/quotes\.example\.com\/\?resume=/);
+    assert.deepEqual(sent.map(message => [message.to, message.resumeUrl, message.expiresAt]),
+        [['jane@example.com', body.resumeUrl, body.expiresAt]]);
+});
+
+test('emailed links are rate-limited per address', async (t) => {
+    const { url, sent } = await startDrafts(t, {
+        emailRateLimit: { ...securityConfig.drafts.emailRateLimit, max: 2 }
+    });
+    const save = email => postJson(url, { ...selection, ...(email ? { email } : {}) });
+
+    assert.equal((await save('jane@example.com')).status, 201);
+    assert.equal((await save('Jane@Example.com')).status, 201);
+    const limited = await save(' jane@example.com ');
+    assert.equal(limited.status, 429);
+    assert.match(limited.body.error, /Too many resume links/);
+
+    // Other addresses and drafts that aren't emailed don't count
+    assert.equal((await save('sam@example.com')).status, 201);
+    assert.equal((await save()).status, 201);
+    assert.equal((await save()).status, 201);
+    assert.equal((await save()).status, 201);
+    assert.equal(sent.length, 3);
+});
+
+test('a draft is still saved when the email cannot be queued', async (t) => {
+    const { url } = await startDrafts(t, {
+        notifier: { draftSaved: async () => { throw new Error('queue is full'); } }
+    });
+    t.mock.method(console, 'error', () => {});
+    const { status, body } = await postJson(url, { ...selection, email: 'jane@example.com' });
+
+    assert.equal(status, 201);
+    assert.equal(body.emailed, false);
+    assert.equal((await fetch(`${url}/${resumeToken(body.resumeUrl)}`)).status, 200);
+});
+
+test('expired and unknown resume links are refused', async (t) => {
+    const { url, draftStore } = await startDrafts(t);
+    const { body } = await postJson(url, selection);
+    const token = resumeToken(body.resumeUrl);
+
+    assert.equal((await fetch(`${url}/${'x'.repeat(32)}`)).status, 404);
+    assert.equal((await fetch(`${url}/not-a-token`)).status, 404);
+
+    await draftStore.store.update((data) => {
+        Object.values(data.drafts).forEach((draft) => {
+            draft.expiresAt = new Date(Date.now() - 1000).toISOString();
+        });
+    });
+    const expired = await fetch(`${url}/${token}`);
+    assert.equal(expired.status, 410);
+    assert.match((await expired.json()).error, /expired/);
+});
+
+test('selections the catalog does not have and bad addresses are refused', async (t) => {
+    const { url, sent } = await startDrafts(t);
+
+    assert.equal((await postJson(url, { ...selection, selectedAddonServices: ['nope'] })).status, 400);
+    const badEmail = await postJson(url, { ...selection, email: 'not-an-email' });
+    assert.equal(badEmail.status, 400);
+    assert.ok(badEmail.body.details.fieldErrors.email);
+    assert.deepEqual(sent, []);
+});
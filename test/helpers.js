@@ -0,0 +1,181 @@
+// ===== TEST HELPERS =====
+// Shared setup for the node:test suites in this directory (npm test).
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { authenticate, requireRole } = require('../server/admin-auth');
+const CatalogStore = require('../server/catalog-store');
+const QuoteStore = require('../server/quote-store');
+const ShareLinkStore = require('../server/share-links');
+const { UserStore } = require('../server/users');
+const SessionStore = require('../server/sessions');
+const { DiscountUsageStore } = require('../server/discounts');
+const DraftStore = require('../server/drafts');
+const createPricingRouter = require('../server/routes/pricing');
+const createSubmissionsRouter = require('../server/routes/submissions');
+const createShareRouter = require('../server/routes/share');
+const createAdminCatalogRouter = require('../server/routes/admin-catalog');
+const createAdminQuotesRouter = require('../server/routes/admin-quotes');
+const createAdminUsersRouter = require('../server/routes/admin-users');
+const createAuthRouter = require('../server/routes/auth');
+const createPaymentsRouter = require('../server/routes/payments');
+const createDraftsRouter = require('../server/routes/drafts');
+
+// ADMIN_API_KEY of startServer(), which signs in as an admin
+const ADMIN_API_KEY = 'test-admin-key';
+
+/**
+ * An empty data directory for the stores, removed after the test
+ */
+function tempDataDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'quote-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+/**
+ * The stores server.js creates, over an empty data directory
+ */
+function createStores(t) {
+    const dataDir = tempDataDir(t);
+    return {
+        dataDir,
+        catalogStore: new CatalogStore(dataDir),
+        quoteStore: new QuoteStore(dataDir),
+        discountUsageStore: new DiscountUsageStore(dataDir),
+        shareLinkStore: new ShareLinkStore(dataDir),
+        userStore: new UserStore(dataDir),
+        sessionStore: new SessionStore(dataDir),
+        draftStore: new DraftStore(dataDir)
+    };
+}
+
+/**
+ * Serve routes on a free local port with the body parsing and error
+ * responses of server.js. `mount(app)` adds the routers under test.
+ * Resolves to the base URL; the server is closed after the test.
+ */
+async function startApp(t, mount) {
+    const app = express();
+    app.use('/api/payments/webhook', express.raw({ type: '*/*' }));
+    app.use(express.json());
+    mount(app);
+    app.use((err, req, res, next) => {
+        res.status(err.status || 500).json({
+            error: err.message,
+            ...(err.details ? { details: err.details } : {})
+        });
+    });
+
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+/**
+ * The quote API mounted as server.js mounts it, over fresh stores, with a
+ * notifier that sends nothing and online payments off. `options` replaces
+ * any of the stores or other router dependencies, e.g. { paymentProvider }.
+ * Resolves to the dependencies and the base URL.
+ */
+async function startServer(t, options = {}) {
+    const deps = {
+        ...createStores(t),
+        notifier: { quoteSubmitted: async () => {}, draftSaved: async () => {} },
+        paymentProvider: null,
+        publicUrl: 'https://quotes.example.com',
+        ...options
+    };
+    const requireStaff = authenticate({ apiKey: ADMIN_API_KEY, ...deps });
+    const baseUrl = await startApp(t, (app) => {
+        app.use('/api/quote', createPricingRouter(deps));
+        app.use('/api/quote/submissions', createSubmissionsRouter({ ...deps, authenticate: requireStaff }));
+        app.use('/api/quote/drafts', createDraftsRouter(deps));
+        app.use('/q', createShareRouter(deps));
+        app.use('/api/payments', createPaymentsRouter(deps));
+        app.use('/api/auth', createAuthRouter({ ...deps, authenticate: requireStaff }));
+        app.use('/api/admin', requireStaff, requireRole('viewer'));
+        app.use('/api/admin/catalog', createAdminCatalogRouter(deps));
+        app.use('/api/admin/quotes', createAdminQuotesRouter(deps));
+        app.use('/api/admin/users', createAdminUsersRouter(deps));
+    });
+    return { ...deps, baseUrl };
+}
+
+/**
+ * POST a JSON body, returning the status and parsed response
+ */
+async function postJson(url, body, headers = {}) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Submit sampleSubmission(overrides) to a startServer() server. Resolves to
+ * the response body: { id, shareUrl, quote, ... }.
+ */
+async function submitQuote({ baseUrl }, overrides) {
+    const { status, body } = await postJson(`${baseUrl}/api/quote/submissions`, sampleSubmission(overrides));
+    if (status !== 201) {
+        throw new Error(`Submission failed with ${status}: ${body.error}`);
+    }
+    return body;
+}
+
+/**
+ * The token of the share link submitQuote() resolved with
+ */
+const shareToken = ({ shareUrl }) => shareUrl.slice('/q/'.length);
+
+/**
+ * Create a staff user with `role` and log in as them through /api/auth.
+ * Resolves to the Authorization header of the session.
+ */
+async function signInAs({ baseUrl, userStore }, role, username = role) {
+    const password = `${username}-password`;
+    await userStore.create({ username, password, role });
+    const { body } = await postJson(`${baseUrl}/api/auth/login`, { username, password });
+    return { Authorization: `Bearer ${body.token}` };
+}
+
+/**
+ * A quote submission the seed catalog prices, as the quote page sends it
+ */
+function sampleSubmission(overrides = {}) {
+    return {
+        selectedPackage: 'hvac-appliance-website',
+        selectedAdditionalFeatures: ['online-booking'],
+        selectedAddonServices: ['content-creation'],
+        currency: 'USD',
+        locale: 'en',
+        ...overrides,
+        customerInfo: {
+            name: 'Jane Doe',
+            email: 'jane@example.com',
+            phone: '+15551234567',
+            location: 'Austin, TX',
+            serviceArea: '30',
+            ...overrides.customerInfo
+        }
+    };
+}
+
+module.exports = {
+    ADMIN_API_KEY,
+    tempDataDir,
+    createStores,
+    startServer,
+    postJson,
+    submitQuote,
+    shareToken,
+    signInAs,
+    sampleSubmission
+};
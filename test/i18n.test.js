@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const I18n = require('../assets/js/shared/I18n');
+const { priceQuote } = require('../server/pricing');
+const { evaluateDiscount } = require('../server/discounts');
+const catalog = require('../catalog/catalog.json');
+const { startServer, postJson, sampleSubmission } = require('./helpers');
+
+const selection = {
+    selectedPackage: 'hvac-appliance-website',
+    selectedAdditionalFeatures: ['online-booking'],
+    selectedAddonServices: ['content-creation']
+};
+
+/**
+ * Every key path in a message catalog, e.g. "discounts.expired"
+ */
+function keys(messages, prefix = '') {
+    return Object.entries(messages).flatMap(([key, value]) => (
+        value && typeof value === 'object' && !Array.isArray(value)
+            ? keys(value, `${prefix}${key}.`)
+            : [`${prefix}${key}`]
+    )).sort();
+}
+
+test('every locale file has the same messages as English', () => {
+    const english = keys(require('../assets/locales/en.json'));
+    I18n.LOCALES.forEach((locale) => {
+        assert.deepEqual(keys(require(`../assets/locales/${locale}.json`)), english, locale);
+    });
+});
+
+test('every message the pages ask for is in the catalogs', () => {
+    const english = new Set(keys(require('../assets/locales/en.json')));
+    ['index.html', 'success.html', 'admin.html'].forEach((page) => {
+        const html = fs.readFileSync(path.join(__dirname, '..', page), 'utf8');
+        const used = [...html.matchAll(/data-i18n(?:-[a-z-]+)?="([^"]+)"/g)].map(match => match[1]);
+        used.forEach(key => assert.ok(english.has(key), `${page}: ${key}`));
+    });
+});
+
+test('the changed-price message shows the new total in every language', () => {
+    I18n.LOCALES.forEach((locale) => {
+        assert.match(I18n.translator(locale)('notifications.pricesChanged', { total: '$2,100' }), /\$2,100/, locale);
+    });
+});
+
+test('messages fill in placeholders and fall back to English, then the key', () => {
+    const t = I18n.translator('es');
+    assert.equal(t('discounts.minimumSpend', { amount: '10 €' }), 'Este código promocional requiere un gasto mínimo de 10 €');
+    assert.equal(I18n.translator('de')('discounts.expired'), 'This promo code has expired');
+    assert.equal(t('no.such.key'), 'no.such.key');
+});
+
+test('the browser language picks the locale', () => {
+    assert.equal(I18n.detectLocale(['es-MX', 'en']), 'es');
+    assert.equal(I18n.detectLocale(['de-DE', 'fr_CA']), 'fr');
+    assert.equal(I18n.detectLocale(['de']), 'en');
+});
+
+test('quotes are priced with item and discount names in their language', () => {
+    const pricing = priceQuote({ ...selection, locale: 'es' }, catalog);
+    assert.equal(pricing.selection.locale, 'es');
+    assert.equal(pricing.lineItems[0].name, 'Sitio web profesional de climatización y electrodomésticos');
+    assert.equal(priceQuote({ ...selection, locale: 'de' }, catalog).selection.locale, 'en');
+
+    const rule = { id: 'OLD', name: 'Old', type: 'percentage', value: 10, active: false };
+    assert.throws(() => evaluateDiscount(rule, pricing, { uses: 0 }), { status: 422, message: 'Este código promocional no está activo' });
+});
+
+test('an unsupported language is refused on submission', async (t) => {
+    const { baseUrl } = await startServer(t);
+    const { status, body } = await postJson(`${baseUrl}/api/quote/submissions`, sampleSubmission({ locale: 'de' }));
+    assert.equal(status, 400);
+    assert.ok(body.details.fieldErrors.locale);
+});
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { OutboxTransport, SmtpTransport } = require('../server/mail-transports');
+const JobQueue = require('../server/job-queue');
+const QuoteNotifier = require('../server/notifications');
+const { tempDataDir, createStores, startServer, postJson, sampleSubmission } = require('./helpers');
+
+const message = { from: 'Quotes <quotes@example.com>', to: 'jane@example.com', subject: 'Your quote', text: 'Hello' };
+
+test('the outbox writes each message to a file', async (t) => {
+    const dir = tempDataDir(t);
+    const { path: file } = await new OutboxTransport(dir).send(message);
+    assert.match(fs.readFileSync(file, 'utf8'), /Subject: Your quote/);
+});
+
+test('a submission queues the confirmation and lead alert, sent with the PDF', async (t) => {
+    const stores = createStores(t);
+    const outbox = path.join(stores.dataDir, 'outbox');
+    const queue = new JobQueue(stores.dataDir, 'mail');
+    const notifier = new QuoteNotifier({
+        queue,
+        transport: new OutboxTransport(outbox),
+        quoteStore: stores.quoteStore,
+        catalogStore: stores.catalogStore,
+        from: 'Quotes <quotes@example.com>',
+        leadsTo: 'sales@example.com'
+    });
+
+    const { baseUrl } = await startServer(t, { ...stores, notifier });
+    const { status } = await postJson(`${baseUrl}/api/quote/submissions`, sampleSubmission());
+    assert.equal(status, 201);
+
+    const result = await queue.processDue(payload => notifier.deliver(payload));
+    assert.deepEqual(result, { sent: 2, failed: 0 });
+
+    const sent = fs.readdirSync(outbox).map(name => fs.readFileSync(path.join(outbox, name), 'utf8'));
+    assert.equal(sent.length, 2);
+    assert.ok(sent.some(raw => /^To: jane@example\.com/m.test(raw)));
+    assert.ok(sent.some(raw => /^To: sales@example\.com/m.test(raw) && /^Reply-To: jane@example\.com/m.test(raw)));
+    assert.ok(sent.every(raw => raw.includes('application/pdf')));
+});
+
+test('failed sends are retried later and permanent failures dead-lettered', async (t) => {
+    const queue = new JobQueue(tempDataDir(t), 'mail', { maxAttempts: 3 });
+    await queue.enqueue({ n: 1 });
+    await queue.enqueue({ n: 2 });
+
+    const result = await queue.processDue(async (payload) => {
+        throw Object.assign(new Error('mail server down'), { permanent: payload.n === 2 });
+    });
+    assert.deepEqual(result, { sent: 0, failed: 2 });
+
+    const data = await queue.store.read();
+    assert.equal(data.jobs.length, 1);
+    assert.equal(data.jobs[0].attempts, 1);
+    assert.ok(data.jobs[0].nextAttemptAt > new Date().toISOString());
+    assert.equal(data.deadLetter.length, 1);
+    assert.equal(data.deadLetter[0].payload.n, 2);
+});
+
+/**
+ * A plain-text SMTP server that offers AUTH but not STARTTLS. Resolves to
+ * its port and the commands it received, closed after the test.
+ */
+async function startPlainSmtpServer(t) {
+    const commands = [];
+    const server = net.createServer((socket) => {
+        let buffer = '';
+        let inData = false;
+        socket.write('220 test ready\r\n');
+        socket.on('data', (chunk) => {
+            buffer += chunk;
+            let end;
+            while ((end = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                if (inData) {
+                    if (line === '.') {
+                        inData = false;
+                        socket.write('250 queued\r\n');
+                    }
+                    continue;
+                }
+                commands.push(line.split(' ')[0]);
+                if (line.startsWith('EHLO')) {
+                    socket.write('250-test\r\n250 AUTH PLAIN\r\n');
+                } else if (line.startsWith('AUTH')) {
+                    socket.write('235 accepted\r\n');
+                } else if (line === 'DATA') {
+                    inData = true;
+                    socket.write('354 go ahead\r\n');
+                } else if (line === 'QUIT') {
+                    socket.end('221 bye\r\n');
+                } else {
+                    socket.write('250 ok\r\n');
+                }
+            }
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return { port: server.address().port, commands };
+}
+
+test('the password is not sent over a connection without TLS', async (t) => {
+    const { port, commands } = await startPlainSmtpServer(t);
+    const transport = new SmtpTransport({ host: '127.0.0.1', port, user: 'quotes', pass: 'secret' });
+
+    await assert.rejects(transport.send(message), (error) => {
+        assert.equal(error.permanent, true);
+        assert.match(error.message, /no TLS/);
+        return true;
+    });
+    assert.deepEqual(commands, ['EHLO']);
+});
+
+test('SMTP_ALLOW_INSECURE_AUTH lets a plain connection authenticate', async (t) => {
+    const { port, commands } = await startPlainSmtpServer(t);
+    const transport = new SmtpTransport({ host: '127.0.0.1', port, user: 'quotes', pass: 'secret', allowInsecureAuth: true });
+
+    const { messageId } = await transport.send(message);
+    assert.ok(messageId);
+    assert.deepEqual(commands, ['EHLO', 'AUTH', 'MAIL', 'RCPT', 'DATA', 'QUIT']);
+});
+
+test('without a user nothing needs protecting', async (t) => {
+    const { port, commands } = await startPlainSmtpServer(t);
+    await new SmtpTransport({ host: '127.0.0.1', port }).send(message);
+    assert.deepEqual(commands, ['EHLO', 'MAIL', 'RCPT', 'DATA', 'QUIT']);
+});
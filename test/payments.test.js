@@ -0,0 +1,237 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MockProvider, StripeProvider, createPaymentProvider } = require('../server/payment-providers');
+const { signPayload } = require('../server/webhooks');
+const { startServer, postJson, submitQuote, shareToken, signInAs } = require('./helpers');
+
+const postWebhook = (baseUrl, { body, headers }) => fetch(`${baseUrl}/api/payments/webhook`, { method: 'POST', headers, body });
+
+/**
+ * Submit a quote and send it, so the customer can pay it. Resolves to the
+ * submission response.
+ */
+async function submitSentQuote(server) {
+    const submitted = await submitQuote(server);
+    await server.quoteStore.transition(submitted.id, 'sent', { actor: 'admin' });
+    return submitted;
+}
+
+/**
+ * Start a checkout as the customer, with the share token from their submission
+ */
+const startCheckout = ({ baseUrl }, submitted, milestone) => postJson(`${baseUrl}/api/payments/checkout`, {
+    quoteId: submitted.id,
+    token: shareToken(submitted),
+    milestone
+});
+
+/**
+ * Start a checkout for a quote and pay it through the mock checkout page
+ */
+async function payOnline(server, submitted, milestone) {
+    const checkout = await startCheckout(server, submitted, milestone);
+    assert.equal(checkout.status, 201);
+    return fetch(new URL(`${checkout.body.url}/pay`, server.baseUrl), { method: 'POST', redirect: 'manual' });
+}
+
+test('the payment provider comes from the config', () => {
+    assert.equal(createPaymentProvider({ provider: '' }), null);
+    assert.equal(createPaymentProvider({ provider: 'none' }), null);
+    assert.equal(createPaymentProvider({ provider: 'mock' }).name, 'mock');
+    assert.throws(() => createPaymentProvider({ provider: 'paypal' }), /Unknown payment provider/);
+});
+
+test('with payments off every payment route is a 404', async (t) => {
+    const server = await startServer(t);
+    const { id } = await submitQuote(server);
+
+    assert.equal((await fetch(`${server.baseUrl}/api/payments`)).status, 404);
+    assert.equal((await fetch(`${server.baseUrl}/api/payments/due?quoteId=${id}`)).status, 404);
+    assert.equal((await postJson(`${server.baseUrl}/api/payments/checkout`, { quoteId: id })).status, 404);
+    assert.equal((await postWebhook(server.baseUrl, { body: '{}', headers: {} })).status, 404);
+    assert.equal((await fetch(`${server.baseUrl}/api/payments/mock/checkout/mock_cs_1`)).status, 404);
+});
+
+test('the mock checkout pages only exist with the mock provider', async (t) => {
+    const stripe = new StripeProvider({ secretKey: 'sk_test', webhookSecret: 'whsec_test' });
+    const { baseUrl } = await startServer(t, { paymentProvider: stripe });
+
+    assert.deepEqual(await (await fetch(`${baseUrl}/api/payments`)).json(), { provider: 'stripe' });
+    assert.equal((await fetch(`${baseUrl}/api/payments/mock/checkout/mock_cs_1`)).status, 404);
+});
+
+test('paying the deposit accepts a sent quote and marks it paid', async (t) => {
+    const server = await startServer(t, { paymentProvider: new MockProvider() });
+    const submitted = await submitSentQuote(server);
+    const { id, quote } = submitted;
+
+    const checkout = await startCheckout(server, submitted);
+    assert.equal(checkout.status, 201);
+    const page = await fetch(new URL(checkout.body.url, server.baseUrl));
+    assert.equal(page.status, 200);
+    assert.match(await page.text(), /Deposit \(40%\)/);
+
+    const pay = await fetch(new URL(`${checkout.body.url}/pay`, server.baseUrl), { method: 'POST', redirect: 'manual' });
+    assert.equal(pay.status, 303);
+    assert.equal(pay.headers.get('location'), `https://quotes.example.com/success.html?quote=${id}&payment=success`);
+
+    const paid = await server.quoteStore.get(id);
+    assert.equal(paid.status, 'paid');
+    assert.deepEqual(paid.auditTrail.filter(entry => entry.action === 'status').map(entry => [entry.from, entry.to, entry.actor]), [
+        ['draft', 'sent', 'admin'],
+        ['sent', 'accepted', 'payment'],
+        ['accepted', 'paid', 'payment']
+    ]);
+    assert.deepEqual(paid.payments.map(payment => [payment.milestone, payment.status, payment.amount]), [
+        ['deposit', 'paid', quote.pricing.paymentSchedule[0].amount]
+    ]);
+});
+
+test('later checkouts charge the next milestone and never one already paid', async (t) => {
+    const server = await startServer(t, { paymentProvider: new MockProvider() });
+    const submitted = await submitSentQuote(server);
+    await payOnline(server, submitted);
+
+    const repeat = await startCheckout(server, submitted, 'deposit');
+    assert.equal(repeat.status, 409);
+    assert.match(repeat.body.error, /already been made/);
+    assert.equal((await startCheckout(server, submitted, 'bonus')).status, 409);
+
+    await payOnline(server, submitted);
+    const stored = await server.quoteStore.get(submitted.id);
+    assert.deepEqual(stored.payments.map(payment => payment.milestone), ['deposit', 'design-approval']);
+});
+
+test('the pay button asks which milestone is due, and checkout charges that one', async (t) => {
+    const server = await startServer(t, { paymentProvider: new MockProvider() });
+    const submitted = await submitSentQuote(server);
+    const due = () => fetch(`${server.baseUrl}/api/payments/due?quoteId=${submitted.id}&token=${shareToken(submitted)}`);
+    const [deposit, designApproval] = submitted.quote.pricing.paymentSchedule;
+
+    const first = await due();
+    assert.equal(first.status, 200);
+    assert.deepEqual(await first.json(), {
+        milestone: { id: deposit.id, name: deposit.name, percent: deposit.percent, amount: deposit.amount },
+        currency: 'USD'
+    });
+
+    await payOnline(server, submitted, deposit.id);
+    const next = await (await due()).json();
+    assert.equal(next.milestone.id, designApproval.id);
+    assert.equal(next.milestone.amount, designApproval.amount);
+
+    assert.equal((await fetch(`${server.baseUrl}/api/payments/due?quoteId=${submitted.id}`)).status, 404);
+    const draft = await submitQuote(server);
+    assert.equal((await fetch(`${server.baseUrl}/api/payments/due?quoteId=${draft.id}&token=${shareToken(draft)}`)).status, 409);
+});
+
+test('drafts and declined quotes cannot be paid', async (t) => {
+    const server = await startServer(t, { paymentProvider: new MockProvider() });
+    const submitted = await submitQuote(server);
+
+    const draft = await startCheckout(server, submitted);
+    assert.equal(draft.status, 409);
+    assert.match(draft.body.error, /draft quote can't be paid/);
+
+    await server.quoteStore.transition(submitted.id, 'sent', { actor: 'admin' });
+    await server.quoteStore.transition(submitted.id, 'declined', { actor: 'customer' });
+    assert.equal((await startCheckout(server, submitted)).status, 409);
+    assert.deepEqual((await server.quoteStore.get(submitted.id)).payments || [], []);
+});
+
+test('only the customer with the share link can start a checkout', async (t) => {
+    const server = await startServer(t, { paymentProvider: new MockProvider() });
+    const submitted = await submitSentQuote(server);
+    const other = await submitSentQuote(server);
+    const url = `${server.baseUrl}/api/payments/checkout`;
+
+    assert.equal((await postJson(url, { quoteId: submitted.id })).status, 404);
+    assert.equal((await postJson(url, { quoteId: submitted.id, token: 'not-a-real-token' })).status, 404);
+    assert.equal((await postJson(url, { quoteId: submitted.id, token: shareToken(other) })).status, 404);
+
+    const [link] = await server.shareLinkStore.listForQuote(submitted.id);
+    await server.shareLinkStore.revoke(submitted.id, link.id);
+    assert.equal((await startCheckout(server, submitted)).status, 410);
+    assert.deepEqual((await server.quoteStore.get(submitted.id)).payments || [], []);
+});
+
+test('a payment webhook with a bad signature is refused and changes nothing', async (t) => {
+    const provider = new MockProvider();
+    const server = await startServer(t, { paymentProvider: provider });
+    const submitted = await submitSentQuote(server);
+    const { id } = submitted;
+    const checkout = await startCheckout(server, submitted);
+    const webhook = provider.completeSession(checkout.body.sessionId);
+
+    const tampered = await postWebhook(server.baseUrl, { ...webhook, body: webhook.body.replace(/"amount":[\d.]+/, '"amount":1') });
+    assert.equal(tampered.status, 400);
+    const unsigned = await postWebhook(server.baseUrl, { body: webhook.body, headers: {} });
+    assert.equal(unsigned.status, 400);
+
+    const stored = await server.quoteStore.get(id);
+    assert.equal(stored.status, 'sent');
+    assert.equal(stored.payments[0].status, 'pending');
+});
+
+test('a redelivered payment webhook is applied once', async (t) => {
+    const provider = new MockProvider();
+    const server = await startServer(t, { paymentProvider: provider });
+    const submitted = await submitSentQuote(server);
+    const { id } = submitted;
+    const checkout = await startCheckout(server, submitted);
+    const webhook = provider.completeSession(checkout.body.sessionId);
+
+    assert.equal((await postWebhook(server.baseUrl, webhook)).status, 200);
+    assert.equal((await postWebhook(server.baseUrl, webhook)).status, 200);
+
+    const stored = await server.quoteStore.get(id);
+    assert.equal(stored.status, 'paid');
+    assert.equal(stored.auditTrail.filter(entry => entry.to === 'paid').length, 1);
+});
+
+test('admins refund a paid payment once', async (t) => {
+    const server = await startServer(t, { paymentProvider: new MockProvider() });
+    const submitted = await submitSentQuote(server);
+    const { id } = submitted;
+    await payOnline(server, submitted);
+    const [payment] = (await server.quoteStore.get(id)).payments;
+    const refundUrl = `${server.baseUrl}/api/admin/quotes/${id}/payments/${payment.id}/refund`;
+
+    assert.equal((await postJson(refundUrl, {}, await signInAs(server, 'sales'))).status, 403);
+    const admin = await signInAs(server, 'admin');
+    const refund = await postJson(refundUrl, {}, admin);
+    assert.equal(refund.status, 200);
+    assert.equal(refund.body.status, 'refunded');
+    assert.equal(refund.body.refund.by, 'admin');
+    assert.equal((await postJson(refundUrl, {}, admin)).status, 409);
+    assert.equal((await server.quoteStore.get(id)).status, 'paid');
+});
+
+test('Stripe webhooks are checked against the Stripe-Signature header', async () => {
+    const stripe = new StripeProvider({ webhookSecret: 'whsec_test' });
+    const body = JSON.stringify({
+        type: 'checkout.session.completed',
+        data: {
+            object: {
+                id: 'cs_1',
+                payment_intent: 'pi_1',
+                payment_status: 'paid',
+                amount_total: 84000,
+                currency: 'usd',
+                metadata: { quoteId: 'Q-1' }
+            }
+        }
+    });
+
+    assert.deepEqual(await stripe.confirmWebhook(body, { 'stripe-signature': signPayload('whsec_test', body) }), {
+        type: 'checkout.completed',
+        sessionId: 'cs_1',
+        paymentId: 'pi_1',
+        amount: 840,
+        currency: 'USD',
+        quoteId: 'Q-1'
+    });
+    await assert.rejects(stripe.confirmWebhook(body, { 'stripe-signature': signPayload('whsec_other', body) }), { status: 400 });
+    await assert.rejects(stripe.confirmWebhook(body, {}), { status: 400 });
+    await assert.rejects(new StripeProvider({}).confirmWebhook(body, {}), /webhook secret is not configured/);
+});
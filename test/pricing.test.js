@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { priceQuote } = require('../server/pricing');
+const catalog = require('../catalog/catalog.json');
+const { startServer, postJson } = require('./helpers');
+
+const selection = {
+    selectedPackage: 'hvac-appliance-website',
+    selectedAdditionalFeatures: ['online-booking'],
+    selectedAddonServices: ['content-creation']
+};
+
+test('totals add up the catalog prices of the selection', () => {
+    const pricing = priceQuote(selection, catalog);
+
+    assert.deepEqual(pricing.lineItems.map(item => [item.id, item.amount]), [
+        ['hvac-appliance-website', 1200],
+        ['online-booking', 450],
+        ['content-creation', 450]
+    ]);
+    assert.equal(pricing.subtotal, 2100);
+    assert.equal(pricing.taxTotal, 0);
+    assert.equal(pricing.total, 2100);
+});
+
+test('an item selected twice is priced once', () => {
+    const pricing = priceQuote({ ...selection, selectedAdditionalFeatures: ['online-booking', 'online-booking'] }, catalog);
+    assert.equal(pricing.total, 2100);
+});
+
+test('discounts come off the subtotal but never below zero', () => {
+    const pricing = priceQuote(selection, catalog, {
+        discounts: [{ label: 'Big', amount: 2000 }, { label: 'Bigger', amount: 500 }]
+    });
+    assert.deepEqual(pricing.discounts.map(discount => discount.amount), [2000, 100]);
+    assert.equal(pricing.discountTotal, 2100);
+    assert.equal(pricing.total, 0);
+});
+
+test('the payment schedule always adds up to the total', () => {
+    const pricing = priceQuote(selection, catalog, { discounts: [{ label: 'Odd', amount: 0.01 }] });
+    const scheduled = pricing.paymentSchedule.reduce((sum, milestone) => sum + milestone.amount, 0);
+
+    assert.deepEqual(pricing.paymentSchedule.map(milestone => milestone.id), ['deposit', 'design-approval', 'launch']);
+    assert.equal(Math.round(scheduled * 100) / 100, pricing.total);
+});
+
+test('milestone names follow the quote language', () => {
+    const pricing = priceQuote({ ...selection, locale: 'es' }, catalog);
+    assert.equal(pricing.paymentSchedule[0].name, 'Anticipo');
+    assert.equal(pricing.paymentSchedule[0].amount, 840);
+});
+
+test('a package schedule must add up to 100 percent', async (t) => {
+    const { catalogStore } = await startServer(t);
+    const [pkg] = (await catalogStore.get()).packages;
+    const paymentSchedule = [{ id: 'deposit', percent: 50 }, { id: 'launch', percent: 40 }];
+
+    await assert.rejects(catalogStore.replace('packages', pkg.id, { ...pkg, paymentSchedule }), {
+        status: 400,
+        message: /percentages must add up to 100/
+    });
+});
+
+test('other currencies convert each line at the catalog rate', () => {
+    const pricing = priceQuote({ ...selection, currency: 'EUR' }, catalog);
+
+    assert.equal(pricing.currency, 'EUR');
+    assert.equal(pricing.exchangeRate, 0.92);
+    assert.deepEqual(pricing.lineItems.map(item => item.amount), [1104, 414, 414]);
+    assert.equal(pricing.total, 1932);
+    assert.equal(priceQuote(selection, catalog).currency, 'USD');
+    assert.throws(() => priceQuote({ ...selection, currency: 'XYZ' }, catalog), { status: 400, message: /Unsupported currency/ });
+});
+
+test('unknown items fail with a 400', () => {
+    assert.throws(() => priceQuote({ ...selection, selectedAddonServices: ['nope'] }, catalog), { status: 400 });
+    assert.throws(() => priceQuote({ ...selection, selectedPackage: undefined }, catalog), { status: 400 });
+});
+
+test('POST /api/quote/price returns the server price', async (t) => {
+    const { baseUrl } = await startServer(t);
+
+    const { status, body } = await postJson(`${baseUrl}/api/quote/price`, selection);
+    assert.equal(status, 200);
+    assert.equal(body.total, 2100);
+
+    const invalid = await postJson(`${baseUrl}/api/quote/price`, { ...selection, selectedAddonServices: ['nope'] });
+    assert.equal(invalid.status, 400);
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { crc32 } = require('../server/xlsx-writer');
+const { tempDataDir, startServer, postJson, signInAs, sampleSubmission } = require('./helpers');
+
+/**
+ * A server with two quotes (one sent) and a sales session
+ */
+async function setupExport(t, options) {
+    const server = await startServer(t, options);
+    const headers = await signInAs(server, 'sales');
+    const { body: jane } = await postJson(`${server.baseUrl}/api/quote/submissions`, sampleSubmission());
+    await postJson(`${server.baseUrl}/api/quote/submissions`, sampleSubmission({
+        customerInfo: { name: 'Sam Lee', email: 'sam@acme.test', company: 'Acme Heating', message: '=HYPERLINK("http://evil.test")' }
+    }));
+    await postJson(`${server.baseUrl}/api/admin/quotes/${jane.id}/send`, {}, headers);
+    const download = query => fetch(`${server.baseUrl}/api/admin/quotes/export?${query}`, { headers });
+    return { ...server, headers, download, janeId: jane.id };
+}
+
+/**
+ * The files in a ZIP, read through its central directory
+ */
+function unzip(buffer) {
+    const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    const files = {};
+    let offset = buffer.readUInt32LE(end + 16);
+    for (let i = 0; i < buffer.readUInt16LE(end + 10); i++) {
+        const crc = buffer.readUInt32LE(offset + 16);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const local = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+        const start = local + 30 + buffer.readUInt16LE(local + 26);
+        const content = zlib.inflateRawSync(buffer.subarray(start, start + compressedSize));
+        assert.equal(crc32(content), crc, name);
+        files[name] = content.toString('utf8');
+        offset += 46 + nameLength;
+    }
+    return files;
+}
+
+test('a CSV export follows the list filters and is safe to open in a spreadsheet', async (t) => {
+    const { download, janeId } = await setupExport(t);
+
+    const all = await download('format=csv');
+    assert.equal(all.status, 200);
+    assert.equal(all.headers.get('content-type'), 'text/csv; charset=utf-8');
+    assert.match(all.headers.get('content-disposition'), /^attachment; filename="quotes-\d{4}-\d{2}-\d{2}\.csv"$/);
+    assert.equal(all.headers.get('x-total-count'), '2');
+    const csv = await all.text();
+    const [header] = csv.split('\r\n');
+    assert.match(header, /^Quote ID,Created,Status,/);
+    assert.ok(csv.includes('"\'=HYPERLINK(""http://evil.test"")"'));
+    assert.ok(csv.includes(',+15551234567,'));
+
+    const sent = await (await download('status=sent')).text();
+    assert.deepEqual(sent.trim().split('\r\n').slice(1).map(row => row.split(',')[0]), [janeId]);
+});
+
+test('CRM mappings rename columns and translate statuses', async (t) => {
+    const { download } = await setupExport(t);
+    const response = await download('format=json&mapping=hubspot&status=sent');
+    assert.match(response.headers.get('content-disposition'), /-hubspot\.json"$/);
+
+    const [row] = await response.json();
+    assert.equal(row['First Name'], 'Jane');
+    assert.equal(row['Last Name'], 'Doe');
+    assert.equal(row['Deal Stage'], 'presentationscheduled');
+    assert.equal(row.Pipeline, 'default');
+    assert.equal(typeof row.Amount, 'number');
+    assert.equal(row['Close Date'], null);
+});
+
+test('an XLSX export is a workbook with a row per quote', async (t) => {
+    const { download } = await setupExport(t);
+    const response = await download('format=xlsx');
+    assert.equal(response.headers.get('content-type'), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+    const files = unzip(Buffer.from(await response.arrayBuffer()));
+    assert.ok(files['[Content_Types].xml'] && files['xl/workbook.xml']);
+    const sheet = files['xl/worksheets/sheet1.xml'];
+    assert.equal(sheet.match(/<row /g).length, 3);
+    assert.ok(sheet.includes('<t xml:space="preserve">Jane Doe</t>'));
+    assert.ok(sheet.includes('=HYPERLINK(&quot;http://evil.test&quot;)'));
+});
+
+test('exports need the sales role and a known format and mapping', async (t) => {
+    const server = await setupExport(t);
+    const viewer = await signInAs(server, 'viewer');
+    assert.equal((await fetch(`${server.baseUrl}/api/admin/quotes/export`, { headers: viewer })).status, 403);
+    assert.equal((await server.download('format=pdf')).status, 400);
+    assert.equal((await server.download('mapping=pipedrive')).status, 400);
+});
+
+test('mappings from the mappings file are offered alongside the built-in ones', async (t) => {
+    const file = path.join(tempDataDir(t), 'mappings.json');
+    fs.writeFileSync(file, JSON.stringify({
+        pipedrive: { label: 'Pipedrive', columns: [{ header: 'Person', field: 'customerName' }, { header: 'Source', value: 'Web' }] }
+    }));
+    const { baseUrl, headers, download } = await setupExport(t, { exportMappingsFile: file });
+
+    const list = await (await fetch(`${baseUrl}/api/admin/quotes/export/mappings`, { headers })).json();
+    assert.deepEqual(list.map(mapping => mapping.name), ['default', 'hubspot', 'salesforce', 'pipedrive']);
+    assert.equal(await (await download('mapping=pipedrive&q=jane')).text(), 'Person,Source\r\nJane Doe,Web\r\n');
+
+    fs.writeFileSync(file, JSON.stringify({ broken: { columns: [{ header: 'X', field: 'nope' }] } }));
+    assert.equal((await download('mapping=broken')).status, 500);
+});
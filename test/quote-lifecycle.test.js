@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    STATUSES,
+    transitions,
+    canTransition,
+    withLifecycle,
+    initializeLifecycle,
+    applyTransition,
+    nextActions
+} = require('../server/quote-lifecycle');
+const { ADMIN_API_KEY, startServer, postJson, sampleSubmission } = require('./helpers');
+
+const newQuote = () => initializeLifecycle({ id: 'q1', createdAt: '2026-01-01T00:00:00.000Z' });
+
+test('every status has an entry in the transition table', () => {
+    assert.deepEqual(Object.keys(transitions).sort(), [...STATUSES].sort());
+    Object.values(transitions).flat().forEach(to => assert.ok(STATUSES.includes(to), to));
+});
+
+test('the table allows the documented path and nothing that skips it', () => {
+    assert.deepEqual(transitions, {
+        draft: ['sent'],
+        sent: ['viewed', 'accepted', 'declined'],
+        viewed: ['accepted', 'declined'],
+        accepted: ['paid', 'invoiced'],
+        paid: ['invoiced'],
+        declined: [],
+        invoiced: []
+    });
+    assert.equal(canTransition('draft', 'paid'), false);
+    assert.equal(canTransition('draft', 'accepted'), false);
+    assert.equal(canTransition('declined', 'sent'), false);
+});
+
+test('route actions follow the table; paid has none', () => {
+    assert.deepEqual(nextActions('draft'), ['send']);
+    assert.deepEqual(nextActions('sent'), ['view', 'accept', 'decline']);
+    assert.deepEqual(nextActions('accepted'), ['invoice']);
+    assert.deepEqual(nextActions('invoiced'), []);
+});
+
+test('a transition records when and by whom', () => {
+    const quote = applyTransition(newQuote(), 'sent', { actor: 'alice', note: 'Emailed', at: new Date('2026-01-02T00:00:00Z') });
+
+    assert.equal(quote.status, 'sent');
+    assert.equal(quote.statusChangedAt.sent, '2026-01-02T00:00:00.000Z');
+    assert.deepEqual(quote.auditTrail[1], {
+        at: '2026-01-02T00:00:00.000Z',
+        action: 'status',
+        from: 'draft',
+        to: 'sent',
+        actor: 'alice',
+        note: 'Emailed'
+    });
+});
+
+test('a transition the table does not allow is a 409 and changes nothing', () => {
+    const quote = newQuote();
+    assert.throws(() => applyTransition(quote, 'accepted'), (error) => {
+        assert.equal(error.status, 409);
+        assert.deepEqual(error.details, { status: 'draft', allowed: ['sent'] });
+        return true;
+    });
+    assert.equal(quote.status, 'draft');
+    assert.equal(quote.auditTrail.length, 1);
+
+    assert.throws(() => applyTransition(quote, 'archived'), { status: 400 });
+});
+
+test('quotes stored before statuses existed start as drafts', () => {
+    const quote = withLifecycle({ id: 'old', createdAt: '2025-01-01T00:00:00.000Z' });
+    assert.equal(quote.status, 'draft');
+    assert.equal(quote.auditTrail[0].action, 'created');
+});
+
+test('admin actions move a stored quote along the table', async (t) => {
+    const { baseUrl, quoteStore } = await startServer(t);
+    const { body: { id } } = await postJson(`${baseUrl}/api/quote/submissions`, sampleSubmission());
+    const act = action => postJson(`${baseUrl}/api/admin/quotes/${id}/${action}`, { note: 'Emailed' }, { Authorization: `Bearer ${ADMIN_API_KEY}` });
+
+    const sent = await act('send');
+    assert.equal(sent.status, 200);
+    assert.equal(sent.body.status, 'sent');
+    const skipped = await act('invoice');
+    assert.equal(skipped.status, 409);
+    assert.deepEqual(skipped.body.details.allowed, ['viewed', 'accepted', 'declined']);
+
+    const stored = await quoteStore.get(id);
+    assert.equal(stored.status, 'sent');
+    assert.deepEqual(stored.auditTrail.map(entry => [entry.to, entry.actor]), [['draft', 'customer'], ['sent', 'api-key']]);
+});
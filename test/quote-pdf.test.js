@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderQuotePdf } = require('../server/quote-pdf');
+const { priceQuote } = require('../server/pricing');
+const catalog = require('../catalog/catalog.json');
+const { ADMIN_API_KEY, startServer, submitQuote, shareToken, signInAs, sampleSubmission } = require('./helpers');
+
+test('a quote renders to the same PDF every time', () => {
+    const submission = sampleSubmission();
+    const quote = {
+        ...submission,
+        id: 'Q-TEST-1',
+        createdAt: '2026-01-01T00:00:00.000Z',
+        status: 'sent',
+        pricing: priceQuote(submission, catalog)
+    };
+    const pdf = renderQuotePdf(quote, catalog);
+
+    assert.ok(Buffer.isBuffer(pdf));
+    assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+    assert.match(pdf.subarray(-6).toString(), /%%EOF/);
+    assert.deepEqual(renderQuotePdf(quote, catalog), pdf);
+});
+
+test('customers download the PDF through their share link', async (t) => {
+    const server = await startServer(t);
+    const { shareUrl } = await submitQuote(server);
+    const response = await fetch(`${server.baseUrl}${shareUrl}/pdf`);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'application/pdf');
+    assert.match(response.headers.get('content-disposition'), /^attachment; filename=".+\.pdf"$/);
+    assert.equal(Buffer.from(await response.arrayBuffer()).subarray(0, 5).toString(), '%PDF-');
+    assert.equal((await fetch(`${server.baseUrl}/q/not-a-real-token/pdf`)).status, 404);
+});
+
+test('a quote ID alone does not download its PDF', async (t) => {
+    const server = await startServer(t);
+    const submitted = await submitQuote(server);
+    const other = await submitQuote(server);
+    const { id } = submitted;
+    const url = `${server.baseUrl}/api/quote/submissions/${id}/pdf`;
+    const token = shareToken(submitted);
+
+    assert.equal((await fetch(url)).status, 401);
+    assert.equal((await fetch(`${url}?token=not-a-real-token`)).status, 404);
+    // A share link only opens its own quote
+    assert.equal((await fetch(`${server.baseUrl}/api/quote/submissions/${other.id}/pdf?token=${token}`)).status, 404);
+
+    const shared = await fetch(`${url}?token=${token}`);
+    assert.equal(shared.status, 200);
+    assert.equal(shared.headers.get('content-type'), 'application/pdf');
+    const staff = await fetch(url, { headers: await signInAs(server, 'viewer') });
+    assert.equal(staff.status, 200);
+
+    // Downloading through the API is not a view of the share page
+    const [link] = await server.shareLinkStore.listForQuote(id);
+    assert.equal(link.views, 0);
+    await server.shareLinkStore.revoke(id, link.id);
+    assert.equal((await fetch(`${url}?token=${token}`)).status, 410);
+});
+
+test('staff PDF downloads need a signed-in user', async (t) => {
+    const server = await startServer(t);
+    const { id } = await submitQuote(server);
+    const url = `${server.baseUrl}/api/admin/quotes/${id}/pdf`;
+
+    assert.equal((await fetch(url)).status, 401);
+    const response = await fetch(url, { headers: await signInAs(server, 'viewer') });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'application/pdf');
+
+    const unknown = await fetch(`${server.baseUrl}/api/admin/quotes/Q-20260101-000000/pdf`, {
+        headers: { Authorization: `Bearer ${ADMIN_API_KEY}` }
+    });
+    assert.equal(unknown.status, 404);
+});
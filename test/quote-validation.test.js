@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateName, validateLocation, validateQuoteForm } = require('../server/quote-validation');
+const Validation = require('../assets/js/shared/Validation');
+
+test('names may be written in any script', () => {
+    for (const name of ['José Núñez', 'Zoë O’Brien', 'Łukasz Żak', 'Nguyễn Văn An', '王小明', 'Анна-Мария']) {
+        assert.equal(validateName(name).isValid, true, name);
+    }
+});
+
+test('names still reject digits and symbols', () => {
+    for (const name of ['R2-D2', 'Jane <script>', 'J', 'a'.repeat(51)]) {
+        assert.equal(validateName(name).isValid, false, name);
+    }
+});
+
+test('locations accept accented places and postal codes', () => {
+    for (const location of ['Montréal, QC', 'São Paulo', 'Zürich 8001', 'Austin, TX 78701']) {
+        assert.equal(validateLocation(location).isValid, true, location);
+    }
+    assert.equal(validateLocation('Austin; DROP TABLE').isValid, false);
+});
+
+test('the server and the browser share one set of rules', () => {
+    assert.equal(validateName, Validation.validateName);
+    assert.equal(validateLocation, Validation.validateLocation);
+});
+
+test('customer details report errors by field', () => {
+    const result = validateQuoteForm({ name: 'José', email: 'not-an-email', location: 'Montréal, QC', serviceArea: '30' });
+    assert.equal(result.isValid, false);
+    assert.deepEqual(Object.keys(result.fieldErrors), ['email']);
+});
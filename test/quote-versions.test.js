@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { listVersions } = require('../server/quote-versions');
+const { startServer, postJson, submitQuote, signInAs } = require('./helpers');
+
+/**
+ * A server with one submitted quote and a sales session
+ */
+async function setupRevision(t) {
+    const server = await startServer(t);
+    const sales = await signInAs(server, 'sales');
+    const submitted = await submitQuote(server);
+    const quoteUrl = `${server.baseUrl}/api/admin/quotes/${submitted.id}`;
+    const revise = (changes, headers = sales) => postJson(`${quoteUrl}/revisions`, changes, headers);
+    return { ...server, sales, submitted, quoteUrl, revise };
+}
+
+test('a revision reprices the quote as a new version and keeps the old one', async (t) => {
+    const { quoteStore, submitted, sales, quoteUrl, revise } = await setupRevision(t);
+
+    const revised = await revise({ selectedAdditionalFeatures: ['customer-portal'], note: 'Swapped booking for the portal' });
+    assert.equal(revised.status, 201);
+    assert.equal(revised.body.version, 2);
+    assert.equal(revised.body.totalPrice, 2200);
+    assert.deepEqual(revised.body.selectedAddonServices, ['content-creation']);
+    assert.equal(revised.body.revisable, true);
+
+    const stored = await quoteStore.get(submitted.id);
+    const [first, second] = listVersions(stored);
+    assert.deepEqual(first.pricing, submitted.quote.pricing);
+    assert.equal(second.createdBy, 'sales');
+    assert.equal(second.note, 'Swapped booking for the portal');
+    assert.deepEqual(stored.auditTrail.at(-1), { at: second.createdAt, action: 'revision', actor: 'sales', version: 2, note: 'Swapped booking for the portal' });
+
+    const versions = await (await fetch(`${quoteUrl}/versions`, { headers: sales })).json();
+    assert.deepEqual(versions.map(entry => [entry.version, entry.totalPrice]), [[1, 2100], [2, 2200]]);
+    assert.equal((await fetch(`${quoteUrl}/versions/1`, { headers: sales })).status, 200);
+    assert.equal((await fetch(`${quoteUrl}/versions/3`, { headers: sales })).status, 404);
+});
+
+test('the diff lists added and removed items and the price and timeline change', async (t) => {
+    const { sales, quoteUrl, revise } = await setupRevision(t);
+    await revise({ selectedAdditionalFeatures: ['customer-portal'] });
+
+    const diff = await (await fetch(`${quoteUrl}/diff`, { headers: sales })).json();
+    assert.equal(diff.from, 1);
+    assert.equal(diff.to, 2);
+    assert.deepEqual(diff.added.map(line => [line.id, line.amount]), [['customer-portal', 550]]);
+    assert.deepEqual(diff.removed.map(line => [line.id, line.amount]), [['online-booking', 450]]);
+    assert.deepEqual(diff.changed, []);
+    assert.deepEqual(diff.price.total, { from: 2100, to: 2200, delta: 100 });
+    assert.deepEqual(diff.timeline.delta, { min: 4, max: 6 });
+
+    const same = await (await fetch(`${quoteUrl}/diff?from=2&to=2`, { headers: sales })).json();
+    assert.deepEqual([same.added, same.removed, same.price.total.delta], [[], [], 0]);
+    assert.equal((await fetch(`${quoteUrl}/diff?from=9`, { headers: sales })).status, 404);
+});
+
+test('revisions need the sales role, a valid selection and an open quote', async (t) => {
+    const server = await setupRevision(t);
+    const viewer = await signInAs(server, 'viewer');
+
+    assert.equal((await server.revise({ selectedAdditionalFeatures: [] }, viewer)).status, 403);
+    assert.equal((await fetch(`${server.quoteUrl}/diff`, { headers: viewer })).status, 200);
+    assert.equal((await server.revise({ selectedPackage: 'nope' })).status, 400);
+
+    await server.quoteStore.transition(server.submitted.id, 'sent', { actor: 'sales' });
+    await server.quoteStore.transition(server.submitted.id, 'accepted', { actor: 'customer' });
+    const closed = await server.revise({ selectedAdditionalFeatures: [] });
+    assert.equal(closed.status, 409);
+    assert.equal((await server.quoteStore.get(server.submitted.id)).version, 1);
+});
+
+test('a revision keeps the promo code without using it again', async (t) => {
+    const server = await startServer(t);
+    const sales = await signInAs(server, 'sales');
+    await server.catalogStore.create('discounts', { id: 'ONCE', name: 'Once', type: 'percentage', value: 10, active: true, maxUses: 1 });
+    const { id } = await submitQuote(server, { discountCode: 'ONCE' });
+    const revise = changes => postJson(`${server.baseUrl}/api/admin/quotes/${id}/revisions`, changes, sales);
+
+    const kept = await revise({ selectedAdditionalFeatures: ['customer-portal'] });
+    assert.equal(kept.status, 201);
+    assert.equal(kept.body.pricing.discountTotal, 220);
+    assert.equal(await server.discountUsageStore.getUses('ONCE'), 1);
+
+    const dropped = await revise({ discountCode: '' });
+    assert.equal(dropped.body.pricing.discountTotal, 0);
+});
+
+test('the shared page shows the version history and opens older versions', async (t) => {
+    const { baseUrl, submitted, revise } = await setupRevision(t);
+    await revise({ selectedAdditionalFeatures: ['customer-portal'] });
+
+    const current = await (await fetch(`${baseUrl}${submitted.shareUrl}`)).text();
+    assert.match(current, /shared-quote-history/);
+    assert.ok(current.includes('?version=1'));
+    assert.doesNotMatch(current, /shared-quote-notice/);
+
+    const older = await (await fetch(`${baseUrl}${submitted.shareUrl}?version=1`)).text();
+    assert.match(older, /shared-quote-notice/);
+});
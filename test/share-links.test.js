@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { ADMIN_API_KEY, startServer, postJson, sampleSubmission } = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+const auth = { Authorization: `Bearer ${ADMIN_API_KEY}` };
+
+/**
+ * A submitted quote on a running server, with the share link it came with
+ */
+async function submitQuote(t) {
+    const context = await startServer(t);
+    const { body } = await postJson(`${context.baseUrl}/api/quote/submissions`, sampleSubmission());
+    return { ...context, id: body.id, shareUrl: body.shareUrl };
+}
+
+test('a submission comes with a link to a read-only copy of the quote', async (t) => {
+    const { baseUrl, id, shareUrl, dataDir } = await submitQuote(t);
+    assert.match(shareUrl, /^\/q\/[\w-]{32}$/);
+
+    const response = await fetch(`${baseUrl}${shareUrl}`);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('cache-control'), 'no-store');
+    assert.equal(response.headers.get('referrer-policy'), 'no-referrer');
+    assert.ok((await response.text()).includes(id));
+
+    // Only a hash of the token is kept
+    const stored = fs.readFileSync(path.join(dataDir, 'share-links.json'), 'utf8');
+    assert.equal(stored.includes(shareUrl.slice(3)), false);
+});
+
+test('opening the link of a sent quote marks it viewed', async (t) => {
+    const { baseUrl, id, shareUrl, quoteStore, shareLinkStore } = await submitQuote(t);
+    await quoteStore.transition(id, 'sent', { actor: 'alice' });
+
+    await fetch(`${baseUrl}${shareUrl}`);
+    const quote = await quoteStore.get(id);
+    assert.equal(quote.status, 'viewed');
+    assert.equal(quote.auditTrail.at(-1).actor, 'share-link');
+    assert.equal((await shareLinkStore.listForQuote(id))[0].views, 1);
+});
+
+test('links stop working when they expire', async (t) => {
+    const { shareLinkStore } = await startServer(t);
+    const { token } = await shareLinkStore.create('Q-TEST-1', { ttlDays: 7 });
+    const forever = await shareLinkStore.create('Q-TEST-1', { ttlDays: 0 });
+    assert.equal(forever.link.expiresAt, null);
+
+    await shareLinkStore.open(token);
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 8 * DAY });
+    await assert.rejects(shareLinkStore.open(token), { status: 410, message: /expired/ });
+    await shareLinkStore.open(forever.token);
+});
+
+test('a revoked link stops working and the quote\'s other links do not', async (t) => {
+    const { baseUrl, id, shareUrl } = await submitQuote(t);
+    const shares = `${baseUrl}/api/admin/quotes/${id}/shares`;
+
+    const issued = await postJson(shares, { ttlDays: 90 }, auth);
+    assert.equal(issued.status, 201);
+    const links = await (await fetch(shares, { headers: auth })).json();
+    assert.equal(links.length, 2);
+    links.forEach(link => assert.equal('tokenHash' in link, false));
+
+    const original = links.find(link => link.id !== issued.body.id);
+    const revoked = await fetch(`${shares}/${original.id}`, { method: 'DELETE', headers: auth });
+    assert.equal((await revoked.json()).revokedAt !== null, true);
+
+    const page = await fetch(`${baseUrl}${shareUrl}`);
+    assert.equal(page.status, 410);
+    assert.match(await page.text(), /revoked/);
+    assert.equal((await fetch(`${baseUrl}${issued.body.url}`)).status, 200);
+    assert.equal((await fetch(`${baseUrl}/q/not-a-real-token`)).status, 404);
+});
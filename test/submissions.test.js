@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { priceQuote } = require('../server/pricing');
+const { startServer, postJson, submitQuote, shareToken, signInAs, sampleSubmission } = require('./helpers');
+
+test('a submission is priced and stored on the server', async (t) => {
+    const { baseUrl, quoteStore } = await startServer(t);
+    const { status, body } = await postJson(`${baseUrl}/api/quote/submissions`, sampleSubmission());
+
+    assert.equal(status, 201);
+    assert.match(body.id, /^Q-\d{8}-[0-9A-F]+$/);
+    const stored = await quoteStore.get(body.id);
+    assert.equal(stored.customerInfo.name, 'Jane Doe');
+    assert.deepEqual(stored.selectedAddonServices, ['content-creation']);
+    assert.equal(stored.pricing.total, body.quote.pricing.total);
+    assert.equal(stored.totalPrice, stored.pricing.total);
+});
+
+test('a client total that does not match the server price is refused', async (t) => {
+    const { baseUrl, quoteStore } = await startServer(t);
+    const { status, body } = await postJson(`${baseUrl}/api/quote/submissions`, sampleSubmission({ totalPrice: 1 }));
+
+    assert.equal(status, 409);
+    assert.ok(body.details.pricing.total > 1);
+    assert.deepEqual(await quoteStore.list(), []);
+});
+
+test('invalid customer details are reported by field', async (t) => {
+    const { baseUrl, quoteStore } = await startServer(t);
+    const { status, body } = await postJson(`${baseUrl}/api/quote/submissions`, sampleSubmission({ customerInfo: { name: 'R2-D2', email: 'jane' } }));
+
+    assert.equal(status, 400);
+    assert.ok(body.details.fieldErrors.customerInfo.name);
+    assert.ok(body.details.fieldErrors.customerInfo.email);
+    assert.deepEqual(await quoteStore.list(), []);
+});
+
+test('a stored quote is looked up with its share token or by staff', async (t) => {
+    const server = await startServer(t);
+    const url = `${server.baseUrl}/api/quote/submissions`;
+    const submitted = await submitQuote(server);
+
+    const shared = await fetch(`${url}/${submitted.id}?token=${shareToken(submitted)}`);
+    assert.equal(shared.status, 200);
+    assert.equal((await shared.json()).customerInfo.email, 'jane@example.com');
+
+    const staff = await signInAs(server, 'viewer');
+    assert.equal((await fetch(`${url}/${submitted.id}`, { headers: staff })).status, 200);
+    assert.equal((await fetch(`${url}/Q-20260101-000000`, { headers: staff })).status, 404);
+    assert.equal((await fetch(`${url}/not%20an%20id`, { headers: staff })).status, 400);
+});
+
+test('a quote ID alone does not reveal the customer', async (t) => {
+    const server = await startServer(t);
+    const url = `${server.baseUrl}/api/quote/submissions`;
+    const submitted = await submitQuote(server);
+    const other = await submitQuote(server);
+
+    // The random part of the ID is 64 bits, not something to guess from the date
+    assert.match(submitted.id, /^Q-\d{8}-[0-9A-F]{16}$/);
+    const anonymous = await fetch(`${url}/${submitted.id}`);
+    assert.equal(anonymous.status, 401);
+    assert.equal((await anonymous.json()).customerInfo, undefined);
+    assert.equal((await fetch(`${url}/${submitted.id}?token=${shareToken(other)}`)).status, 404);
+    assert.equal((await fetch(`${url}/${submitted.id}?token=`)).status, 404);
+});
+
+const INTERNAL_FIELDS = ['notes', 'auditTrail', 'payments', 'versions'];
+
+/**
+ * A submitted quote that staff have worked on: a note, a revision and a
+ * payment attempt
+ */
+async function workedOnQuote(server) {
+    const { catalogStore, quoteStore } = server;
+    const body = await submitQuote(server);
+    const revision = sampleSubmission({ selectedAddonServices: [] });
+    await quoteStore.addNote(body.id, { text: 'Customer is price sensitive', author: 'alice' });
+    await quoteStore.revise(body.id, priceQuote(revision, await catalogStore.get()), { actor: 'alice', note: 'Dropped content writing' });
+    await quoteStore.addPayment(body.id, { provider: 'mock', sessionId: 'mock_cs_1', milestone: 'deposit', amount: 660, currency: 'USD' });
+    return body;
+}
+
+test('the submission response leaves out staff-only fields', async (t) => {
+    const server = await startServer(t);
+    const body = await submitQuote(server);
+
+    INTERNAL_FIELDS.forEach(field => assert.equal(field in body.quote, false, field));
+    assert.equal(body.quote.customerInfo.email, 'jane@example.com');
+});
+
+test('looking a quote up by ID leaves out notes, audit trail, payments and versions', async (t) => {
+    const server = await startServer(t);
+    const submitted = await workedOnQuote(server);
+    const { id } = submitted;
+
+    const response = await fetch(`${server.baseUrl}/api/quote/submissions/${id}?token=${shareToken(submitted)}`);
+    const quote = await response.json();
+    assert.equal(response.status, 200);
+    INTERNAL_FIELDS.forEach(field => assert.equal(field in quote, false, field));
+    assert.equal(quote.version, 2);
+    assert.equal(quote.status, 'draft');
+
+    const stored = await server.quoteStore.get(id);
+    INTERNAL_FIELDS.forEach(field => assert.ok(stored[field], field));
+});
+
+test('the shared quote page does not show staff notes', async (t) => {
+    const server = await startServer(t);
+    const { id, shareUrl } = await workedOnQuote(server);
+
+    const page = await (await fetch(`${server.baseUrl}${shareUrl}`)).text();
+    assert.ok(page.includes(id));
+    assert.doesNotMatch(page, /price sensitive/);
+    assert.doesNotMatch(page, /mock_cs_1/);
+});
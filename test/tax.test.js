@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Tax = require('../assets/js/shared/Tax');
+const QuoteContent = require('../assets/js/shared/QuoteContent');
+const { priceQuote } = require('../server/pricing');
+const { buildContentModel } = require('../server/quote-content');
+const catalog = require('../catalog/catalog.json');
+const { startServer, postJson, sampleSubmission } = require('./helpers');
+
+const selection = {
+    selectedPackage: 'hvac-appliance-website',
+    selectedAdditionalFeatures: ['online-booking'],
+    selectedAddonServices: ['content-creation']
+};
+const roundCents = amount => Math.round(amount * 100) / 100;
+const sum = amounts => roundCents(amounts.reduce((total, amount) => total + amount, 0));
+
+/**
+ * A quote as the store keeps it, priced for a customer location
+ */
+function storedQuote(location) {
+    const pricing = priceQuote({ ...selection, ...location }, catalog);
+    const { selection: normalized, ...breakdown } = pricing;
+    return { id: 'Q-TEST-1', createdAt: '2026-01-01T00:00:00.000Z', ...normalized, totalPrice: pricing.total, pricing: breakdown, customerInfo: {} };
+}
+
+test('the region comes from a "City, State" location', () => {
+    assert.equal(Tax.regionFromLocation('Austin, TX 78701'), 'TX');
+    assert.equal(Tax.regionFromLocation('Austin, Texas', 'us'), 'TX');
+    assert.equal(Tax.regionFromLocation('Montréal, Quebec', 'ca'), 'QC');
+    assert.equal(Tax.regionFromLocation('Paris'), null);
+});
+
+test('sales tax is added on the lines it does not exempt', () => {
+    const pricing = priceQuote({ ...selection, country: 'us', region: 'TX' }, catalog);
+
+    assert.equal(pricing.taxDisplay, 'exclusive');
+    assert.deepEqual(pricing.taxes.map(tax => [tax.code, tax.taxableAmount, tax.amount]), [['us-tx-sales', 1650, 103.13]]);
+    assert.equal(pricing.total, 2203.13);
+});
+
+test('national and regional taxes stack', () => {
+    const pricing = priceQuote({ ...selection, country: 'ca', region: 'QC', currency: 'CAD' }, catalog);
+
+    assert.deepEqual(pricing.taxes.map(tax => [tax.code, tax.amount]), [['ca-gst', 143.85], ['ca-qc-qst', 286.98]]);
+    assert.equal(pricing.taxTotal, 430.83);
+    assert.equal(pricing.total, roundCents(pricing.subtotal + pricing.taxTotal));
+});
+
+test('VAT still adds to the total when prices are shown with it included', () => {
+    const pricing = priceQuote({ ...selection, country: 'fr', currency: 'EUR', locale: 'fr' }, catalog);
+
+    assert.equal(pricing.taxDisplay, 'inclusive');
+    assert.equal(pricing.subtotal, 1932);
+    assert.deepEqual(pricing.taxes.map(tax => [tax.label, tax.amount]), [['TVA', 386.4]]);
+    assert.equal(pricing.total, 2318.4);
+});
+
+test('tax-inclusive line amounts add up to the total', () => {
+    assert.deepEqual(Tax.displayAmounts([1104, 414, 414], 2318.4, 'inclusive', roundCents), [1324.8, 496.8, 496.8]);
+
+    // Three equal thirds of 100.01 can't all be equal; the largest line takes the cent
+    const shown = Tax.displayAmounts([50, 25, 25], 100.01, 'inclusive', roundCents);
+    assert.equal(sum(shown), 100.01);
+    assert.deepEqual(shown, [50.01, 25, 25]);
+
+    // Discounts are grossed up with the lines they come off
+    const discounted = Tax.displayAmounts([1000, -100], 1080, 'inclusive', roundCents);
+    assert.deepEqual(discounted, [1200, -120]);
+});
+
+test('tax-exclusive line amounts are left as they are', () => {
+    const amounts = [1200, 450, 450];
+    const shown = Tax.displayAmounts(amounts, 2203.13, 'exclusive', roundCents);
+    assert.deepEqual(shown, amounts);
+    assert.notEqual(shown, amounts);
+});
+
+test('added taxes are listed above the total and included ones under it', () => {
+    const taxes = [{ label: 'VAT', rate: 0.2, amount: 20 }];
+    assert.deepEqual(Tax.totalRows(taxes, 'exclusive'), { above: [{ label: 'VAT (20%)', amount: 20 }], below: [] });
+    assert.deepEqual(Tax.totalRows(taxes, 'inclusive', 'dont'), { above: [], below: [{ label: 'dont VAT (20%)', amount: 20 }] });
+});
+
+test('a tax-inclusive quote shows lines with VAT in them and the VAT as a note', () => {
+    const model = buildContentModel(storedQuote({ country: 'fr', currency: 'EUR', locale: 'fr' }), catalog);
+    const shown = QuoteContent.displayPricing(model);
+
+    assert.equal(shown.packagePrice, 1324.8);
+    assert.equal(sum([shown.packagePrice, ...shown.features.map(item => item.price), ...shown.addons.map(item => item.price)]), model.totalPrice);
+
+    const html = QuoteContent.render(model, {});
+    assert.match(html, /class="breakdown-note">\s*<span>dont TVA \(20%\)<\/span>/);
+    assert.doesNotMatch(html, /breakdown-tax/);
+});
+
+test('a tax-exclusive quote shows net lines and adds the tax above the total', () => {
+    const model = buildContentModel(storedQuote({ country: 'us', region: 'TX' }), catalog);
+    assert.equal(QuoteContent.displayPricing(model).packagePrice, 1200);
+
+    const html = QuoteContent.render(model, {});
+    assert.match(html, /breakdown-tax[\s\S]*Texas sales tax \(6\.25%\)/);
+    assert.doesNotMatch(html, /breakdown-note/);
+});
+
+test('a submission is taxed where the customer is', async (t) => {
+    const { baseUrl } = await startServer(t);
+
+    const texas = await postJson(`${baseUrl}/api/quote/submissions`, sampleSubmission({ customerInfo: { country: 'us' } }));
+    assert.equal(texas.status, 201);
+    assert.equal(texas.body.quote.pricing.taxTotal, 103.13);
+    assert.equal(texas.body.quote.pricing.total, 2203.13);
+
+    const unknown = await postJson(`${baseUrl}/api/quote/submissions`, sampleSubmission({ customerInfo: { country: 'USA' } }));
+    assert.equal(unknown.status, 400);
+});
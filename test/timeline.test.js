@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Timeline = require('../assets/js/shared/Timeline');
+const { startServer, postJson, sampleSubmission } = require('./helpers');
+
+const pkg = { id: 'site', timeline: '10-15 days' };
+const days = task => [task.start.min, task.end.min, task.start.max, task.end.max];
+
+test('catalog timelines parse to working-day ranges', () => {
+    assert.deepEqual(Timeline.parseRange('8-12 days'), { min: 8, max: 12 });
+    assert.deepEqual(Timeline.parseRange('12-8 days'), { min: 8, max: 12 });
+    assert.equal(Timeline.parseRange('Ongoing'), null);
+    assert.equal(Timeline.formatRange({ min: 19, max: 27 }), '19-27 days');
+});
+
+test('working days skip weekends and studio holidays', () => {
+    assert.deepEqual(Timeline.studioHolidays(2026), [
+        '2026-01-01', '2026-05-25', '2026-07-03', '2026-09-07', '2026-11-26', '2026-11-27', '2026-12-25'
+    ]);
+    assert.equal(Timeline.addWorkingDays('2026-07-02', 5), '2026-07-10');
+    assert.equal(Timeline.isWorkingDay('2026-07-03'), false);
+    assert.equal(Timeline.isWorkingDay('2026-07-06'), true);
+    assert.equal(Timeline.isWorkingDay('2026-07-06', ['2026-07-06']), false);
+    // New Year's Day 2028 is a Saturday, so the studio closes on the Friday before
+    assert.equal(Timeline.isWorkingDay('2027-12-31'), false);
+});
+
+test('items follow the package one at a time unless they say otherwise', () => {
+    const { tasks, days: total } = Timeline.schedule({
+        package: pkg,
+        features: [
+            { id: 'booking', timeline: '3-5 days' },
+            { id: 'reviews', timeline: '2-2 days', dependsOn: ['booking'] }
+        ],
+        addons: [
+            { id: 'content', timeline: '5-5 days', dependsOn: [], parallel: true },
+            { id: 'ads', timeline: '1-2 days', parallel: true }
+        ]
+    }, { from: '2026-03-02' });
+
+    assert.deepEqual(Object.fromEntries(tasks.map(task => [task.id, days(task)])), {
+        site: [0, 10, 0, 15],
+        booking: [10, 13, 15, 20],
+        reviews: [13, 15, 20, 22],
+        content: [0, 5, 0, 5],
+        ads: [10, 11, 15, 17]
+    });
+    assert.deepEqual(total, { min: 15, max: 22 });
+});
+
+test('dependency cycles and unselected dependencies do not stop the schedule', () => {
+    const { tasks } = Timeline.schedule({
+        package: pkg,
+        features: [
+            { id: 'a', timeline: '1-1 days', dependsOn: ['b'] },
+            { id: 'b', timeline: '1-1 days', dependsOn: ['a', 'missing'] }
+        ]
+    });
+    assert.deepEqual(tasks.map(task => task.id), ['site', 'b', 'a']);
+});
+
+test('work starts the next working day and delivery counts the start as day one', () => {
+    const result = Timeline.schedule({ package: { id: 'site', timeline: '5-10 days' } }, { from: '2026-07-02T15:00:00.000Z' });
+    assert.equal(result.startDate, '2026-07-06');
+    assert.deepEqual(result.delivery, { earliest: '2026-07-10', latest: '2026-07-17' });
+});
+
+test('a submission comes back with its schedule', async (t) => {
+    const { baseUrl } = await startServer(t);
+    const { status, body } = await postJson(`${baseUrl}/api/quote/submissions`, sampleSubmission());
+    assert.equal(status, 201);
+
+    const { schedule } = body;
+    assert.ok(Timeline.isWorkingDay(schedule.startDate));
+    assert.ok(schedule.delivery.earliest <= schedule.delivery.latest);
+    assert.equal(schedule.tasks[0].type, 'package');
+});
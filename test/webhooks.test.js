@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { WebhookStore, WebhookDispatcher, SIGNATURE_HEADER, signPayload, verifySignature } = require('../server/webhooks');
+const JobQueue = require('../server/job-queue');
+const { priceQuote } = require('../server/pricing');
+const catalog = require('../catalog/catalog.json');
+const { tempDataDir, createStores, sampleSubmission } = require('./helpers');
+
+const SECRET = 'whsec_test';
+const body = JSON.stringify({ id: 'evt_1', type: 'quote.submitted' });
+const now = Date.UTC(2026, 0, 1);
+const timestamp = now / 1000;
+
+test('a signature made with the secret verifies', () => {
+    const header = signPayload(SECRET, body, timestamp);
+    assert.match(header, /^t=\d+,v1=[0-9a-f]{64}$/);
+    assert.equal(verifySignature(SECRET, header, body, { now }), true);
+});
+
+test('a changed body or another secret fails', () => {
+    const header = signPayload(SECRET, body, timestamp);
+    assert.equal(verifySignature(SECRET, header, body.replace('submitted', 'accepted'), { now }), false);
+    assert.equal(verifySignature('whsec_other', header, body, { now }), false);
+});
+
+test('an old signature fails so a captured request cannot be replayed', () => {
+    const header = signPayload(SECRET, body, timestamp);
+    assert.equal(verifySignature(SECRET, header, body, { now: now + 299 * 1000 }), true);
+    assert.equal(verifySignature(SECRET, header, body, { now: now + 301 * 1000 }), false);
+    assert.equal(verifySignature(SECRET, header, body, { now: now + 301 * 1000, toleranceSeconds: 600 }), true);
+});
+
+test('a missing or malformed header fails', () => {
+    for (const header of [undefined, '', 'v1=abc', `t=${timestamp}`, `t=soon,v1=${'0'.repeat(64)}`, `t=${timestamp},v1=zz`]) {
+        assert.equal(verifySignature(SECRET, header, body, { now }), false, String(header));
+    }
+});
+
+/**
+ * A local endpoint that records what it receives and answers `status`.
+ * Resolves to its URL and the received requests; closed after the test.
+ */
+async function startReceiver(t, status = 200) {
+    const received = [];
+    const receiver = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            received.push({ headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+            res.statusCode = status;
+            res.end('ok');
+        });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => receiver.close(resolve)));
+    return { url: `http://127.0.0.1:${receiver.address().port}/hook`, received };
+}
+
+test('deliveries are signed with the webhook secret', async (t) => {
+    const { url, received } = await startReceiver(t);
+    const webhookStore = new WebhookStore(tempDataDir(t));
+    const webhook = await webhookStore.create({ url, events: ['quote.submitted'] });
+    const dispatcher = new WebhookDispatcher({ queue: null, webhookStore });
+    const event = { id: 'evt_2', type: 'quote.submitted', createdAt: new Date().toISOString(), data: {} };
+
+    await dispatcher.deliver({ webhookId: webhook.id, event });
+
+    assert.equal(received.length, 1);
+    const [{ headers, body: deliveredBody }] = received;
+    assert.equal(headers['x-webhook-event'], 'quote.submitted');
+    assert.equal(verifySignature(webhook.secret, headers[SIGNATURE_HEADER.toLowerCase()], deliveredBody), true);
+    assert.equal((await webhookStore.get(webhook.id)).lastDelivery.ok, true);
+});
+
+test('quote events are queued for subscribed webhooks only, without staff notes', async (t) => {
+    const { dataDir, quoteStore } = createStores(t);
+    const webhookStore = new WebhookStore(dataDir);
+    const queue = new JobQueue(dataDir, 'webhooks');
+    const dispatcher = new WebhookDispatcher({ queue, webhookStore });
+    // Wired up as in server.js, keeping the promises to wait on
+    const emitted = [];
+    quoteStore.on('created', quote => emitted.push(dispatcher.quoteSubmitted(quote)));
+    quoteStore.on('transition', change => emitted.push(dispatcher.quoteTransitioned(change)));
+
+    const all = await webhookStore.create({ url: 'https://crm.example.com/hook', events: ['*'] });
+    const accepted = await webhookStore.create({ url: 'https://billing.example.com/hook', events: ['quote.accepted'] });
+
+    const submission = sampleSubmission();
+    const quote = await quoteStore.create(submission, priceQuote(submission, catalog));
+    await quoteStore.addNote(quote.id, { text: 'Internal', author: 'sales' });
+    await quoteStore.transition(quote.id, 'sent', { actor: 'sales' });
+    await Promise.all(emitted);
+
+    const { pending } = await queue.list();
+    const events = pending.map(job => [job.payload.webhookId, job.payload.event.type]);
+    assert.deepEqual(events, [[all.id, 'quote.submitted'], [all.id, 'quote.status_changed'], [all.id, 'quote.sent']]);
+    assert.ok(pending.every(job => job.payload.event.data.quote.notes === undefined));
+    assert.equal(events.some(([id]) => id === accepted.id), false);
+});
+
+test('a receiver that answers 410 is not retried, and the delivery can be replayed', async (t) => {
+    const { url, received } = await startReceiver(t, 410);
+    const dataDir = tempDataDir(t);
+    const webhookStore = new WebhookStore(dataDir);
+    const queue = new JobQueue(dataDir, 'webhooks');
+    const dispatcher = new WebhookDispatcher({ queue, webhookStore });
+    const webhook = await webhookStore.create({ url, events: ['*'] });
+
+    await dispatcher.ping(webhook.id);
+    const result = await queue.processDue((payload, job) => dispatcher.deliver(payload, job));
+    assert.deepEqual(result, { sent: 0, failed: 1 });
+    const { pending, deadLetter } = await queue.list();
+    assert.equal(pending.length, 0);
+    assert.equal((await webhookStore.get(webhook.id)).lastDelivery.status, 410);
+
+    const replayed = await queue.replay(deadLetter[0].id);
+    assert.equal(replayed.attempts, 0);
+    await queue.processDue((payload, job) => dispatcher.deliver(payload, job));
+    assert.equal(received.length, 2);
+    assert.equal(received[1].headers['x-webhook-event'], 'webhook.test');
+    assert.equal(await queue.replay('no-such-job'), null);
+});